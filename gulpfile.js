@@ -17,23 +17,29 @@ const sources = {
         indexeddb: [
             './src/main/platform/browser/Class.js',
             './src/main/platform/browser/utils/LogNative.js',
+            './src/main/platform/browser/utils/CryptoUtils.js',
             './src/main/backend/indexeddb/utils/IDBTools.js',
             './src/main/backend/indexeddb/IDBBackend.js',
+            './src/main/backend/indexeddb/Changelog.js',
             './src/main/backend/indexeddb/JungleDB.js',
             './src/main/backend/indexeddb/PersistentIndex.js'
         ],
         leveldb: [
             './src/main/platform/nodejs/utils/LogNative.js',
+            './src/main/platform/nodejs/utils/CryptoUtils.js',
             './src/main/backend/leveldb/utils/LevelDBTools.js',
             './src/main/backend/leveldb/LevelDBBackend.js',
+            './src/main/backend/leveldb/Changelog.js',
             './src/main/backend/leveldb/JungleDB.js',
             './src/main/backend/leveldb/PersistentIndex.js'
         ],
         lmdb: [
             './src/main/platform/nodejs/utils/LogNative.js',
+            './src/main/platform/nodejs/utils/CryptoUtils.js',
             './src/main/backend/lmdb/utils/EncodedLMDBTransaction.js',
             './src/main/backend/lmdb/LMDBBaseBackend.js',
             './src/main/backend/lmdb/LMDBBackend.js',
+            './src/main/backend/lmdb/Changelog.js',
             './src/main/backend/lmdb/JungleDB.js',
             './src/main/backend/lmdb/PersistentIndex.js'
         ]
@@ -42,6 +48,8 @@ const sources = {
         './src/main/generic/utils/ArrayUtils.js',
         './src/main/generic/utils/BTree.js',
         './src/main/generic/utils/BufferUtils.js',
+        './src/main/generic/utils/Utf8StreamDecoder.js',
+        './src/main/generic/utils/CompressionUtils.js',
         './src/main/generic/utils/ComparisonUtils.js',
         './src/main/generic/utils/JSONUtils.js',
         './src/main/generic/utils/Log.js',
@@ -49,23 +57,43 @@ const sources = {
         './src/main/generic/utils/UniqueLinkedList.js',
         './src/main/generic/utils/LRUMap.js',
         './src/main/generic/utils/ObjectUtils.js',
+        './src/main/generic/utils/TupleUtils.js',
         './src/main/generic/utils/SetUtils.js',
         './src/main/generic/utils/SortedList.js',
         './src/main/generic/utils/Synchronizer.js',
         './src/main/generic/utils/EncodedTransaction.js',
         './src/main/generic/utils/GenericValueEncoding.js',
+        './src/main/generic/utils/CodecUtils.js',
+        './src/main/generic/utils/TransactionUtils.js',
+        './src/main/generic/utils/ChangelogUtils.js',
+        './src/main/generic/utils/BackupUtils.js',
+        './src/main/generic/utils/MigrationUtils.js',
+        './src/main/generic/CompressionCodec.js',
+        './src/main/generic/EncryptionCodec.js',
         './src/main/generic/CachedBackend.js',
         './src/main/generic/InMemoryIndex.js',
         './src/main/generic/InMemoryBackend.js',
         './src/main/generic/KeyRange.js',
+        './src/main/generic/ChangeIterator.js',
         './src/main/generic/ObjectStore.js',
         './src/main/generic/Query.js',
+        './src/main/generic/QueryObserver.js',
+        './src/main/generic/Aggregation.js',
+        './src/main/generic/MaterializedView.js',
+        './src/main/generic/ExpiryManager.js',
+        './src/main/generic/EvictionManager.js',
         './src/main/generic/TransactionIndex.js',
+        './src/main/generic/ReadSet.js',
+        './src/main/generic/TransactionConflictError.js',
+        './src/main/generic/ValidationError.js',
+        './src/main/generic/SchemaValidator.js',
         './src/main/generic/Transaction.js',
         './src/main/generic/SynchronousTransaction.js',
         './src/main/generic/Snapshot.js',
         './src/main/generic/SnapshotManager.js',
-        './src/main/generic/CombinedTransaction.js'
+        './src/main/generic/CombinedTransaction.js',
+        './src/main/generic/ReplicationTransport.js',
+        './src/main/generic/Replicator.js'
     ],
     test: {
         generic: [
@@ -0,0 +1,83 @@
+/**
+ * The persistent changelog of a JungleDB.
+ * It records the changes of every commit to persistent object stores
+ * under a monotonically increasing sequence number.
+ * The entry is written within the same IndexedDB transaction as the commit itself.
+ * The sequence numbers of commits that fail to complete are skipped.
+ */
+class Changelog extends IDBBackend {
+    /**
+     * @param {JungleDB} db The JungleDB object managing the connection.
+     */
+    constructor(db) {
+        super(db, Changelog.TABLE_NAME);
+        this._sequence = 0;
+    }
+
+    /** @type {number} The sequence number of the last recorded commit. */
+    get sequence() {
+        return this._sequence;
+    }
+
+    /**
+     * Restores the last sequence number after connecting to the database.
+     * @returns {Promise}
+     */
+    async load() {
+        this._sequence = (await this.get(Changelog.HEAD_KEY)) || 0;
+    }
+
+    /**
+     * Records the changes of a commit within the given IndexedDB transaction.
+     * The transaction's scope has to include the changelog's table.
+     * Since IndexedDB runs transactions with overlapping scopes in the order of their creation,
+     * entries become visible in the order of their sequence numbers.
+     * @param {IDBTransaction} idbTx The IndexedDB transaction the commit is written in.
+     * @param {Array.<ChangelogChange>} changes The changes of the commit.
+     */
+    append(idbTx, changes) {
+        if (changes.length === 0) return;
+        const sequence = ++this._sequence;
+        const objSt = idbTx.objectStore(Changelog.TABLE_NAME);
+        objSt.put(changes, sequence);
+        objSt.put(sequence, Changelog.HEAD_KEY);
+    }
+
+    /**
+     * Returns the entries with a sequence number greater than the given one in ascending order.
+     * @param {number} [sequence] The sequence number after which to start.
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Promise.<Array.<ChangelogEntry>>} A promise of the entries.
+     */
+    async read(sequence = 0, limit = null) {
+        const entries = [];
+        await this.valueStream((changes, key) => {
+            if (limit !== null && entries.length >= limit) return false;
+            entries.push(ChangelogUtils.decodeEntry(this._db, key, changes));
+            return true;
+        }, true, KeyRange.bound(sequence, Number.MAX_SAFE_INTEGER, true));
+        return entries;
+    }
+
+    /**
+     * Removes all entries with a sequence number less than or equal to the given one.
+     * @param {number} sequence The sequence number up to which entries are removed.
+     * @returns {Promise} The promise resolves after pruning the changelog.
+     */
+    async prune(sequence) {
+        const db = this._backend;
+        return new Promise((resolve, reject) => {
+            const idbTx = db.transaction([Changelog.TABLE_NAME], 'readwrite');
+            // Numeric keys sort before the string head key.
+            idbTx.objectStore(Changelog.TABLE_NAME).delete(IDBKeyRange.upperBound(sequence));
+            idbTx.oncomplete = () => resolve(true);
+            idbTx.onerror = reject;
+            idbTx.onabort = reject;
+        });
+    }
+}
+/** @type {string} The name of the changelog's table. */
+Changelog.TABLE_NAME = '_changelog';
+/** @type {string} The key storing the last sequence number (strings sort after all numeric entry keys). */
+Changelog.HEAD_KEY = 'head';
+Class.register(Changelog);
@@ -18,6 +18,8 @@ class IDBBackend {
         this._indicesToCreate = new Map();
         this._indicesToDelete = [];
         this._codec = codec;
+        /** @type {Set.<string>} The keys of values decoded from an outdated codec version. */
+        this._upgradedKeys = new Set();
     }
 
     /** @type {boolean} */
@@ -64,7 +66,9 @@ class IDBBackend {
             if (!objectStore.indexNames.contains(indexName)
                 && (upgradeCondition === null || upgradeCondition === true
                     || (typeof upgradeCondition === 'function' && upgradeCondition(oldVersion, newVersion)))) {
-                const keyPath = Array.isArray(index.keyPath) ? index.keyPath.join('.') : index.keyPath;
+                // IndexedDB uses dotted key paths and natively supports compound indices with arrays of key paths.
+                const toIDBKeyPath = path => Array.isArray(path) ? path.join('.') : path;
+                const keyPath = index.compound ? index.keyPath.map(toIDBKeyPath) : toIDBKeyPath(index.keyPath);
                 objectStore.createIndex(indexName, keyPath, { unique: index.unique, multiEntry: index.multiEntry });
             }
         }
@@ -81,10 +85,7 @@ class IDBBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.decode(value, key);
-        }
-        return value;
+        return CodecUtils.decode(this._codec, value, key, this._upgradedKeys);
     }
 
     /**
@@ -96,10 +97,7 @@ class IDBBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.encode(value);
-        }
-        return value;
+        return CodecUtils.encode(this._codec, value);
     }
 
     /**
@@ -114,7 +112,7 @@ class IDBBackend {
         return new Promise((resolve, reject) => {
             const getTx = db.transaction([this._tableName])
                 .objectStore(this._tableName)
-                .get(key);
+                .get(IDBTools.toKey(key));
             getTx.onsuccess = event => {
                 try {
                     resolve((options && options.raw) ? event.target.result : this.decode(event.target.result, key));
@@ -156,7 +154,7 @@ class IDBBackend {
                     }
 
                     try {
-                        results.push(this.decode(cursor.value, cursor.primaryKey));
+                        results.push(this.decode(cursor.value, IDBTools.fromKey(cursor.primaryKey)));
                     } catch (e) {
                         reject(e);
                     }
@@ -197,7 +195,7 @@ class IDBBackend {
                         return;
                     }
 
-                    results.add(cursor.primaryKey);
+                    results.add(IDBTools.fromKey(cursor.primaryKey));
                     cursor.continue();
                 } else {
                     resolve(results);
@@ -228,7 +226,7 @@ class IDBBackend {
                 const cursor = event.target.result;
                 if (cursor) {
                     try {
-                        if (callback(cursor.primaryKey)) {
+                        if (callback(IDBTools.fromKey(cursor.primaryKey))) {
                             cursor.continue();
                         } else {
                             resolve();
@@ -264,7 +262,8 @@ class IDBBackend {
                 const cursor = event.target.result;
                 if (cursor) {
                     try {
-                        if (callback(this.decode(cursor.value, cursor.primaryKey), cursor.primaryKey)) {
+                        const key = IDBTools.fromKey(cursor.primaryKey);
+                        if (callback(this.decode(cursor.value, key), key)) {
                             cursor.continue();
                         } else {
                             resolve();
@@ -297,7 +296,7 @@ class IDBBackend {
             openCursorRequest.onsuccess = event => {
                 try {
                     const cursor = event.target.result;
-                    resolve(cursor ? this.decode(cursor.value, cursor.primaryKey) : undefined);
+                    resolve(cursor ? this.decode(cursor.value, IDBTools.fromKey(cursor.primaryKey)) : undefined);
                 } catch (e) {
                     reject(e);
                 }
@@ -319,7 +318,7 @@ class IDBBackend {
         return new Promise((resolve, reject) => {
             const store = db.transaction([this._tableName], 'readonly').objectStore(this._tableName);
             const openCursorRequest = store.openKeyCursor ? store.openKeyCursor(query, 'prev') : store.openCursor(query, 'prev');
-            openCursorRequest.onsuccess = () => resolve(openCursorRequest.result ? openCursorRequest.result.primaryKey : undefined);
+            openCursorRequest.onsuccess = () => resolve(openCursorRequest.result ? IDBTools.fromKey(openCursorRequest.result.primaryKey) : undefined);
             openCursorRequest.onerror = () => reject(openCursorRequest.error);
         });
     }
@@ -341,7 +340,7 @@ class IDBBackend {
             openCursorRequest.onsuccess = event => {
                 try {
                     const cursor = event.target.result;
-                    resolve(cursor ? this.decode(cursor.value, cursor.primaryKey) : undefined);
+                    resolve(cursor ? this.decode(cursor.value, IDBTools.fromKey(cursor.primaryKey)) : undefined);
                 } catch (e) {
                     reject(e);
                 }
@@ -363,7 +362,7 @@ class IDBBackend {
         return new Promise((resolve, reject) => {
             const store = db.transaction([this._tableName], 'readonly').objectStore(this._tableName);
             const openCursorRequest = store.openKeyCursor ? store.openKeyCursor(query, 'next') : store.openCursor(query, 'next');
-            openCursorRequest.onsuccess = () => resolve(openCursorRequest.result ? openCursorRequest.result.primaryKey : undefined);
+            openCursorRequest.onsuccess = () => resolve(openCursorRequest.result ? IDBTools.fromKey(openCursorRequest.result.primaryKey) : undefined);
             openCursorRequest.onerror = () => reject(openCursorRequest.error);
         });
     }
@@ -415,6 +414,16 @@ class IDBBackend {
         return this._tableName;
     }
 
+    /** @type {ICodec} The codec used to encode values. */
+    get codec() {
+        return this._codec;
+    }
+
+    /** @type {Set.<string>} The keys of values decoded from an outdated codec version, until they are rewritten. */
+    get upgradedKeys() {
+        return this._upgradedKeys;
+    }
+
     /**
      * Internally applies a transaction to the store's state.
      * This needs to be done in batch (as a db level transaction), i.e., either the full state is updated
@@ -425,18 +434,22 @@ class IDBBackend {
      */
     async _apply(tx) {
         const db = this._backend;
+        const changelog = this._db._changelog;
         return new Promise((resolve, reject) => {
-            const idbTx = db.transaction([this._tableName], 'readwrite');
+            const idbTx = db.transaction(changelog ? [this._tableName, Changelog.TABLE_NAME] : [this._tableName], 'readwrite');
             const objSt = idbTx.objectStore(this._tableName);
 
             if (tx._truncated) {
                 objSt.clear();
             }
             for (const key of tx._removed) {
-                objSt.delete(key);
+                objSt.delete(IDBTools.toKey(key));
             }
             for (const [key, value] of tx._modified) {
-                objSt.put(this.encode(value), key);
+                objSt.put(this.encode(value), IDBTools.toKey(key));
+            }
+            if (changelog) {
+                changelog.append(idbTx, [ChangelogUtils.encodeChanges(this, tx)]);
             }
 
             idbTx.oncomplete = () => resolve(true);
@@ -468,20 +481,28 @@ class IDBBackend {
      * { 'a': { 'b': 'key' } }
      * Secondary indices may be multiEntry, i.e., if the keyPath resolves to an iterable object, each item within can
      * be used to find this entry.
+     * Secondary indices may also be compound, i.e., the keyPath is an array of key paths (e.g., ['accountId', 'timestamp'])
+     * and the secondary key is the array of values at these paths. Compound indices cannot be multiEntry.
+     * Secondary indices may also be computed from the stored values, i.e., the keyPath is an object
+     * {compute: (value, key) => secondaryKey} whose function returns the secondary key or undefined.
+     * Computed indices are not supported by IndexedDB, which indexes the stored objects natively.
      * If a new object does not possess the key path associated with that index, it is simply ignored.
      *
      * This function may only be called before the database is connected.
      * Moreover, it is only executed on database version updates or on first creation.
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
      */
     createIndex(indexName, keyPath, options = {}) {
-        let { multiEntry = false, upgradeCondition = null, unique = false } = options || {};
+        let { multiEntry = false, upgradeCondition = null, unique = false, compound = false } = options || {};
 
         if (this._db.connected) throw new Error('Cannot create index while connected');
         keyPath = keyPath || indexName;
-        const index = new PersistentIndex(this, indexName, keyPath, multiEntry, unique);
+        if (compound && !Array.isArray(keyPath)) throw new Error('Compound indices require an array of key paths');
+        if (compound && multiEntry) throw new Error('Compound indices cannot be multiEntry');
+        if (ObjectUtils.isComputedKeyPath(keyPath)) throw new Error('Computed indices are not supported by IndexedDB');
+        const index = new PersistentIndex(this, indexName, keyPath, multiEntry, unique, compound);
         this._indices.set(indexName, index);
         this._indicesToCreate.set(indexName, { index, upgradeCondition });
     }
@@ -498,6 +519,22 @@ class IDBBackend {
         this._indicesToDelete.push({ indexName, upgradeCondition });
     }
 
+    /**
+     * IndexedDB only allows to change indices during version upgrades.
+     * @protected
+     */
+    async _startIndexBuild() {
+        throw new Error('Online index creation is not supported by IndexedDB');
+    }
+
+    /**
+     * IndexedDB only allows to change indices during version upgrades.
+     * @protected
+     */
+    async _deleteIndexOnline() {
+        throw new Error('Online index deletion is not supported by IndexedDB');
+    }
+
     /**
      * Closes the object store and potential connections.
      * @returns {Promise} The promise resolves after closing the object store.
@@ -11,7 +11,7 @@ class JungleDB {
      * after modifying the database structure.
      * @param {string} name The name of the database.
      * @param {number} dbVersion The current version of the database.
-     * @param {{onUpgradeNeeded:?function(oldVersion:number, newVersion:number, jdb:JungleDB)}} [options]
+     * @param {{enableChangelog:?boolean, onUpgradeNeeded:?function(oldVersion:number, newVersion:number, jdb:JungleDB)}} [options]
      */
     constructor(name, dbVersion, options = {}) {
         if (dbVersion <= 0) throw new Error('The version provided must not be less or equal to 0');
@@ -23,6 +23,8 @@ class JungleDB {
         this._objectStores = new Map();
         this._objectStoreBackends = new Map();
         this._objectStoresToDelete = [];
+        /** @type {Changelog} */
+        this._changelog = options.enableChangelog ? new Changelog(this) : null;
     }
 
     /**
@@ -49,6 +51,10 @@ class JungleDB {
                 that._connected = true;
                 that._db = request.result;
 
+                if (that._changelog) {
+                    await that._changelog.load();
+                }
+
                 // Call user defined function if requested.
                 if (that._oldDbVersion !== null && that._onUpgradeNeeded) {
                     await that._onUpgradeNeeded(that._oldDbVersion, that._dbVersion, that);
@@ -95,6 +101,11 @@ class JungleDB {
             backend.init(IDBobjStore, event.oldVersion, event.newVersion);
         }
 
+        // Create the changelog.
+        if (this._changelog && !db.objectStoreNames.contains(Changelog.TABLE_NAME)) {
+            db.createObjectStore(Changelog.TABLE_NAME);
+        }
+
         this._oldDbVersion = event.oldVersion;
 
         this._objectStoreBackends.clear();
@@ -110,6 +121,46 @@ class JungleDB {
         return this._connected;
     }
 
+    /**
+     * The sequence number of the last commit recorded in the changelog,
+     * or null if the changelog is not enabled.
+     * @type {?number}
+     */
+    get changelogSequence() {
+        return this._changelog ? this._changelog.sequence : null;
+    }
+
+    /**
+     * Returns the changelog entries with a sequence number greater than the given one in ascending order.
+     * Each entry contains the changes of a single commit to persistent object stores.
+     * @param {number} [sequence] The sequence number after which to start (defaults to the beginning).
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Promise.<Array.<ChangelogEntry>>} A promise of the entries.
+     */
+    async readChangelog(sequence = 0, limit = null) {
+        this._checkChangelog();
+        return this._changelog.read(sequence, limit);
+    }
+
+    /**
+     * Removes all changelog entries with a sequence number less than or equal to the given one.
+     * The sequence numbers of future commits are not affected.
+     * @param {number} sequence The sequence number up to which entries are removed.
+     * @returns {Promise} The promise resolves after pruning the changelog.
+     */
+    async pruneChangelog(sequence) {
+        this._checkChangelog();
+        return this._changelog.prune(sequence);
+    }
+
+    /**
+     * @private
+     */
+    _checkChangelog() {
+        if (!this._changelog) throw new Error('Changelog is not enabled');
+        if (!this._connected) throw new Error('JungleDB is not connected');
+    }
+
     /**
      * Returns the ObjectStore object for a given table name.
      * @param {string} tableName The table name to access.
@@ -121,12 +172,22 @@ class JungleDB {
 
     /**
      * Creates a volatile object store (non-persistent).
-     * @param {{codec:?ICodec}} [options] An options object.
+     * @param {{codec:?ICodec, validator:?Object|?function(value:*, key:*):(boolean|string), maxEntries:?number, maxBytes:?number, evictionPolicy:?string, rewriteUpgraded:?boolean}} [options] An options object.
      * @returns {ObjectStore}
      */
     static createVolatileObjectStore(options = {}) {
-        const { codec = null } = options || {};
-        return new ObjectStore(new InMemoryBackend('', codec), null);
+        const { codec = null, maxEntries = null, maxBytes = null, validator = null, rewriteUpgraded = false } = options || {};
+        const objStore = new ObjectStore(new InMemoryBackend('', codec), null);
+        if (validator !== null) {
+            objStore._setValidator(validator);
+        }
+        if (rewriteUpgraded) {
+            objStore._enableRewriteUpgraded();
+        }
+        if (maxEntries !== null || maxBytes !== null) {
+            objStore._enableEviction(options);
+        }
+        return objStore;
     }
 
     /**
@@ -163,6 +224,16 @@ class JungleDB {
         const objStore = new ObjectStore(cachedBackend, this, tableName);
         this._objectStores.set(tableName, objStore);
         this._objectStoreBackends.set(tableName, { backend, upgradeCondition });
+        if (options && options.validator) {
+            objStore._setValidator(options.validator);
+        }
+        if (options && options.rewriteUpgraded) {
+            objStore._enableRewriteUpgraded();
+        }
+        // Bounded object stores keep the access times of their entries in a companion object store.
+        if (options && (options.maxEntries || options.maxBytes)) {
+            objStore._enableEviction(options);
+        }
         return objStore;
     }
 
@@ -241,7 +312,8 @@ class JungleDB {
             const db = tx1.backend !== null ? tx1.backend.backend : null;
             return new Promise((resolve, reject) => {
                 if (tableNames.length > 0) {
-                    const idbTx = db.transaction(tableNames, 'readwrite');
+                    const changelog = tx1.backend._changelog;
+                    const idbTx = db.transaction(changelog ? tableNames.concat([Changelog.TABLE_NAME]) : tableNames, 'readwrite');
 
                     for (const encodedTx of encodedTxs) {
                         const objSt = idbTx.objectStore(encodedTx.tableName);
@@ -250,12 +322,15 @@ class JungleDB {
                             objSt.clear();
                         }
                         for (const key of encodedTx.removed) {
-                            objSt.delete(key);
+                            objSt.delete(IDBTools.toKey(key));
                         }
                         for (const [key, value] of encodedTx.modified) {
-                            objSt.put(value, key);
+                            objSt.put(value, IDBTools.toKey(key));
                         }
                     }
+                    if (changelog) {
+                        changelog.append(idbTx, ChangelogUtils.encodeCombinedChanges(tx1));
+                    }
 
                     idbTx.oncomplete = () => {
                         Promise.all(functions.map(f => f())).then(() => {
@@ -280,6 +355,64 @@ class JungleDB {
         return ctx.commit();
     }
 
+    /**
+     * Runs the given function on fresh transactions of the given object stores and commits them atomically.
+     * If the commit fails due to a conflict, new transactions are opened on the most recent states
+     * and the function is replayed, until the maximum number of retries is exhausted.
+     * The function must not commit or abort the transactions itself.
+     * @param {Array.<ObjectStore>} objectStores The object stores to open transactions on.
+     * @param {function(...Transaction):Promise.<*>} fn The function to run on the transactions (in the order of the object stores).
+     * @param {RetryConfig} [options] Options to control the retries.
+     * @returns {Promise.<*>} A promise of the function's result once the transactions have been committed.
+     * @throws {TransactionConflictError} If the transactions could not be committed after all retries.
+     */
+    static runCombined(objectStores, fn, options = {}) {
+        if (!Array.isArray(objectStores) || objectStores.length === 0) {
+            throw new Error('Invalid arguments supplied');
+        }
+        return TransactionUtils.runWithRetries(() => objectStores.map(objectStore => objectStore.transaction()), fn, options);
+    }
+
+    /**
+     * Migrates all persistent object stores of a database to a database of another backend.
+     * The target database must not be connected yet; its object stores and indices are created
+     * with the source's codecs, key encodings and index options before connecting.
+     * Records are copied in batches and an interrupted migration is resumed when called again.
+     * The source database must not be modified during the migration.
+     * @param {JungleDB} source The database to migrate from (may originate from a different build).
+     * @param {JungleDB} target The unconnected database to migrate to.
+     * @param {MigrationConfig} [options] Options for the migration.
+     * @returns {Promise.<{objectStores:Array.<string>, count:number}>} A promise of the migrated object stores and the number of records copied.
+     */
+    static migrate(source, target, options = {}) {
+        return MigrationUtils.migrate(source, target, options);
+    }
+
+    /**
+     * Writes a consistent point-in-time dump of the object stores to a writable stream
+     * in a portable, backend-independent format.
+     * The dump contains all entries, the index definitions and the database version.
+     * The stream is not ended.
+     * @param {{write:function(data:string):boolean}} stream The writable stream.
+     * @param {BackupConfig} [options] Options to restrict the backup.
+     * @returns {Promise.<number>} A promise of the number of entries written.
+     */
+    backup(stream, options = {}) {
+        return BackupUtils.backup(this, stream, options);
+    }
+
+    /**
+     * Restores a backup created by the backup method from a readable stream.
+     * This method has to be called on a new database instead of connecting to it.
+     * It creates the object stores and indices of the backup (unless they have been created beforehand),
+     * connects to the database and replaces the contents of the restored object stores.
+     * @param {{on:function(event:string, listener:function(*))}} stream The readable stream.
+     * @returns {Promise.<{dbVersion:number, objectStores:Array.<string>, count:number}>} A promise of information on the restored backup.
+     */
+    restore(stream) {
+        return BackupUtils.restore(this, stream);
+    }
+
     toString() {
         return `JungleDB{name=${this._databaseDir}}`;
     }
@@ -292,4 +425,5 @@ JungleDB.BINARY_ENCODING = {};
 JungleDB.STRING_ENCODING = {};
 JungleDB.NUMBER_ENCODING = {};
 JungleDB.GENERIC_ENCODING = {};
+JungleDB.TUPLE_ENCODING = {};
 Class.register(JungleDB);
@@ -9,13 +9,15 @@ class PersistentIndex {
      * @param {string|Array.<string>} keyPath
      * @param {boolean} [multiEntry]
      * @param {boolean} [unique]
+     * @param {boolean} [compound]
      */
-    constructor(objectStore, indexName, keyPath, multiEntry = false, unique = false) {
+    constructor(objectStore, indexName, keyPath, multiEntry = false, unique = false, compound = false) {
         this._objectStore = objectStore;
         this._indexName = indexName;
         this._keyPath = keyPath;
         this._multiEntry = multiEntry;
         this._unique = unique;
+        this._compound = compound;
     }
 
     /**
@@ -26,6 +28,30 @@ class PersistentIndex {
         // Will automatically be truncated.
     }
 
+    /**
+     * IndexedDB maintains its indices natively, so they are neither walked nor rebuilt manually.
+     * @returns {Promise}
+     */
+    async _entryStream() {
+        throw new Error('Index verification is not supported by IndexedDB');
+    }
+
+    /**
+     * IndexedDB maintains its indices natively, so they are neither walked nor rebuilt manually.
+     * @returns {Promise}
+     */
+    async _fill() {
+        throw new Error('Index rebuilds are not supported by IndexedDB');
+    }
+
+    /**
+     * IndexedDB maintains its indices natively, so they are neither walked nor rebuilt manually.
+     * @returns {Promise}
+     */
+    async _startRebuild() {
+        throw new Error('Index rebuilds are not supported by IndexedDB');
+    }
+
     /**
      * The key path associated with this index.
      * A key path is defined by a key within the object or alternatively a path through the object to a specific subkey.
@@ -54,6 +80,15 @@ class PersistentIndex {
         return this._unique;
     }
 
+    /**
+     * This value determines whether the index is a compound index,
+     * i.e., whether its key path is an array of key paths.
+     * @type {boolean}
+     */
+    get compound() {
+        return this._compound;
+    }
+
     /**
      * Internal method to access IDB index.
      * @param {IDBDatabase} db The indexed DB.
@@ -90,7 +125,7 @@ class PersistentIndex {
                     }
 
                     try {
-                        results.push(this._objectStore.decode(cursor.value, cursor.primaryKey));
+                        results.push(this._objectStore.decode(cursor.value, IDBTools.fromKey(cursor.primaryKey)));
                     } catch (e) {
                         reject(e);
                     }
@@ -127,7 +162,7 @@ class PersistentIndex {
                         return;
                     }
 
-                    results.add(cursor.primaryKey);
+                    results.add(IDBTools.fromKey(cursor.primaryKey));
                     cursor.continue();
                 } else {
                     resolve(results);
@@ -159,7 +194,7 @@ class PersistentIndex {
                 // Only iterate until key changes.
                 if (cursor && ComparisonUtils.equals(maxKey, cursor.key)) {
                     try {
-                        results.push(this._objectStore.decode(cursor.value, cursor.primaryKey));
+                        results.push(this._objectStore.decode(cursor.value, IDBTools.fromKey(cursor.primaryKey)));
                     } catch (e) {
                         reject(e);
                     }
@@ -194,7 +229,7 @@ class PersistentIndex {
                 }
                 // Only iterate until key changes.
                 if (cursor && ComparisonUtils.equals(maxKey, cursor.key)) {
-                    results.add(cursor.primaryKey);
+                    results.add(IDBTools.fromKey(cursor.primaryKey));
                     cursor.continue();
                 } else {
                     resolve(results);
@@ -226,7 +261,7 @@ class PersistentIndex {
                 // Only iterate until key changes.
                 if (cursor && ComparisonUtils.equals(minKey, cursor.key)) {
                     try {
-                        results.push(this._objectStore.decode(cursor.value, cursor.primaryKey));
+                        results.push(this._objectStore.decode(cursor.value, IDBTools.fromKey(cursor.primaryKey)));
                     } catch (e) {
                         reject(e);
                     }
@@ -261,7 +296,7 @@ class PersistentIndex {
                 }
                 // Only iterate until key changes.
                 if (cursor && ComparisonUtils.equals(minKey, cursor.key)) {
-                    results.add(cursor.primaryKey);
+                    results.add(IDBTools.fromKey(cursor.primaryKey));
                     cursor.continue();
                 } else {
                     resolve(results);
@@ -293,7 +328,7 @@ class PersistentIndex {
                 const cursor = event.target.result;
                 if (cursor) {
                     try {
-                        if (callback(cursor.primaryKey)) {
+                        if (callback(IDBTools.fromKey(cursor.primaryKey))) {
                             cursor.continue();
                         } else {
                             resolve();
@@ -328,7 +363,8 @@ class PersistentIndex {
                 const cursor = event.target.result;
                 if (cursor) {
                     try {
-                        if (callback(this._objectStore.decode(cursor.value, cursor.primaryKey), cursor.primaryKey)) {
+                        const key = IDBTools.fromKey(cursor.primaryKey);
+                        if (callback(this._objectStore.decode(cursor.value, key), key)) {
                             cursor.continue();
                         } else {
                             resolve();
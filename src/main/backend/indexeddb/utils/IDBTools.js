@@ -6,16 +6,120 @@ class IDBTools {
      */
     static convertKeyRange(keyRange) {
         if (!(keyRange instanceof KeyRange)) return keyRange;
+        const lower = IDBTools.toKey(keyRange.lower);
+        let upper = keyRange.upper, upperOpen = keyRange.upperOpen;
+        if (Array.isArray(upper) && upper[upper.length - 1] === KeyRange.MAX_COMPONENT) {
+            // IndexedDB has no key greater than all arrays, so [...components, last, MAX_COMPONENT]
+            // is replaced by the least key greater than all keys starting with the components and last.
+            upper = upper.length > 1 ? IDBTools.toKey(upper.slice(0, -2)).concat([IDBTools._successor(IDBTools.toKey(upper[upper.length - 2]))]) : undefined;
+            upperOpen = true;
+        } else {
+            upper = IDBTools.toKey(upper);
+        }
         if (keyRange.exactMatch) {
-            return IDBKeyRange.only(keyRange.lower);
+            return IDBKeyRange.only(lower);
+        }
+        if (lower === undefined && upper === undefined) {
+            return null;
+        }
+        if (lower !== undefined && upper === undefined) {
+            return IDBKeyRange.lowerBound(lower, keyRange.lowerOpen);
+        }
+        if (upper !== undefined && lower === undefined) {
+            return IDBKeyRange.upperBound(upper, upperOpen);
+        }
+        return IDBKeyRange.bound(lower, upper, keyRange.lowerOpen, upperOpen);
+    }
+
+    /**
+     * Returns the least IndexedDB key greater than the given key.
+     * @param {*} key An IndexedDB key.
+     * @returns {*} The succeeding IndexedDB key.
+     * @private
+     */
+    static _successor(key) {
+        if (typeof key === 'number') {
+            // Dates sort after all numbers.
+            return key === Infinity ? new Date(-IDBTools.MAX_DATE) : IDBTools._nextNumber(key);
+        }
+        if (key instanceof Date) {
+            // Strings sort after all dates.
+            return key.getTime() === IDBTools.MAX_DATE ? '' : new Date(key.getTime() + 1);
         }
-        if (keyRange.lower !== undefined && keyRange.upper === undefined) {
-            return IDBKeyRange.lowerBound(keyRange.lower, keyRange.lowerOpen);
+        if (typeof key === 'string') {
+            return `${key}\u0000`;
+        }
+        if (Array.isArray(key)) {
+            return key.concat([-Infinity]);
+        }
+        // Binary keys are succeeded by appending a zero byte.
+        const bytes = new Uint8Array(key.byteLength + 1);
+        bytes.set(ArrayBuffer.isView(key) ? new Uint8Array(key.buffer, key.byteOffset, key.byteLength) : new Uint8Array(key));
+        return bytes;
+    }
+
+    /**
+     * Returns the least double greater than the given number.
+     * @param {number} value
+     * @returns {number}
+     * @private
+     */
+    static _nextNumber(value) {
+        if (value === 0) return Number.MIN_VALUE;
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        let high = view.getUint32(0), low = view.getUint32(4);
+        // Increment the magnitude of positive numbers and decrement the magnitude of negative numbers.
+        if (value > 0) {
+            low = (low + 1) >>> 0;
+            if (low === 0) high++;
+        } else {
+            if (low === 0) high--;
+            low = (low - 1) >>> 0;
+        }
+        view.setUint32(0, high);
+        view.setUint32(4, low);
+        return view.getFloat64(0);
+    }
+
+    /**
+     * Converts a key into a valid IndexedDB key.
+     * BigInts are no valid keys and are stored as strings of their order-preserving encoding instead,
+     * which start with a zero character and hence sort after numbers and before most other strings.
+     * @param {*} key The key.
+     * @returns {*} The IndexedDB key.
+     */
+    static toKey(key) {
+        if (ComparisonUtils.isBigInt(key)) {
+            return IDBTools.BIGINT_PREFIX + String.fromCharCode.apply(null, TupleUtils.encodeBigInt(key));
+        }
+        if (Array.isArray(key)) {
+            return key.map(IDBTools.toKey);
+        }
+        return key;
+    }
+
+    /**
+     * Converts an IndexedDB key back into the key it has been created from by toKey.
+     * @param {*} key The IndexedDB key.
+     * @returns {*} The key.
+     */
+    static fromKey(key) {
+        if (typeof key === 'string' && key.startsWith(IDBTools.BIGINT_PREFIX)) {
+            const bytes = new Uint8Array(key.length - IDBTools.BIGINT_PREFIX.length);
+            for (let i = 0; i < bytes.length; ++i) {
+                bytes[i] = key.charCodeAt(i + IDBTools.BIGINT_PREFIX.length);
+            }
+            return TupleUtils.decodeBigInt(bytes)[0];
         }
-        if (keyRange.upper !== undefined && keyRange.lower === undefined) {
-            return IDBKeyRange.upperBound(keyRange.upper, keyRange.upperOpen);
+        if (Array.isArray(key)) {
+            return key.map(IDBTools.fromKey);
         }
-        return IDBKeyRange.bound(keyRange.lower, keyRange.upper, keyRange.lowerOpen, keyRange.upperOpen);
+        return key;
     }
 }
+/** @type {string} Marks BigInt keys, string keys starting with it are not supported. */
+IDBTools.BIGINT_PREFIX = '\u0000n';
+/** @type {number} The greatest time value of a Date. */
+IDBTools.MAX_DATE = 8640000000000000;
 Class.register(IDBTools);
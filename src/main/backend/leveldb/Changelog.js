@@ -0,0 +1,113 @@
+/**
+ * The persistent changelog of a JungleDB.
+ * It records the changes of every commit to persistent object stores
+ * under a monotonically increasing sequence number.
+ * The entry is written within the same LevelDB batch as the commit itself.
+ */
+class Changelog extends LevelDBBackend {
+    /**
+     * @param {JungleDB} db The JungleDB object managing the connection.
+     */
+    constructor(db) {
+        super(db, Changelog.TABLE_NAME);
+        this._sequence = 0;
+        // Batches are written one after another, so that entries become visible in the order of their sequence numbers.
+        this._synchronizer = new Synchronizer();
+    }
+
+    /** @type {number} The sequence number of the last recorded commit. */
+    get sequence() {
+        return this._sequence;
+    }
+
+    /**
+     * Opens the changelog table and restores the last sequence number.
+     * @param {number} oldVersion
+     * @param {number} newVersion
+     * @returns {Promise}
+     */
+    async init(oldVersion, newVersion) {
+        await super.init(oldVersion, newVersion);
+        this._sequence = (await this.get(Changelog.HEAD_KEY)) || 0;
+    }
+
+    /**
+     * Writes the batch of a commit together with an entry recording its changes.
+     * @param {Array} batch The batch operations of the commit.
+     * @param {Array.<ChangelogChange>} changes The changes of the commit.
+     * @returns {Promise} The promise resolves after writing the batch.
+     */
+    write(batch, changes) {
+        return this._synchronizer.push(() => new Promise((resolve, error) => {
+            const sequence = changes.length > 0 ? this._sequence + 1 : this._sequence;
+            if (changes.length > 0) {
+                batch = batch.concat([
+                    { key: Changelog._key(sequence), value: changes, type: 'put', prefix: this._dbBackend, valueEncoding: this._valueEncoding },
+                    { key: Changelog.HEAD_KEY, value: sequence, type: 'put', prefix: this._dbBackend, valueEncoding: this._valueEncoding }
+                ]);
+            }
+
+            this._db.backend.batch(batch, err => {
+                if (err) {
+                    error(err);
+                    return;
+                }
+
+                this._sequence = sequence;
+                resolve(true);
+            });
+        }));
+    }
+
+    /**
+     * Returns the entries with a sequence number greater than the given one in ascending order.
+     * @param {number} [sequence] The sequence number after which to start.
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Promise.<Array.<ChangelogEntry>>} A promise of the entries.
+     */
+    async read(sequence = 0, limit = null) {
+        const entries = [];
+        await this.valueStream((changes, key) => {
+            if (limit !== null && entries.length >= limit) return false;
+            entries.push(ChangelogUtils.decodeEntry(this._db, parseInt(key, 10), changes));
+            return true;
+        }, true, KeyRange.bound(Changelog._key(sequence), Changelog._key(Number.MAX_SAFE_INTEGER), true));
+        return entries;
+    }
+
+    /**
+     * Removes all entries with a sequence number less than or equal to the given one.
+     * @param {number} sequence The sequence number up to which entries are removed.
+     * @returns {Promise} The promise resolves after pruning the changelog.
+     */
+    async prune(sequence) {
+        const keys = await this.keys(KeyRange.upperBound(Changelog._key(sequence)));
+        const batch = Array.from(keys).map(key => ({ key, type: 'del' }));
+
+        return new Promise((resolve, error) => {
+            this._dbBackend.batch(batch, err => {
+                if (err) {
+                    error(err);
+                    return;
+                }
+
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Sequence numbers are stored as zero-padded strings to preserve their order.
+     * @param {number} sequence
+     * @returns {string}
+     * @private
+     */
+    static _key(sequence) {
+        return `${sequence}`.padStart(16, '0');
+    }
+}
+/** @type {string} The name of the changelog's table. */
+Changelog.TABLE_NAME = '_changelog';
+/** @type {string} The key storing the last sequence number (it sorts after all entries). */
+Changelog.HEAD_KEY = 'head';
+Class.register(Changelog);
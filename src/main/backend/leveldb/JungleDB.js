@@ -15,7 +15,7 @@ class JungleDB {
      * after modifying the database structure.
      * @param {string} databaseDir The name of the database.
      * @param {number} dbVersion The current version of the database.
-     * @param {{onUpgradeNeeded:?function(oldVersion:number, newVersion:number, jdb:JungleDB)}} [options]
+     * @param {{enableChangelog:?boolean, onUpgradeNeeded:?function(oldVersion:number, newVersion:number, jdb:JungleDB)}} [options]
      */
     constructor(databaseDir, dbVersion, options = {}) {
         if (dbVersion <= 0) throw new Error('The version provided must not be less or equal to 0');
@@ -26,6 +26,8 @@ class JungleDB {
         this._objectStores = new Map();
         this._objectStoreBackends = [];
         this._objectStoresToDelete = [];
+        /** @type {Changelog} */
+        this._changelog = options.enableChangelog ? new Changelog(this) : null;
     }
 
     /**
@@ -62,6 +64,48 @@ class JungleDB {
         });
     }
 
+    /**
+     * Returns the identity an index has been built with,
+     * i.e., the source of the compute function of a computed index or a marker for unfinished online builds.
+     * @param {string} tableName The table name of the index.
+     * @returns {Promise.<?string>} The promise for the identity or null if none has been stored.
+     * @private
+     */
+    _readIndexIdentity(tableName) {
+        return new Promise((resolve, reject) => {
+            this._db.get(`_indexIdentity-${tableName}`, { valueEncoding: 'utf8' }, (err, value) => {
+                if (err && err.notFound) {
+                    resolve(null);
+                    return;
+                }
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(value);
+            });
+        });
+    }
+
+    /**
+     * Stores the identity an index has been built with.
+     * @param {string} tableName The table name of the index.
+     * @param {string} identity The identity of the index.
+     * @returns {Promise} A promise that resolves after successfully writing the identity.
+     * @private
+     */
+    _writeIndexIdentity(tableName, identity) {
+        return new Promise((resolve, reject) => {
+            this._db.put(`_indexIdentity-${tableName}`, identity, { valueEncoding: 'utf8' }, err => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
     /** The underlying LevelDB. */
     get backend() {
         return this._db;
@@ -149,6 +193,10 @@ class JungleDB {
             promises.push(backend.init(storedVersion, this._dbVersion));
         }
 
+        if (this._changelog) {
+            promises.push(this._changelog.init(storedVersion, this._dbVersion));
+        }
+
         // The order of the above promises does not matter.
         await Promise.all(promises);
 
@@ -170,6 +218,46 @@ class JungleDB {
         return this._connected;
     }
 
+    /**
+     * The sequence number of the last commit recorded in the changelog,
+     * or null if the changelog is not enabled.
+     * @type {?number}
+     */
+    get changelogSequence() {
+        return this._changelog ? this._changelog.sequence : null;
+    }
+
+    /**
+     * Returns the changelog entries with a sequence number greater than the given one in ascending order.
+     * Each entry contains the changes of a single commit to persistent object stores.
+     * @param {number} [sequence] The sequence number after which to start (defaults to the beginning).
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Promise.<Array.<ChangelogEntry>>} A promise of the entries.
+     */
+    async readChangelog(sequence = 0, limit = null) {
+        this._checkChangelog();
+        return this._changelog.read(sequence, limit);
+    }
+
+    /**
+     * Removes all changelog entries with a sequence number less than or equal to the given one.
+     * The sequence numbers of future commits are not affected.
+     * @param {number} sequence The sequence number up to which entries are removed.
+     * @returns {Promise} The promise resolves after pruning the changelog.
+     */
+    async pruneChangelog(sequence) {
+        this._checkChangelog();
+        return this._changelog.prune(sequence);
+    }
+
+    /**
+     * @private
+     */
+    _checkChangelog() {
+        if (!this._changelog) throw new Error('Changelog is not enabled');
+        if (!this._connected) throw new Error('JungleDB is not connected');
+    }
+
     /**
      * Returns the ObjectStore object for a given table name.
      * @param {string} tableName The table name to access.
@@ -181,12 +269,22 @@ class JungleDB {
 
     /**
      * Creates a volatile object store (non-persistent).
-     * @param {{codec:?ICodec}} [options] An options object.
+     * @param {{codec:?ICodec, validator:?Object|?function(value:*, key:*):(boolean|string), maxEntries:?number, maxBytes:?number, evictionPolicy:?string, rewriteUpgraded:?boolean}} [options] An options object.
      * @returns {ObjectStore}
      */
     static createVolatileObjectStore(options = {}) {
-        const { codec = null } = options || {};
-        return new ObjectStore(new InMemoryBackend('', codec), null);
+        const { codec = null, maxEntries = null, maxBytes = null, validator = null, rewriteUpgraded = false } = options || {};
+        const objStore = new ObjectStore(new InMemoryBackend('', codec), null);
+        if (validator !== null) {
+            objStore._setValidator(validator);
+        }
+        if (rewriteUpgraded) {
+            objStore._enableRewriteUpgraded();
+        }
+        if (maxEntries !== null || maxBytes !== null) {
+            objStore._enableEviction(options);
+        }
+        return objStore;
     }
 
     /**
@@ -224,6 +322,16 @@ class JungleDB {
         const objStore = new ObjectStore(cachedBackend, this, tableName);
         this._objectStores.set(tableName, objStore);
         this._objectStoreBackends.push({ backend, upgradeCondition });
+        if (options && options.validator) {
+            objStore._setValidator(options.validator);
+        }
+        if (options && options.rewriteUpgraded) {
+            objStore._enableRewriteUpgraded();
+        }
+        // Bounded object stores keep the access times of their entries in a companion object store.
+        if (options && (options.maxEntries || options.maxBytes)) {
+            objStore._enableEviction(options);
+        }
         return objStore;
     }
 
@@ -272,6 +380,14 @@ class JungleDB {
                 }
             }
 
+            // The changelog writes the batch together with its entry.
+            const jdb = tx1.backend;
+            if (batch.length > 0 && jdb._changelog) {
+                await jdb._changelog.write(batch, ChangelogUtils.encodeCombinedChanges(tx1));
+                await Promise.all(functions.map(f => f()));
+                return true;
+            }
+
             return new Promise((resolve, error) => {
                 if (batch.length > 0) {
                     tx1.backend.backend.batch(batch, err => {
@@ -300,6 +416,64 @@ class JungleDB {
         return ctx.commit();
     }
 
+    /**
+     * Runs the given function on fresh transactions of the given object stores and commits them atomically.
+     * If the commit fails due to a conflict, new transactions are opened on the most recent states
+     * and the function is replayed, until the maximum number of retries is exhausted.
+     * The function must not commit or abort the transactions itself.
+     * @param {Array.<ObjectStore>} objectStores The object stores to open transactions on.
+     * @param {function(...Transaction):Promise.<*>} fn The function to run on the transactions (in the order of the object stores).
+     * @param {RetryConfig} [options] Options to control the retries.
+     * @returns {Promise.<*>} A promise of the function's result once the transactions have been committed.
+     * @throws {TransactionConflictError} If the transactions could not be committed after all retries.
+     */
+    static runCombined(objectStores, fn, options = {}) {
+        if (!Array.isArray(objectStores) || objectStores.length === 0) {
+            throw new Error('Invalid arguments supplied');
+        }
+        return TransactionUtils.runWithRetries(() => objectStores.map(objectStore => objectStore.transaction()), fn, options);
+    }
+
+    /**
+     * Migrates all persistent object stores of a database to a database of another backend.
+     * The target database must not be connected yet; its object stores and indices are created
+     * with the source's codecs, key encodings and index options before connecting.
+     * Records are copied in batches and an interrupted migration is resumed when called again.
+     * The source database must not be modified during the migration.
+     * @param {JungleDB} source The database to migrate from (may originate from a different build).
+     * @param {JungleDB} target The unconnected database to migrate to.
+     * @param {MigrationConfig} [options] Options for the migration.
+     * @returns {Promise.<{objectStores:Array.<string>, count:number}>} A promise of the migrated object stores and the number of records copied.
+     */
+    static migrate(source, target, options = {}) {
+        return MigrationUtils.migrate(source, target, options);
+    }
+
+    /**
+     * Writes a consistent point-in-time dump of the object stores to a writable stream
+     * in a portable, backend-independent format.
+     * The dump contains all entries, the index definitions and the database version.
+     * The stream is not ended.
+     * @param {{write:function(data:string):boolean}} stream The writable stream.
+     * @param {BackupConfig} [options] Options to restrict the backup.
+     * @returns {Promise.<number>} A promise of the number of entries written.
+     */
+    backup(stream, options = {}) {
+        return BackupUtils.backup(this, stream, options);
+    }
+
+    /**
+     * Restores a backup created by the backup method from a readable stream.
+     * This method has to be called on a new database instead of connecting to it.
+     * It creates the object stores and indices of the backup (unless they have been created beforehand),
+     * connects to the database and replaces the contents of the restored object stores.
+     * @param {{on:function(event:string, listener:function(*))}} stream The readable stream.
+     * @returns {Promise.<{dbVersion:number, objectStores:Array.<string>, count:number}>} A promise of information on the restored backup.
+     */
+    restore(stream) {
+        return BackupUtils.restore(this, stream);
+    }
+
     toString() {
         return `JungleDB{name=${this._databaseDir}}`;
     }
@@ -350,4 +524,27 @@ JungleDB.STRING_ENCODING = 'ascii';
  * @type {ILMDBEncoding}
  */
 JungleDB.NUMBER_ENCODING = JungleDB.GENERIC_ENCODING;
+/**
+ * A levelDB key encoding preserving the order of numbers, strings, binary data and arrays of these.
+ * The range bounds of level-sublevel are passed through unencoded, so they enclose all encoded tuples.
+ * @type {ILMDBEncoding}
+ */
+JungleDB.TUPLE_ENCODING = {
+    encode: x => {
+        if (x === JungleDB.TUPLE_LOWER_BOUND || x === JungleDB.TUPLE_UPPER_BOUND) {
+            return x;
+        }
+        return TupleUtils.encode([x]);
+    },
+    decode: x => TupleUtils.decode(x)[0],
+    buffer: false,
+    type: 'tuple'
+};
+/**
+ * The range bounds level-sublevel uses for unbounded iterators.
+ * These strings cannot be used as keys with the tuple encoding.
+ * @type {string}
+ */
+JungleDB.TUPLE_LOWER_BOUND = '\x00';
+JungleDB.TUPLE_UPPER_BOUND = '\uffff';
 Class.register(JungleDB);
@@ -19,8 +19,12 @@ class LevelDBBackend {
         this._indices = new Map();
         this._indicesToCreate = new Map();
         this._indicesToDelete = [];
+        /** @type {Set.<string>} The names of indices that are being built while connected. */
+        this._buildingIndices = new Set();
 
         this._codec = codec;
+        /** @type {Set.<string>} The keys of values decoded from an outdated codec version. */
+        this._upgradedKeys = new Set();
         this._keyEncoding = options && options.keyEncoding ? options.keyEncoding : null;
     }
 
@@ -72,13 +76,38 @@ class LevelDBBackend {
         return this._tableName;
     }
 
+    /** @type {ICodec} The codec used to encode values. */
+    get codec() {
+        return this._codec;
+    }
+
+    /** @type {Set.<string>} The keys of values decoded from an outdated codec version, until they are rewritten. */
+    get upgradedKeys() {
+        return this._upgradedKeys;
+    }
+
+    /** @type {*} The encoding used for keys. */
+    get keyEncoding() {
+        return this._keyEncoding;
+    }
+
     /**
      * A map of index names to indices.
      * The index names can be used to access an index.
+     * Indices that are being built while connected are not included.
      * @type {Map.<string,IIndex>}
      */
     get indices() {
-        return this._indices;
+        if (this._buildingIndices.size === 0) {
+            return this._indices;
+        }
+        const indices = new Map();
+        for (const [indexName, index] of this._indices) {
+            if (!this._buildingIndices.has(indexName)) {
+                indices.set(indexName, index);
+            }
+        }
+        return indices;
     }
 
     /**
@@ -118,10 +147,7 @@ class LevelDBBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.decode(value, key);
-        }
-        return value;
+        return CodecUtils.decode(this._codec, value, key, this._upgradedKeys);
     }
 
     /**
@@ -133,10 +159,7 @@ class LevelDBBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.encode(value);
-        }
-        return value;
+        return CodecUtils.encode(this._codec, value);
     }
 
     /**
@@ -429,6 +452,9 @@ class LevelDBBackend {
      * @returns {IIndex} The index associated with the given name.
      */
     index(indexName) {
+        if (this._buildingIndices.has(indexName)) {
+            return undefined;
+        }
         return this._indices.get(indexName);
     }
 
@@ -517,24 +543,87 @@ class LevelDBBackend {
      * { 'a': { 'b': 'key' } }
      * Secondary indices may be multiEntry, i.e., if the keyPath resolves to an iterable object, each item within can
      * be used to find this entry.
+     * Secondary indices may also be compound, i.e., the keyPath is an array of key paths (e.g., ['accountId', 'timestamp'])
+     * and the secondary key is the array of values at these paths. Compound indices cannot be multiEntry.
+     * Secondary indices may also be computed from the stored values, i.e., the keyPath is an object
+     * {compute: (value, key) => secondaryKey} whose function returns the secondary key or undefined.
      * If a new object does not possess the key path associated with that index, it is simply ignored.
      *
      * This function may only be called before the database is connected.
      * Moreover, it is only executed on database version updates or on first creation.
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
      */
     createIndex(indexName, keyPath, options = {}) {
-        let { multiEntry = false, upgradeCondition = null, unique = false, keyEncoding = null, leveldbKeyEncoding = null } = options || {};
+        let { upgradeCondition = null } = options || {};
 
         if (this._db.connected) throw new Error('Cannot create index while connected');
-        keyPath = keyPath || indexName;
-        const index = new PersistentIndex(this, this._db, indexName, keyPath, multiEntry, unique, leveldbKeyEncoding || keyEncoding);
+        const index = this._newIndex(indexName, keyPath, options);
         this._indices.set(indexName, index);
         this._indicesToCreate.set(indexName, { index, upgradeCondition });
     }
 
+    /**
+     * Starts building a new secondary index while connected.
+     * The index is updated by all transactions applied from now on, but is not visible until the build is finished.
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {Promise.<PersistentIndex>} The index to be filled.
+     * @protected
+     */
+    async _startIndexBuild(indexName, keyPath, options = {}) {
+        if (this._indices.has(indexName)) throw new Error(`Index ${indexName} already exists`);
+        const index = this._newIndex(indexName, keyPath, options);
+        await index._startBuild();
+        this._indices.set(indexName, index);
+        this._buildingIndices.add(indexName);
+        return index;
+    }
+
+    /**
+     * Finishes building a secondary index while connected and makes it visible.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    async _finishIndexBuild(indexName) {
+        await this._indices.get(indexName)._finishBuild();
+        this._buildingIndices.delete(indexName);
+    }
+
+    /**
+     * Deletes a secondary index while connected, including indices that are still being built.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise} The promise resolves after the index's contents have been deleted.
+     * @protected
+     */
+    async _deleteIndexOnline(indexName) {
+        const index = this._indices.get(indexName);
+        if (!index) throw new Error('Unknown index');
+        this._indices.delete(indexName);
+        this._buildingIndices.delete(indexName);
+        await index._drop();
+    }
+
+    /**
+     * Creates a new index object after validating its options.
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {PersistentIndex}
+     * @private
+     */
+    _newIndex(indexName, keyPath, options = {}) {
+        let { multiEntry = false, unique = false, compound = false, keyEncoding = null, leveldbKeyEncoding = null } = options || {};
+
+        keyPath = keyPath || indexName;
+        if (compound && !Array.isArray(keyPath)) throw new Error('Compound indices require an array of key paths');
+        if (compound && multiEntry) throw new Error('Compound indices cannot be multiEntry');
+        return new PersistentIndex(this, this._db, indexName, keyPath, multiEntry, unique, leveldbKeyEncoding || keyEncoding, compound);
+    }
+
     /**
      * Deletes a secondary index from the object store.
      * @param indexName
@@ -622,6 +711,10 @@ class LevelDBBackend {
     async _apply(tx) {
         let batch = await this.applyCombined(tx);
 
+        if (this._db._changelog) {
+            return this._db._changelog.write(batch, [ChangelogUtils.encodeChanges(this, tx)]);
+        }
+
         return new Promise((resolve, error) => {
             this._dbBackend.batch(batch, err => {
                 if (err) {
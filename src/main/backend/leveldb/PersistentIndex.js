@@ -7,15 +7,16 @@ class PersistentIndex extends LevelDBBackend {
      * @param {LevelDBBackend} objectStore The underlying LevelDB backend.
      * @param {JungleDB} db The underlying JungleDB.
      * @param {string} indexName The index name.
-     * @param {string|Array.<string>} [keyPath] The key path of the indexed attribute.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The key path of the indexed attribute.
      * If the keyPath is not given, this is a primary index.
      * @param {boolean} [multiEntry] Whether the indexed attribute is considered to be iterable or not.
      * @param {boolean} [unique] Whether there is a unique constraint on the attribute.
-     * @param {ILevelDBEncoding} [keyEncoding] The key encoding for this index.
+     * @param {ILevelDBEncoding} [keyEncoding] The key encoding for this index (ignored for compound indices).
+     * @param {boolean} [compound] Whether the key path is an array of key paths.
      */
-    constructor(objectStore, db, indexName, keyPath, multiEntry = false, unique = false, keyEncoding = null) {
+    constructor(objectStore, db, indexName, keyPath, multiEntry = false, unique = false, keyEncoding = null, compound = false) {
         const prefix = `_${objectStore.tableName}-${indexName}`;
-        super(db, prefix, /*codec*/ undefined, { keyEncoding });
+        super(db, prefix, /*codec*/ undefined, { keyEncoding: compound ? null : keyEncoding });
         this._prefix = prefix;
 
         /** @type {LevelDBBackend} */
@@ -24,6 +25,7 @@ class PersistentIndex extends LevelDBBackend {
         this._keyPath = keyPath;
         this._multiEntry = multiEntry;
         this._unique = unique;
+        this._compound = compound;
     }
 
     /** The levelDB backend. */
@@ -44,7 +46,7 @@ class PersistentIndex extends LevelDBBackend {
      * A key path is defined by a key within the object or alternatively a path through the object to a specific subkey.
      * For example, ['a', 'b'] could be used to use 'key' as the key in the following object:
      * { 'a': { 'b': 'key' } }
-     * @type {string|Array.<string>}
+     * @type {string|Array.<string>|ComputedKeyPath}
      */
     get keyPath() {
         return this._keyPath;
@@ -67,6 +69,24 @@ class PersistentIndex extends LevelDBBackend {
         return this._unique;
     }
 
+    /**
+     * This value determines whether the index is a compound index,
+     * i.e., whether its key path is an array of key paths.
+     * @type {boolean}
+     */
+    get compound() {
+        return this._compound;
+    }
+
+    /**
+     * The identity of the compute function of a computed index, i.e., its source code.
+     * @type {?string}
+     * @private
+     */
+    get _computeIdentity() {
+        return ObjectUtils.isComputedKeyPath(this._keyPath) ? this._keyPath.compute.toString() : null;
+    }
+
     /**
      * Initialises the persistent index by validating the version numbers
      * and loading the InMemoryIndex from the database.
@@ -85,11 +105,21 @@ class PersistentIndex extends LevelDBBackend {
             isUpgrade = upgradeCondition === true || (typeof upgradeCondition === 'function' && upgradeCondition(oldVersion, newVersion));
         }
 
+        // Rebuild computed indices whenever their compute function has changed.
+        // Also rebuild indices whose online build has been interrupted.
+        const identity = this._computeIdentity;
+        const storedIdentity = await this._db._readIndexIdentity(this.tableName);
+        const rebuild = storedIdentity === PersistentIndex.INCOMPLETE || (identity !== null && storedIdentity !== identity);
+        if (rebuild) {
+            await this.truncate();
+            isUpgrade = true;
+        }
+
         // Initialise the index on first construction.
         if (isUpgrade) {
             const tx = new EncodedTransaction(this.tableName);
             await this._objectStore.valueStream((value, primaryKey) => {
-                const keyPathValue = ObjectUtils.byKeyPath(value, this._keyPath);
+                const keyPathValue = this._indexKey(primaryKey, value);
                 if (keyPathValue !== undefined) {
                     // Support for multi entry secondary key paths.
                     let iKeys = keyPathValue;
@@ -112,13 +142,111 @@ class PersistentIndex extends LevelDBBackend {
                         tx.put(secondaryKey, pKeys);
                     }
                 }
+                return true;
+            });
+            // Filling the index is not recorded in the changelog, since it only derives data from the object store.
+            const batch = await this.applyCombined(tx);
+            await new Promise((resolve, error) => {
+                this._dbBackend.batch(batch, err => {
+                    if (err) {
+                        error(err);
+                        return;
+                    }
+
+                    resolve(true);
+                });
             });
-            await LevelDBBackend.prototype._apply.call(this, tx);
+        }
+
+        if (rebuild) {
+            await this._db._writeIndexIdentity(this.tableName, identity || '');
         }
 
         return this;
     }
 
+    /**
+     * Prepares the index to be built while the object store is in use.
+     * Until the build is finished, the index is marked as incomplete,
+     * so that it is rebuilt on the next connection if the build is interrupted.
+     * @returns {Promise}
+     */
+    async _startBuild() {
+        await LevelDBBackend.prototype.init.call(this);
+        await this._startRebuild();
+    }
+
+    /**
+     * Empties the index to refill it from the object store.
+     * Until _finishBuild is called, the index is marked as incomplete,
+     * so that it is rebuilt on the next connection if the rebuild is interrupted.
+     * @returns {Promise}
+     */
+    async _startRebuild() {
+        await this._db._writeIndexIdentity(this.tableName, PersistentIndex.INCOMPLETE);
+        await this.truncate();
+    }
+
+    /**
+     * Adds the given key-value pairs, which are not part of the index yet, to the index.
+     * If truncate is set, the index is emptied first within the same batch.
+     * @param {Array.<Array>} entries The pairs of primary keys and values to add.
+     * @param {boolean} [truncate] Whether to empty the index first.
+     * @returns {Promise} The promise resolves after the pairs have been written.
+     */
+    async _fill(entries, truncate = false) {
+        const tx = new Transaction(null, this, this, false);
+        if (truncate) {
+            await tx.truncate();
+        }
+        for (const [key, value] of entries) {
+            await this.put(key, value, undefined, tx);
+        }
+        const batch = await this.applyCombined(tx);
+        return new Promise((resolve, error) => {
+            this._dbBackend.batch(batch, err => {
+                if (err) {
+                    error(err);
+                    return;
+                }
+
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Iterates over all entries of the index.
+     * @param {function(primaryKey:*, secondaryKey:*)} callback The function called for each entry.
+     * @returns {Promise} The promise resolves after all entries have been visited.
+     */
+    _entryStream(callback) {
+        return this.map((secondaryKey, primaryKeys) => {
+            const iKey = this._compound ? TupleUtils.decode(secondaryKey) : secondaryKey;
+            for (const primaryKey of (this._unique ? [primaryKeys] : primaryKeys)) {
+                callback(primaryKey, iKey);
+            }
+        });
+    }
+
+    /**
+     * Marks the build of the index as finished.
+     * @returns {Promise}
+     */
+    _finishBuild() {
+        return this._db._writeIndexIdentity(this.tableName, this._computeIdentity || '');
+    }
+
+    /**
+     * Deletes the contents of an index that is removed while the object store is in use.
+     * The index is marked as incomplete, so that it is rebuilt if it is created again later on.
+     * @returns {Promise}
+     */
+    async _drop() {
+        await this._db._writeIndexIdentity(this.tableName, PersistentIndex.INCOMPLETE);
+        await this.destroy();
+    }
+
     /**
      * Inserts a new key-value pair into the index.
      * For replacing an existing pair, the old value has to be passed as well.
@@ -171,7 +299,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<Array.<*>>} A promise of the array of objects relevant to the query.
      */
     async values(query = null, limit = null) {
-        const results = await LevelDBBackend.prototype.values.call(this, query, limit);
+        const results = await LevelDBBackend.prototype.values.call(this, this._encodeKeyRange(query), limit);
         return this._retrieveValues(results, limit);
     }
 
@@ -184,7 +312,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<Set.<string>>} A promise of the set of primary keys relevant to the query.
      */
     async keys(query = null, limit = null) {
-        const results = await LevelDBBackend.prototype.values.call(this, query, limit);
+        const results = await LevelDBBackend.prototype.values.call(this, this._encodeKeyRange(query), limit);
         return Set.from(this._retrieveKeys(results, limit));
     }
 
@@ -196,7 +324,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<Array.<*>>} A promise of array of objects relevant to the query.
      */
     async maxValues(query=null) {
-        const results = await this.maxValue(query);
+        const results = await this.maxValue(this._encodeKeyRange(query));
         return this._retrieveValues([results]);
     }
 
@@ -208,7 +336,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<Set.<*>>} A promise of the key relevant to the query.
      */
     async maxKeys(query=null) {
-        return Set.from(await this.maxValue(query));
+        return Set.from(await this.maxValue(this._encodeKeyRange(query)));
     }
 
     /**
@@ -219,7 +347,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<Array.<*>>} A promise of array of objects relevant to the query.
      */
     async minValues(query=null) {
-        const results = await this.minValue(query);
+        const results = await this.minValue(this._encodeKeyRange(query));
         return this._retrieveValues([results]);
     }
 
@@ -231,7 +359,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<Set.<*>>} A promise of the key relevant to the query.
      */
     async minKeys(query=null) {
-        return Set.from(await this.minValue(query));
+        return Set.from(await this.minValue(this._encodeKeyRange(query)));
     }
 
     /**
@@ -245,6 +373,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise} The promise resolves after all elements have been streamed.
      */
     keyStream(callback, ascending=true, query=null) {
+        query = this._encodeKeyRange(query);
         return new Promise((resolve, error) => {
             const stream = this._dbBackend.createReadStream(LevelDBTools.convertKeyRange(query, { 'values': true, 'keys': false, 'reverse': !ascending }));
             let stopped = false;
@@ -363,7 +492,7 @@ class PersistentIndex extends LevelDBBackend {
      * @returns {Promise.<number>}
      */
     async count(query=null) {
-        const results = await LevelDBBackend.prototype.values.call(this, query);
+        const results = await LevelDBBackend.prototype.values.call(this, this._encodeKeyRange(query));
         return this._retrieveKeys(results).length;
     }
 
@@ -377,11 +506,25 @@ class PersistentIndex extends LevelDBBackend {
     _indexKey(key, obj) {
         if (obj === undefined) return undefined;
         if (this.keyPath) {
-            return ObjectUtils.byKeyPath(obj, this.keyPath);
+            const iKey = ObjectUtils.byIndexKeyPath(obj, this.keyPath, this._compound, key);
+            // Compound keys are stored in their order-preserving encoding.
+            return this._compound && iKey !== undefined ? TupleUtils.encode(iKey) : iKey;
         }
         return key;
     }
 
+    /**
+     * Translates the bounds of a query on a compound index to their encoding.
+     * @param {KeyRange} [query]
+     * @returns {KeyRange}
+     * @private
+     */
+    _encodeKeyRange(query) {
+        if (!this._compound || !(query instanceof KeyRange)) return query;
+        const encode = key => key === undefined ? undefined : TupleUtils.encode(key);
+        return KeyRange.bound(encode(query.lower), encode(query.upper), query.lowerOpen, query.upperOpen);
+    }
+
     /**
      * A helper method to insert a primary-secondary key pair into the tree.
      * @param {string} primaryKey The primary key.
@@ -430,7 +573,8 @@ class PersistentIndex extends LevelDBBackend {
                     pKeys = new SortedList(pKeys, ComparisonUtils.compare);
                     pKeys.remove(primaryKey);
                     await tx.put(secondaryKey, pKeys.values());
-                } else {
+                } else if (ComparisonUtils.equals(this._unique ? pKeys : pKeys[0], primaryKey)) {
+                    // Only remove the entry if it belongs to the given primary key.
                     await tx.remove(secondaryKey);
                 }
             }
@@ -502,4 +646,6 @@ class PersistentIndex extends LevelDBBackend {
         return this.applyCombined(internalTx);
     }
 }
+/** @type {string} The stored identity of indices whose online build has not finished. */
+PersistentIndex.INCOMPLETE = '_incomplete';
 Class.register(PersistentIndex);
@@ -0,0 +1,107 @@
+/**
+ * The persistent changelog of a JungleDB.
+ * It records the changes of every commit to persistent object stores
+ * under a monotonically increasing sequence number.
+ * The entry is written within the same LMDB transaction as the commit itself.
+ */
+class Changelog extends LMDBBaseBackend {
+    /**
+     * @param {JungleDB} db The JungleDB object managing the connection.
+     */
+    constructor(db) {
+        super(db, Changelog.TABLE_NAME);
+        this._sequence = 0;
+    }
+
+    /** @type {number} The sequence number of the last recorded commit. */
+    get sequence() {
+        return this._sequence;
+    }
+
+    /**
+     * Opens the changelog table and restores the last sequence number.
+     * @param {number} oldVersion
+     * @param {number} newVersion
+     * @returns {boolean} changelog was newly created
+     */
+    init(oldVersion, newVersion) {
+        const created = super.init(oldVersion, newVersion);
+        const txn = this._env.beginTxn({ readOnly: true });
+        this._sequence = this._get(txn, Changelog.HEAD_KEY) || 0;
+        txn.commit();
+        return created;
+    }
+
+    /**
+     * Records the changes of a commit within the given LMDB transaction.
+     * The sequence number only advances once committed is called after the transaction has been committed.
+     * @param txn The LMDB transaction the commit is written in.
+     * @param {Array.<ChangelogChange>} changes The changes of the commit.
+     * @returns {?number} The sequence number of the entry or null if there are no changes.
+     */
+    append(txn, changes) {
+        if (changes.length === 0) return null;
+        const sequence = this._sequence + 1;
+        this._put(txn, Changelog._key(sequence), changes);
+        this._put(txn, Changelog.HEAD_KEY, sequence);
+        return sequence;
+    }
+
+    /**
+     * Advances the sequence number after the LMDB transaction containing an entry has been committed.
+     * @param {?number} sequence The sequence number returned by append.
+     */
+    committed(sequence) {
+        if (sequence !== null) {
+            this._sequence = sequence;
+        }
+    }
+
+    /**
+     * Returns the entries with a sequence number greater than the given one in ascending order.
+     * @param {number} [sequence] The sequence number after which to start.
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Array.<ChangelogEntry>} The entries.
+     */
+    read(sequence = 0, limit = null) {
+        const entries = [];
+        this._readStream((changes, key) => {
+            if (limit !== null && entries.length >= limit) return false;
+            entries.push(ChangelogUtils.decodeEntry(this._db, parseInt(key, 10), changes));
+            return true;
+        }, true, KeyRange.bound(Changelog._key(sequence), Changelog._key(Number.MAX_SAFE_INTEGER), true));
+        return entries;
+    }
+
+    /**
+     * Removes all entries with a sequence number less than or equal to the given one.
+     * @param {number} sequence The sequence number up to which entries are removed.
+     */
+    prune(sequence) {
+        const keys = [];
+        this._readStream((value, key) => {
+            keys.push(key);
+        }, true, KeyRange.upperBound(Changelog._key(sequence)), true);
+
+        const txn = this._env.beginTxn();
+        for (const key of keys) {
+            this._remove(txn, key);
+        }
+        txn.commit();
+    }
+
+    /**
+     * Sequence numbers are stored as zero-padded strings to preserve their order.
+     * @param {number} sequence
+     * @returns {string}
+     * @private
+     */
+    static _key(sequence) {
+        return `${sequence}`.padStart(16, '0');
+    }
+}
+/** @type {string} The name of the changelog's table. */
+Changelog.TABLE_NAME = '_changelog';
+/** @type {string} The key storing the last sequence number (it sorts after all entries). */
+Changelog.HEAD_KEY = 'head';
+Class.register(Changelog);
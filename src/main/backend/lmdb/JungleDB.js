@@ -14,7 +14,7 @@ class JungleDB {
      * after modifying the database structure.
      * @param {string} databaseDir The name of the database.
      * @param {number} dbVersion The current version of the database.
-     * @param {{maxDbs:?number, maxDbSize:?number, minResize:?number, autoResize:?boolean, onUpgradeNeeded:?function(oldVersion:number, newVersion:number, jdb:JungleDB)}} [options]
+     * @param {{maxDbs:?number, maxDbSize:?number, minResize:?number, autoResize:?boolean, enableChangelog:?boolean, onUpgradeNeeded:?function(oldVersion:number, newVersion:number, jdb:JungleDB)}} [options]
      */
     constructor(databaseDir, dbVersion, options = {}) {
         if (dbVersion <= 0) throw new Error('The version provided must not be less or equal to 0');
@@ -28,6 +28,8 @@ class JungleDB {
 
         this._options = options;
         this._minResize = options.minResize || (1024*1024*100); // 100 MB default
+        /** @type {Changelog} */
+        this._changelog = options.enableChangelog ? new Changelog(this) : null;
     }
 
     /** The underlying LMDB. */
@@ -55,6 +57,15 @@ class JungleDB {
         return this._options.autoResize;
     }
 
+    /**
+     * The sequence number of the last commit recorded in the changelog,
+     * or null if the changelog is not enabled.
+     * @type {?number}
+     */
+    get changelogSequence() {
+        return this._changelog ? this._changelog.sequence : null;
+    }
+
     /**
      * @returns {object}
      */
@@ -67,12 +78,22 @@ class JungleDB {
 
     /**
      * Creates a volatile object store (non-persistent).
-     * @param {{codec:?ICodec}} [options] An options object.
+     * @param {{codec:?ICodec, validator:?Object|?function(value:*, key:*):(boolean|string), maxEntries:?number, maxBytes:?number, evictionPolicy:?string, rewriteUpgraded:?boolean}} [options] An options object.
      * @returns {ObjectStore}
      */
     static createVolatileObjectStore(options = {}) {
-        const { codec = null } = options || {};
-        return new ObjectStore(new InMemoryBackend('', codec), null);
+        const { codec = null, maxEntries = null, maxBytes = null, validator = null, rewriteUpgraded = false } = options || {};
+        const objStore = new ObjectStore(new InMemoryBackend('', codec), null);
+        if (validator !== null) {
+            objStore._setValidator(validator);
+        }
+        if (rewriteUpgraded) {
+            objStore._enableRewriteUpgraded();
+        }
+        if (maxEntries !== null || maxBytes !== null) {
+            objStore._enableEviction(options);
+        }
+        return objStore;
     }
 
     /**
@@ -127,8 +148,15 @@ class JungleDB {
                 for (const /** @type {EncodedLMDBTransaction} */ tx of lmdbTransactions) {
                     tx.backend.applyEncodedTransaction(tx, txn);
                 }
+                let sequence = null;
+                if (jdb._changelog) {
+                    sequence = jdb._changelog.append(txn, ChangelogUtils.encodeCombinedChanges(tx1));
+                }
 
                 txn.commit();
+                if (jdb._changelog) {
+                    jdb._changelog.committed(sequence);
+                }
             }
             await Promise.all(functions.map(f => f()));
             return true;
@@ -142,6 +170,39 @@ class JungleDB {
         return ctx.commit();
     }
 
+    /**
+     * Runs the given function on fresh transactions of the given object stores and commits them atomically.
+     * If the commit fails due to a conflict, new transactions are opened on the most recent states
+     * and the function is replayed, until the maximum number of retries is exhausted.
+     * The function must not commit or abort the transactions itself.
+     * @param {Array.<ObjectStore>} objectStores The object stores to open transactions on.
+     * @param {function(...Transaction):Promise.<*>} fn The function to run on the transactions (in the order of the object stores).
+     * @param {RetryConfig} [options] Options to control the retries.
+     * @returns {Promise.<*>} A promise of the function's result once the transactions have been committed.
+     * @throws {TransactionConflictError} If the transactions could not be committed after all retries.
+     */
+    static runCombined(objectStores, fn, options = {}) {
+        if (!Array.isArray(objectStores) || objectStores.length === 0) {
+            throw new Error('Invalid arguments supplied');
+        }
+        return TransactionUtils.runWithRetries(() => objectStores.map(objectStore => objectStore.transaction()), fn, options);
+    }
+
+    /**
+     * Migrates all persistent object stores of a database to a database of another backend.
+     * The target database must not be connected yet; its object stores and indices are created
+     * with the source's codecs, key encodings and index options before connecting.
+     * Records are copied in batches and an interrupted migration is resumed when called again.
+     * The source database must not be modified during the migration.
+     * @param {JungleDB} source The database to migrate from (may originate from a different build).
+     * @param {JungleDB} target The unconnected database to migrate to.
+     * @param {MigrationConfig} [options] Options for the migration.
+     * @returns {Promise.<{objectStores:Array.<string>, count:number}>} A promise of the migrated object stores and the number of records copied.
+     */
+    static migrate(source, target, options = {}) {
+        return MigrationUtils.migrate(source, target, options);
+    }
+
     /**
      * Connects to the lmdb.
      * @returns {Promise} A promise resolving on successful connection.
@@ -158,6 +219,11 @@ class JungleDB {
         for (const { /** @type {LMDBBackend} */ backend, upgradeCondition } of this._objectStoreBackends) {
             numDbs += 1 + backend.indices.size;
         }
+        if (this._changelog) {
+            numDbs += 1;
+        }
+        // Leave room for indices created while connected.
+        numDbs += JungleDB.ONLINE_INDICES;
 
         this._db = new lmdb.Env();
         this._db.open({
@@ -179,6 +245,29 @@ class JungleDB {
         return this._initDB();
     }
 
+    /**
+     * Returns the changelog entries with a sequence number greater than the given one in ascending order.
+     * Each entry contains the changes of a single commit to persistent object stores.
+     * @param {number} [sequence] The sequence number after which to start (defaults to the beginning).
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Promise.<Array.<ChangelogEntry>>} A promise of the entries.
+     */
+    async readChangelog(sequence = 0, limit = null) {
+        this._checkChangelog();
+        return this._changelog.read(sequence, limit);
+    }
+
+    /**
+     * Removes all changelog entries with a sequence number less than or equal to the given one.
+     * The sequence numbers of future commits are not affected.
+     * @param {number} sequence The sequence number up to which entries are removed.
+     * @returns {Promise} The promise resolves after pruning the changelog.
+     */
+    async pruneChangelog(sequence) {
+        this._checkChangelog();
+        this._changelog.prune(sequence);
+    }
+
     /**
      * Closes the database connection.
      * @returns {Promise} The promise resolves after closing the database.
@@ -186,6 +275,9 @@ class JungleDB {
     close() {
         if (this._connected) {
             this._connected = false;
+            if (this._changelog) {
+                this._changelog._close();
+            }
             this._mainDb.close();
             this._db.close();
         }
@@ -244,6 +336,16 @@ class JungleDB {
         const objStore = new ObjectStore(cachedBackend, this, tableName);
         this._objectStores.set(tableName, objStore);
         this._objectStoreBackends.push({ backend, upgradeCondition });
+        if (options && options.validator) {
+            objStore._setValidator(options.validator);
+        }
+        if (options && options.rewriteUpgraded) {
+            objStore._enableRewriteUpgraded();
+        }
+        // Bounded object stores keep the access times of their entries in a companion object store.
+        if (options && (options.maxEntries || options.maxBytes)) {
+            objStore._enableEviction(options);
+        }
         return objStore;
     }
 
@@ -315,6 +417,31 @@ class JungleDB {
         this._db.resize(newMapSize);
     }
 
+    /**
+     * Writes a consistent point-in-time dump of the object stores to a writable stream
+     * in a portable, backend-independent format.
+     * The dump contains all entries, the index definitions and the database version.
+     * The stream is not ended.
+     * @param {{write:function(data:string):boolean}} stream The writable stream.
+     * @param {BackupConfig} [options] Options to restrict the backup.
+     * @returns {Promise.<number>} A promise of the number of entries written.
+     */
+    backup(stream, options = {}) {
+        return BackupUtils.backup(this, stream, options);
+    }
+
+    /**
+     * Restores a backup created by the backup method from a readable stream.
+     * This method has to be called on a new database instead of connecting to it.
+     * It creates the object stores and indices of the backup (unless they have been created beforehand),
+     * connects to the database and replaces the contents of the restored object stores.
+     * @param {{on:function(event:string, listener:function(*))}} stream The readable stream.
+     * @returns {Promise.<{dbVersion:number, objectStores:Array.<string>, count:number}>} A promise of information on the restored backup.
+     */
+    restore(stream) {
+        return BackupUtils.restore(this, stream);
+    }
+
     toString() {
         return `JungleDB{name=${this._databaseDir}}`;
     }
@@ -364,6 +491,9 @@ class JungleDB {
             // We do not explicitly create object stores, therefore, we ignore the upgrade condition.
             backend.init(storedVersion, this._dbVersion);
         }
+        if (this._changelog) {
+            this._changelog.init(storedVersion, this._dbVersion);
+        }
 
         this._connected = true;
 
@@ -379,6 +509,14 @@ class JungleDB {
         }
     }
 
+    /**
+     * @private
+     */
+    _checkChangelog() {
+        if (!this._changelog) throw new Error('Changelog is not enabled');
+        if (!this._connected) throw new Error('JungleDB is not connected');
+    }
+
     /**
      * Returns a promise of the current database version.
      * @returns {number} The database version.
@@ -400,7 +538,35 @@ class JungleDB {
         tx.putNumber(this._mainDb, '_dbVersion', version);
         tx.commit();
     }
+
+    /**
+     * Returns the identity an index has been built with,
+     * i.e., the source of the compute function of a computed index or a marker for unfinished online builds.
+     * @param {string} tableName The table name of the index.
+     * @returns {?string} The identity or null if none has been stored.
+     * @private
+     */
+    _readIndexIdentity(tableName) {
+        const tx = this._db.beginTxn({ readOnly: true });
+        const identity = tx.getString(this._mainDb, `_indexIdentity-${tableName}`);
+        tx.commit();
+        return identity;
+    }
+
+    /**
+     * Stores the identity an index has been built with.
+     * @param {string} tableName The table name of the index.
+     * @param {string} identity The identity of the index.
+     * @private
+     */
+    _writeIndexIdentity(tableName, identity) {
+        const tx = this._db.beginTxn();
+        tx.putString(this._mainDb, `_indexIdentity-${tableName}`, identity);
+        tx.commit();
+    }
 }
+/** @type {number} The number of additional databases reserved for indices created while connected. */
+JungleDB.ONLINE_INDICES = 8;
 /** @enum {number} */
 JungleDB.Encoding = {
     STRING: 0,
@@ -454,4 +620,13 @@ JungleDB.NUMBER_ENCODING = {
  * @type {ILMDBEncoding}
  */
 JungleDB.GENERIC_ENCODING = GenericValueEncoding;
+/**
+ * A LMDB key encoding preserving the order of numbers, strings, binary data and arrays of these.
+ * @type {ILMDBEncoding}
+ */
+JungleDB.TUPLE_ENCODING = {
+    encode: x => TupleUtils.encode([x]),
+    decode: x => TupleUtils.decode(x)[0],
+    encoding: JungleDB.Encoding.STRING
+};
 Class.register(JungleDB);
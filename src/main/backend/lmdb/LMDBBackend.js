@@ -19,15 +19,27 @@ class LMDBBackend extends LMDBBaseBackend {
         this._indices = new Map();
         this._indicesToCreate = new Map();
         this._indicesToDelete = [];
+        /** @type {Set.<string>} The names of indices that are being built while connected. */
+        this._buildingIndices = new Set();
     }
 
     /**
      * A map of index names to indices.
      * The index names can be used to access an index.
+     * Indices that are being built while connected are not included.
      * @type {Map.<string,IIndex>}
      */
     get indices() {
-        return this._indices;
+        if (this._buildingIndices.size === 0) {
+            return this._indices;
+        }
+        const indices = new Map();
+        for (const [indexName, index] of this._indices) {
+            if (!this._buildingIndices.has(indexName)) {
+                indices.set(indexName, index);
+            }
+        }
+        return indices;
     }
 
     /**
@@ -253,6 +265,9 @@ class LMDBBackend extends LMDBBaseBackend {
      * @returns {IIndex} The index associated with the given name.
      */
     index(indexName) {
+        if (this._buildingIndices.has(indexName)) {
+            return undefined;
+        }
         return this._indices.get(indexName);
     }
 
@@ -332,24 +347,87 @@ class LMDBBackend extends LMDBBaseBackend {
      * { 'a': { 'b': 'key' } }
      * Secondary indices may be multiEntry, i.e., if the keyPath resolves to an iterable object, each item within can
      * be used to find this entry.
+     * Secondary indices may also be compound, i.e., the keyPath is an array of key paths (e.g., ['accountId', 'timestamp'])
+     * and the secondary key is the array of values at these paths. Compound indices cannot be multiEntry.
+     * Secondary indices may also be computed from the stored values, i.e., the keyPath is an object
+     * {compute: (value, key) => secondaryKey} whose function returns the secondary key or undefined.
      * If a new object does not possess the key path associated with that index, it is simply ignored.
      *
      * This function may only be called before the database is connected.
      * Moreover, it is only executed on database version updates or on first creation.
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
      */
     createIndex(indexName, keyPath, options = {}) {
-        let { multiEntry = false, upgradeCondition = null, unique = false, keyEncoding = null, lmdbKeyEncoding = null } = options || {};
+        let { upgradeCondition = null } = options || {};
 
         if (this._db.connected) throw new Error('Cannot create index while connected');
-        keyPath = keyPath || indexName;
-        const index = new PersistentIndex(this, this._db, indexName, keyPath, multiEntry, unique, lmdbKeyEncoding || keyEncoding);
+        const index = this._newIndex(indexName, keyPath, options);
         this._indices.set(indexName, index);
         this._indicesToCreate.set(indexName, { index, upgradeCondition });
     }
 
+    /**
+     * Starts building a new secondary index while connected.
+     * The index is updated by all transactions applied from now on, but is not visible until the build is finished.
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {Promise.<PersistentIndex>} The index to be filled.
+     * @protected
+     */
+    async _startIndexBuild(indexName, keyPath, options = {}) {
+        if (this._indices.has(indexName)) throw new Error(`Index ${indexName} already exists`);
+        const index = this._newIndex(indexName, keyPath, options);
+        await index._startBuild();
+        this._indices.set(indexName, index);
+        this._buildingIndices.add(indexName);
+        return index;
+    }
+
+    /**
+     * Finishes building a secondary index while connected and makes it visible.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    async _finishIndexBuild(indexName) {
+        await this._indices.get(indexName)._finishBuild();
+        this._buildingIndices.delete(indexName);
+    }
+
+    /**
+     * Deletes a secondary index while connected, including indices that are still being built.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise} The promise resolves after the index's contents have been deleted.
+     * @protected
+     */
+    async _deleteIndexOnline(indexName) {
+        const index = this._indices.get(indexName);
+        if (!index) throw new Error('Unknown index');
+        this._indices.delete(indexName);
+        this._buildingIndices.delete(indexName);
+        await index._drop();
+    }
+
+    /**
+     * Creates a new index object after validating its options.
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {PersistentIndex}
+     * @private
+     */
+    _newIndex(indexName, keyPath, options = {}) {
+        let { multiEntry = false, unique = false, compound = false, keyEncoding = null, lmdbKeyEncoding = null } = options || {};
+
+        keyPath = keyPath || indexName;
+        if (compound && !Array.isArray(keyPath)) throw new Error('Compound indices require an array of key paths');
+        if (compound && multiEntry) throw new Error('Compound indices cannot be multiEntry');
+        return new PersistentIndex(this, this._db, indexName, keyPath, multiEntry, unique, lmdbKeyEncoding || keyEncoding, compound);
+    }
+
     /**
      * Deletes a secondary index from the object store.
      * @param indexName
@@ -402,13 +480,20 @@ class LMDBBackend extends LMDBBaseBackend {
         }
 
         const txn = this._env.beginTxn();
+        let sequence = null;
         try {
             this.applyEncodedTransaction(encodedTx, txn);
+            if (this._db._changelog) {
+                sequence = this._db._changelog.append(txn, [ChangelogUtils.encodeChanges(this, tx)]);
+            }
         } catch (e) {
             txn.abort();
             throw e;
         }
         txn.commit();
+        if (this._db._changelog) {
+            this._db._changelog.committed(sequence);
+        }
     }
 }
 Class.register(LMDBBackend);
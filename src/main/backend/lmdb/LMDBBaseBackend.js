@@ -16,6 +16,8 @@ class LMDBBaseBackend {
         this._tableName = tableName;
 
         this._codec = codec;
+        /** @type {Set.<string>} The keys of values decoded from an outdated codec version. */
+        this._upgradedKeys = new Set();
         this._keyEncoding = options && options.keyEncoding ? options.keyEncoding : null;
         this._dupSort = options && options.dupSort;
     }
@@ -30,6 +32,21 @@ class LMDBBaseBackend {
         return this._tableName;
     }
 
+    /** @type {ICodec} The codec used to encode values. */
+    get codec() {
+        return this._codec;
+    }
+
+    /** @type {Set.<string>} The keys of values decoded from an outdated codec version, until they are rewritten. */
+    get upgradedKeys() {
+        return this._upgradedKeys;
+    }
+
+    /** @type {*} The encoding used for keys. */
+    get keyEncoding() {
+        return this._keyEncoding;
+    }
+
     /**
      * Truncates a dbi object store.
      * @param db A lmdb instance.
@@ -83,10 +100,7 @@ class LMDBBaseBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.decode(value, key);
-        }
-        return value;
+        return CodecUtils.decode(this._codec, value, key, this._upgradedKeys);
     }
 
     /**
@@ -115,10 +129,7 @@ class LMDBBaseBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.encode(value);
-        }
-        return value;
+        return CodecUtils.encode(this._codec, value);
     }
 
     /**
@@ -270,8 +281,14 @@ class LMDBBaseBackend {
                 return;
             }
 
-            // it might be that it is not included because of lower open
-            if (!query.includes(currentKey) && (ascending ? query.lowerOpen : query.upperOpen)) {
+            // All keys are smaller than the upper bound
+            if (!ascending && currentKey === null) {
+                currentKey = this._decodeKey(cursor.goToLast());
+            }
+
+            // it might be that it is not included because of lower open,
+            // or because of upper open or being greater than the upper bound
+            if (currentKey !== null && !query.includes(currentKey) && (ascending ? query.lowerOpen : true)) {
                 currentKey = this._decodeKey(ascending ? cursor.goToNext() : cursor.goToPrev());
             }
 
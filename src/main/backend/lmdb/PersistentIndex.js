@@ -7,16 +7,17 @@ class PersistentIndex extends LMDBBaseBackend {
      * @param {LMDBBackend} objectStore The underlying LMDB backend.
      * @param {JungleDB} db The underlying JungleDB.
      * @param {string} indexName The index name.
-     * @param {string|Array.<string>} [keyPath] The key path of the indexed attribute.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The key path of the indexed attribute.
      * If the keyPath is not given, this is a primary index.
      * @param {boolean} [multiEntry] Whether the indexed attribute is considered to be iterable or not.
      * @param {boolean} [unique] Whether there is a unique constraint on the attribute.
-     * @param {ILMDBEncoding} [keyEncoding] The key encoding for this index.
+     * @param {ILMDBEncoding} [keyEncoding] The key encoding for this index (ignored for compound indices).
+     * @param {boolean} [compound] Whether the key path is an array of key paths.
      */
-    constructor(objectStore, db, indexName, keyPath, multiEntry = false, unique = false, keyEncoding = null) {
+    constructor(objectStore, db, indexName, keyPath, multiEntry = false, unique = false, keyEncoding = null, compound = false) {
         const prefix = `_${objectStore.tableName}-${indexName}`;
         super(db, prefix, { encode: x => x, decode: x => x, valueEncoding: objectStore._keyEncoding || JungleDB.STRING_ENCODING },
-            { keyEncoding: keyEncoding, dupSort: true });
+            { keyEncoding: compound ? null : keyEncoding, dupSort: true });
         this._prefix = prefix;
 
         /** @type {LMDBBackend} */
@@ -25,6 +26,7 @@ class PersistentIndex extends LMDBBaseBackend {
         this._keyPath = keyPath;
         this._multiEntry = multiEntry;
         this._unique = unique;
+        this._compound = compound;
     }
 
     /** The LMDB backend. */
@@ -37,7 +39,7 @@ class PersistentIndex extends LMDBBaseBackend {
      * A key path is defined by a key within the object or alternatively a path through the object to a specific subkey.
      * For example, ['a', 'b'] could be used to use 'key' as the key in the following object:
      * { 'a': { 'b': 'key' } }
-     * @type {string|Array.<string>}
+     * @type {string|Array.<string>|ComputedKeyPath}
      */
     get keyPath() {
         return this._keyPath;
@@ -60,6 +62,24 @@ class PersistentIndex extends LMDBBaseBackend {
         return this._unique;
     }
 
+    /**
+     * This value determines whether the index is a compound index,
+     * i.e., whether its key path is an array of key paths.
+     * @type {boolean}
+     */
+    get compound() {
+        return this._compound;
+    }
+
+    /**
+     * The identity of the compute function of a computed index, i.e., its source code.
+     * @type {?string}
+     * @private
+     */
+    get _computeIdentity() {
+        return ObjectUtils.isComputedKeyPath(this._keyPath) ? this._keyPath.compute.toString() : null;
+    }
+
     /**
      * Initialises the persistent index by validating the version numbers
      * and loading the InMemoryIndex from the database.
@@ -78,6 +98,16 @@ class PersistentIndex extends LMDBBaseBackend {
             isUpgrade = upgradeCondition === true || (typeof upgradeCondition === 'function' && upgradeCondition(oldVersion, newVersion));
         }
 
+        // Rebuild computed indices whenever their compute function has changed.
+        // Also rebuild indices whose online build has been interrupted.
+        const identity = this._computeIdentity;
+        const storedIdentity = this._db._readIndexIdentity(this.tableName);
+        const rebuild = storedIdentity === PersistentIndex.INCOMPLETE || (identity !== null && storedIdentity !== identity);
+        if (rebuild) {
+            this.truncateSync();
+            isUpgrade = true;
+        }
+
         // Initialise the index on first construction.
         if (isUpgrade) {
             const txn = this._env.beginTxn();
@@ -89,9 +119,96 @@ class PersistentIndex extends LMDBBaseBackend {
             txn.commit();
         }
 
+        if (rebuild) {
+            this._db._writeIndexIdentity(this.tableName, identity || '');
+        }
+
         return this;
     }
 
+    /**
+     * Prepares the index to be built while the object store is in use.
+     * Until the build is finished, the index is marked as incomplete,
+     * so that it is rebuilt on the next connection if the build is interrupted.
+     * @returns {Promise}
+     */
+    async _startBuild() {
+        LMDBBaseBackend.prototype.init.call(this);
+        return this._startRebuild();
+    }
+
+    /**
+     * Empties the index to refill it from the object store.
+     * Until _finishBuild is called, the index is marked as incomplete,
+     * so that it is rebuilt on the next connection if the rebuild is interrupted.
+     * @returns {Promise}
+     */
+    async _startRebuild() {
+        this._db._writeIndexIdentity(this.tableName, PersistentIndex.INCOMPLETE);
+        this.truncateSync();
+    }
+
+    /**
+     * Adds the given key-value pairs, which are not part of the index yet, to the index.
+     * If truncate is set, the index is emptied first within the same database transaction.
+     * @param {Array.<Array>} entries The pairs of primary keys and values to add.
+     * @param {boolean} [truncate] Whether to empty the index first.
+     * @returns {Promise}
+     */
+    async _fill(entries, truncate = false) {
+        const encodedTx = new EncodedLMDBTransaction(this);
+        if (truncate) {
+            encodedTx.truncate();
+        }
+        for (const [key, value] of entries) {
+            this.put(key, value, undefined, encodedTx);
+        }
+        if (this._db.autoResize) {
+            const estimatedSize = encodedTx.byteSize * 2;
+            if (this._db.needsResize(estimatedSize)) {
+                this._db.doResize(estimatedSize);
+            }
+        }
+
+        const txn = this._env.beginTxn();
+        try {
+            this.applyEncodedTransaction(encodedTx, txn);
+        } catch (e) {
+            txn.abort();
+            throw e;
+        }
+        txn.commit();
+    }
+
+    /**
+     * Iterates over all entries of the index.
+     * @param {function(primaryKey:*, secondaryKey:*)} callback The function called for each entry.
+     * @returns {Promise} The promise resolves after all entries have been visited.
+     */
+    async _entryStream(callback) {
+        this._readStream((primaryKey, secondaryKey) => {
+            callback(primaryKey, this._compound ? TupleUtils.decode(secondaryKey) : secondaryKey);
+        });
+    }
+
+    /**
+     * Marks the build of the index as finished.
+     * @returns {Promise}
+     */
+    async _finishBuild() {
+        this._db._writeIndexIdentity(this.tableName, this._computeIdentity || '');
+    }
+
+    /**
+     * Deletes the contents of an index that is removed while the object store is in use.
+     * The index is marked as incomplete, so that it is rebuilt if it is created again later on.
+     * @returns {Promise}
+     */
+    async _drop() {
+        this._db._writeIndexIdentity(this.tableName, PersistentIndex.INCOMPLETE);
+        this._destroy();
+    }
+
     /**
      * Inserts a new key-value pair into the index.
      * For replacing an existing pair, the old value has to be passed as well.
@@ -304,11 +421,39 @@ class PersistentIndex extends LMDBBaseBackend {
     _indexKey(key, obj) {
         if (obj === undefined) return undefined;
         if (this.keyPath) {
-            return ObjectUtils.byKeyPath(obj, this.keyPath);
+            const iKey = ObjectUtils.byIndexKeyPath(obj, this.keyPath, this._compound, key);
+            // Compound keys are stored in their order-preserving encoding.
+            return this._compound && iKey !== undefined ? TupleUtils.encode(iKey) : iKey;
         }
         return key;
     }
 
+    /**
+     * Translates the bounds of a query on a compound index to their encoding.
+     * @param {KeyRange} [query]
+     * @returns {KeyRange}
+     * @private
+     */
+    _encodeKeyRange(query) {
+        if (!this._compound || !(query instanceof KeyRange)) return query;
+        const encode = key => key === undefined ? undefined : TupleUtils.encode(key);
+        return KeyRange.bound(encode(query.lower), encode(query.upper), query.lowerOpen, query.upperOpen);
+    }
+
+    /**
+     * Iterates over the keys and values in a given range and direction.
+     * Queries on compound indices are evaluated on the encoded keys.
+     * @param {function(value:*, key:string):boolean} callback A predicate called for each value and key until returning false.
+     * @param {boolean} ascending Determines the direction of traversal.
+     * @param {KeyRange} query An optional KeyRange to narrow down the iteration space.
+     * @param {boolean} keysOnly
+     * @protected
+     * @override
+     */
+    _readStream(callback, ascending = true, query = null, keysOnly = false) {
+        return super._readStream(callback, ascending, this._encodeKeyRange(query), keysOnly);
+    }
+
     /**
      * A helper method to insert a primary-secondary key pair into the tree.
      * @param {string} primaryKey The primary key.
@@ -398,4 +543,6 @@ class PersistentIndex extends LMDBBaseBackend {
         return values;
     }
 }
+/** @type {string} The stored identity of indices whose online build has not finished. */
+PersistentIndex.INCOMPLETE = '_incomplete';
 Class.register(PersistentIndex);
@@ -0,0 +1,230 @@
+/**
+ * This class computes aggregates over the entries of an object store in a single pass.
+ * Aggregations are executed by calling aggregate on an ObjectStore or Transaction.
+ * The static helper methods construct the reducers, which can also be implemented manually.
+ * Reducers must not modify their states in place, but return new states instead.
+ * Reducers providing a remove function can be maintained incrementally by materialised views.
+ */
+class Aggregation {
+    /**
+     * Returns a reducer counting the entries.
+     * @returns {Reducer} The reducer.
+     */
+    static count() {
+        return {
+            init: () => 0,
+            step: state => state + 1,
+            remove: state => state - 1,
+            result: state => state
+        };
+    }
+
+    /**
+     * Returns a reducer summing up the numbers at a key path.
+     * Entries without a number at the key path are ignored.
+     * @param {string|Array.<string>} keyPath The key path of the attribute to sum up.
+     * @returns {Reducer} The reducer.
+     */
+    static sum(keyPath) {
+        return {
+            init: () => 0,
+            step: (state, value) => {
+                const attribute = ObjectUtils.byKeyPath(value, keyPath);
+                return typeof attribute === 'number' ? state + attribute : state;
+            },
+            remove: (state, value) => {
+                const attribute = ObjectUtils.byKeyPath(value, keyPath);
+                return typeof attribute === 'number' ? state - attribute : state;
+            },
+            result: state => state
+        };
+    }
+
+    /**
+     * Returns a reducer computing the average of the numbers at a key path.
+     * Entries without a number at the key path are ignored.
+     * The result is undefined if there are no such entries.
+     * @param {string|Array.<string>} keyPath The key path of the attribute to average.
+     * @returns {Reducer} The reducer.
+     */
+    static avg(keyPath) {
+        return {
+            init: () => ({ sum: 0, count: 0 }),
+            step: (state, value) => {
+                const attribute = ObjectUtils.byKeyPath(value, keyPath);
+                return typeof attribute === 'number' ? { sum: state.sum + attribute, count: state.count + 1 } : state;
+            },
+            remove: (state, value) => {
+                const attribute = ObjectUtils.byKeyPath(value, keyPath);
+                return typeof attribute === 'number' ? { sum: state.sum - attribute, count: state.count - 1 } : state;
+            },
+            result: state => state.count > 0 ? state.sum / state.count : undefined
+        };
+    }
+
+    /**
+     * Returns a reducer computing the minimum of the attributes at a key path.
+     * Entries without an attribute at the key path are ignored.
+     * The result is undefined if there are no such entries.
+     * @param {string|Array.<string>} keyPath The key path of the attribute.
+     * @returns {Reducer} The reducer.
+     */
+    static min(keyPath) {
+        return Aggregation._extremum(keyPath, cmp => cmp < 0);
+    }
+
+    /**
+     * Returns a reducer computing the maximum of the attributes at a key path.
+     * Entries without an attribute at the key path are ignored.
+     * The result is undefined if there are no such entries.
+     * @param {string|Array.<string>} keyPath The key path of the attribute.
+     * @returns {Reducer} The reducer.
+     */
+    static max(keyPath) {
+        return Aggregation._extremum(keyPath, cmp => cmp > 0);
+    }
+
+    /**
+     * @param {string|Array.<string>} keyPath
+     * @param {function(cmp:number):boolean} replaces Decides on the comparison result whether an attribute replaces the current extremum.
+     * @returns {Reducer}
+     * @private
+     */
+    static _extremum(keyPath, replaces) {
+        return {
+            init: () => undefined,
+            step: (state, value) => {
+                const attribute = ObjectUtils.byKeyPath(value, keyPath);
+                if (attribute === undefined) return state;
+                return state === undefined || replaces(ComparisonUtils.compare(attribute, state)) ? attribute : state;
+            },
+            result: state => state
+        };
+    }
+
+    /**
+     * Computes the aggregates of the entries fulfilling a query.
+     * The entries are streamed, so that only the state of the reducers is kept in memory.
+     * @param {IObjectStore} objectStore The object store (or transaction) to aggregate.
+     * @param {Query|KeyRange} [query] Optional query to check keys against.
+     * @param {AggregationConfig} options The reducers and the optional grouping.
+     * @returns {Promise.<Object|Map.<*,Object>>} A promise of the object mapping the reducers' names to their results
+     * or, if grouped, of the map from group keys to such objects in the order the groups were encountered.
+     */
+    static async aggregate(objectStore, query, options) {
+        const { groupBy = null, reduce } = options || {};
+        Aggregation._checkReducers(reduce);
+        const groups = await Aggregation._reduce(objectStore, query, groupBy, reduce);
+
+        if (groupBy === null) {
+            const group = groups.get(null);
+            return Aggregation._results(reduce, group ? group.states : Aggregation._initialStates(reduce));
+        }
+        const result = new Map();
+        for (const { key, states } of groups.values()) {
+            result.set(key, Aggregation._results(reduce, states));
+        }
+        return result;
+    }
+
+    /**
+     * Checks that all reducers provide the required functions.
+     * @param {Object.<string,Reducer>} reduce The reducers by name.
+     * @param {boolean} [incremental] Whether the reducers must support removing entries.
+     * @private
+     */
+    static _checkReducers(reduce, incremental = false) {
+        if (!reduce || typeof reduce !== 'object') throw new Error('Reducers must be given');
+        for (const name of Object.keys(reduce)) {
+            const reducer = reduce[name];
+            if (!reducer || typeof reducer.init !== 'function' || typeof reducer.step !== 'function') {
+                throw new Error(`Invalid reducer ${name}`);
+            }
+            if (incremental && typeof reducer.remove !== 'function') {
+                throw new Error(`Reducer ${name} cannot be maintained incrementally`);
+            }
+        }
+    }
+
+    /**
+     * Returns the function determining the group key of an entry.
+     * @param {?string|Array.<string>|function(value:*, key:string):*} groupBy The key path or function.
+     * @returns {?function(value:*, key:string):*} The function or null if the entries are not grouped.
+     * @private
+     */
+    static _groupFunction(groupBy) {
+        if (groupBy === null || typeof groupBy === 'function') {
+            return groupBy;
+        }
+        return value => ObjectUtils.byKeyPath(value, groupBy);
+    }
+
+    /**
+     * Streams the entries fulfilling a query and reduces them per group.
+     * Group keys that are objects are identified by their serialisation.
+     * @param {IObjectStore} objectStore
+     * @param {?Query|KeyRange} query
+     * @param {?string|Array.<string>|function(value:*, key:string):*} groupBy
+     * @param {Object.<string,Reducer>} reduce
+     * @returns {Promise.<Map.<*,{key:*, count:number, states:Object.<string,*>}>>} The groups by their identity
+     * (null if the entries are not grouped).
+     * @private
+     */
+    static async _reduce(objectStore, query, groupBy, reduce) {
+        const group = Aggregation._groupFunction(groupBy);
+        const groups = new Map();
+        const step = (value, key) => {
+            let groupKey = null, id = null;
+            if (group !== null) {
+                groupKey = group(value, key);
+                if (groupKey === undefined) return true;
+                id = groupKey !== null && typeof groupKey === 'object' ? JSONUtils.stringify(groupKey) : groupKey;
+            }
+            let entry = groups.get(id);
+            if (!entry) {
+                entry = { key: groupKey, count: 0, states: Aggregation._initialStates(reduce) };
+                groups.set(id, entry);
+            }
+            entry.count++;
+            for (const name of Object.keys(reduce)) {
+                entry.states[name] = reduce[name].step(entry.states[name], value, key);
+            }
+            return true;
+        };
+
+        if (query !== null && query instanceof Query) {
+            await query._stream(objectStore, step);
+        } else {
+            await objectStore.valueStream(step, true, query);
+        }
+        return groups;
+    }
+
+    /**
+     * @param {Object.<string,Reducer>} reduce
+     * @returns {Object.<string,*>} The initial states by the names of the reducers.
+     * @private
+     */
+    static _initialStates(reduce) {
+        const states = {};
+        for (const name of Object.keys(reduce)) {
+            states[name] = reduce[name].init();
+        }
+        return states;
+    }
+
+    /**
+     * @param {Object.<string,Reducer>} reduce
+     * @param {Object.<string,*>} states
+     * @returns {Object.<string,*>} The results by the names of the reducers.
+     * @private
+     */
+    static _results(reduce, states) {
+        const results = {};
+        for (const name of Object.keys(reduce)) {
+            results[name] = reduce[name].result ? reduce[name].result(states[name]) : states[name];
+        }
+        return results;
+    }
+}
+Class.register(Aggregation);
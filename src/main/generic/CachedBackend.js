@@ -22,6 +22,26 @@ class CachedBackend {
         return this._backend.connected;
     }
 
+    /** @type {string} The underlying backend's table name. */
+    get tableName() {
+        return this._backend.tableName;
+    }
+
+    /** @type {ICodec} The underlying backend's codec. */
+    get codec() {
+        return this._backend.codec;
+    }
+
+    /** @type {Set.<string>} The keys of values the underlying backend decoded from an outdated codec version. */
+    get upgradedKeys() {
+        return this._backend.upgradedKeys;
+    }
+
+    /** @type {*} The underlying backend's key encoding. */
+    get keyEncoding() {
+        return this._backend.keyEncoding;
+    }
+
     /**
      * A map of index names to indices as defined by the underlying backend.
      * The index names can be used to access an index.
@@ -310,12 +330,16 @@ class CachedBackend {
      * { 'a': { 'b': 'key' } }
      * Secondary indices may be multiEntry, i.e., if the keyPath resolves to an iterable object, each item within can
      * be used to find this entry.
+     * Secondary indices may also be compound, i.e., the keyPath is an array of key paths (e.g., ['accountId', 'timestamp'])
+     * and the secondary key is the array of values at these paths. Compound indices cannot be multiEntry.
+     * Secondary indices may also be computed from the stored values, i.e., the keyPath is an object
+     * {compute: (value, key) => secondaryKey} whose function returns the secondary key or undefined.
      * If a new object does not possess the key path associated with that index, it is simply ignored.
      *
      * This function may only be called before the database is connected.
      * Moreover, it is only executed on database version updates or on first creation.
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
      */
     createIndex(indexName, keyPath, options = {}) {
@@ -331,6 +355,38 @@ class CachedBackend {
         return this._backend.deleteIndex(indexName, options);
     }
 
+    /**
+     * Starts building a new secondary index while connected.
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {Promise.<IIndex>} The index to be filled.
+     * @protected
+     */
+    _startIndexBuild(indexName, keyPath, options = {}) {
+        return this._backend._startIndexBuild(indexName, keyPath, options);
+    }
+
+    /**
+     * Finishes building a secondary index while connected and makes it visible.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    _finishIndexBuild(indexName) {
+        return this._backend._finishIndexBuild(indexName);
+    }
+
+    /**
+     * Deletes a secondary index while connected.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    _deleteIndexOnline(indexName) {
+        return this._backend._deleteIndexOnline(indexName);
+    }
+
     /**
      * Closes the object store and potential connections.
      * @returns {Promise} The promise resolves after closing the object store.
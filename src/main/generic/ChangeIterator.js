@@ -0,0 +1,76 @@
+/**
+ * An async iterator over the changes of an object store.
+ * Each value is the list of changes of a single flush to the backend.
+ * Changes are buffered until they are consumed.
+ * The iterator stops listening for changes when return is called,
+ * e.g., when leaving a for-await loop.
+ */
+class ChangeIterator {
+    /**
+     * This constructor should only be called by an ObjectStore object.
+     * @param {ObjectStore} objectStore The object store to listen to.
+     * @param {KeyRange|Query} [filter] An optional filter for the changes.
+     * @protected
+     */
+    constructor(objectStore, filter = null) {
+        this._objectStore = objectStore;
+        /** @type {Array.<Array.<ObjectStoreChange>>} */
+        this._buffer = [];
+        /** @type {Array.<function(result:{value:Array.<ObjectStoreChange>, done:boolean})>} */
+        this._pending = [];
+        this._done = false;
+
+        this._listener = changes => this._push(changes);
+        this._objectStore.on('change', this._listener, filter);
+    }
+
+    /**
+     * Returns a promise of the next list of changes.
+     * @returns {Promise.<{value:Array.<ObjectStoreChange>, done:boolean}>}
+     */
+    next() {
+        if (this._buffer.length > 0) {
+            return Promise.resolve({ value: this._buffer.shift(), done: false });
+        }
+        if (this._done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this._pending.push(resolve));
+    }
+
+    /**
+     * Stops listening for changes.
+     * Buffered changes are discarded.
+     * @returns {Promise.<{value:undefined, done:boolean}>}
+     */
+    return() {
+        if (!this._done) {
+            this._done = true;
+            this._buffer = [];
+            this._objectStore.off('change', this._listener);
+            for (const resolve of this._pending) {
+                resolve({ value: undefined, done: true });
+            }
+            this._pending = [];
+        }
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * @param {Array.<ObjectStoreChange>} changes
+     * @private
+     */
+    _push(changes) {
+        if (this._pending.length > 0) {
+            this._pending.shift()({ value: changes, done: false });
+        } else {
+            this._buffer.push(changes);
+        }
+    }
+}
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    ChangeIterator.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
+Class.register(ChangeIterator);
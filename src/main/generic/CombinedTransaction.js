@@ -108,16 +108,83 @@ class CombinedTransaction {
      * @returns {Promise.<boolean>} A promise of the success outcome.
      */
     async commit() {
+        for (const tx of this._transactions) {
+            await tx._rewriteUpgraded();
+        }
+        const evictions = await this._prepareEvictions();
+        await this._prepareViews();
         if (this._isCommittable()) {
             await this._checkConstraints();
 
             await this._commitBackend();
+            for (const { eviction, plan } of evictions) {
+                eviction._committed(plan);
+            }
             return true;
         }
         await this.abort();
         return false;
     }
 
+    /**
+     * Adds the transactions updating the eviction records of the object stores involved,
+     * including the removal of the least recently used entries if a bound is exceeded.
+     * This happens before the views are updated, so that they reflect evicted entries.
+     * If the records cannot be updated, the combined transaction is aborted and the error is passed on.
+     * @returns {Promise.<Array.<{eviction:EvictionManager, plan:EvictionPlan}>>} The prepared plans.
+     * @private
+     */
+    async _prepareEvictions() {
+        const evictions = [];
+        try {
+            for (const tx of this._transactions) {
+                if (tx.objectStore === null || !tx.objectStore.eviction) continue;
+                const plan = await tx.objectStore.eviction._prepare(tx);
+                if (plan !== null) {
+                    evictions.push({ eviction: tx.objectStore.eviction, plan });
+                }
+            }
+        } catch (e) {
+            await Promise.all(evictions.map(({ plan }) => plan.transaction.abort()));
+            await this.abort();
+            throw e;
+        }
+        for (const { plan } of evictions) {
+            plan.transaction._dependency = this;
+            this._transactions.push(plan.transaction);
+        }
+        return evictions;
+    }
+
+    /**
+     * Adds the transactions updating the materialised views of the object stores involved.
+     * If a view cannot be updated, the combined transaction is aborted and the error is passed on.
+     * @returns {Promise}
+     * @private
+     */
+    async _prepareViews() {
+        const viewTransactions = [];
+        try {
+            for (const tx of this._transactions) {
+                if (tx.objectStore === null) continue;
+                for (const view of tx.objectStore.views.values()) {
+                    const viewTx = await view._prepare(tx);
+                    if (viewTx !== null) {
+                        viewTransactions.push(viewTx);
+                    }
+                }
+            }
+        } catch (e) {
+            await Promise.all(viewTransactions.map(tx => tx.abort()));
+            await this.abort();
+            throw e;
+        }
+        for (const tx of viewTransactions) {
+            tx._dependency = this;
+            this._transactions.push(tx);
+        }
+    }
+
     /**
      * Is used to abort an open transaction.
      * A user only needs to call this method on Transactions without arguments.
@@ -0,0 +1,177 @@
+/**
+ * A codec compressing values with LZ4, optionally wrapping another codec.
+ * Values are first encoded by the wrapped codec and then compressed if they are large enough
+ * and compression actually saves space. Compressed values are stored as a Uint8Array
+ * starting with a small header, all other values are stored as returned by the wrapped codec.
+ * Hence, compression can be enabled on existing object stores and values stored without it can still be read.
+ *
+ * Values that are not Uint8Arrays are serialised as by JungleDB.JSON_ENCODING before compression.
+ * Since indices in IndexedDB are built on the encoded values, compressed values cannot be indexed there.
+ * @implements {ICodec}
+ */
+class CompressionCodec {
+    /**
+     * @param {?ICodec} [codec] The codec to apply before compressing values.
+     * @param {CompressionConfig} [options] Compression options.
+     */
+    constructor(codec = null, options = {}) {
+        const { threshold = CompressionCodec.THRESHOLD } = options;
+        if (!Number.isInteger(threshold) || threshold < 0) {
+            throw new Error('Invalid compression threshold');
+        }
+        this._codec = codec;
+        this._threshold = threshold;
+    }
+
+    /**
+     * Encodes an object before storing it in the database.
+     * @param {*} obj The object to encode before storing it.
+     * @returns {*} Encoded object.
+     */
+    encode(obj) {
+        const value = this._codec !== null ? this._codec.encode(obj) : obj;
+        const binary = value instanceof Uint8Array;
+        const bytes = binary ? value : BufferUtils.fromUtf8(JSONUtils.stringify(value));
+
+        if (bytes.length >= this._threshold) {
+            const compressed = CompressionUtils.compressLZ4(bytes);
+            if (compressed.length + CompressionCodec.HEADER_SIZE + 4 < bytes.length) {
+                const format = CompressionCodec.Algorithm.LZ4 | (binary ? 0 : CompressionCodec.JSON_FLAG);
+                const frame = CompressionCodec._frame(format, compressed, 4);
+                new DataView(frame.buffer).setUint32(CompressionCodec.HEADER_SIZE, bytes.length);
+                return frame;
+            }
+        }
+
+        // Binary values that happen to start with the header need to be framed to be told apart.
+        if (binary && CompressionCodec.isFramed(value)) {
+            return CompressionCodec._frame(CompressionCodec.Algorithm.NONE, value, 0);
+        }
+        return value;
+    }
+
+    /**
+     * Decodes an object before returning it to the user.
+     * @param {*} obj The object to decode.
+     * @param {string} key The object's primary key.
+     * @returns {*} Decoded object.
+     */
+    decode(obj, key) {
+        const value = CompressionCodec.isFramed(obj) ? CompressionCodec._unframe(obj) : obj;
+        return this._codec !== null ? this._codec.decode(value, key) : value;
+    }
+
+    /**
+     * Checks whether a stored value starts with the compression header.
+     * @param {*} value The stored value.
+     * @returns {boolean}
+     */
+    static isFramed(value) {
+        return value instanceof Uint8Array && value.length >= CompressionCodec.HEADER_SIZE
+            && value[0] === CompressionCodec.MAGIC[0] && value[1] === CompressionCodec.MAGIC[1];
+    }
+
+    /**
+     * @param {number} format
+     * @param {Uint8Array} payload
+     * @param {number} reserved The number of bytes to leave empty between header and payload.
+     * @returns {Uint8Array}
+     * @private
+     */
+    static _frame(format, payload, reserved) {
+        const frame = new Uint8Array(CompressionCodec.HEADER_SIZE + reserved + payload.length);
+        frame.set(CompressionCodec.MAGIC, 0);
+        frame[2] = format;
+        frame.set(payload, CompressionCodec.HEADER_SIZE + reserved);
+        return frame;
+    }
+
+    /**
+     * @param {Uint8Array} frame
+     * @returns {*}
+     * @private
+     */
+    static _unframe(frame) {
+        const format = frame[2];
+        let bytes;
+        switch (format & 0x0f) {
+            case CompressionCodec.Algorithm.NONE:
+                bytes = frame.slice(CompressionCodec.HEADER_SIZE);
+                break;
+            case CompressionCodec.Algorithm.LZ4: {
+                const length = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(CompressionCodec.HEADER_SIZE);
+                bytes = CompressionUtils.decompressLZ4(frame.subarray(CompressionCodec.HEADER_SIZE + 4), length);
+                break;
+            }
+            default:
+                throw new Error(`Unsupported compression format ${format}`);
+        }
+        return (format & CompressionCodec.JSON_FLAG) ? JSONUtils.parse(BufferUtils.toUtf8(bytes)) : bytes;
+    }
+
+    /**
+     * The version of the wrapped codec, if it declares one.
+     * @type {number|void}
+     */
+    get version() {
+        return this._codec !== null ? this._codec.version : undefined;
+    }
+
+    /**
+     * Upgrades a decoded value using the wrapped codec.
+     * @param {number} fromVersion The version the value has been stored with.
+     * @param {*} value The decoded value.
+     * @param {string} key The object's primary key.
+     * @returns {*} The upgraded value.
+     */
+    upgrade(fromVersion, value, key) {
+        if (this._codec === null || typeof this._codec.upgrade !== 'function') {
+            throw new Error(`Codec cannot upgrade values from version ${fromVersion}`);
+        }
+        return this._codec.upgrade(fromVersion, value, key);
+    }
+
+    /**
+     * A value encoding used for the levelDB and LMDB implementation and ignored for the indexedDB.
+     * Defaults to the one of the wrapped codec.
+     * @type {ILMDBEncoding|ILevelDBEncoding|void}
+     */
+    get valueEncoding() {
+        return this._codec !== null ? this._codec.valueEncoding : undefined;
+    }
+
+    /**
+     * A value encoding used only for the levelDB implementation and ignored for the indexedDB.
+     * @type {?ILevelDBEncoding}
+     */
+    get leveldbValueEncoding() {
+        return this._codec !== null ? this._codec.leveldbValueEncoding : undefined;
+    }
+
+    /**
+     * A value encoding used only for the LMDB implementation and ignored for the indexedDB.
+     * @type {?ILMDBEncoding}
+     */
+    get lmdbValueEncoding() {
+        return this._codec !== null ? this._codec.lmdbValueEncoding : undefined;
+    }
+
+    /** @type {?ICodec} The codec applied before compression. */
+    get codec() {
+        return this._codec;
+    }
+}
+/** @type {Uint8Array} 0xF5 never occurs in UTF-8 and is not a GenericValueEncoding type. */
+CompressionCodec.MAGIC = new Uint8Array([0xF5, 0x4A]);
+/** @type {number} The magic bytes followed by the format byte. */
+CompressionCodec.HEADER_SIZE = 3;
+/** @type {number} Marks payloads that have been serialised to JSON. */
+CompressionCodec.JSON_FLAG = 0x10;
+/** @type {number} The default minimum size in bytes for a value to be compressed. */
+CompressionCodec.THRESHOLD = 256;
+/** @enum {number} */
+CompressionCodec.Algorithm = {
+    NONE: 0,
+    LZ4: 1
+};
+Class.register(CompressionCodec);
@@ -0,0 +1,252 @@
+/**
+ * A codec encrypting values with AES-GCM, optionally wrapping another codec.
+ * Values are first encoded by the wrapped codec and then encrypted under the current key.
+ * Each encrypted value is tagged with the id of its key, so that keys can be rotated:
+ * values remain readable as long as their key is known to the codec and are moved to
+ * the current key by reencrypt. Values stored without encryption are still read,
+ * which allows to encrypt existing object stores using reencrypt.
+ *
+ * To compress values as well, wrap a CompressionCodec, since encrypted values do not compress.
+ * Values that are not Uint8Arrays are serialised as by JungleDB.JSON_ENCODING before encryption.
+ * Since indices in IndexedDB are built on the encoded values, encrypted values cannot be indexed there.
+ * The codec is not supported by the browser build, since codecs are synchronous and SubtleCrypto is not.
+ * @implements {ICodec}
+ */
+class EncryptionCodec {
+    /**
+     * @param {?ICodec} [codec] The codec to apply before encrypting values.
+     * @param {EncryptionConfig} [options] The encryption keys.
+     * @throws {Error} If AES-GCM is not supported by the build.
+     */
+    constructor(codec = null, options = {}) {
+        if (!CryptoUtils.SUPPORTS_AES_GCM) throw new Error('EncryptionCodec is not supported by the browser build');
+        const { keys = {}, keyId = null } = options || {};
+        this._codec = codec;
+        /** @type {Map.<string,Uint8Array>} */
+        this._keys = new Map();
+        this._keyId = null;
+
+        for (const id of Object.keys(keys)) {
+            this.addKey(id, keys[id]);
+        }
+        if (keyId !== null) {
+            this.useKey(keyId);
+        }
+    }
+
+    /**
+     * Generates a random 256 bit key.
+     * @returns {Uint8Array} The key.
+     */
+    static generateKey() {
+        return CryptoUtils.getRandomValues(32);
+    }
+
+    /**
+     * Makes a key known to the codec, so that values encrypted with it can be decrypted.
+     * @param {string} keyId The id of the key, stored along with each value.
+     * @param {Uint8Array} key A 128, 192 or 256 bit key.
+     */
+    addKey(keyId, key) {
+        if (typeof keyId !== 'string' || keyId.length === 0 || BufferUtils.fromUtf8(keyId).length > 255) {
+            throw new Error('Invalid key id');
+        }
+        if (!(key instanceof Uint8Array) || (key.length !== 16 && key.length !== 24 && key.length !== 32)) {
+            throw new Error('Invalid key');
+        }
+        if (this._keys.has(keyId) && !BufferUtils.equals(this._keys.get(keyId), key)) {
+            throw new Error(`Key ${keyId} already exists`);
+        }
+        this._keys.set(keyId, key.slice());
+    }
+
+    /**
+     * Removes a key, e.g., after all values have been reencrypted under a new key.
+     * Values encrypted with the key cannot be decrypted anymore.
+     * @param {string} keyId The id of the key.
+     */
+    removeKey(keyId) {
+        if (keyId === this._keyId) throw new Error('Cannot remove the current key');
+        this._keys.delete(keyId);
+    }
+
+    /**
+     * Sets the key used to encrypt values from now on.
+     * @param {string} keyId The id of a key known to the codec.
+     */
+    useKey(keyId) {
+        if (!this._keys.has(keyId)) throw new Error(`Unknown key ${keyId}`);
+        this._keyId = keyId;
+    }
+
+    /** @type {?string} The id of the key used to encrypt values. */
+    get keyId() {
+        return this._keyId;
+    }
+
+    /** @type {Array.<string>} The ids of all keys known to the codec. */
+    get keyIds() {
+        return Array.from(this._keys.keys());
+    }
+
+    /**
+     * Encodes an object before storing it in the database.
+     * @param {*} obj The object to encode before storing it.
+     * @returns {*} Encoded object.
+     */
+    encode(obj) {
+        if (this._keyId === null) throw new Error('No encryption key set');
+        const value = this._codec !== null ? this._codec.encode(obj) : obj;
+        const binary = value instanceof Uint8Array;
+        const plaintext = binary ? value : BufferUtils.fromUtf8(JSONUtils.stringify(value));
+
+        // The header is authenticated along with the value.
+        const keyId = BufferUtils.fromUtf8(this._keyId);
+        const header = new Uint8Array(EncryptionCodec.HEADER_SIZE + keyId.length);
+        header.set(EncryptionCodec.MAGIC, 0);
+        header[2] = EncryptionCodec.Algorithm.AES_GCM | (binary ? 0 : EncryptionCodec.JSON_FLAG);
+        header[3] = keyId.length;
+        header.set(keyId, EncryptionCodec.HEADER_SIZE);
+
+        const iv = CryptoUtils.getRandomValues(EncryptionCodec.IV_SIZE);
+        const ciphertext = CryptoUtils.encryptAesGcm(this._keys.get(this._keyId), iv, plaintext, header);
+
+        const encrypted = new Uint8Array(header.length + iv.length + ciphertext.length);
+        encrypted.set(header, 0);
+        encrypted.set(iv, header.length);
+        encrypted.set(ciphertext, header.length + iv.length);
+        return encrypted;
+    }
+
+    /**
+     * Decodes an object before returning it to the user.
+     * @param {*} obj The object to decode.
+     * @param {string} key The object's primary key.
+     * @returns {*} Decoded object.
+     * @throws {Error} If the value has been encrypted with an unknown key or has been tampered with.
+     */
+    decode(obj, key) {
+        const value = EncryptionCodec.isEncrypted(obj) ? this._decrypt(obj) : obj;
+        return this._codec !== null ? this._codec.decode(value, key) : value;
+    }
+
+    /**
+     * Checks whether a stored value has been encrypted.
+     * @param {*} value The stored value.
+     * @returns {boolean}
+     */
+    static isEncrypted(value) {
+        return value instanceof Uint8Array && value.length >= EncryptionCodec.HEADER_SIZE
+            && value[0] === EncryptionCodec.MAGIC[0] && value[1] === EncryptionCodec.MAGIC[1];
+    }
+
+    /**
+     * Returns the id of the key a stored value has been encrypted with.
+     * @param {*} value The stored value.
+     * @returns {?string} The key id or null if the value is not encrypted.
+     */
+    static keyIdOf(value) {
+        if (!EncryptionCodec.isEncrypted(value)) return null;
+        return BufferUtils.toUtf8(value.subarray(EncryptionCodec.HEADER_SIZE, EncryptionCodec.HEADER_SIZE + value[3]));
+    }
+
+    /**
+     * @param {Uint8Array} encrypted
+     * @returns {*}
+     * @private
+     */
+    _decrypt(encrypted) {
+        const format = encrypted[2];
+        if ((format & 0x0f) !== EncryptionCodec.Algorithm.AES_GCM) {
+            throw new Error(`Unsupported encryption format ${format}`);
+        }
+        const headerLength = EncryptionCodec.HEADER_SIZE + encrypted[3];
+        const keyId = EncryptionCodec.keyIdOf(encrypted);
+        if (!this._keys.has(keyId)) throw new Error(`Unknown key ${keyId}`);
+
+        const plaintext = CryptoUtils.decryptAesGcm(this._keys.get(keyId),
+            encrypted.subarray(headerLength, headerLength + EncryptionCodec.IV_SIZE),
+            encrypted.subarray(headerLength + EncryptionCodec.IV_SIZE),
+            encrypted.subarray(0, headerLength));
+        return (format & EncryptionCodec.JSON_FLAG) ? JSONUtils.parse(BufferUtils.toUtf8(plaintext)) : plaintext;
+    }
+
+    /**
+     * Rewrites all entries of an object store, so that they are encrypted under the current key.
+     * The entries are rewritten in batches, each batch committed in its own transaction,
+     * which is retried if it conflicts with concurrent changes.
+     * Entries that have already expired are not rewritten, but removed by purging.
+     * @param {ObjectStore} objectStore An object store using this codec.
+     * @param {ReencodeConfig} [options] Options for the rewrite.
+     * @returns {Promise.<number>} A promise of the number of entries rewritten.
+     */
+    async reencrypt(objectStore, options = {}) {
+        if (this._keyId === null) throw new Error('No encryption key set');
+        return objectStore.reencode(Object.assign({}, options, { all: true }));
+    }
+
+    /**
+     * The version of the wrapped codec, if it declares one.
+     * @type {number|void}
+     */
+    get version() {
+        return this._codec !== null ? this._codec.version : undefined;
+    }
+
+    /**
+     * Upgrades a decoded value using the wrapped codec.
+     * @param {number} fromVersion The version the value has been stored with.
+     * @param {*} value The decoded value.
+     * @param {string} key The object's primary key.
+     * @returns {*} The upgraded value.
+     */
+    upgrade(fromVersion, value, key) {
+        if (this._codec === null || typeof this._codec.upgrade !== 'function') {
+            throw new Error(`Codec cannot upgrade values from version ${fromVersion}`);
+        }
+        return this._codec.upgrade(fromVersion, value, key);
+    }
+
+    /**
+     * A value encoding used for the levelDB and LMDB implementation and ignored for the indexedDB.
+     * Defaults to the one of the wrapped codec.
+     * @type {ILMDBEncoding|ILevelDBEncoding|void}
+     */
+    get valueEncoding() {
+        return this._codec !== null ? this._codec.valueEncoding : undefined;
+    }
+
+    /**
+     * A value encoding used only for the levelDB implementation and ignored for the indexedDB.
+     * @type {?ILevelDBEncoding}
+     */
+    get leveldbValueEncoding() {
+        return this._codec !== null ? this._codec.leveldbValueEncoding : undefined;
+    }
+
+    /**
+     * A value encoding used only for the LMDB implementation and ignored for the indexedDB.
+     * @type {?ILMDBEncoding}
+     */
+    get lmdbValueEncoding() {
+        return this._codec !== null ? this._codec.lmdbValueEncoding : undefined;
+    }
+
+    /** @type {?ICodec} The codec applied before encryption. */
+    get codec() {
+        return this._codec;
+    }
+}
+/** @type {Uint8Array} 0xF5 never occurs in UTF-8 and is not a GenericValueEncoding type. */
+EncryptionCodec.MAGIC = new Uint8Array([0xF5, 0x45]);
+/** @type {number} The magic bytes followed by the format byte and the length of the key id. */
+EncryptionCodec.HEADER_SIZE = 4;
+/** @type {number} The size of the initialisation vectors in bytes. */
+EncryptionCodec.IV_SIZE = 12;
+/** @type {number} Marks payloads that have been serialised to JSON. */
+EncryptionCodec.JSON_FLAG = 0x10;
+/** @enum {number} */
+EncryptionCodec.Algorithm = {
+    AES_GCM: 1
+};
+Class.register(EncryptionCodec);
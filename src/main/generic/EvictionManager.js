@@ -0,0 +1,232 @@
+/**
+ * The eviction manager bounds the number of entries and/or the total size of an object store.
+ * It keeps the time of the last access and the size of each entry in a companion object store
+ * with an index on the access times. Whenever a transaction is committed, the companion store is updated
+ * in the same atomic commit and, if a bound is exceeded, the least recently accessed entries are removed.
+ * Depending on the policy, an entry is accessed when it is written or when it is written or read.
+ * Eviction is enabled by the maxEntries and maxBytes options of createObjectStore.
+ *
+ * The companion object store must not be written to directly.
+ * Entries written by the committing transaction itself are never evicted by this commit,
+ * so a single transaction writing more than the bounds allow exceeds them until the next commit.
+ */
+class EvictionManager {
+    /**
+     * This constructor should only be called by an ObjectStore object.
+     * @param {ObjectStore} objectStore The object store whose entries are evicted.
+     * @param {ObjectStore} metaStore The companion object store holding the access times and sizes.
+     * @param {EvictionConfig} options The bounds and the policy.
+     * @protected
+     */
+    constructor(objectStore, metaStore, options) {
+        const { maxEntries = null, maxBytes = null, evictionPolicy = EvictionManager.Policy.WRITE } = options || {};
+        if (maxEntries === null && maxBytes === null) throw new Error('Eviction requires maxEntries or maxBytes');
+        if (maxEntries !== null && !(maxEntries > 0)) throw new Error('Invalid maxEntries');
+        if (maxBytes !== null && !(maxBytes > 0)) throw new Error('Invalid maxBytes');
+        if (evictionPolicy !== EvictionManager.Policy.WRITE && evictionPolicy !== EvictionManager.Policy.READ) {
+            throw new Error(`Unknown eviction policy ${evictionPolicy}`);
+        }
+        this._objectStore = objectStore;
+        this._metaStore = metaStore;
+        this._maxEntries = maxEntries;
+        this._maxBytes = maxBytes;
+        this._policy = evictionPolicy;
+
+        // The totals of the committed state are loaded on first use.
+        this._entries = null;
+        this._bytes = null;
+
+        // The last access time assigned, which keeps accesses within the same millisecond ordered.
+        this._clock = 0;
+
+        /**
+         * Reads that have not been recorded in the companion object store yet.
+         * @type {Map.<*,number>}
+         */
+        this._reads = new Map();
+    }
+
+    /**
+     * The companion object store holding the access times and sizes.
+     * @type {ObjectStore}
+     */
+    get metaStore() {
+        return this._metaStore;
+    }
+
+    /** @type {?number} */
+    get maxEntries() {
+        return this._maxEntries;
+    }
+
+    /** @type {?number} */
+    get maxBytes() {
+        return this._maxBytes;
+    }
+
+    /** @type {EvictionManager.Policy} */
+    get policy() {
+        return this._policy;
+    }
+
+    /**
+     * Remembers that an entry has been read.
+     * Reads are recorded in the companion object store with the next commit.
+     * @param {*} key The primary key of the entry read.
+     */
+    touch(key) {
+        if (this._policy === EvictionManager.Policy.READ) {
+            this._reads.set(key, this._now());
+        }
+    }
+
+    /**
+     * @returns {number} A strictly increasing timestamp.
+     * @private
+     */
+    _now() {
+        this._clock = Math.max(Date.now(), this._clock + 1);
+        return this._clock;
+    }
+
+    /**
+     * Prepares the transaction on the companion object store reflecting the changes of a transaction
+     * and adds the removal of the least recently accessed entries to the latter if a bound is exceeded.
+     * Reading the affected records ensures that concurrent changes to the same entries conflict.
+     * @param {Transaction} tx The transaction on the object store.
+     * @returns {Promise.<?EvictionPlan>} A promise of the plan or null if there is nothing to record.
+     * @protected
+     */
+    async _prepare(tx) {
+        const reads = new Map(this._reads);
+        if (!tx._truncated && tx._modified.size === 0 && tx._removed.size === 0 && reads.size === 0) {
+            return null;
+        }
+        await this._loadTotals();
+
+        const baseEntries = this._entries, baseBytes = this._bytes;
+        const metaTx = this._metaStore.transaction();
+        try {
+            let entries = baseEntries, bytes = baseBytes;
+            if (tx._truncated) {
+                await metaTx.truncate();
+                entries = 0;
+                bytes = 0;
+            }
+            const removeRecord = async key => {
+                const record = await metaTx.get(key);
+                if (record) {
+                    await metaTx.remove(key);
+                    entries--;
+                    bytes -= record.size;
+                }
+            };
+
+            for (const key of tx._removed) {
+                await removeRecord(key);
+            }
+            for (const [key, value] of tx._modified) {
+                await removeRecord(key);
+                const size = EvictionManager._byteSize(key) + EvictionManager._byteSize(this._objectStore.encode(value));
+                await metaTx.put(key, { accessedAt: this._now(), size });
+                entries++;
+                bytes += size;
+            }
+            for (const [key, accessedAt] of reads) {
+                if (tx._modified.has(key) || tx._removed.has(key)) continue;
+                const record = await metaTx.get(key);
+                if (record && record.accessedAt < accessedAt) {
+                    await metaTx.put(key, { accessedAt, size: record.size });
+                }
+            }
+
+            if (this._exceeds(entries, bytes)) {
+                const evicted = [];
+                await metaTx.index(EvictionManager.INDEX_NAME).valueStream((record, key) => {
+                    if (!tx._modified.has(key)) {
+                        evicted.push(key);
+                        entries--;
+                        bytes -= record.size;
+                    }
+                    return this._exceeds(entries, bytes);
+                });
+                for (const key of evicted) {
+                    await tx.remove(key);
+                    await metaTx.remove(key);
+                }
+            }
+            return { transaction: metaTx, entries: entries - baseEntries, bytes: bytes - baseBytes, reads };
+        } catch (e) {
+            await metaTx.abort();
+            throw e;
+        }
+    }
+
+    /**
+     * Updates the totals after the plan has been committed.
+     * @param {EvictionPlan} plan The committed plan.
+     * @protected
+     */
+    _committed(plan) {
+        this._entries += plan.entries;
+        this._bytes += plan.bytes;
+        for (const [key, accessedAt] of plan.reads) {
+            if (this._reads.get(key) === accessedAt) {
+                this._reads.delete(key);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise}
+     * @private
+     */
+    async _loadTotals() {
+        if (this._entries !== null) return;
+        const totals = await this._metaStore.aggregate(null, { reduce: { entries: Aggregation.count(), bytes: Aggregation.sum('size') } });
+        // Another commit might have loaded the totals in the meantime.
+        if (this._entries !== null) return;
+        this._entries = totals.entries;
+        this._bytes = totals.bytes;
+    }
+
+    /**
+     * @param {number} entries
+     * @param {number} bytes
+     * @returns {boolean} Whether the totals exceed a bound.
+     * @private
+     */
+    _exceeds(entries, bytes) {
+        return (this._maxEntries !== null && entries > this._maxEntries) || (this._maxBytes !== null && bytes > this._maxBytes);
+    }
+
+    /**
+     * Estimates the number of bytes a key or an encoded value occupies.
+     * @param {*} value The key or encoded value.
+     * @returns {number} The estimated size.
+     * @private
+     */
+    static _byteSize(value) {
+        if (value instanceof Uint8Array) {
+            return value.byteLength;
+        }
+        if (typeof value === 'string') {
+            return value.length * 2; // JavaScript uses UTF16 encoding
+        }
+        const json = JSONUtils.stringify(value);
+        return json === undefined ? 0 : json.length * 2;
+    }
+}
+/**
+ * Determines which accesses make an entry recently used.
+ * @enum {string}
+ */
+EvictionManager.Policy = {
+    /** Entries are evicted in the order they have been written. */
+    WRITE: 'write',
+    /** Entries are evicted in the order they have been written or read by get. */
+    READ: 'read'
+};
+/** @type {string} The name of the index on the access times in the companion object store. */
+EvictionManager.INDEX_NAME = 'accessedAt';
+Class.register(EvictionManager);
@@ -0,0 +1,209 @@
+/**
+ * The expiry manager hides expired entries of an object store and purges them in the background.
+ * An entry expires once the timestamp (in milliseconds) at the object store's expiry key path has passed.
+ * The timestamps are kept in an internal secondary index, which is used to find expired entries efficiently.
+ * Expiry is enabled by calling enableExpiry on an ObjectStore.
+ */
+class ExpiryManager {
+    /**
+     * This constructor should only be called by an ObjectStore object.
+     * @param {ObjectStore} objectStore The object store whose entries expire.
+     * @param {string|Array.<string>} keyPath The key path of the expiry timestamps.
+     * @param {ExpiryConfig} [options] Options for purging expired entries.
+     * @protected
+     */
+    constructor(objectStore, keyPath, options = {}) {
+        const { purgeInterval = ExpiryManager.PURGE_INTERVAL, batchSize = ExpiryManager.BATCH_SIZE } = options || {};
+        this._objectStore = objectStore;
+        this._keyPath = keyPath;
+        this._purgeInterval = purgeInterval;
+        this._batchSize = batchSize;
+        this._timer = null;
+        this._purging = null;
+    }
+
+    /** @type {string|Array.<string>} */
+    get keyPath() {
+        return this._keyPath;
+    }
+
+    /**
+     * Starts purging expired entries periodically.
+     */
+    start() {
+        if (this._timer !== null || !(this._purgeInterval > 0)) return;
+        const schedule = () => {
+            this._timer = setTimeout(() => {
+                const purging = this._objectStore.connected ? this.purge() : Promise.resolve();
+                purging.catch(Log.w.tag(ExpiryManager)).then(() => {
+                    if (this._timer !== null) schedule();
+                });
+            }, this._purgeInterval);
+            // Do not keep the process alive just for purging.
+            if (this._timer.unref) this._timer.unref();
+        };
+        schedule();
+    }
+
+    /**
+     * Stops purging expired entries periodically.
+     */
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Removes all entries that expired so far in batches, each batch committed in its own transaction.
+     * Entries whose expiry is changed concurrently are kept.
+     * Only one purge runs at a time, concurrent calls wait for it.
+     * @returns {Promise.<number>} A promise of the number of entries removed.
+     */
+    purge() {
+        if (!this._purging) {
+            this._purging = this._purge().then(count => {
+                this._purging = null;
+                return count;
+            }, e => {
+                this._purging = null;
+                throw e;
+            });
+        }
+        return this._purging;
+    }
+
+    /**
+     * @returns {Promise.<number>}
+     * @private
+     */
+    async _purge() {
+        let count = 0;
+        let batch;
+        do {
+            const now = Date.now();
+            const index = this._objectStore.index(ExpiryManager.INDEX_NAME);
+            if (!index) break;
+            batch = await index.keys(KeyRange.upperBound(now), this._batchSize);
+            if (batch.size === 0) break;
+
+            const tx = this._objectStore.transaction();
+            let removed = 0;
+            for (const key of batch) {
+                // Reading the entry makes the commit fail if it is refreshed concurrently.
+                if (this.isExpired(await tx.get(key, { includeExpired: true }), now)) {
+                    await tx.remove(key);
+                    removed++;
+                }
+            }
+            if (!(await tx.commit())) break;
+            count += removed;
+        } while (batch.size >= this._batchSize);
+        return count;
+    }
+
+    /**
+     * Checks whether a value has expired.
+     * @param {*} value The value to check.
+     * @param {number} [now] The current timestamp.
+     * @returns {boolean} Whether the value has an expiry timestamp that has passed.
+     */
+    isExpired(value, now = Date.now()) {
+        if (value === undefined || value === null || typeof value !== 'object') return false;
+        const expiresAt = ObjectUtils.byKeyPath(value, this._keyPath);
+        return typeof expiresAt === 'number' && expiresAt <= now;
+    }
+
+    /**
+     * Returns the keys of expired entries in an object store.
+     * @param {IObjectStore} state The object store (or transaction) to check.
+     * @returns {Promise.<Set.<*>>} A promise of the keys of expired entries.
+     */
+    expiredKeys(state) {
+        const index = state.index(ExpiryManager.INDEX_NAME);
+        if (!index) return Promise.resolve(new Set());
+        return index.keys(KeyRange.upperBound(Date.now()));
+    }
+
+    /**
+     * Returns a copy of a value that expires after the given time.
+     * @param {Object} value The value to copy.
+     * @param {number} ttl The time to live in milliseconds.
+     * @returns {Object} The copy with the expiry timestamp set.
+     */
+    withTtl(value, ttl) {
+        if (typeof ttl !== 'number' || !(ttl >= 0)) throw new Error('Invalid ttl');
+        if (value === null || typeof value !== 'object') throw new Error('Only objects can expire');
+        const path = Array.isArray(this._keyPath) ? this._keyPath : [this._keyPath];
+        const copy = Object.assign({}, value);
+        let tmp = copy;
+        for (let i = 0; i < path.length - 1; ++i) {
+            tmp[path[i]] = Object.assign({}, tmp[path[i]]);
+            tmp = tmp[path[i]];
+        }
+        tmp[path[path.length - 1]] = Date.now() + ttl;
+        return copy;
+    }
+
+    /**
+     * Hides a value retrieved by get if it has expired.
+     * Raw values and retrievals with the includeExpired option are returned unchanged.
+     * @param {*} value The value retrieved.
+     * @param {RetrievalConfig} [options] The retrieval options.
+     * @returns {*} The value or undefined if it has expired.
+     */
+    filterValue(value, options) {
+        if (options && (options.raw || options.includeExpired)) return value;
+        return this.isExpired(value) ? undefined : value;
+    }
+
+    /**
+     * Removes expired values and values of entries that are not present anymore from a list.
+     * @param {Array.<*>} values The values.
+     * @param {number} [limit] Limits the number of results if given.
+     * @returns {Array.<*>} The remaining values.
+     */
+    filterValues(values, limit = null) {
+        const now = Date.now();
+        const result = values.filter(value => value !== undefined && !this.isExpired(value, now));
+        return limit !== null ? result.slice(0, limit) : result;
+    }
+
+    /**
+     * Removes the keys of expired entries from a set.
+     * @param {Set.<*>} keys The keys.
+     * @param {IObjectStore} state The object store (or transaction) the keys belong to.
+     * @param {number} [limit] Limits the number of results if given.
+     * @returns {Promise.<Set.<*>>} A promise of the remaining keys.
+     */
+    async filterKeys(keys, state, limit = null) {
+        return keys.difference(await this.expiredKeys(state)).limit(limit);
+    }
+
+    /**
+     * Wraps a key stream callback to skip expired entries.
+     * @param {function(key:*):boolean} callback The callback.
+     * @param {IObjectStore} state The object store (or transaction) streamed.
+     * @returns {Promise.<function(key:*):boolean>} A promise of the wrapped callback.
+     */
+    async wrapKeyCallback(callback, state) {
+        const expired = await this.expiredKeys(state);
+        return key => expired.has(key) || callback(key);
+    }
+
+    /**
+     * Wraps a value stream callback to skip expired entries.
+     * @param {function(value:*, key:*):boolean} callback The callback.
+     * @returns {function(value:*, key:*):boolean} The wrapped callback.
+     */
+    wrapValueCallback(callback) {
+        const now = Date.now();
+        return (value, key) => this.isExpired(value, now) || callback(value, key);
+    }
+}
+/** @type {string} The name of the internal index on the expiry timestamps. */
+ExpiryManager.INDEX_NAME = '_expiry';
+/** @type {number} The default interval in milliseconds between purges. */
+ExpiryManager.PURGE_INTERVAL = 60000;
+/** @type {number} The default number of entries removed per transaction. */
+ExpiryManager.BATCH_SIZE = 1000;
+Class.register(ExpiryManager);
@@ -14,10 +14,14 @@ class InMemoryBackend {
 
         /** @type {Map.<string,InMemoryIndex>} */
         this._indices = new Map();
+        /** @type {Set.<string>} The names of indices that are being built while connected. */
+        this._buildingIndices = new Set();
 
         this._primaryIndex = new InMemoryIndex(this, /*keyPath*/ undefined, /*multiEntry*/ false, /*unique*/ true);
         this._tableName = tableName;
         this._codec = codec;
+        /** @type {Set.<string>} The keys of values decoded from an outdated codec version. */
+        this._upgradedKeys = new Set();
     }
 
     /** @type {boolean} */
@@ -26,10 +30,30 @@ class InMemoryBackend {
     }
 
     /**
+     * Called when connecting to the database. Volatile object stores need no initialisation.
+     * @param {number} oldVersion
+     * @param {number} newVersion
+     * @returns {Promise}
+     */
+    init(oldVersion, newVersion) {
+        return Promise.resolve();
+    }
+
+    /**
+     * Indices that are being built while connected are not included.
      * @type {Map.<string,IIndex>}
      */
     get indices() {
-        return this._indices;
+        if (this._buildingIndices.size === 0) {
+            return this._indices;
+        }
+        const indices = new Map();
+        for (const [indexName, index] of this._indices) {
+            if (!this._buildingIndices.has(indexName)) {
+                indices.set(indexName, index);
+            }
+        }
+        return indices;
     }
 
     /**
@@ -162,6 +186,9 @@ class InMemoryBackend {
      * @returns {IIndex}
      */
     index(indexName) {
+        if (this._buildingIndices.has(indexName)) {
+            return undefined;
+        }
         return this._indices.get(indexName);
     }
 
@@ -247,15 +274,66 @@ class InMemoryBackend {
 
     /**
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
      */
     createIndex(indexName, keyPath, options = {}) {
-        let { multiEntry = false, unique = false, upgradeCondition = null } = options || {};
+        this._indices.set(indexName, this._newIndex(indexName, keyPath, options));
+    }
 
-        keyPath = keyPath || indexName;
-        const index = new InMemoryIndex(this, keyPath, multiEntry, unique);
+    /**
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {Promise.<InMemoryIndex>} The index to be filled.
+     * @protected
+     */
+    async _startIndexBuild(indexName, keyPath, options = {}) {
+        if (this._indices.has(indexName)) throw new Error(`Index ${indexName} already exists`);
+        const index = this._newIndex(indexName, keyPath, options);
+        await index._startBuild();
         this._indices.set(indexName, index);
+        this._buildingIndices.add(indexName);
+        return index;
+    }
+
+    /**
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    async _finishIndexBuild(indexName) {
+        await this._indices.get(indexName)._finishBuild();
+        this._buildingIndices.delete(indexName);
+    }
+
+    /**
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    async _deleteIndexOnline(indexName) {
+        const index = this._indices.get(indexName);
+        if (!index) throw new Error('Unknown index');
+        this._indices.delete(indexName);
+        this._buildingIndices.delete(indexName);
+        await index._drop();
+    }
+
+    /**
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {InMemoryIndex}
+     * @private
+     */
+    _newIndex(indexName, keyPath, options = {}) {
+        let { multiEntry = false, unique = false, compound = false } = options || {};
+
+        keyPath = keyPath || indexName;
+        if (compound && !Array.isArray(keyPath)) throw new Error('Compound indices require an array of key paths');
+        if (compound && multiEntry) throw new Error('Compound indices cannot be multiEntry');
+        return new InMemoryIndex(this, keyPath, multiEntry, unique, compound);
     }
 
     /**
@@ -279,10 +357,7 @@ class InMemoryBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.decode(value, key);
-        }
-        return value;
+        return CodecUtils.decode(this._codec, value, key, this._upgradedKeys);
     }
 
     /**
@@ -294,10 +369,7 @@ class InMemoryBackend {
         if (value === undefined) {
             return undefined;
         }
-        if (this._codec !== null && this._codec !== undefined) {
-            return this._codec.encode(value);
-        }
-        return value;
+        return CodecUtils.encode(this._codec, value);
     }
 
     /** @type {string} The own table name. */
@@ -305,6 +377,16 @@ class InMemoryBackend {
         return this._tableName;
     }
 
+    /** @type {ICodec} The codec used to encode values. */
+    get codec() {
+        return this._codec;
+    }
+
+    /** @type {Set.<string>} The keys of values decoded from an outdated codec version, until they are rewritten. */
+    get upgradedKeys() {
+        return this._upgradedKeys;
+    }
+
     /**
      * Returns the necessary information in order to flush a combined transaction.
      * @param {Transaction} tx The transaction that should be applied to this backend.
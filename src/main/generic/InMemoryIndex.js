@@ -15,17 +15,25 @@ class InMemoryIndex {
      *
      * If a secondary index is a multi entry index, and the value at the key path is iterable,
      * every item of the iterable value will be associated with the object.
+     *
+     * If a secondary index is a compound index, the key path is an array of key paths
+     * and the secondary keys are the arrays of the values at these paths, which are ordered lexicographically.
+     *
+     * If a secondary index is a computed index, the key path is an object with a compute function,
+     * which returns the secondary key for a value and its primary key.
      * @param {IObjectStore} objectStore The underlying object store to use.
-     * @param {string|Array.<string>} [keyPath] The key path of the indexed attribute.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The key path of the indexed attribute.
      * If the keyPath is not given, this is a primary index.
      * @param {boolean} [multiEntry] Whether the indexed attribute is considered to be iterable or not.
      * @param {boolean} [unique] Whether there is a unique constraint on the attribute.
+     * @param {boolean} [compound] Whether the key path is an array of key paths.
      */
-    constructor(objectStore, keyPath, multiEntry=false, unique=false) {
+    constructor(objectStore, keyPath, multiEntry=false, unique=false, compound=false) {
         this._objectStore = objectStore;
         this._keyPath = keyPath;
         this._multiEntry = multiEntry;
         this._unique = unique;
+        this._compound = compound;
         this._tree = new BTree();
     }
 
@@ -46,7 +54,7 @@ class InMemoryIndex {
     _indexKey(key, obj) {
         if (obj === undefined) return undefined;
         if (this.keyPath) {
-            return ObjectUtils.byKeyPath(obj, this.keyPath);
+            return ObjectUtils.byIndexKeyPath(obj, this.keyPath, this._compound, key);
         }
         return key;
     }
@@ -57,7 +65,7 @@ class InMemoryIndex {
      * For example, ['a', 'b'] could be used to use 'key' as the key in the following object:
      * { 'a': { 'b': 'key' } }
      * If the keyPath is undefined, this index uses the primary key of the key-value store.
-     * @type {string|Array.<string>}
+     * @type {string|Array.<string>|ComputedKeyPath}
      */
     get keyPath() {
         return this._keyPath;
@@ -80,6 +88,15 @@ class InMemoryIndex {
         return this._unique;
     }
 
+    /**
+     * This value determines whether the index is a compound index,
+     * i.e., whether its key path is an array of key paths.
+     * @type {boolean}
+     */
+    get compound() {
+        return this._compound;
+    }
+
     /**
      * A helper method to insert a primary-secondary key pair into the tree.
      * @param {string} key The primary key.
@@ -97,13 +114,89 @@ class InMemoryIndex {
                 if (this._unique) {
                     throw new Error(`Uniqueness constraint violated for key ${key} on path ${this._keyPath}`);
                 }
-                (/** @type {SortedList} */ tree.currentRecord).add(key);
+                // Multiple occurrences of the same secondary key within an entry are indexed once.
+                if (!tree.currentRecord.has(key)) {
+                    (/** @type {SortedList} */ tree.currentRecord).add(key);
+                }
             } else {
                 tree.insert(component, this._unique ? key : new SortedList([key], ComparisonUtils.compare));
             }
         }
     }
 
+    /**
+     * Prepares the index to be built while the object store is in use.
+     * @returns {Promise}
+     */
+    async _startBuild() {
+        this.truncate();
+    }
+
+    /**
+     * Empties the index to refill it from the object store.
+     * @returns {Promise}
+     */
+    async _startRebuild() {
+        this.truncate();
+    }
+
+    /**
+     * Adds the given key-value pairs, which are not part of the index yet, to the index.
+     * If truncate is set, the index is emptied first. The previous contents are kept if adding a pair fails.
+     * @param {Array.<Array>} entries The pairs of primary keys and values to add.
+     * @param {boolean} [truncate] Whether to empty the index first.
+     * @returns {Promise}
+     */
+    async _fill(entries, truncate = false) {
+        const tree = this._tree;
+        if (truncate) {
+            this.truncate();
+        }
+        try {
+            for (const [key, value] of entries) {
+                this.put(key, value, undefined);
+            }
+        } catch (e) {
+            if (truncate) {
+                this._tree = tree;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Iterates over all entries of the index.
+     * @param {function(primaryKey:*, secondaryKey:*)} callback The function called for each entry.
+     * @returns {Promise} The promise resolves after all entries have been visited.
+     */
+    async _entryStream(callback) {
+        if (!this._tree.goTop()) {
+            return;
+        }
+        do {
+            const record = this._tree.currentRecord;
+            for (const primaryKey of (this._unique ? [record] : record.values())) {
+                callback(primaryKey, this._tree.currentKey);
+            }
+        } while (this._tree.skip());
+    }
+
+    /**
+     * Marks the build of the index as finished.
+     * @returns {Promise}
+     */
+    async _finishBuild() {
+        // Nothing to persist.
+    }
+
+    /**
+     * Deletes the contents of an index that is removed while the object store is in use.
+     * @returns {Promise}
+     */
+    async _drop() {
+        this.truncate();
+    }
+
     /**
      * Inserts a new key-value pair into the index.
      * For replacing an existing pair, the old value has to be passed as well.
@@ -152,7 +245,8 @@ class InMemoryIndex {
             if (tree.seek(component)) {
                 if (!this._unique && (/** @type {SortedList} */ tree.currentRecord).length > 1) {
                     (/** @type {SortedList} */ tree.currentRecord).remove(key);
-                } else {
+                } else if (this._unique ? ComparisonUtils.equals(tree.currentRecord, key) : tree.currentRecord.has(key)) {
+                    // Only remove the record if it belongs to the given primary key.
                     tree.remove(component);
                 }
             }
@@ -168,7 +262,7 @@ class InMemoryIndex {
     async _retrieveValues(keys) {
         const valuePromises = [];
         for (const key of keys) {
-            valuePromises.push(this._objectStore.get(key));
+            valuePromises.push(this._objectStore.get(key, { includeExpired: true }));
         }
         return Promise.all(valuePromises);
     }
@@ -332,19 +426,19 @@ class InMemoryIndex {
         while (!(query instanceof KeyRange) || query.includes(this._tree.currentKey)) {
             if (this._unique) {
                 // Check unique entry
-                if (!callback(await this._objectStore.get(this._tree.currentRecord), this._tree.currentRecord)) break; // eslint-disable-line no-await-in-loop
+                if (!callback(await this._objectStore.get(this._tree.currentRecord, { includeExpired: true }), this._tree.currentRecord)) break; // eslint-disable-line no-await-in-loop
             } else {
                 // Check all entries
                 const keys = this._tree.currentRecord.values();
                 if (ascending) {
                     for (let i = 0; i < keys.length; i++) {
-                        if (!callback(await this._objectStore.get(keys[i]), keys[i])) { // eslint-disable-line no-await-in-loop
+                        if (!callback(await this._objectStore.get(keys[i], { includeExpired: true }), keys[i])) { // eslint-disable-line no-await-in-loop
                             break outer;
                         }
                     }
                 } else {
                     for (let i = keys.length - 1; i >= 0; i--) {
-                        if (!callback(await this._objectStore.get(keys[i]), keys[i])) { // eslint-disable-line no-await-in-loop
+                        if (!callback(await this._objectStore.get(keys[i], { includeExpired: true }), keys[i])) { // eslint-disable-line no-await-in-loop
                             break outer;
                         }
                     }
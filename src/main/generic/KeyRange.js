@@ -101,5 +101,23 @@ class KeyRange {
     static only(value) {
         return new KeyRange(value, value, false, false);
     }
+
+    /**
+     * A range matching all compound keys that start with the given components.
+     * For example, the prefix [1] matches the keys [1], [1, 'a'] and [1, 'b', 2], but not [2, 'a'].
+     * @param {Array} prefix The first components of the keys to match.
+     * @returns {KeyRange} The corresponding KeyRange object.
+     */
+    static prefix(prefix) {
+        if (!Array.isArray(prefix)) throw new Error('Prefix must be an array');
+        // The sentinel is greater than any other component, thus this bound succeeds all keys starting with the prefix.
+        return new KeyRange(prefix, prefix.concat([KeyRange.MAX_COMPONENT]), false, true);
+    }
 }
+/**
+ * A component of compound keys that sorts after all other components, including arrays.
+ * It may only be used as the last component of an upper bound and is never part of a stored key.
+ * @type {object}
+ */
+KeyRange.MAX_COMPONENT = Object.freeze({});
 Class.register(KeyRange);
@@ -0,0 +1,137 @@
+/**
+ * A materialised view keeps aggregates of the entries of an object store per group in its own object store.
+ * The view is updated incrementally in the same atomic commit as the transactions changing the source,
+ * so that its results are always consistent with the data and can be read without aggregating.
+ * Materialised views are created by calling createView on an ObjectStore.
+ *
+ * The view's object store must not be written to directly.
+ * Each of its records holds the number of entries in the group and the states of the reducers.
+ */
+class MaterializedView {
+    /**
+     * This constructor should only be called by an ObjectStore object.
+     * @param {ObjectStore} source The object store the view aggregates.
+     * @param {ObjectStore} objectStore The object store holding the view's records.
+     * @param {string} name The name of the view.
+     * @param {string|Array.<string>|function(value:*, key:string):*} groupBy The key path or function determining the group of an entry.
+     * @param {Object.<string,Reducer>} reduce The reducers by the name of their results.
+     * @protected
+     */
+    constructor(source, objectStore, name, groupBy, reduce) {
+        this._source = source;
+        this._objectStore = objectStore;
+        this._name = name;
+        this._groupBy = groupBy;
+        this._group = Aggregation._groupFunction(groupBy);
+        this._reduce = reduce;
+    }
+
+    /** @type {string} */
+    get name() {
+        return this._name;
+    }
+
+    /**
+     * The object store holding the view's records.
+     * @type {ObjectStore}
+     */
+    get objectStore() {
+        return this._objectStore;
+    }
+
+    /**
+     * Returns the results of the reducers for a group.
+     * @param {*} groupKey The key of the group.
+     * @returns {Promise.<?Object>} A promise of the results by the names of the reducers or undefined if the group is empty.
+     */
+    async get(groupKey) {
+        const record = await this._objectStore.get(groupKey);
+        return record ? Aggregation._results(this._reduce, record.states) : undefined;
+    }
+
+    /**
+     * Returns the keys of all non-empty groups.
+     * @param {KeyRange} [query] Optional range of group keys.
+     * @returns {Promise.<Set.<*>>} A promise of the set of group keys.
+     */
+    keys(query = null) {
+        return this._objectStore.keys(query);
+    }
+
+    /**
+     * Recomputes the view from all entries of the source.
+     * This is required once when a view is declared on an object store that already contains data.
+     * @returns {Promise.<boolean>} A promise of the success outcome, which is false if the source changed concurrently.
+     */
+    async rebuild() {
+        const sourceTx = this._source.transaction();
+        const viewTx = this._objectStore.transaction();
+        try {
+            const groups = await Aggregation._reduce(sourceTx, null, this._groupBy, this._reduce);
+            await viewTx.truncate();
+            for (const { key, count, states } of groups.values()) {
+                await viewTx.put(key, { count, states });
+            }
+        } catch (e) {
+            await sourceTx.abort();
+            await viewTx.abort();
+            throw e;
+        }
+        return JungleDB.commitCombined(sourceTx, viewTx);
+    }
+
+    /**
+     * Prepares the transaction on the view's object store reflecting the changes of a transaction on the source.
+     * Reading the affected records of the view ensures that concurrent updates of the same groups conflict.
+     * @param {Transaction} tx The transaction on the source.
+     * @returns {Promise.<?Transaction>} A promise of the transaction on the view or null if there are no changes.
+     * @protected
+     */
+    async _prepare(tx) {
+        if (!tx._truncated && tx._modified.size === 0 && tx._removed.size === 0) {
+            return null;
+        }
+
+        const viewTx = this._objectStore.transaction();
+        try {
+            if (tx._truncated) {
+                await viewTx.truncate();
+            }
+            const records = new Map();
+            const update = async (value, key, add) => {
+                if (value === undefined) return;
+                const groupKey = this._group(value, key);
+                if (groupKey === undefined) return;
+
+                let record = records.has(groupKey) ? records.get(groupKey) : await viewTx.get(groupKey);
+                if (!record) {
+                    record = { count: 0, states: Aggregation._initialStates(this._reduce) };
+                }
+                // Records are replaced rather than modified, since they may be shared with the view's backend.
+                const states = {};
+                for (const name of Object.keys(this._reduce)) {
+                    const reducer = this._reduce[name];
+                    states[name] = add ? reducer.step(record.states[name], value, key) : reducer.remove(record.states[name], value, key);
+                }
+                records.set(groupKey, { count: record.count + (add ? 1 : -1), states });
+            };
+
+            for (const change of await tx._readChanges()) {
+                await update(change.oldValue, change.key, false);
+                await update(change.newValue, change.key, true);
+            }
+            for (const [groupKey, record] of records) {
+                if (record.count > 0) {
+                    await viewTx.put(groupKey, record);
+                } else {
+                    await viewTx.remove(groupKey);
+                }
+            }
+        } catch (e) {
+            await viewTx.abort();
+            throw e;
+        }
+        return viewTx;
+    }
+}
+Class.register(MaterializedView);
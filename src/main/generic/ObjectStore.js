@@ -36,6 +36,30 @@ class ObjectStore {
         this._snapshotManager = new SnapshotManager();
 
         this._synchronizer = new Synchronizer();
+
+        /** @type {Array.<{listener:function(changes:Array.<ObjectStoreChange>), filter:?KeyRange|?Query}>} */
+        this._changeListeners = [];
+
+        /**
+         * The progress of indices that are being built while connected.
+         * @type {Map.<string,IndexBuildProgress>}
+         */
+        this._indexBuilds = new Map();
+
+        /** @type {Map.<string,MaterializedView>} */
+        this._views = new Map();
+
+        /** @type {?ExpiryManager} */
+        this._expiry = null;
+
+        /** @type {?EvictionManager} */
+        this._eviction = null;
+
+        /** @type {?SchemaValidator} */
+        this._validator = null;
+
+        /** @type {boolean} Whether values read from an outdated codec version are rewritten on commit. */
+        this._rewriteUpgraded = false;
     }
 
     /** @type {JungleDB} */
@@ -75,14 +99,14 @@ class ObjectStore {
 
     /**
      * Returns a promise of the object stored under the given primary key.
-     * Resolves to undefined if the key is not present in the object store.
+     * Resolves to undefined if the key is not present in the object store or has expired.
      * @param {string} key The primary key to look for.
      * @param {RetrievalConfig} [options] Advanced retrieval options.
      * @returns {Promise.<*>} A promise of the object stored under the given key, or undefined if not present.
      */
-    get(key, options = {}) {
+    async get(key, options = {}) {
         if (!this._backend.connected) throw new Error('JungleDB is not connected');
-        return this._currentState.get(key, options);
+        return this._retrieved(key, await this._currentState.get(key, options), options);
     }
 
     /**
@@ -90,13 +114,14 @@ class ObjectStore {
      * Implicitly creates a transaction for this operation and commits it.
      * @param {string} key The primary key to associate the value with.
      * @param {*} value The value to write.
+     * @param {PutConfig} [options] Advanced options, e.g., the time to live of the entry.
      * @returns {Promise.<boolean>} A promise of the success outcome.
      */
-    async put(key, value) {
+    async put(key, value, options = {}) {
         if (!this._backend.connected) throw new Error('JungleDB is not connected');
         const tx = this.transaction();
         try {
-            await tx.put(key, value);
+            await tx.put(key, value, options);
         } catch (err) {
             await tx.abort();
             throw err;
@@ -132,7 +157,25 @@ class ObjectStore {
     getSync(key, options = {}) {
         if (!this._backend.connected) throw new Error('JungleDB is not connected');
         if (!this._currentState.isSynchronous()) throw new Error('Only works on synchronous backends');
-        return this._currentState.getSync(key, options);
+        return this._retrieved(key, this._currentState.getSync(key, options), options);
+    }
+
+    /**
+     * Hides a retrieved value if it has expired and records the read for the eviction policy.
+     * @param {string} key The primary key retrieved.
+     * @param {*} value The value retrieved.
+     * @param {RetrievalConfig} [options] The retrieval options.
+     * @returns {*} The value or undefined if it has expired.
+     * @private
+     */
+    _retrieved(key, value, options) {
+        if (this._expiry) {
+            value = this._expiry.filterValue(value, options);
+        }
+        if (value !== undefined && this._eviction) {
+            this._eviction.touch(key);
+        }
+        return value;
     }
 
     /**
@@ -155,12 +198,17 @@ class ObjectStore {
      * @param {number} [limit] Limits the number of results if given.
      * @returns {Promise.<Set.<string>>} A promise of the set of keys relevant to the query.
      */
-    keys(query = null, limit = null) {
+    async keys(query = null, limit = null) {
         if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        // Expired entries are only removed after retrieval, so the limit is applied afterwards.
+        const retrievalLimit = this._expiry ? null : limit;
+        let keys;
         if (query !== null && query instanceof Query) {
-            return query.keys(this._currentState, limit);
+            keys = await query.keys(this._currentState, retrievalLimit);
+        } else {
+            keys = await this._currentState.keys(query, retrievalLimit);
         }
-        return this._currentState.keys(query, limit);
+        return this._expiry ? this._expiry.filterKeys(keys, this._currentState, limit) : keys;
     }
 
     /**
@@ -172,12 +220,335 @@ class ObjectStore {
      * @param {number} [limit] Limits the number of results if given.
      * @returns {Promise.<Array.<*>>} A promise of the array of objects relevant to the query.
      */
-    values(query = null, limit = null) {
+    async values(query = null, limit = null) {
         if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        const retrievalLimit = this._expiry ? null : limit;
+        let values;
         if (query !== null && query instanceof Query) {
-            return query.values(this._currentState, limit);
+            values = await query.values(this._currentState, retrievalLimit);
+        } else {
+            values = await this._currentState.values(query, retrievalLimit);
+        }
+        return this._expiry ? this._expiry.filterValues(values, limit) : values;
+    }
+
+    /**
+     * Lets entries of this object store expire at the timestamp (in milliseconds) stored at the given key path.
+     * Entries without a number at the key path never expire.
+     * The timestamps are kept in an internal secondary index named ExpiryManager.INDEX_NAME.
+     * Expired entries are immediately hidden from get, keys, values, streams and queries,
+     * and are removed in batches in the background. Entries can also be given a time to live when they are put.
+     * Direct access to the secondary indices, minimum/maximum retrievals and materialised views
+     * still include expired entries until they have been purged.
+     * Like createIndex, this should be called before connecting.
+     * @param {string|Array.<string>} keyPath The path to the expiry timestamp within the object.
+     * @param {ExpiryConfig} [options] Options for purging expired entries.
+     * @returns {Promise|undefined} While connected, a promise that resolves once the expiry index has been built.
+     */
+    enableExpiry(keyPath, options = {}) {
+        if (this._expiry) throw new Error('Expiry is already enabled');
+        const result = this.createIndex(ExpiryManager.INDEX_NAME, keyPath);
+        this._expiry = new ExpiryManager(this, keyPath, options);
+        this._expiry.start();
+        return result;
+    }
+
+    /**
+     * Bounds the number of entries and/or the total size of the object store.
+     * The access times and sizes of the entries are kept in a companion object store,
+     * which is created alongside and updated in the same atomic commit as every transaction.
+     * This method should only be called by JungleDB when creating the object store.
+     * @param {EvictionConfig} options The bounds and the policy.
+     * @protected
+     */
+    _enableEviction(options) {
+        const { upgradeCondition = null, keyEncoding = null, lmdbKeyEncoding = null, leveldbKeyEncoding = null } = options || {};
+        if (this._eviction) throw new Error('Eviction is already enabled');
+        if (this._db && this._db.connected) throw new Error('Eviction has to be enabled before connecting');
+
+        const name = `_${this._name || ''}_eviction`;
+        let metaStore;
+        if (this._db) {
+            metaStore = this._db.createObjectStore(name, { persistent: !(this._backend instanceof InMemoryBackend), upgradeCondition, keyEncoding, lmdbKeyEncoding, leveldbKeyEncoding });
+        } else {
+            metaStore = new ObjectStore(new InMemoryBackend(name), null, name);
+        }
+        metaStore.createIndex(EvictionManager.INDEX_NAME, 'accessedAt');
+        this._eviction = new EvictionManager(this, metaStore, options);
+    }
+
+    /**
+     * Attaches a validator checking every value written to the object store.
+     * This method should only be called by JungleDB when creating the object store.
+     * @param {Object|function(value:*, key:*):(boolean|string)} validator A JSON Schema (subset) or a validation function.
+     * @protected
+     */
+    _setValidator(validator) {
+        this._validator = new SchemaValidator(validator);
+    }
+
+    /**
+     * The validator of the values written to the object store if configured.
+     * @type {?SchemaValidator}
+     */
+    get validator() {
+        return this._validator;
+    }
+
+    /**
+     * The object store's eviction bounds if configured.
+     * @type {?EvictionManager}
+     */
+    get eviction() {
+        return this._eviction;
+    }
+
+    /**
+     * Removes all expired entries from the object store.
+     * This happens periodically in the background, but may also be triggered manually.
+     * @returns {Promise.<number>} A promise of the number of entries removed.
+     */
+    purgeExpired() {
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        if (!this._expiry) throw new Error('Expiry is not enabled');
+        return this._expiry.purge();
+    }
+
+    /**
+     * Makes transactions rewrite the values they have read that were stored by an outdated codec version,
+     * so that these are stored upgraded along with the transaction's changes.
+     * This method should only be called by JungleDB when creating the object store.
+     * @protected
+     */
+    _enableRewriteUpgraded() {
+        this._rewriteUpgraded = true;
+    }
+
+    /**
+     * Rewrites the entries stored by an outdated version of the codec, so that they are stored upgraded.
+     * The entries are read and rewritten in batches, each batch committed in its own transaction,
+     * which is retried if it conflicts with concurrent changes. Hence, it can run in the background.
+     * @param {ReencodeConfig} [options] Options for the rewrite.
+     * @returns {Promise.<number>} A promise of the number of entries rewritten.
+     */
+    async reencode(options = {}) {
+        const { batchSize = ObjectStore.REENCODE_BATCH_SIZE, all = false } = options || {};
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        if (!(batchSize > 0)) throw new Error('Invalid batch size');
+
+        const upgradedKeys = this._backend.upgradedKeys;
+        let count = 0;
+        let lastKey = null;
+        for (;;) {
+            const range = lastKey !== null ? KeyRange.lowerBound(lastKey, true) : null;
+            const batch = await this.keys(range, batchSize);
+            if (batch.size === 0) break;
+
+            const tx = this.transaction();
+            let rewritten = 0;
+            for (const key of batch) {
+                // Decoding a value stored by an outdated version marks it as upgraded.
+                const value = await tx.get(key);
+                if (value !== undefined && (all || upgradedKeys.has(key))) {
+                    await tx.put(key, value);
+                    rewritten++;
+                }
+            }
+            // Retry the batch on conflicts.
+            if (!(await tx.commit())) continue;
+            count += rewritten;
+            if (batch.size < batchSize) break;
+            lastKey = Array.from(batch).reduce((max, key) => ComparisonUtils.compare(key, max) > 0 ? key : max);
         }
-        return this._currentState.values(query, limit);
+        return count;
+    }
+
+    /**
+     * Declares a materialised view, which keeps the aggregates of the entries per group in its own object store.
+     * The view is updated in the same atomic commit as each transaction changing this object store.
+     * Group keys are the primary keys of the view's object store and all reducers need to support removing entries.
+     * For persistent object stores, the view has to be declared before connecting, like an object store.
+     * Views declared on an object store that already contains data have to be populated once by calling rebuild.
+     * @param {string} name The name of the view and its object store.
+     * @param {MaterializedViewConfig} options The grouping and the reducers of the view.
+     * @returns {MaterializedView} The view.
+     */
+    createView(name, options = {}) {
+        const { groupBy = null, reduce = null, keyEncoding = null } = options || {};
+        if (this._views.has(name)) throw new Error(`View ${name} already exists`);
+        if (groupBy === null) throw new Error('Views require a groupBy');
+        Aggregation._checkReducers(reduce, true);
+
+        let objectStore;
+        if (this._db) {
+            objectStore = this._db.createObjectStore(name, { keyEncoding, persistent: !(this._backend instanceof InMemoryBackend) });
+        } else {
+            objectStore = new ObjectStore(new InMemoryBackend(name), null, name);
+        }
+        const view = new MaterializedView(this, objectStore, name, groupBy, reduce);
+        this._views.set(name, view);
+        return view;
+    }
+
+    /**
+     * Returns the materialised view of the given name.
+     * If the view does not exist, it returns undefined.
+     * @param {string} name The name of the view.
+     * @returns {MaterializedView} The view associated with the given name.
+     */
+    view(name) {
+        return this._views.get(name);
+    }
+
+    /** @type {Map.<string,MaterializedView>} */
+    get views() {
+        return this._views;
+    }
+
+    /**
+     * Computes aggregates over the entries fulfilling the given query in a single pass,
+     * optionally grouped by a key path or function. See Aggregation for the available reducers.
+     * @param {Query|KeyRange} [query] Optional query to check keys against.
+     * @param {AggregationConfig} options The reducers and the optional grouping.
+     * @returns {Promise.<Object|Map.<*,Object>>} A promise of the results of the reducers by name or, if grouped,
+     * of the map from group keys to these results.
+     */
+    aggregate(query = null, options = {}) {
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        return Aggregation.aggregate(this, query, options);
+    }
+
+    /**
+     * Returns a page of the entries fulfilling the given query, ordered by a secondary index or the primary key.
+     * Entries with equal secondary keys are ordered by their primary keys, so that the order is total.
+     * If there are more results, the page contains an opaque cursor, which can be passed as `after`
+     * to retrieve the next page. Since cursors denote a position within the order rather than an offset,
+     * concurrent changes to other entries do not cause entries to be repeated or skipped.
+     * The entries are streamed in this order in batches of ObjectStore.FIND_BATCH_SIZE and checked against the query
+     * until the page is full. Only queries containing min/max operators, which cannot be evaluated on single entries,
+     * are executed beforehand.
+     * Ordering by multiEntry indices is not supported.
+     * @param {Query|KeyRange} [query] Optional query to check keys against.
+     * @param {FindConfig} [options] Options for ordering and pagination.
+     * @returns {Promise.<FindResult>} A promise of the page of results.
+     */
+    async find(query = null, options = {}) {
+        const { orderBy = null, descending = false, limit = null, after = null } = options || {};
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        if (limit !== null && !(limit > 0)) throw new Error('Invalid limit');
+
+        let index = null;
+        if (orderBy !== null) {
+            index = this.index(orderBy);
+            if (!index) throw new Error(`Unknown index ${orderBy}`);
+            if (index.multiEntry) throw new Error('Cannot order by a multiEntry index');
+        }
+        let position = after !== null ? ObjectStore._decodeCursor(after, index !== null) : null;
+
+        let matches = null;
+        if (query instanceof KeyRange) {
+            matches = key => query.includes(key);
+        } else if (query !== null && query.supportsMatching()) {
+            const indices = this.indices;
+            matches = (key, value) => query.matches(key, value, indices);
+        } else if (query !== null) {
+            const matching = await this.keys(query);
+            matches = key => matching.has(key);
+        }
+
+        const result = { keys: [], values: [], cursor: null };
+        let lastPosition = null;
+        batches:
+        for (;;) {
+            const keys = await this._findBatch(index, position, descending);
+            for (const key of keys) {
+                const value = await this._currentState.get(key, { includeExpired: true });
+                // Skip entries removed in the meantime.
+                if (value === undefined) continue;
+                position = index === null ? [key] : [ObjectUtils.byIndexKeyPath(value, index.keyPath, index.compound, key), key];
+                if ((this._expiry && this._expiry.isExpired(value)) || (matches !== null && !matches(key, value))) continue;
+
+                // Another result after a full page means there is a next page.
+                if (limit !== null && result.keys.length >= limit) {
+                    result.cursor = ObjectStore._encodeCursor(lastPosition);
+                    break batches;
+                }
+                result.keys.push(key);
+                result.values.push(this._retrieved(key, value, {}));
+                lastPosition = position;
+            }
+            if (keys.length < ObjectStore.FIND_BATCH_SIZE) break;
+        }
+        return result;
+    }
+
+    /**
+     * Streams the next batch of primary keys in the order of find results.
+     * @param {?IIndex} index The index to order by or null to order by the primary key.
+     * @param {?Array.<*>} position The position to continue after, see _decodeCursor, or null to start from the beginning.
+     * @param {boolean} descending Whether to traverse in descending order.
+     * @returns {Promise.<Array.<*>>} A promise of up to ObjectStore.FIND_BATCH_SIZE primary keys.
+     * @private
+     */
+    async _findBatch(index, position, descending) {
+        const keys = [];
+        const collect = key => {
+            keys.push(key);
+            return keys.length < ObjectStore.FIND_BATCH_SIZE;
+        };
+        if (index === null) {
+            let range = null;
+            if (position !== null) {
+                range = descending ? KeyRange.upperBound(position[0], true) : KeyRange.lowerBound(position[0], true);
+            }
+            await this.keyStream(collect, !descending, range);
+        } else if (position === null) {
+            await index.keyStream(collect, !descending, null);
+        } else {
+            // Continue with the remaining entries of the position's secondary key, then with the following secondary keys.
+            const [iKey, primaryKey] = position;
+            let proceed = true;
+            await index.keyStream(key => {
+                const cmp = ComparisonUtils.compare(key, primaryKey);
+                if (descending ? cmp >= 0 : cmp <= 0) {
+                    return true;
+                }
+                proceed = collect(key);
+                return proceed;
+            }, !descending, KeyRange.only(iKey));
+            if (proceed) {
+                await index.keyStream(collect, !descending, descending ? KeyRange.upperBound(iKey, true) : KeyRange.lowerBound(iKey, true));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Encodes a position within the order of find results.
+     * @param {Array.<*>} position The secondary key (if ordered by an index) and the primary key.
+     * @returns {string} The cursor.
+     * @private
+     */
+    static _encodeCursor(position) {
+        return TupleUtils.encode(position);
+    }
+
+    /**
+     * Decodes a cursor returned by find.
+     * @param {string} cursor The cursor.
+     * @param {boolean} ordered Whether the results are ordered by an index.
+     * @returns {Array.<*>} The secondary key (if ordered by an index) and the primary key.
+     * @private
+     */
+    static _decodeCursor(cursor, ordered) {
+        let position;
+        try {
+            position = TupleUtils.decode(cursor);
+        } catch (e) {
+            throw new Error('Invalid cursor');
+        }
+        if (position.length !== (ordered ? 2 : 1)) throw new Error('Invalid cursor');
+        return position;
     }
 
     /**
@@ -189,7 +560,10 @@ class ObjectStore {
      * @param {KeyRange} query An optional KeyRange to narrow down the iteration space.
      * @returns {Promise} The promise resolves after all elements have been streamed.
      */
-    keyStream(callback, ascending=true, query=null) {
+    async keyStream(callback, ascending=true, query=null) {
+        if (this._expiry) {
+            callback = await this._expiry.wrapKeyCallback(callback, this._currentState);
+        }
         return this._currentState.keyStream(callback, ascending, query);
     }
 
@@ -203,6 +577,9 @@ class ObjectStore {
      * @returns {Promise} The promise resolves after all elements have been streamed.
      */
     valueStream(callback, ascending=true, query=null) {
+        if (this._expiry) {
+            callback = this._expiry.wrapValueCallback(callback);
+        }
         return this._currentState.valueStream(callback, ascending, query);
     }
 
@@ -261,8 +638,11 @@ class ObjectStore {
      * @param {KeyRange} [query]
      * @returns {Promise.<number>}
      */
-    count(query=null) {
+    async count(query=null) {
         if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        if (this._expiry) {
+            return (await this.keys(query)).size;
+        }
         return this._currentState.count(query);
     }
 
@@ -287,7 +667,8 @@ class ObjectStore {
 
     /**
      * Is used to probe whether a transaction can be committed.
-     * This, for example, includes a check whether another transaction has already been committed.
+     * This, for example, includes a check whether transactions committed in the meantime
+     * changed any of the data read by the transaction.
      * @protected
      * @param {Transaction} tx The transaction to be applied.
      * @returns {boolean} Whether a commit will be successful.
@@ -299,9 +680,18 @@ class ObjectStore {
         }
 
         const info = this._transactions.get(tx.id);
+        if (!info.isCommittable()) {
+            return false;
+        }
 
-        // Another transaction was already committed.
-        return info.isCommittable();
+        // Other transactions might have been committed on the same state already.
+        // This is only a conflict if they changed data read by this transaction.
+        const conflict = tx._findConflict(info.concurrentCommits);
+        if (conflict !== null) {
+            tx._setConflict(conflict);
+            return false;
+        }
+        return true;
     }
 
     /**
@@ -327,6 +717,12 @@ class ObjectStore {
             Log.e(ObjectStore, `Transaction stack size exceeded ${this.toStringFull()}`);
             throw new Error('Transaction stack size exceeded');
         }
+
+        // If other transactions have been committed in the meantime, rebase the transaction on the most recent state.
+        const currentStateInfo = this._currentStateInfo;
+        if (info.parent !== currentStateInfo) {
+            info.parent = currentStateInfo;
+        }
         this._stateStack.push(info);
         info.close();
 
@@ -403,6 +799,10 @@ class ObjectStore {
             // For this, the following conditions have to hold:
             // 1. the base state does not have open transactions
             const info = this._transactions.get(tx.id);
+            // The transaction may already have been flushed while flattening the whole stack.
+            if (!info) {
+                return true;
+            }
             if (!info.isFlushable()) {
                 return false;
             }
@@ -427,12 +827,17 @@ class ObjectStore {
             };
 
             if (tx.dependency === null) {
-                // If we apply to the backend, update the snapshots.
+                // If we apply to the backend, update the snapshots and collect the changes for listeners.
+                let changes = null;
                 if (info.parent.isBackend()) {
                     await this._snapshotManager.applyTx(tx, backend);
+                    changes = await this._collectChanges(tx, backend);
                 }
                 try {
                     await backend._apply(tx);
+                    if (info.parent.isBackend()) {
+                        this._forgetUpgraded(tx);
+                    }
                 } catch (err) {
                     // Change pointers in child transactions.
                     info.abort();
@@ -445,12 +850,22 @@ class ObjectStore {
                     }
                     tx._setAborted();
                     Log.e(ObjectStore, 'Error while applying transaction', err);
+                    changes = null;
                 }
                 cleanup();
+                this._notifyChanges(changes);
                 return true;
             } else {
-                // We apply to the backend, so also update snapshots before the flush.
-                return await tx.dependency.onFlushable(tx, cleanup, () => this._snapshotManager.applyTx(tx, backend));
+                // We apply to the backend, so also update snapshots and collect the changes before the flush.
+                let changes = null;
+                return await tx.dependency.onFlushable(tx, () => {
+                    this._forgetUpgraded(tx);
+                    cleanup();
+                    this._notifyChanges(changes);
+                }, async () => {
+                    await this._snapshotManager.applyTx(tx, backend);
+                    changes = await this._collectChanges(tx, backend);
+                });
             }
         } else {
             // Check both ends of the stack.
@@ -471,6 +886,140 @@ class ObjectStore {
         }
     }
 
+    /**
+     * Collects the changes a transaction is going to apply to the backend, including the old values.
+     * @param {Transaction} tx The transaction to be applied.
+     * @param {IObjectStore} backend The backend the transaction is applied to.
+     * @returns {Promise.<?Array.<ObjectStoreChange>>} The changes or null if nobody listens for changes.
+     * @private
+     */
+    async _collectChanges(tx, backend) {
+        if (this._changeListeners.length === 0) {
+            return null;
+        }
+
+        const changes = [];
+        if (tx._truncated) {
+            // All entries not overwritten by the transaction are removed.
+            await backend.valueStream((value, key) => {
+                if (!tx._modified.has(key)) {
+                    changes.push({ key, oldValue: value, newValue: undefined, removed: true });
+                }
+                return true;
+            });
+        } else {
+            for (const key of tx._removed) {
+                changes.push({ key, oldValue: await backend.get(key, { includeExpired: true }), newValue: undefined, removed: true });
+            }
+        }
+        for (const [key, value] of tx._modified) {
+            const oldValue = tx._truncated ? undefined : await backend.get(key, { includeExpired: true });
+            changes.push({ key, oldValue, newValue: value, removed: false });
+        }
+        return changes;
+    }
+
+    /**
+     * Forgets values stored by an outdated codec version once a transaction overwrote them in the backend.
+     * @param {Transaction} tx The transaction that has been applied to the backend.
+     * @private
+     */
+    _forgetUpgraded(tx) {
+        const upgradedKeys = this._backend.upgradedKeys;
+        if (!upgradedKeys || upgradedKeys.size === 0) return;
+        if (tx._truncated) {
+            upgradedKeys.clear();
+            return;
+        }
+        for (const key of tx._modified.keys()) {
+            upgradedKeys.delete(key);
+        }
+        for (const key of tx._removed) {
+            upgradedKeys.delete(key);
+        }
+    }
+
+    /**
+     * Delivers changes that have been flushed to the backend to the listeners.
+     * @param {?Array.<ObjectStoreChange>} changes The changes or null if there are none.
+     * @private
+     */
+    _notifyChanges(changes) {
+        if (!changes || changes.length === 0) {
+            return;
+        }
+        for (const { listener, filter } of this._changeListeners.slice()) {
+            try {
+                const relevantChanges = filter === null ? changes : changes.filter(change => this._matchesFilter(filter, change));
+                if (relevantChanges.length > 0) {
+                    listener(relevantChanges);
+                }
+            } catch (e) {
+                Log.w(ObjectStore, 'Error in change listener', e);
+            }
+        }
+    }
+
+    /**
+     * Checks whether a change is relevant for a filter.
+     * This is the case if either the old or the new value fulfill the filter.
+     * @param {KeyRange|Query} filter The filter.
+     * @param {ObjectStoreChange} change The change.
+     * @returns {boolean} Whether the change is relevant.
+     * @private
+     */
+    _matchesFilter(filter, change) {
+        if (filter instanceof KeyRange) {
+            return filter.includes(change.key);
+        }
+        const indices = this._backend.indices;
+        return filter.matches(change.key, change.oldValue, indices) || filter.matches(change.key, change.newValue, indices);
+    }
+
+    /**
+     * Registers a listener for an event.
+     * Currently, the only event supported is 'change'.
+     * Change listeners are called with the list of changes after they have been successfully flushed to the backend.
+     * If a filter is given, only changes to entries whose primary key is within the KeyRange
+     * or whose old or new value fulfills the Query are delivered.
+     * Queries containing min/max operators are not supported as filters.
+     * @param {string} type The event type.
+     * @param {function(changes:Array.<ObjectStoreChange>)} listener The listener to be called.
+     * @param {KeyRange|Query} [filter] An optional filter for the changes.
+     */
+    on(type, listener, filter = null) {
+        if (type !== 'change') throw new Error(`Unsupported event type ${type}`);
+        if (typeof listener !== 'function') throw new Error('Listener must be a function');
+        if (filter !== null && !(filter instanceof KeyRange) && !(filter instanceof Query && filter.supportsMatching())) {
+            throw new Error('Filter must be a KeyRange or a Query without min/max operators');
+        }
+        this._changeListeners.push({ listener, filter });
+    }
+
+    /**
+     * Removes a listener for an event.
+     * @param {string} type The event type.
+     * @param {function(changes:Array.<ObjectStoreChange>)} listener The listener to be removed.
+     */
+    off(type, listener) {
+        if (type !== 'change') throw new Error(`Unsupported event type ${type}`);
+        const i = this._changeListeners.findIndex(entry => entry.listener === listener);
+        if (i >= 0) {
+            this._changeListeners.splice(i, 1);
+        }
+    }
+
+    /**
+     * Returns an async iterator over the changes of this object store,
+     * which can be used in a for-await loop.
+     * Each value is the list of changes of a single flush, see the on method.
+     * @param {KeyRange|Query} [filter] An optional filter for the changes.
+     * @returns {ChangeIterator} The iterator.
+     */
+    changes(filter = null) {
+        return new ChangeIterator(this, filter);
+    }
+
     /**
      * Returns the index of the given name.
      * If the index does not exist, it returns undefined.
@@ -490,27 +1039,240 @@ class ObjectStore {
      * { 'a': { 'b': 'key' } }
      * Secondary indices may be multiEntry, i.e., if the keyPath resolves to an iterable object, each item within can
      * be used to find this entry.
+     * Secondary indices may also be compound, i.e., the keyPath is an array of key paths (e.g., ['accountId', 'timestamp'])
+     * and the secondary key is the array of values at these paths. Compound indices cannot be multiEntry.
+     * Secondary indices may also be computed from the stored values, i.e., the keyPath is an object
+     * {compute: (value, key) => secondaryKey} whose function returns the secondary key or undefined.
      * If a new object does not possess the key path associated with that index, it is simply ignored.
      *
-     * This function may only be called before the database is connected.
-     * Moreover, it is only executed on database version updates or on first creation.
+     * Before the database is connected, the index is only executed on database version updates or on first creation.
+     * While the database is connected, the index is built in the background from a snapshot of the object store
+     * and kept up to date with concurrent commits. It is not visible before the returned promise resolves,
+     * and transactions opened before do not see it. The progress of the build is available via indexBuilds.
+     * Online index creation is not supported by IndexedDB.
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
+     * @returns {Promise|undefined} While connected, a promise that resolves once the index has been built.
      */
     createIndex(indexName, keyPath, options = {}) {
+        if (this._db && this._db.connected) {
+            return this._buildIndex(indexName, keyPath, options);
+        }
         return this._backend.createIndex(indexName, keyPath, options);
     }
 
     /**
      * Deletes a secondary index from the object store.
+     * While the database is connected, the index is deleted immediately (cancelling a running build)
+     * and the returned promise resolves once its contents have been removed.
      * @param indexName
      * @param {{upgradeCondition:?boolean|?function(oldVersion:number, newVersion:number):boolean}} [options]
+     * @returns {Promise|undefined} While connected, a promise that resolves once the index has been deleted.
      */
     deleteIndex(indexName, options = {}) {
+        if (this._db && this._db.connected) {
+            this._indexBuilds.delete(indexName);
+            return this._synchronizer.push(() => this._backend._deleteIndexOnline(indexName));
+        }
         return this._backend.deleteIndex(indexName, options);
     }
 
+    /**
+     * Checks whether the entries of a secondary index agree with the values in the object store.
+     * The object store and the index are walked while no commits are applied.
+     * Primary keys whose index entries differ from the secondary keys of their values are reported
+     * as missing (not indexed at all), extra (indexed although they should not be) or mismatched.
+     * Verification is not supported by IndexedDB, which maintains its indices natively.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise.<IndexVerificationResult>} A promise of the differences found.
+     */
+    verifyIndex(indexName) {
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        return this._synchronizer.push(() => this._verifyIndex(indexName));
+    }
+
+    /**
+     * Empties a secondary index and refills it from the values in the object store
+     * in batches of ObjectStore.INDEX_BUILD_BATCH_SIZE entries.
+     * The index is marked as incomplete until the last batch has been added, so that it is rebuilt
+     * on the next connection if the rebuild is interrupted or fails (e.g., due to a violated unique constraint).
+     * Rebuilds are not supported by IndexedDB, which maintains its indices natively.
+     * @param {string} indexName The name of the index.
+     * @returns {Promise} The promise resolves after the index has been rebuilt.
+     */
+    rebuildIndex(indexName) {
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        return this._synchronizer.push(async () => {
+            const index = this._backend.index(indexName);
+            if (!index) throw new Error('Unknown index');
+
+            await index._startRebuild();
+            let entries, range = null;
+            do {
+                entries = [];
+                await this._backend.valueStream((value, key) => {
+                    entries.push([key, value]);
+                    return entries.length < ObjectStore.INDEX_BUILD_BATCH_SIZE;
+                }, true, range);
+                await index._fill(entries);
+                if (entries.length > 0) {
+                    range = KeyRange.lowerBound(entries[entries.length - 1][0], true);
+                }
+            } while (entries.length === ObjectStore.INDEX_BUILD_BATCH_SIZE);
+            await index._finishBuild();
+        });
+    }
+
+    /**
+     * @param {string} indexName The name of the index.
+     * @returns {Promise.<IndexVerificationResult>}
+     * @private
+     */
+    async _verifyIndex(indexName) {
+        const index = this._backend.index(indexName);
+        if (!index) throw new Error('Unknown index');
+
+        // Group the index entries by primary key.
+        // Primary keys are identified by their tuple encoding, since binary keys cannot be compared by reference.
+        /** @type {Map.<string,{key:*, secondaryKeys:Array.<*>}>} */
+        const indexed = new Map();
+        await index._entryStream((primaryKey, secondaryKey) => {
+            const id = TupleUtils.encode([primaryKey]);
+            if (!indexed.has(id)) {
+                indexed.set(id, { key: primaryKey, secondaryKeys: [] });
+            }
+            indexed.get(id).secondaryKeys.push(secondaryKey);
+        });
+
+        const result = { indexName, valid: true, checked: 0, missing: [], extra: [], mismatched: [] };
+        await this._backend.valueStream((value, key) => {
+            const id = TupleUtils.encode([key]);
+            const actual = ObjectStore._sortedKeys(indexed.has(id) ? indexed.get(id).secondaryKeys : []);
+            indexed.delete(id);
+
+            let iKey = ObjectUtils.byIndexKeyPath(value, index.keyPath, index.compound, key);
+            if (iKey === undefined) {
+                iKey = [];
+            } else if (!index.multiEntry || !Array.isArray(iKey)) {
+                iKey = [iKey];
+            }
+            const expected = ObjectStore._sortedKeys(iKey);
+
+            result.checked++;
+            if (expected.length === 0 && actual.length > 0) {
+                result.extra.push({ key, expected, actual });
+            } else if (expected.length > 0 && actual.length === 0) {
+                result.missing.push({ key, expected, actual });
+            } else if (expected.length !== actual.length || expected.some((secondaryKey, i) => !ComparisonUtils.equals(secondaryKey, actual[i]))) {
+                result.mismatched.push({ key, expected, actual });
+            }
+            return true;
+        });
+
+        // The remaining entries refer to primary keys that are not in the object store.
+        for (const { key, secondaryKeys } of indexed.values()) {
+            result.extra.push({ key, expected: [], actual: ObjectStore._sortedKeys(secondaryKeys) });
+        }
+        result.valid = result.missing.length === 0 && result.extra.length === 0 && result.mismatched.length === 0;
+        return result;
+    }
+
+    /**
+     * Sorts a list of secondary keys and removes duplicates.
+     * @param {Array.<*>} keys
+     * @returns {Array.<*>}
+     * @private
+     */
+    static _sortedKeys(keys) {
+        const sorted = keys.slice().sort(ComparisonUtils.compare);
+        return sorted.filter((key, i) => i === 0 || !ComparisonUtils.equals(key, sorted[i - 1]));
+    }
+
+    /**
+     * The progress of the indices that are currently being built while connected.
+     * @type {Array.<IndexBuildProgress>}
+     */
+    get indexBuilds() {
+        return Array.from(this._indexBuilds.values()).map(progress => Object.assign({}, progress));
+    }
+
+    /**
+     * Builds a new secondary index while connected.
+     * The index is created empty and updated by all commits from then on.
+     * The entries present at that time are streamed from a snapshot in batches of consecutive primary keys.
+     * Entries that have been changed since the snapshot are skipped, since the index already reflects their changes.
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {Promise} The promise resolves once the index has been built.
+     * @private
+     */
+    async _buildIndex(indexName, keyPath, options = {}) {
+        const { batchSize = ObjectStore.INDEX_BUILD_BATCH_SIZE, onProgress = null } = options || {};
+        if (this._indexBuilds.has(indexName)) throw new Error(`Index ${indexName} is already being built`);
+
+        const progress = { indexName, processed: 0, total: 0 };
+        this._indexBuilds.set(indexName, progress);
+        // Deleting the index removes its progress and thereby cancels the build.
+        const isCancelled = () => this._indexBuilds.get(indexName) !== progress;
+        let index = null, snapshot = null;
+        try {
+            await this._synchronizer.push(async () => {
+                index = await this._backend._startIndexBuild(indexName, keyPath, options);
+                snapshot = this._snapshotManager.createSnapshot(this, this._backend);
+                // Entries that have expired but have not been purged yet are indexed as well.
+                snapshot._expiry = null;
+                // Building the index does not count as reading the entries.
+                snapshot._eviction = null;
+            });
+
+            // Count the entries up front, so that the progress is known without holding all keys in memory.
+            await snapshot.keyStream(() => {
+                progress.total++;
+                return true;
+            });
+
+            let range = null;
+            for (;;) {
+                const keys = [];
+                await snapshot.keyStream(key => {
+                    keys.push(key);
+                    return keys.length < batchSize;
+                }, true, range);
+                if (keys.length === 0) break;
+                // The next batch continues after the last key of this one.
+                range = KeyRange.lowerBound(keys[keys.length - 1], true);
+
+                const entries = [];
+                for (const key of keys) {
+                    entries.push([key, await snapshot.get(key)]);
+                }
+
+                await this._synchronizer.push(async () => {
+                    if (isCancelled()) throw new Error(`Index ${indexName} has been deleted`);
+                    await index._fill(entries.filter(([key]) => !snapshot._modified.has(key) && !snapshot._removed.has(key)));
+                });
+                progress.processed += entries.length;
+                if (onProgress) onProgress(Object.assign({}, progress));
+                if (keys.length < batchSize) break;
+            }
+
+            await this._synchronizer.push(() => {
+                if (isCancelled()) throw new Error(`Index ${indexName} has been deleted`);
+                return this._backend._finishIndexBuild(indexName);
+            });
+        } catch (e) {
+            if (index && !isCancelled()) {
+                await this._synchronizer.push(() => this._backend._deleteIndexOnline(indexName));
+            }
+            throw e;
+        } finally {
+            if (snapshot) snapshot.abort();
+            if (!isCancelled()) this._indexBuilds.delete(indexName);
+        }
+    }
+
     /**
      * Creates a new transaction, ensuring read isolation
      * on the most recently successfully committed state.
@@ -528,6 +1290,21 @@ class ObjectStore {
         return tx;
     }
 
+    /**
+     * Runs the given function on a fresh transaction and commits it afterwards.
+     * If the commit fails due to a conflict, a new transaction is opened on the most recent state
+     * and the function is replayed, until the maximum number of retries is exhausted.
+     * The function must not commit or abort the transaction itself.
+     * @param {function(tx:Transaction):Promise.<*>} fn The function to run on the transaction.
+     * @param {RetryConfig} [options] Options to control the retries.
+     * @returns {Promise.<*>} A promise of the function's result once the transaction has been committed.
+     * @throws {TransactionConflictError} If the transaction could not be committed after all retries.
+     */
+    runTransaction(fn, options = {}) {
+        if (!this._backend.connected) throw new Error('JungleDB is not connected');
+        return TransactionUtils.runWithRetries(() => [this.transaction()], fn, options);
+    }
+
     /**
      * Creates a new synchronous transaction, ensuring read isolation
      * on the most recently successfully committed state.
@@ -597,6 +1374,9 @@ class ObjectStore {
         if (this._stateStack.length > 0) {
             throw new Error('Cannot close database while transactions are active');
         }
+        if (this._expiry) {
+            this._expiry.stop();
+        }
         return this._backend.close();
     }
 
@@ -633,6 +1413,12 @@ class ObjectStore {
 /** @type {number} The maximum number of states to stack. */
 ObjectStore.MAX_STACK_SIZE = 10;
 ObjectStore.BACKEND_ID = 'backend';
+/** @type {number} The default number of entries added per step when building an index while connected. */
+ObjectStore.INDEX_BUILD_BATCH_SIZE = 1000;
+/** @type {number} The default number of entries rewritten per transaction by reencode. */
+ObjectStore.REENCODE_BATCH_SIZE = 1000;
+/** @type {number} The number of entries streamed at once by find. */
+ObjectStore.FIND_BATCH_SIZE = 100;
 Class.register(ObjectStore);
 
 class TransactionInfo {
@@ -734,10 +1520,27 @@ class TransactionInfo {
 
 
     /**
-     * @returns {*|boolean}
+     * @returns {boolean}
      */
     isCommittable() {
-        return this._parentInfo && this._parentInfo.children.every(child => child.isOpen());
+        return this._open && this._parentInfo !== null;
+    }
+
+    /**
+     * The transactions that have been committed on top of this transaction's base state
+     * since this transaction has been created.
+     * @type {Array.<Transaction>}
+     */
+    get concurrentCommits() {
+        const commits = [];
+        const infos = this._parentInfo.children.slice();
+        while (infos.length > 0) {
+            const info = infos.pop();
+            if (info === this || info.isOpen()) continue;
+            commits.push(info.transaction);
+            infos.push(...info.children);
+        }
+        return commits;
     }
 
     /**
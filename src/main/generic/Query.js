@@ -26,6 +26,8 @@ class Query {
                 return KeyRange.bound(value, value2, true, true);
             case Query.OPERATORS.WITHIN:
                 return KeyRange.bound(value, value2, false, false);
+            case Query.OPERATORS.PREFIX:
+                return KeyRange.prefix(value);
         }
         Log.e(`Unknown operator: ${op}`);
         throw new Error('Unknown operator');
@@ -148,18 +150,98 @@ class Query {
         return new Query(indexName, Query.OPERATORS.WITHIN, lower, upper);
     }
 
+    /**
+     * Returns a query that matches all keys of a compound index that start with the given components.
+     * For example, the prefix [accountId] matches all keys [accountId, timestamp] of an index on ['accountId', 'timestamp'].
+     * @param {string} indexName The name of the compound index.
+     * @param {Array} prefix The first components of the keys.
+     * @returns {Query} The resulting query object.
+     */
+    static prefix(indexName, prefix) {
+        return new Query(indexName, Query.OPERATORS.PREFIX, prefix);
+    }
+
+    /**
+     * Returns a query that matches all entries fulfilling a predicate.
+     * The predicate is evaluated on the decoded values while streaming the object store,
+     * so it should be combined with range queries in a conjunction to narrow down the entries to check.
+     * @param {function(value:*, key:string):boolean} predicate The predicate to evaluate on each entry.
+     * @returns {Query} The resulting query object.
+     */
+    static filter(predicate) {
+        if (typeof predicate !== 'function') throw new Error('Predicate must be a function');
+        return new Query(predicate, Query.OPERATORS.FILTER);
+    }
+
+    /**
+     * Returns a builder for queries on a (non-indexed) key path of the values.
+     * Like filter queries, these are evaluated on the decoded values while streaming the object store.
+     * For example, Query.where('name').matches(/^a/) matches all entries whose name starts with an 'a'.
+     * @param {string|Array.<string>} keyPath The key path of the attribute to check.
+     * @returns {QueryConditionBuilder} The builder for the condition on the key path.
+     */
+    static where(keyPath) {
+        return {
+            ne: value => new Query(keyPath, Query.OPERATORS.NEQ, value),
+            in: values => new Query(keyPath, Query.OPERATORS.IN, values),
+            matches: regex => new Query(keyPath, Query.OPERATORS.MATCHES, regex)
+        };
+    }
+
+    /**
+     * Internal helper method that translates a filter operation to a predicate on the values.
+     * @param {Query.OPERATORS} op The operator of the query.
+     * @param {string|Array.<string>|function(value:*, key:string):boolean} arg The key path or the predicate.
+     * @param {*} [value] The operand of the query.
+     * @returns {function(value:*, key:string):boolean} The predicate.
+     * @private
+     */
+    static _parsePredicate(op, arg, value) {
+        switch (op) {
+            case Query.OPERATORS.FILTER:
+                return arg;
+            case Query.OPERATORS.NEQ:
+                return obj => {
+                    const attribute = ObjectUtils.byKeyPath(obj, arg);
+                    return attribute !== undefined && !ComparisonUtils.equals(attribute, value);
+                };
+            case Query.OPERATORS.IN:
+                if (!Array.isArray(value)) throw new Error('Operand must be an array');
+                return obj => {
+                    const attribute = ObjectUtils.byKeyPath(obj, arg);
+                    return attribute !== undefined && value.some(it => ComparisonUtils.equals(attribute, it));
+                };
+            case Query.OPERATORS.MATCHES:
+                if (!(value instanceof RegExp)) throw new Error('Operand must be a regular expression');
+                return obj => {
+                    const attribute = ObjectUtils.byKeyPath(obj, arg);
+                    // search ignores the lastIndex of global regular expressions.
+                    return typeof attribute === 'string' && attribute.search(value) >= 0;
+                };
+        }
+        Log.e(`Unknown operator: ${op}`);
+        throw new Error('Unknown operator');
+    }
+
     /**
      * Internal constructor for a query.
      * Should not be called directly.
-     * @param {string|Array.<Query>} arg Either a list of queries or an index name (depending on the operator).
+     * @param {string|Array.<Query>|function(value:*, key:string):boolean} arg Either a list of queries, an index name,
+     * a key path or a predicate (depending on the operator).
      * @param {Query.OPERATORS} op The operator to apply.
      * @param {*} [value] The first operand if applicable.
      * @param {*} [value2] The second operand if applicable.
      * @private
      */
     constructor(arg, op, value, value2) {
+        // Filter queries take a key path (which may be an array) or a predicate.
+        if (Query.FILTER_OPERATORS.indexOf(op) >= 0) {
+            this._queryType = Query.Type.FILTER;
+            this._op = op;
+            this._predicate = Query._parsePredicate(op, arg, value);
+        }
         // If first argument is an array of queries, this is a combined query.
-        if (Array.isArray(arg)) {
+        else if (Array.isArray(arg)) {
             if (arg.some(it => !(it instanceof Query))) {
                 throw new Error('Invalid query');
             }
@@ -210,6 +292,174 @@ class Query {
         return this._execute(objectStore, limit);
     }
 
+    /**
+     * Observes the result of this query on an object store.
+     * The callback is called with the initial result and then with the added, removed and changed keys
+     * whenever changes flushed to the object store affect the result.
+     * @param {ObjectStore} objectStore The object store to observe the query on.
+     * @param {function(result:QueryObserverResult)} callback The callback receiving the initial result and all updates.
+     * @returns {QueryObserver} The observer, which can be stopped by calling its stop method.
+     */
+    observe(objectStore, callback) {
+        return new QueryObserver(this, objectStore, callback);
+    }
+
+    /**
+     * Returns the plan this query is executed with on an object store.
+     * The number of entries within the range of each range query is used to estimate its selectivity.
+     * Conjunctions are executed by streaming the keys of their most selective range query
+     * and filtering the candidates against the other queries, if these can be evaluated on single entries.
+     * Otherwise, the results of all subqueries are intersected.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @returns {Promise.<QueryPlan>} A promise of the plan.
+     */
+    async explain(objectStore) {
+        switch (this._queryType) {
+            case Query.Type.COMBINED: {
+                const children = await Promise.all(this._queries.map(query => query.explain(objectStore)));
+                if (this._op === Query.OPERATORS.OR) {
+                    if (this._requiresScan()) {
+                        return { strategy: Query.Strategy.SCAN, indexName: null, estimate: null, children };
+                    }
+                    const estimate = children.every(plan => plan.estimate !== null) ? children.reduce((sum, plan) => sum + plan.estimate, 0) : null;
+                    return { strategy: Query.Strategy.UNION, indexName: null, estimate, children };
+                }
+
+                const driver = this._chooseDriver(children.map(plan => plan.strategy === Query.Strategy.RANGE ? plan.estimate : null));
+                if (driver < 0) {
+                    const estimates = children.filter(plan => plan.estimate !== null).map(plan => plan.estimate);
+                    return { strategy: Query.Strategy.INTERSECT, indexName: null, estimate: estimates.length > 0 ? Math.min(...estimates) : null, children };
+                }
+                if (driver < 0 && this._requiresScan()) {
+                    return { strategy: Query.Strategy.SCAN, indexName: null, estimate: null, children };
+                }
+                // The driving query comes first.
+                children.unshift(children.splice(driver, 1)[0]);
+                return { strategy: Query.Strategy.FILTER, indexName: children[0].indexName, estimate: children[0].estimate, children };
+            }
+
+            case Query.Type.ADVANCED:
+                return { strategy: this._op === Query.OPERATORS.MAX ? Query.Strategy.MAX : Query.Strategy.MIN, indexName: this._indexName, estimate: null, children: [] };
+
+            case Query.Type.RANGE:
+                return { strategy: Query.Strategy.RANGE, indexName: this._indexName, estimate: await this._estimate(objectStore), children: [] };
+
+            case Query.Type.FILTER:
+                return { strategy: Query.Strategy.SCAN, indexName: null, estimate: null, children: [] };
+        }
+        throw new Error('Unknown query type');
+    }
+
+    /**
+     * Returns the names of all indices involved in this query.
+     * @returns {Set.<string>} The index names.
+     * @private
+     */
+    _collectIndexNames() {
+        if (this._queryType === Query.Type.COMBINED) {
+            const indexNames = new Set();
+            for (const query of this._queries) {
+                for (const indexName of query._collectIndexNames()) {
+                    indexNames.add(indexName);
+                }
+            }
+            return indexNames;
+        }
+        if (this._queryType === Query.Type.FILTER) {
+            return new Set();
+        }
+        return new Set([this._indexName]);
+    }
+
+    /**
+     * Checks whether the query contains filter queries, which may depend on any attribute of the values.
+     * @returns {boolean} Whether the query contains filter queries.
+     * @private
+     */
+    _containsFilters() {
+        if (this._queryType === Query.Type.COMBINED) {
+            return this._queries.some(query => query._containsFilters());
+        }
+        return this._queryType === Query.Type.FILTER;
+    }
+
+    /**
+     * Checks whether the query is executed by scanning all entries of the object store.
+     * This is the case for filter queries and for combined queries containing them,
+     * unless a conjunction can be driven by a range query instead.
+     * Combined queries containing min/max operators execute their filter queries separately.
+     * @returns {boolean} Whether the query is executed by a scan.
+     * @private
+     */
+    _requiresScan() {
+        switch (this._queryType) {
+            case Query.Type.FILTER:
+                return true;
+            case Query.Type.COMBINED:
+                if (!this.supportsMatching()) return false;
+                if (this._op === Query.OPERATORS.AND && this._queries.some(query => query._queryType === Query.Type.RANGE)) return false;
+                return this._queries.some(query => query._requiresScan());
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether the query can be evaluated on single entries using the matches method.
+     * This is not the case for queries containing min/max operators.
+     * @returns {boolean} Whether the query can be evaluated on single entries.
+     */
+    supportsMatching() {
+        switch (this._queryType) {
+            case Query.Type.COMBINED:
+                return this._queries.every(query => query.supportsMatching());
+            case Query.Type.RANGE:
+            case Query.Type.FILTER:
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether a single key-value pair fulfills this query.
+     * Since min/max operators depend on the other entries in the object store,
+     * they cannot be evaluated on single entries.
+     * @param {*} key The primary key of the entry.
+     * @param {*} value The value of the entry (undefined if the entry does not exist).
+     * @param {Map.<string,IIndex>} indices The indices of the object store the entry belongs to.
+     * @returns {boolean} Whether the entry fulfills this query.
+     */
+    matches(key, value, indices) {
+        switch (this._queryType) {
+            case Query.Type.COMBINED:
+                if (this._op === Query.OPERATORS.AND) {
+                    return this._queries.every(query => query.matches(key, value, indices));
+                }
+                return this._queries.some(query => query.matches(key, value, indices));
+
+            case Query.Type.RANGE: {
+                const index = indices.get(this._indexName);
+                if (!index) {
+                    throw new Error(`Unknown index ${this._indexName}`);
+                }
+                if (value === undefined) {
+                    return false;
+                }
+                let iKey = index.keyPath ? ObjectUtils.byIndexKeyPath(value, index.keyPath, index.compound, key) : key;
+                if (iKey === undefined) {
+                    return false;
+                }
+                if (!index.multiEntry || !Array.isArray(iKey)) {
+                    iKey = [iKey];
+                }
+                return iKey.some(component => this._keyRange.includes(component));
+            }
+
+            case Query.Type.FILTER:
+                return value !== undefined && !!this._predicate(value, key);
+        }
+        throw new Error('Min/max queries cannot be evaluated on single entries');
+    }
+
     /**
      * Internal method to execute a query on an object store.
      * @param {IObjectStore} objectStore The object store to execute the query on.
@@ -227,6 +477,9 @@ class Query {
 
             case Query.Type.RANGE:
                 return this._executeRange(objectStore, limit);
+
+            case Query.Type.FILTER:
+                return this._executeScan(objectStore, limit);
         }
         return Promise.resolve(new Set());
     }
@@ -239,6 +492,16 @@ class Query {
      * @private
      */
     async _executeCombined(objectStore, limit = null) {
+        // Prefer filtering the most selective range query's keys for conjunctions.
+        const driver = await this._findDriver(objectStore);
+        if (driver >= 0) {
+            return this._executeFiltered(objectStore, driver, limit);
+        }
+        // Evaluate filter queries in a single pass over the object store.
+        if (this._requiresScan()) {
+            return this._executeScan(objectStore, limit);
+        }
+
         // Evaluate children.
         const resultPromises = [];
         for (const query of this._queries) {
@@ -291,6 +554,172 @@ class Query {
         return new Set();
     }
 
+    /**
+     * Chooses the subquery of a conjunction to stream the candidates from.
+     * This is the range query with the smallest estimate, provided that all other subqueries support matching.
+     * @param {Array.<?number>} estimates The estimated number of results of each subquery (null if not a range query).
+     * @returns {number} The position of the chosen subquery or -1 if the results need to be intersected.
+     * @private
+     */
+    _chooseDriver(estimates) {
+        let driver = -1;
+        for (let i = 0; i < estimates.length; i++) {
+            if (estimates[i] !== null && (driver < 0 || estimates[i] < estimates[driver])) {
+                driver = i;
+            }
+        }
+        if (driver < 0 || !this._queries.every((query, i) => i === driver || query.supportsMatching())) {
+            return -1;
+        }
+        return driver;
+    }
+
+    /**
+     * Chooses the subquery of a conjunction to stream the candidates from, based on the estimates of its range queries.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @returns {Promise.<number>} A promise of the position of the chosen subquery or -1 if there is none.
+     * @private
+     */
+    async _findDriver(objectStore) {
+        if (this._queryType !== Query.Type.COMBINED || this._op !== Query.OPERATORS.AND || this._queries.length < 2) {
+            return -1;
+        }
+        const estimates = await Promise.all(this._queries.map(query => query._queryType === Query.Type.RANGE ? query._estimate(objectStore) : null));
+        return this._chooseDriver(estimates);
+    }
+
+    /**
+     * Internal method to execute a conjunction by streaming the entries of one subquery
+     * and filtering them against the other subqueries.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @param {number} driver The position of the range query to stream the candidates from.
+     * @param {number} [limit] Limits the number of results if given.
+     * @returns {Promise.<Set.<string>>} A promise of the set of keys relevant to this query.
+     * @private
+     */
+    _executeFiltered(objectStore, driver, limit = null) {
+        const filters = this._queries.filter((filter, i) => i !== driver);
+        return Query._collect(limit, callback => Query._streamRange(objectStore, this._queries[driver], filters, callback));
+    }
+
+    /**
+     * Internal method to execute a query by streaming all entries of the object store
+     * and evaluating the query on each of them.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @param {number} [limit] Limits the number of results if given.
+     * @returns {Promise.<Set.<string>>} A promise of the set of keys relevant to this query.
+     * @private
+     */
+    _executeScan(objectStore, limit = null) {
+        return Query._collect(limit, callback => this._streamScan(objectStore, callback));
+    }
+
+    /**
+     * Collects the keys of a stream of entries up to a limit.
+     * @param {number} [limit] Limits the number of results if given.
+     * @param {function(callback:function(value:*, key:string):boolean):Promise} stream Streams the entries to a callback.
+     * @returns {Promise.<Set.<string>>} A promise of the set of keys streamed.
+     * @private
+     */
+    static async _collect(limit, stream) {
+        const results = new Set();
+        if (limit !== null && limit <= 0) return results;
+
+        await stream((value, key) => {
+            results.add(key);
+            return limit === null || results.size < limit;
+        });
+        return results;
+    }
+
+    /**
+     * Iterates over the entries fulfilling this query.
+     * The callback is called for each value and primary key until it returns false and stops the iteration.
+     * Range queries and conjunctions driven by a range query are streamed from the index, filter queries from the object store.
+     * Queries containing min/max operators are executed first.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @param {function(value:*, key:string):boolean} callback A predicate called for each value and key until returning false.
+     * @returns {Promise} The promise resolves after all entries have been streamed.
+     * @protected
+     */
+    async _stream(objectStore, callback) {
+        if (objectStore._expiry) {
+            callback = objectStore._expiry.wrapValueCallback(callback);
+        }
+        if (this._queryType === Query.Type.RANGE) {
+            await Query._streamRange(objectStore, this, [], callback);
+            return;
+        }
+        const driver = await this._findDriver(objectStore);
+        if (driver >= 0) {
+            await Query._streamRange(objectStore, this._queries[driver], this._queries.filter((filter, i) => i !== driver), callback);
+            return;
+        }
+        if (this._requiresScan()) {
+            await this._streamScan(objectStore, callback);
+            return;
+        }
+        for (const key of await this._execute(objectStore)) {
+            if (!callback(await objectStore.get(key, { includeExpired: true }), key)) break;
+        }
+    }
+
+    /**
+     * Iterates over the entries of a range query's index that fulfill the given filters.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @param {Query} query The range query.
+     * @param {Array.<Query>} filters The queries to evaluate on each entry.
+     * @param {function(value:*, key:string):boolean} callback A predicate called for each value and key until returning false.
+     * @returns {Promise} The promise resolves after all entries have been streamed.
+     * @private
+     */
+    static async _streamRange(objectStore, query, filters, callback) {
+        const index = objectStore.index(query._indexName);
+        if (!index) throw new Error(`Unknown index ${query._indexName}`);
+        const indices = objectStore.indices;
+
+        // Entries may occur multiple times in multiEntry indices.
+        const seen = new Set();
+        await index.valueStream((value, key) => {
+            if (seen.has(key)) return true;
+            seen.add(key);
+
+            if (filters.every(filter => filter.matches(key, value, indices))) {
+                return callback(value, key);
+            }
+            return true;
+        }, true, query._keyRange);
+    }
+
+    /**
+     * Iterates over all entries of the object store that fulfill this query.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @param {function(value:*, key:string):boolean} callback A predicate called for each value and key until returning false.
+     * @returns {Promise} The promise resolves after all entries have been streamed.
+     * @private
+     */
+    async _streamScan(objectStore, callback) {
+        const indices = objectStore.indices;
+        await objectStore.valueStream((value, key) => {
+            if (this.matches(key, value, indices)) {
+                return callback(value, key);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Estimates the number of results of a range query by counting the entries in its range.
+     * @param {IObjectStore} objectStore The object store to execute the query on.
+     * @returns {Promise.<number>} A promise of the number of index entries within the range.
+     * @private
+     */
+    _estimate(objectStore) {
+        const index = objectStore.index(this._indexName);
+        if (!index) throw new Error(`Unknown index ${this._indexName}`);
+        return index.count(this._keyRange);
+    }
+
     /**
      * Internal method for min/max operators.
      * @param {IObjectStore} objectStore The object store to execute the query on.
@@ -334,13 +763,17 @@ Query.OPERATORS = {
     LT: 2,
     LE: 3,
     EQ: 4,
-    // NEQ: 5, not supported
+    NEQ: 5,
     BETWEEN: 7,
     WITHIN: 8,
     MAX: 9,
     MIN: 10,
     AND: 11,
-    OR: 12
+    OR: 12,
+    PREFIX: 13,
+    FILTER: 14,
+    IN: 15,
+    MATCHES: 16
 };
 Query.RANGE_OPERATORS = [
     Query.OPERATORS.GT,
@@ -349,10 +782,25 @@ Query.RANGE_OPERATORS = [
     Query.OPERATORS.LE,
     Query.OPERATORS.EQ,
     Query.OPERATORS.BETWEEN,
-    Query.OPERATORS.WITHIN
+    Query.OPERATORS.WITHIN,
+    Query.OPERATORS.PREFIX
 ];
 Query.ADVANCED_OPERATORS = [Query.OPERATORS.MAX, Query.OPERATORS.MIN];
 Query.COMBINED_OPERATORS = [Query.OPERATORS.AND, Query.OPERATORS.OR];
+Query.FILTER_OPERATORS = [Query.OPERATORS.FILTER, Query.OPERATORS.NEQ, Query.OPERATORS.IN, Query.OPERATORS.MATCHES];
+/**
+ * Enum for the strategies of query plans as returned by explain.
+ * @enum {string}
+ */
+Query.Strategy = {
+    RANGE: 'range',
+    MIN: 'min',
+    MAX: 'max',
+    UNION: 'union',
+    INTERSECT: 'intersect',
+    FILTER: 'filter',
+    SCAN: 'scan'
+};
 /**
  * Enum for query types.
  * Each operator belongs to one of these types as specified above.
@@ -361,7 +809,8 @@ Query.COMBINED_OPERATORS = [Query.OPERATORS.AND, Query.OPERATORS.OR];
 Query.Type = {
     RANGE: 0,
     ADVANCED: 1,
-    COMBINED: 2
+    COMBINED: 2,
+    FILTER: 3
 };
 Class.register(Query);
 
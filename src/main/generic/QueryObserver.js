@@ -0,0 +1,152 @@
+/**
+ * A query observer keeps the result of a query up to date with the changes of an object store
+ * and reports the differences to a callback.
+ * Query observers are created by calling observe on a Query object.
+ *
+ * Queries that can be evaluated on single entries are updated incrementally.
+ * Queries containing min/max operators are re-executed whenever a change touches one of the indices involved.
+ */
+class QueryObserver {
+    /**
+     * This constructor should only be called by a Query object.
+     * @param {Query} query The query to observe.
+     * @param {ObjectStore} objectStore The object store to observe the query on.
+     * @param {function(result:QueryObserverResult)} callback The callback receiving the initial result and all updates.
+     * @protected
+     */
+    constructor(query, objectStore, callback) {
+        this._query = query;
+        this._objectStore = objectStore;
+        this._callback = callback;
+        this._incremental = query.supportsMatching();
+        this._indexNames = query._collectIndexNames();
+        this._filtered = query._containsFilters();
+        /** @type {Set.<*>} */
+        this._keys = null;
+        this._stopped = false;
+
+        // Changes are processed one after another and only after the initial result is available.
+        this._synchronizer = new Synchronizer();
+        this._listener = changes => {
+            this._synchronizer.push(() => this._onChanges(changes)).catch(Log.w.tag(QueryObserver));
+        };
+        this._objectStore.on('change', this._listener, this._incremental ? query : null);
+        this._synchronizer.push(() => this._init()).catch(Log.w.tag(QueryObserver));
+    }
+
+    /**
+     * The current set of primary keys fulfilling the query.
+     * This is null until the initial result has been computed.
+     * @type {?Set.<*>}
+     */
+    get keys() {
+        return this._keys;
+    }
+
+    /**
+     * Stops observing the query.
+     */
+    stop() {
+        this._stopped = true;
+        this._objectStore.off('change', this._listener);
+    }
+
+    /**
+     * Computes and delivers the initial result.
+     * @returns {Promise}
+     * @private
+     */
+    async _init() {
+        if (this._stopped) return;
+        this._keys = await this._query.keys(this._objectStore);
+        this._deliver(new Set(this._keys), new Set(), new Set());
+    }
+
+    /**
+     * Updates the result based on changes flushed to the object store.
+     * @param {Array.<ObjectStoreChange>} changes
+     * @returns {Promise}
+     * @private
+     */
+    async _onChanges(changes) {
+        if (this._stopped) return;
+
+        const added = new Set(), removed = new Set(), changed = new Set();
+        if (this._incremental) {
+            const indices = this._objectStore.indices;
+            for (const change of changes) {
+                const wasIncluded = this._keys.has(change.key);
+                const isIncluded = this._query.matches(change.key, change.newValue, indices);
+                if (!wasIncluded && isIncluded) {
+                    this._keys.add(change.key);
+                    added.add(change.key);
+                } else if (wasIncluded && !isIncluded) {
+                    this._keys.delete(change.key);
+                    removed.add(change.key);
+                } else if (wasIncluded && isIncluded) {
+                    changed.add(change.key);
+                }
+            }
+        } else {
+            // Filter queries may depend on any attribute of the values.
+            if (!this._filtered && !changes.some(change => this._touchesIndices(change))) return;
+
+            const keys = await this._query.keys(this._objectStore);
+            for (const key of keys) {
+                if (!this._keys.has(key)) {
+                    added.add(key);
+                }
+            }
+            for (const key of this._keys) {
+                if (!keys.has(key)) {
+                    removed.add(key);
+                }
+            }
+            for (const change of changes) {
+                if (keys.has(change.key) && this._keys.has(change.key)) {
+                    changed.add(change.key);
+                }
+            }
+            this._keys = keys;
+        }
+
+        if (added.size > 0 || removed.size > 0 || changed.size > 0) {
+            this._deliver(added, removed, changed);
+        }
+    }
+
+    /**
+     * Checks whether a change affects one of the indices involved in the query.
+     * @param {ObjectStoreChange} change
+     * @returns {boolean}
+     * @private
+     */
+    _touchesIndices(change) {
+        const indices = this._objectStore.indices;
+        for (const indexName of this._indexNames) {
+            const index = indices.get(indexName);
+            if (!index || !index.keyPath) return true;
+            if ((change.oldValue !== undefined && ObjectUtils.byIndexKeyPath(change.oldValue, index.keyPath, index.compound, change.key) !== undefined)
+                || (change.newValue !== undefined && ObjectUtils.byIndexKeyPath(change.newValue, index.keyPath, index.compound, change.key) !== undefined)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @param {Set.<*>} added
+     * @param {Set.<*>} removed
+     * @param {Set.<*>} changed
+     * @private
+     */
+    _deliver(added, removed, changed) {
+        if (this._stopped) return;
+        try {
+            this._callback({ keys: new Set(this._keys), added, removed, changed });
+        } catch (e) {
+            Log.w(QueryObserver, 'Error in query observer callback', e);
+        }
+    }
+}
+Class.register(QueryObserver);
@@ -0,0 +1,127 @@
+/**
+ * A read set keeps track of the data a transaction has observed from its base state.
+ * This includes single primary keys, ranges of primary keys and ranges within secondary indices.
+ * It is used to detect whether transactions that have been committed concurrently
+ * changed data the transaction depends on.
+ */
+class ReadSet {
+    constructor() {
+        /** @type {Set.<*>} */
+        this._keys = new Set();
+        /** @type {Array.<KeyRange>} */
+        this._ranges = [];
+        /** @type {Map.<string,{index:InMemoryIndex, ranges:Array.<KeyRange>}>} */
+        this._indexRanges = new Map();
+        this._all = false;
+    }
+
+    /** @type {boolean} Whether nothing has been read yet. */
+    get empty() {
+        return !this._all && this._keys.size === 0 && this._ranges.length === 0 && this._indexRanges.size === 0;
+    }
+
+    /**
+     * Records that a primary key has been read.
+     * @param {*} key The primary key.
+     */
+    addKey(key) {
+        this._keys.add(key);
+    }
+
+    /**
+     * Records that a range of primary keys has been read.
+     * @param {KeyRange} [range] The range of primary keys. If not given, the whole object store has been read.
+     */
+    addRange(range = null) {
+        if (range === null || range === undefined) {
+            this._all = true;
+            return;
+        }
+        this._ranges.push(range);
+    }
+
+    /**
+     * Records that a range of a secondary index has been read.
+     * The primary keys returned by the query are recorded as well,
+     * so that changes moving an entry out of the range are detected.
+     * @param {InMemoryIndex} index The index that has been queried.
+     * @param {string} name The name of the index.
+     * @param {KeyRange} [range] The range of secondary keys. If not given, the whole index has been read.
+     * @param {Iterable.<*>} [keys] The primary keys returned by the query.
+     */
+    addIndexRange(index, name, range = null, keys = []) {
+        let entry = this._indexRanges.get(name);
+        if (!entry) {
+            entry = { index, ranges: [] };
+            this._indexRanges.set(name, entry);
+        }
+        entry.ranges.push(range);
+        for (const key of keys) {
+            this._keys.add(key);
+        }
+    }
+
+    /**
+     * Checks whether a primary key has been read, individually or as part of a range.
+     * @param {*} key The primary key.
+     * @returns {boolean}
+     */
+    includesKey(key) {
+        return this._all || this._keys.has(key) || this._ranges.some(range => range.includes(key));
+    }
+
+    /**
+     * Returns the primary keys written by the given transaction that overlap with this read set.
+     * @param {Transaction} tx A committed transaction.
+     * @returns {Array.<*>} The conflicting primary keys.
+     */
+    conflicts(tx) {
+        const keys = [];
+        for (const [key, value] of tx._modified) {
+            if (this._includes(key, value)) {
+                keys.push(key);
+            }
+        }
+        for (const key of tx._removed) {
+            if (this._includes(key)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Checks whether writing the given key-value pair affects the data recorded in this read set.
+     * @param {*} key The primary key written.
+     * @param {*} [value] The new value, if the key has not been removed.
+     * @returns {boolean}
+     * @private
+     */
+    _includes(key, value) {
+        if (this._all || this._keys.has(key)) {
+            return true;
+        }
+        if (this._ranges.some(range => range.includes(key))) {
+            return true;
+        }
+        if (value === undefined) {
+            return false;
+        }
+
+        // Check whether the new value enters one of the index ranges.
+        for (const { index, ranges } of this._indexRanges.values()) {
+            let iKey = index._indexKey(key, value);
+            if (iKey === undefined) continue;
+            if (!index.multiEntry || !Array.isArray(iKey)) {
+                iKey = [iKey];
+            }
+            for (const component of iKey) {
+                if (ranges.some(range => range === null || range.includes(component))) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+}
+Class.register(ReadSet);
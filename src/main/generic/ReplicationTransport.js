@@ -0,0 +1,118 @@
+/**
+ * A bidirectional message channel between a replication primary and a follower.
+ * Transports can be created in-process or on top of Node streams and WebSocket-like objects,
+ * alternatively, a custom send function can be combined with calls to receive.
+ */
+class ReplicationTransport {
+    /**
+     * @param {function(message:object)} send A function delivering a message to the other end.
+     * @param {function()} [close] An optional function closing the underlying channel.
+     */
+    constructor(send, close = null) {
+        this._send = send;
+        this._close = close;
+        /** @type {Array.<function(message:object)>} */
+        this._listeners = [];
+    }
+
+    /**
+     * Creates two connected in-process transports.
+     * Messages are delivered asynchronously.
+     * @returns {Array.<ReplicationTransport>} The two ends of the channel.
+     */
+    static createLocalPair() {
+        const transports = [];
+        transports.push(new ReplicationTransport(message => Promise.resolve().then(() => transports[1].receive(message))));
+        transports.push(new ReplicationTransport(message => Promise.resolve().then(() => transports[0].receive(message))));
+        return transports;
+    }
+
+    /**
+     * Creates a transport on top of a duplex stream (e.g., a Node socket).
+     * Messages are exchanged as newline-delimited JSON.
+     * @param {{write:function(data:string), on:function(event:string, listener:function(chunk:*)), end:?function()}} stream The duplex stream.
+     * @returns {ReplicationTransport}
+     */
+    static fromStream(stream) {
+        const transport = new ReplicationTransport(message => stream.write(`${JSONUtils.stringify(message)}\n`),
+            () => stream.end());
+        // Multi-byte characters may be split across chunks.
+        const decoder = new Utf8StreamDecoder();
+        let buffer = '';
+        stream.on('data', chunk => {
+            buffer += decoder.write(chunk);
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (line.length > 0) {
+                    transport.receive(JSONUtils.parse(line));
+                }
+            }
+        });
+        return transport;
+    }
+
+    /**
+     * Creates a transport on top of a WebSocket-like object.
+     * Both, the browser API (addEventListener) and the Node API (on) are supported.
+     * @param {{send:function(data:string), close:function()}} socket The socket.
+     * @returns {ReplicationTransport}
+     */
+    static fromWebSocket(socket) {
+        const transport = new ReplicationTransport(message => socket.send(JSONUtils.stringify(message)),
+            () => socket.close());
+        if (typeof socket.addEventListener === 'function') {
+            socket.addEventListener('message', event => transport.receive(JSONUtils.parse(event.data)));
+        } else {
+            socket.on('message', data => transport.receive(JSONUtils.parse(data.toString())));
+        }
+        return transport;
+    }
+
+    /**
+     * Sends a message to the other end.
+     * @param {object} message The message.
+     */
+    send(message) {
+        this._send(message);
+    }
+
+    /**
+     * Registers a listener for incoming messages.
+     * @param {function(message:object)} listener The listener.
+     */
+    onMessage(listener) {
+        this._listeners.push(listener);
+    }
+
+    /**
+     * Unregisters a listener for incoming messages.
+     * @param {function(message:object)} listener The listener.
+     */
+    offMessage(listener) {
+        const i = this._listeners.indexOf(listener);
+        if (i >= 0) {
+            this._listeners.splice(i, 1);
+        }
+    }
+
+    /**
+     * Delivers a message received from the other end to the listeners.
+     * @param {object} message The message.
+     */
+    receive(message) {
+        for (const listener of this._listeners.slice()) {
+            listener(message);
+        }
+    }
+
+    /**
+     * Closes the underlying channel if possible.
+     */
+    close() {
+        if (this._close) {
+            this._close();
+        }
+    }
+}
+Class.register(ReplicationTransport);
@@ -0,0 +1,276 @@
+/**
+ * A replicator streams commits from a primary JungleDB to a follower over a ReplicationTransport.
+ * The primary needs to have its changelog enabled and serves its entries using Replicator.serve.
+ * The follower applies each entry as a single combined transaction using Replicator.follow.
+ * Together with the data, the follower persists the sequence number of the last applied entry,
+ * so that it stays a crash-consistent copy of the primary and resumes from there after a restart.
+ *
+ * The follower's object stores must not be modified by anyone else.
+ */
+class Replicator {
+    /**
+     * This constructor should only be called by the static serve and follow methods.
+     * @param {JungleDB} jdb The database to replicate from or to.
+     * @param {ReplicationTransport} transport The transport to the other end.
+     * @protected
+     */
+    constructor(jdb, transport) {
+        this._jdb = jdb;
+        this._transport = transport;
+        this._sequence = 0;
+        this._stopped = false;
+        /** @type {Error} */
+        this._error = null;
+        this._synchronizer = new Synchronizer();
+
+        this._messageListener = message => this._onMessage(message);
+        this._transport.onMessage(this._messageListener);
+    }
+
+    /**
+     * Serves the changelog of a primary database to a follower.
+     * Entries are sent once the follower subscribes and whenever new commits happen afterwards.
+     * @param {JungleDB} jdb The primary database with an enabled changelog.
+     * @param {ReplicationTransport} transport The transport to the follower.
+     * @param {{batchSize:?number}} [options] The maximum number of entries per message.
+     * @returns {Replicator}
+     */
+    static serve(jdb, transport, options = {}) {
+        const { batchSize = Replicator.DEFAULT_BATCH_SIZE } = options || {};
+        if (jdb.changelogSequence === null) throw new Error('The primary requires an enabled changelog');
+
+        const replicator = new Replicator(jdb, transport);
+        replicator._isPrimary = true;
+        replicator._batchSize = batchSize;
+        replicator._pushScheduled = false;
+        replicator._subscribed = false;
+        replicator._changeListener = () => replicator._schedulePush();
+        return replicator;
+    }
+
+    /**
+     * Follows a primary database and applies its commits.
+     * The follower database has to be prepared using Replicator.prepareFollower before connecting.
+     * @param {JungleDB} jdb The connected follower database.
+     * @param {ReplicationTransport} transport The transport to the primary.
+     * @returns {Replicator}
+     */
+    static follow(jdb, transport) {
+        const stateStore = jdb.getObjectStore(Replicator.STATE_STORE);
+        if (!stateStore) throw new Error('The follower has to be prepared using Replicator.prepareFollower');
+
+        const replicator = new Replicator(jdb, transport);
+        replicator._isPrimary = false;
+        replicator._stateStore = stateStore;
+        /** @type {Array.<{sequence:number, resolve:function(), reject:function(e:Error)}>} */
+        replicator._waiting = [];
+        replicator._synchronizer.push(() => replicator._subscribe()).catch(e => replicator._fail(e));
+        return replicator;
+    }
+
+    /**
+     * Creates the object store the follower uses to persist its replication state.
+     * This method has to be called before connecting to the follower database.
+     * @param {JungleDB} jdb The follower database.
+     * @param {{upgradeCondition:?boolean|?function(oldVersion:number, newVersion:number):boolean}} [options]
+     */
+    static prepareFollower(jdb, options = {}) {
+        const { upgradeCondition = null } = options || {};
+        jdb.createObjectStore(Replicator.STATE_STORE, { upgradeCondition });
+    }
+
+    /**
+     * The sequence number of the last entry sent (primary) or applied (follower).
+     * @type {number}
+     */
+    get sequence() {
+        return this._sequence;
+    }
+
+    /**
+     * Returns a promise that resolves once the follower has applied the entry with the given sequence number.
+     * @param {number} sequence The sequence number to wait for.
+     * @returns {Promise} The promise resolves once the sequence number has been reached.
+     */
+    waitFor(sequence) {
+        if (this._isPrimary) throw new Error('Only followers apply entries');
+        if (this._sequence >= sequence) return Promise.resolve();
+        if (this._error) return Promise.reject(this._error);
+        return new Promise((resolve, reject) => this._waiting.push({ sequence, resolve, reject }));
+    }
+
+    /**
+     * Stops the replication.
+     * The transport is not closed.
+     */
+    stop() {
+        this._stopped = true;
+        this._transport.offMessage(this._messageListener);
+        if (this._isPrimary && this._subscribed) {
+            for (const objectStore of this._jdb._objectStores.values()) {
+                objectStore.off('change', this._changeListener);
+            }
+        }
+    }
+
+    /**
+     * @param {object} message
+     * @private
+     */
+    _onMessage(message) {
+        if (this._stopped) return;
+
+        if (this._isPrimary) {
+            if (message.type === 'subscribe') {
+                this._onSubscribe(message.sequence);
+            }
+            return;
+        }
+
+        switch (message.type) {
+            case 'entries':
+                this._synchronizer.push(() => this._applyEntries(message.entries)).catch(e => this._fail(e));
+                break;
+            case 'error':
+                this._fail(new Error(`Replication failed on primary: ${message.message}`));
+                break;
+        }
+    }
+
+    /**
+     * Starts sending entries to a follower.
+     * @param {number} sequence The sequence number of the last entry the follower has applied.
+     * @private
+     */
+    _onSubscribe(sequence) {
+        this._synchronizer.push(() => {
+            this._sequence = sequence;
+        }).catch(Log.w.tag(Replicator));
+        if (!this._subscribed) {
+            this._subscribed = true;
+            for (const objectStore of this._jdb._objectStores.values()) {
+                objectStore.on('change', this._changeListener);
+            }
+        }
+        this._schedulePush();
+    }
+
+    /**
+     * Schedules sending all new entries to the follower.
+     * @private
+     */
+    _schedulePush() {
+        if (this._pushScheduled) return;
+        this._pushScheduled = true;
+        this._synchronizer.push(() => {
+            this._pushScheduled = false;
+            return this._pushEntries();
+        }).catch(Log.w.tag(Replicator));
+    }
+
+    /**
+     * Sends all entries after the last sent sequence number to the follower.
+     * @returns {Promise}
+     * @private
+     */
+    async _pushEntries() {
+        while (!this._stopped && this._sequence < this._jdb.changelogSequence) {
+            const entries = await this._jdb.readChangelog(this._sequence, this._batchSize);
+            if (entries.length === 0 || entries[0].sequence > this._sequence + 1) {
+                this._transport.send({ type: 'error', message: `Changelog entries after ${this._sequence} have been pruned` });
+                this.stop();
+                return;
+            }
+
+            this._transport.send({ type: 'entries', entries: entries.map(entry => ChangelogUtils.encodeEntry(this._jdb, entry)) });
+            this._sequence = entries[entries.length - 1].sequence;
+        }
+    }
+
+    /**
+     * Restores the last applied sequence number and subscribes to the primary.
+     * @returns {Promise}
+     * @private
+     */
+    async _subscribe() {
+        this._sequence = (await this._stateStore.get(Replicator.SEQUENCE_KEY)) || 0;
+        this._transport.send({ type: 'subscribe', sequence: this._sequence });
+    }
+
+    /**
+     * Applies entries received from the primary in order.
+     * @param {Array.<ChangelogEntry>} entries The entries with encoded values.
+     * @returns {Promise}
+     * @private
+     */
+    async _applyEntries(entries) {
+        for (const encodedEntry of entries) {
+            if (this._stopped) return;
+            // Entries might be sent twice if the follower subscribed again.
+            if (encodedEntry.sequence <= this._sequence) continue;
+
+            const entry = ChangelogUtils.decodeEntry(this._jdb, encodedEntry.sequence, encodedEntry.changes);
+            const txs = [];
+            for (const change of entry.changes) {
+                const objectStore = this._jdb.getObjectStore(change.tableName);
+                if (!objectStore) throw new Error(`Unknown object store ${change.tableName}`);
+
+                const tx = objectStore.transaction();
+                if (change.truncated) {
+                    await tx.truncate();
+                }
+                for (const key of change.removed) {
+                    await tx.remove(key);
+                }
+                for (const [key, value] of change.modified) {
+                    await tx.put(key, value);
+                }
+                txs.push(tx);
+            }
+
+            // The sequence number is persisted together with the data.
+            const stateTx = this._stateStore.transaction();
+            await stateTx.put(Replicator.SEQUENCE_KEY, entry.sequence);
+            txs.push(stateTx);
+
+            const success = txs.length > 1 ? await JungleDB.commitCombined(...txs) : await stateTx.commit();
+            if (!success) throw new Error(`Could not apply entry ${entry.sequence}`);
+
+            this._sequence = entry.sequence;
+            this._resolveWaiting();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _resolveWaiting() {
+        this._waiting = this._waiting.filter(({ sequence, resolve }) => {
+            if (sequence > this._sequence) return true;
+            resolve();
+            return false;
+        });
+    }
+
+    /**
+     * Stops the follower after an error and rejects all pending waitFor promises.
+     * @param {Error} e
+     * @private
+     */
+    _fail(e) {
+        Log.e(Replicator, 'Replication failed', e);
+        this._error = e;
+        this.stop();
+        for (const { reject } of this._waiting) {
+            reject(e);
+        }
+        this._waiting = [];
+    }
+}
+/** @type {string} The name of the object store holding the follower's replication state. */
+Replicator.STATE_STORE = '_replication';
+/** @type {string} The key under which the follower stores the last applied sequence number. */
+Replicator.SEQUENCE_KEY = 'sequence';
+/** @type {number} The default maximum number of entries per message. */
+Replicator.DEFAULT_BATCH_SIZE = 100;
+Class.register(Replicator);
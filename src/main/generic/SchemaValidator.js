@@ -0,0 +1,187 @@
+/**
+ * Validates the values written to an object store.
+ * A validator is either a user function or a schema following a subset of JSON Schema:
+ * type (string, number, integer, boolean, object, array, null or an array thereof), enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength, maxLength and pattern.
+ * Schemas using other keywords are rejected, so that no constraint is silently ignored.
+ * Validators are attached by the validator option of createObjectStore.
+ */
+class SchemaValidator {
+    /**
+     * @param {Object|function(value:*, key:*):(boolean|string)} validator The schema or a function
+     * returning true for valid values and false or a message otherwise.
+     */
+    constructor(validator) {
+        if (typeof validator === 'function') {
+            this._fn = validator;
+            this._schema = null;
+        } else if (validator !== null && typeof validator === 'object') {
+            SchemaValidator._checkSchema(validator, []);
+            this._fn = null;
+            this._schema = validator;
+        } else {
+            throw new Error('Validator must be a schema or a function');
+        }
+    }
+
+    /**
+     * Validates a value and throws if it is invalid.
+     * @param {*} key The primary key of the value.
+     * @param {*} value The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     */
+    validate(key, value) {
+        const failures = this.check(key, value);
+        if (failures.length > 0) {
+            throw new ValidationError(key, failures);
+        }
+    }
+
+    /**
+     * Validates a value.
+     * @param {*} key The primary key of the value.
+     * @param {*} value The value to validate.
+     * @returns {Array.<ValidationFailure>} The failed checks, empty if the value is valid.
+     */
+    check(key, value) {
+        if (this._fn !== null) {
+            const result = this._fn(value, key);
+            if (result === true) return [];
+            return [{ path: [], message: typeof result === 'string' ? result : 'rejected by validator' }];
+        }
+        const failures = [];
+        SchemaValidator._check(this._schema, value, [], failures);
+        return failures;
+    }
+
+    /**
+     * @param {Object} schema
+     * @param {*} value
+     * @param {Array.<string|number>} path
+     * @param {Array.<ValidationFailure>} failures
+     * @private
+     */
+    static _check(schema, value, path, failures) {
+        const fail = message => failures.push({ path, message });
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator._hasType(value, type))) {
+                fail(`expected ${types.join(' or ')}`);
+                // The remaining keywords do not apply to values of the wrong type.
+                return;
+            }
+        }
+        if (schema.enum !== undefined && !schema.enum.some(option => ComparisonUtils.equals(option, value))) {
+            fail(`expected one of ${schema.enum.map(option => JSONUtils.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && !ComparisonUtils.equals(schema.const, value)) {
+            fail(`expected ${JSONUtils.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'number' || ComparisonUtils.isBigInt(value)) {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be less than ${schema.exclusiveMaximum}`);
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+            if (schema.items !== undefined) {
+                value.forEach((item, i) => SchemaValidator._check(schema.items, item, path.concat([i]), failures));
+            }
+        } else if (SchemaValidator._hasType(value, 'object')) {
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) {
+                    failures.push({ path: path.concat([name]), message: 'is required' });
+                }
+            }
+            const properties = schema.properties || {};
+            for (const name of Object.keys(value)) {
+                if (value[name] === undefined) continue;
+                if (properties[name] !== undefined) {
+                    SchemaValidator._check(properties[name], value[name], path.concat([name]), failures);
+                } else if (schema.additionalProperties === false) {
+                    failures.push({ path: path.concat([name]), message: 'is not allowed' });
+                } else if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+                    SchemaValidator._check(schema.additionalProperties, value[name], path.concat([name]), failures);
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @param {string} type
+     * @returns {boolean}
+     * @private
+     */
+    static _hasType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && !Number.isNaN(value);
+            case 'integer':
+                return Number.isInteger(value) || ComparisonUtils.isBigInt(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Uint8Array);
+            case 'null':
+                return value === null;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Checks that a schema only uses supported keywords and types.
+     * @param {Object} schema
+     * @param {Array.<string|number>} path
+     * @private
+     */
+    static _checkSchema(schema, path) {
+        if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error(`Invalid schema at ${ValidationError.formatPath(path)}`);
+        }
+        for (const keyword of Object.keys(schema)) {
+            if (!SchemaValidator.KEYWORDS.includes(keyword)) {
+                throw new Error(`Unsupported schema keyword ${keyword} at ${ValidationError.formatPath(path)}`);
+            }
+        }
+        if (schema.type !== undefined) {
+            for (const type of Array.isArray(schema.type) ? schema.type : [schema.type]) {
+                if (!SchemaValidator.TYPES.includes(type)) {
+                    throw new Error(`Unsupported schema type ${type} at ${ValidationError.formatPath(path)}`);
+                }
+            }
+        }
+        for (const name of Object.keys(schema.properties || {})) {
+            SchemaValidator._checkSchema(schema.properties[name], path.concat([name]));
+        }
+        if (schema.items !== undefined) {
+            SchemaValidator._checkSchema(schema.items, path.concat([0]));
+        }
+        if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+            SchemaValidator._checkSchema(schema.additionalProperties, path);
+        }
+    }
+}
+/** @type {Array.<string>} The supported JSON Schema keywords. */
+SchemaValidator.KEYWORDS = ['$schema', 'title', 'description', 'type', 'enum', 'const', 'properties', 'required',
+    'additionalProperties', 'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'minLength', 'maxLength', 'pattern'];
+/** @type {Array.<string>} The supported JSON Schema types. */
+SchemaValidator.TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+Class.register(SchemaValidator);
@@ -15,6 +15,8 @@ class Snapshot extends Transaction {
      */
     constructor(objectStore, backend) {
         super(objectStore, backend, objectStore, false);
+        // Snapshots are never committed, so there is no need to track reads.
+        this._readSet = null;
     }
 
     /**
@@ -58,7 +60,7 @@ class Snapshot extends Transaction {
             if (this._modified.has(key)) {
                 continue;
             }
-            let oldValue = await this.get(key);
+            let oldValue = await this.get(key, { includeExpired: true });
             // If this key is newly introduced,
             // we have to mark it as removed to maintain our state.
             if (!oldValue) {
@@ -74,7 +76,7 @@ class Snapshot extends Transaction {
                 continue;
             }
             // Removed values have to be remembered.
-            let oldValue = await this.get(key);
+            let oldValue = await this.get(key, { includeExpired: true });
             this._put(key, oldValue);
         }
     }
@@ -60,16 +60,16 @@ class SynchronousTransaction extends Transaction {
         // Use cache or ask parent.
         let value;
         if (this.isCached(key)) {
-            value = this.getSync(key, options);
+            return this.getSync(key, options);
+        }
+        // Expired entries are cached as well, they are only hidden from the result.
+        value = await Transaction.prototype._get.call(this, key, Object.assign({}, options, { includeExpired: true }));
+        if (options && options.raw) {
+            this._cache.set(key, this.decode(value, key));
         } else {
-            value = await Transaction.prototype.get.call(this, key, options);
-            if (options && options.raw) {
-                this._cache.set(key, this.decode(value, key));
-            } else {
-                this._cache.set(key, value);
-            }
+            this._cache.set(key, value);
         }
-        return value;
+        return this._retrieved(key, value, options);
     }
 
     /**
@@ -102,12 +102,22 @@ class SynchronousTransaction extends Transaction {
 
     /**
      * Returns the object stored under the given primary key.
-     * Resolves to undefined if the key is not present in the object store.
+     * Resolves to undefined if the key is not present in the object store or has expired.
      * @param {string} key The primary key to look for.
      * @param {SyncRetrievalConfig} [options] Advanced retrieval options.
      * @returns {*} The object stored under the given key, or undefined if not present.
      */
     getSync(key, options = {}) {
+        return this._retrieved(key, this._getSync(key, options), options);
+    }
+
+    /**
+     * @param {string} key
+     * @param {SyncRetrievalConfig} [options]
+     * @returns {*}
+     * @private
+     */
+    _getSync(key, options = {}) {
         // Order is as follows:
         // 1. check if removed,
         // 2. check if modified,
@@ -125,6 +135,7 @@ class SynchronousTransaction extends Transaction {
         if (this._truncated) {
             return undefined;
         }
+        this._recordKey(key);
         return this._getCached(key, options);
     }
 
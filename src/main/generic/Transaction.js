@@ -1,10 +1,11 @@
 /**
  * Transactions are created by calling the transaction method on an ObjectStore object.
  * Transactions ensure read-isolation.
- * On a given state, only *one* transaction can be committed successfully.
- * Other transactions based on the same state will end up in a conflicted state if committed.
- * Transactions opened after the successful commit of another transaction will be based on the
- * new state and hence can be committed again.
+ * Every transaction keeps track of the keys and index ranges it read from its base state.
+ * If other transactions have been committed on the same state in the meantime,
+ * a transaction can still be committed on top of the new state as long as none of the changes
+ * committed in between overlap with what it has read.
+ * Otherwise, it will end up in a conflicted state.
  * Transactions do *not* check unique constraints of secondary indices before commiting them.
  * @implements {ISynchronousWritableObjectStore}
  * @implements {ICommittable}
@@ -36,6 +37,12 @@ class Transaction {
         this._truncated = false;
         this._indices = TransactionIndex.derive(this, parent);
 
+        // Keep track of what has been read for optimistic conflict detection.
+        /** @type {ReadSet} */
+        this._readSet = new ReadSet();
+        /** @type {TransactionConflictError} */
+        this._conflict = null;
+
         this._state = Transaction.STATE.OPEN;
 
         // Keep track of nested transactions.
@@ -49,6 +56,27 @@ class Transaction {
 
         this._snapshotManager = new SnapshotManager();
 
+        /**
+         * Hides expired entries if the object store has expiry enabled.
+         * @type {?ExpiryManager}
+         */
+        this._expiry = (objectStore && objectStore._expiry) || null;
+        /**
+         * Records reads if the object store evicts least recently read entries.
+         * @type {?EvictionManager}
+         */
+        this._eviction = (objectStore && objectStore._eviction) || null;
+        /**
+         * Rejects invalid values on put and commit.
+         * @type {?SchemaValidator}
+         */
+        this._validator = (objectStore && objectStore._validator) || null;
+        /**
+         * The keys of values decoded from an outdated codec version, if the transaction rewrites these on commit.
+         * @type {?Set.<string>}
+         */
+        this._upgradedKeys = (objectStore && objectStore._rewriteUpgraded && objectStore._backend.upgradedKeys) || null;
+
         this._startTime = Date.now();
         this._enableWatchdog = enableWatchdog;
         if (this._enableWatchdog) {
@@ -102,6 +130,14 @@ class Transaction {
         return this._state;
     }
 
+    /**
+     * If the transaction is in the state CONFLICTED, this error describes the conflicting keys.
+     * @type {?TransactionConflictError}
+     */
+    get conflict() {
+        return this._conflict;
+    }
+
     /**
      * Non-async version of _apply that does not update snapshots.
      * Internally applies a transaction to the transaction's state.
@@ -151,12 +187,41 @@ class Transaction {
 
     /**
      * Returns a promise of the object stored under the given primary key.
-     * Resolves to undefined if the key is not present in the object store.
+     * Resolves to undefined if the key is not present in the object store or has expired.
      * @param {string} key The primary key to look for.
      * @param {RetrievalConfig} [options] Advanced retrieval options.
      * @returns {Promise.<*>} A promise of the object stored under the given key, or undefined if not present.
      */
     async get(key, options = {}) {
+        return this._retrieved(key, await this._get(key, options), options);
+    }
+
+    /**
+     * Hides a retrieved value if it has expired and records the read for the eviction policy.
+     * @param {string} key The primary key retrieved.
+     * @param {*} value The value retrieved.
+     * @param {RetrievalConfig} [options] The retrieval options.
+     * @returns {*} The value or undefined if it has expired.
+     * @protected
+     */
+    _retrieved(key, value, options) {
+        if (this._expiry) {
+            value = this._expiry.filterValue(value, options);
+        }
+        if (value !== undefined && this._eviction) {
+            this._eviction.touch(key);
+        }
+        return value;
+    }
+
+    /**
+     * Returns the object stored under the given primary key, including expired entries.
+     * @param {string} key
+     * @param {RetrievalConfig} [options]
+     * @returns {Promise.<*>}
+     * @protected
+     */
+    async _get(key, options = {}) {
         // Order is as follows:
         // 1. check if removed,
         // 2. check if modified,
@@ -174,6 +239,7 @@ class Transaction {
         if (this._truncated) {
             return undefined;
         }
+        this._recordKey(key);
         return this._parent.get(key, options);
     }
 
@@ -181,12 +247,20 @@ class Transaction {
      * Inserts or replaces a key-value pair.
      * @param {string} key The primary key to associate the value with.
      * @param {*} value The value to write.
+     * @param {PutConfig} [options] Advanced options, e.g., the time to live of the entry.
      * @returns {Promise} The promise resolves after writing to the current object store finished.
      */
-    async put(key, value) {
+    async put(key, value, options = {}) {
         if (this._state !== Transaction.STATE.OPEN) {
             throw new Error('Transaction already closed');
         }
+        if (options && options.ttl !== undefined) {
+            if (!this._expiry) throw new Error('Expiry is not enabled');
+            value = this._expiry.withTtl(value, options.ttl);
+        }
+        if (this._validator) {
+            this._validator.validate(key, value);
+        }
 
         // Check indices.
         const constraints = [];
@@ -207,6 +281,9 @@ class Transaction {
         if (this._state !== Transaction.STATE.OPEN) {
             throw new Error('Transaction already closed');
         }
+        if (this._validator) {
+            this._validator.validate(key, value);
+        }
 
         this._put(key, value);
     }
@@ -245,11 +322,22 @@ class Transaction {
      * @returns {Promise.<Set.<string>>} A promise of the set of keys relevant to the query.
      */
     async keys(query=null) {
+        const keys = await this._keys(query);
+        return this._expiry ? this._expiry.filterKeys(keys, this) : keys;
+    }
+
+    /**
+     * @param {Query|KeyRange} [query]
+     * @returns {Promise.<Set.<string>>}
+     * @private
+     */
+    async _keys(query=null) {
         if (query !== null && query instanceof Query) {
             return query.keys(this);
         }
         let keys = new Set();
         if (!this._truncated) {
+            this._recordRange(query);
             keys = await this._parent.keys(query);
         }
         keys = keys.difference(this._removed);
@@ -271,7 +359,8 @@ class Transaction {
      */
     async values(query=null) {
         if (query !== null && query instanceof Query) {
-            return query.values(this);
+            const values = await query.values(this);
+            return this._expiry ? this._expiry.filterValues(values) : values;
         }
         const keys = await this.keys(query);
         const valuePromises = [];
@@ -291,6 +380,9 @@ class Transaction {
      * @returns {Promise} The promise resolves after all elements have been streamed.
      */
     async keyStream(callback, ascending=true, query=null) {
+        if (this._expiry) {
+            callback = await this._expiry.wrapKeyCallback(callback, this);
+        }
         // TODO Optimize this sorting step.
         let keys = Array.from(this._modified.keys());
         if (query instanceof KeyRange) {
@@ -302,6 +394,7 @@ class Transaction {
         if (!this._truncated) {
             let stopped = false;
 
+            this._recordRange(query);
             await this._parent.keyStream(key => {
                 // Iterate over TxKeys as long as they are smaller (ascending) or larger (descending).
                 while (txIt.hasNext() && ((ascending && ComparisonUtils.compare(txIt.peek(), key) < 0) || (!ascending && ComparisonUtils.compare(txIt.peek(), key) > 0))) {
@@ -357,6 +450,9 @@ class Transaction {
      * @returns {Promise} The promise resolves after all elements have been streamed.
      */
     async valueStream(callback, ascending=true, query=null) {
+        if (this._expiry) {
+            callback = this._expiry.wrapValueCallback(callback);
+        }
         // TODO Optimize this sorting step.
         let keys = Array.from(this._modified.keys());
         if (query instanceof KeyRange) {
@@ -368,6 +464,7 @@ class Transaction {
         if (!this._truncated) {
             let stopped = false;
 
+            this._recordRange(query);
             await this._parent.valueStream((value, key) => {
                 // Iterate over TxKeys as long as they are smaller (ascending) or larger (descending).
                 while (txIt.hasNext() && ((ascending && ComparisonUtils.compare(txIt.peek(), key) < 0) || (!ascending && ComparisonUtils.compare(txIt.peek(), key) > 0))) {
@@ -410,7 +507,7 @@ class Transaction {
         // Iterate over the remaining TxKeys.
         while (txIt.hasNext()) {
             const key = txIt.next();
-            const value = await this.get(key);
+            const value = this._modified.get(key);
             if (!callback(value, key)) {
                 break;
             }
@@ -440,6 +537,7 @@ class Transaction {
         // Take underlying maxKey.
         let maxKey = undefined;
         if (!this._truncated) {
+            this._recordRange(query);
             maxKey = await this._parent.maxKey(query);
         }
 
@@ -487,6 +585,7 @@ class Transaction {
         // Take underlying minKey.
         let minKey = undefined;
         if (!this._truncated) {
+            this._recordRange(query);
             minKey = await this._parent.minKey(query);
         }
 
@@ -523,6 +622,18 @@ class Transaction {
         return (await this.keys(query)).size;
     }
 
+    /**
+     * Computes aggregates over the entries fulfilling the given query in a single pass,
+     * including the uncommitted changes of this transaction.
+     * @param {Query|KeyRange} [query] Optional query to check keys against.
+     * @param {AggregationConfig} options The reducers and the optional grouping.
+     * @returns {Promise.<Object|Map.<*,Object>>} A promise of the results of the reducers by name or, if grouped,
+     * of the map from group keys to these results.
+     */
+    aggregate(query=null, options={}) {
+        return Aggregation.aggregate(this, query, options);
+    }
+
     /**
      * Returns the index of the given name.
      * If the index does not exist, it returns undefined.
@@ -615,9 +726,11 @@ class Transaction {
      * The state is only written to the persistent backend if no other transaction is open.
      * If the commit was successful, new transactions will always be based on the new state.
      * There are two outcomes for a commit:
-     * If there was no other transaction committed that was based on the same state,
-     * it will be successful and change the transaction's state to COMMITTED (returning true).
-     * Otherwise, the state will be CONFLICTED and the method will return false.
+     * If no transaction committed since this transaction has been created changed any of the keys
+     * or index ranges read by this transaction, it will be successful and
+     * change the transaction's state to COMMITTED (returning true).
+     * Otherwise, the state will be CONFLICTED, the method will return false
+     * and the conflicting keys are available via the conflict property.
      *
      * Note that transactions may fail since secondary index constraints are *not* checked in transactions.
      * @param {Transaction} [tx] The transaction to be applied, only used internally.
@@ -639,11 +752,35 @@ class Transaction {
             return this._dependency.commit();
         }
 
+        // Materialised views and eviction records of the object store are updated in the same atomic commit.
+        if (!this.nested && this._objectStore !== null && (this._objectStore.views.size > 0 || this._objectStore._eviction)) {
+            return new CombinedTransaction(this).commit();
+        }
+
+        await this._rewriteUpgraded();
         await this._checkConstraints();
 
         return this._commitBackend();
     }
 
+    /**
+     * Rewrites the values this transaction has read that were stored by an outdated codec version,
+     * so that they are stored upgraded along with the transaction's changes.
+     * Since only values that have been read are rewritten, this does not cause additional conflicts.
+     * @returns {Promise}
+     * @protected
+     */
+    async _rewriteUpgraded() {
+        if (this._upgradedKeys === null || this._readSet === null || this._truncated) return;
+        for (const key of Array.from(this._upgradedKeys)) {
+            if (this._modified.has(key) || this._removed.has(key) || !this._readSet.includesKey(key)) continue;
+            const value = await this._get(key, { includeExpired: true });
+            if (value !== undefined) {
+                this._put(key, value);
+            }
+        }
+    }
+
     /**
      * Aborts a transaction and (if this was the last open transaction) potentially
      * persists the most recent, committed state.
@@ -711,7 +848,10 @@ class Transaction {
         }
 
         const commitStart = Date.now();
-        if (await this._managingBackend.commit(this)) {
+        const committed = await this._managingBackend.commit(this);
+        // The read set is not needed anymore once the transaction is closed.
+        this._readSet = null;
+        if (committed) {
             this._state = Transaction.STATE.COMMITTED;
             this._performanceCheck(commitStart, 'commit');
             this._performanceCheck();
@@ -780,6 +920,90 @@ class Transaction {
      */
     _setParent(parent) {
         this._parent = parent;
+        for (const index of this._indices.values()) {
+            index._setBackend(parent);
+        }
+    }
+
+    /**
+     * Records that a primary key has been read from the base state.
+     * @param {*} key The primary key.
+     * @protected
+     */
+    _recordKey(key) {
+        if (this._readSet !== null) {
+            this._readSet.addKey(key);
+        }
+    }
+
+    /**
+     * Records that a range of primary keys has been read from the base state.
+     * @param {KeyRange} [query] The range of primary keys, or null for all keys.
+     * @protected
+     */
+    _recordRange(query) {
+        if (this._readSet !== null) {
+            this._readSet.addRange(query);
+        }
+    }
+
+    /**
+     * Records that a range of a secondary index has been read from the base state.
+     * @param {TransactionIndex} index The index that has been queried.
+     * @param {string} name The name of the index.
+     * @param {KeyRange} query The range of secondary keys, or null for the whole index.
+     * @param {Iterable.<*>} keys The primary keys returned by the query.
+     * @protected
+     */
+    _recordIndexRange(index, name, query, keys) {
+        if (this._readSet !== null) {
+            this._readSet.addIndexRange(index, name, query, keys);
+        }
+    }
+
+    /**
+     * Returns the changes of this transaction together with the values they replace in its base state.
+     * The replaced values are recorded as read, so that the commit fails if they are changed concurrently.
+     * If the transaction truncated the object store, the replaced values are undefined.
+     * @returns {Promise.<Array.<ObjectStoreChange>>} A promise of the changes.
+     * @protected
+     */
+    async _readChanges() {
+        const oldValue = key => {
+            if (this._truncated) return undefined;
+            this._recordKey(key);
+            return this._parent.get(key, { includeExpired: true });
+        };
+        const changes = [];
+        for (const key of this._removed) {
+            changes.push({ key, oldValue: await oldValue(key), newValue: undefined, removed: true });
+        }
+        for (const [key, value] of this._modified) {
+            changes.push({ key, oldValue: await oldValue(key), newValue: value, removed: false });
+        }
+        return changes;
+    }
+
+    /**
+     * Checks whether any of the given committed transactions changed data this transaction has read.
+     * @param {Array.<Transaction>} transactions The transactions committed since this transaction has been created.
+     * @returns {?TransactionConflictError} An error describing the conflict, or null if there is none.
+     * @protected
+     */
+    _findConflict(transactions) {
+        if (this._readSet === null) {
+            return null;
+        }
+        const keys = new Set();
+        for (const tx of transactions) {
+            if (tx._truncated && !this._readSet.empty) {
+                return new TransactionConflictError(this, [], true);
+            }
+            for (const key of this._readSet.conflicts(tx)) {
+                keys.add(key);
+            }
+        }
+        return keys.size > 0 ? new TransactionConflictError(this, Array.from(keys)) : null;
     }
 
     /**
@@ -807,6 +1031,15 @@ class Transaction {
         return true;
     }
 
+    /**
+     * Stores the error describing why the transaction could not be committed.
+     * @param {TransactionConflictError} conflict The error describing the conflict.
+     * @protected
+     */
+    _setConflict(conflict) {
+        this._conflict = conflict;
+    }
+
     /**
      * Sets the state to aborted.
      */
@@ -855,6 +1088,18 @@ class Transaction {
      * @protected
      */
     async _checkConstraints() {
+        // Values may have been modified after they have been put, so validate them again.
+        if (this._validator) {
+            try {
+                for (const [key, value] of this._modified) {
+                    this._validator.validate(key, value);
+                }
+            } catch (e) {
+                await this.abort();
+                throw e;
+            }
+        }
+
         // Check unique indices.
         // TODO: Improve performance (|modified| count queries).
         const constraintChecks = [];
@@ -900,7 +1145,7 @@ Transaction.WATCHDOG_TIMER = 5000 /*ms*/;
  * New transactions are in the state OPEN until they are aborted, committed or a nested transaction is created.
  * Aborted transactions move to the state ABORTED.
  * Committed transactions move to the state COMMITTED,
- * if no other transaction has been applied to the same state.
+ * if no transaction applied to the same state in the meantime changed data they have read.
  * Otherwise, they change their state to CONFLICTED.
  * When creating a nested (not read-isolated) transaction on top of a transaction,
  * the outer transaction moves to the state NESTED until the inner transaction is either aborted or committed.
@@ -0,0 +1,40 @@
+/**
+ * This error describes why a transaction could not be committed:
+ * Transactions committed concurrently changed data the transaction has read.
+ */
+class TransactionConflictError extends Error {
+    /**
+     * @param {Transaction} tx The conflicted transaction.
+     * @param {Array.<*>} keys The primary keys that have been changed concurrently.
+     * @param {boolean} [truncated] Whether the object store has been truncated concurrently.
+     */
+    constructor(tx, keys, truncated = false) {
+        let message = `Transaction ${tx.id} conflicts with concurrent changes`;
+        if (truncated) {
+            message = `Transaction ${tx.id} conflicts with a concurrent truncation of the object store`;
+        } else if (keys.length > 0) {
+            message = `Transaction ${tx.id} conflicts with concurrent changes to the keys ${keys.join(', ')}`;
+        }
+        super(message);
+        this.name = 'TransactionConflictError';
+        this._transactionId = tx.id;
+        this._keys = keys;
+        this._truncated = truncated;
+    }
+
+    /** @type {number} The id of the conflicted transaction. */
+    get transactionId() {
+        return this._transactionId;
+    }
+
+    /** @type {Array.<*>} The primary keys that have been changed concurrently. */
+    get keys() {
+        return this._keys;
+    }
+
+    /** @type {boolean} Whether the object store has been truncated concurrently. */
+    get truncated() {
+        return this._truncated;
+    }
+}
+Class.register(TransactionConflictError);
@@ -13,7 +13,7 @@ class TransactionIndex extends InMemoryIndex {
     static derive(objectStore, backend) {
         const indices = new Map();
         for (const [name, index] of backend.indices) {
-            indices.set(name, new TransactionIndex(objectStore, backend, name, index.keyPath, index.multiEntry, index.unique));
+            indices.set(name, new TransactionIndex(objectStore, backend, name, index.keyPath, index.multiEntry, index.unique, index.compound));
         }
         return indices;
     }
@@ -23,18 +23,28 @@ class TransactionIndex extends InMemoryIndex {
         return this._backend.index(this._databaseDir);
     }
 
+    /**
+     * Changes the backend underlying the transaction, e.g., when the transaction is rebased on a new state.
+     * @param {IObjectStore} backend The new backend.
+     * @protected
+     */
+    _setBackend(backend) {
+        this._backend = backend;
+    }
+
     /**
      * Constructs a new TransactionIndex serving the transaction's changes
      * and unifying the results with the underlying backend.
      * @param {Transaction} objectStore The transaction the index should be based on.
      * @param {IObjectStore} backend The backend underlying the transaction.
-     * @param {string|Array.<string>} keyPath The key path of the indexed attribute.
+     * @param {string|Array.<string>|ComputedKeyPath} keyPath The key path of the indexed attribute.
      * @param {boolean} [multiEntry] Whether the indexed attribute is considered to be iterable or not.
      * @param {boolean} [unique] Whether there is a unique constraint on the attribute.
+     * @param {boolean} [compound] Whether the key path is an array of key paths.
      * @protected
      */
-    constructor(objectStore, backend, name, keyPath, multiEntry = false, unique = false) {
-        super(objectStore, keyPath, multiEntry, unique);
+    constructor(objectStore, backend, name, keyPath, multiEntry = false, unique = false, compound = false) {
+        super(objectStore, keyPath, multiEntry, unique, compound);
         this._backend = backend;
         this._databaseDir = name;
     }
@@ -84,6 +94,9 @@ class TransactionIndex extends InMemoryIndex {
         }
         promises.push(InMemoryIndex.prototype.keys.call(this, query, limit));
         let [/** @type {Set} */ keys, /** @type {Set} */ newKeys] = await Promise.all(promises);
+        if (!this._objectStore._truncated) {
+            this._objectStore._recordIndexRange(this, this._databaseDir, query, keys);
+        }
         // Remove keys that have been deleted or modified.
         keys = keys.difference(this._objectStore._removed);
         keys = keys.difference(this._objectStore._modified.keys());
@@ -128,14 +141,15 @@ class TransactionIndex extends InMemoryIndex {
             backendKeys = new Set();
         } else {
             backendKeys = await this._index.maxKeys(query);
+            this._objectStore._recordIndexRange(this, this._databaseDir, query, backendKeys);
         }
 
         // Remove keys that have been deleted or modified.
         let sampleElement = Set.sampleElement(backendKeys);
         let value = undefined, maxIKey = undefined;
         if (sampleElement !== undefined) {
-            value = await this._backend.get(sampleElement);
-            maxIKey = ObjectUtils.byKeyPath(value, this.keyPath);
+            value = await this._backend.get(sampleElement, { includeExpired: true });
+            maxIKey = this._indexKey(sampleElement, value);
         }
         backendKeys = backendKeys.difference(this._objectStore._removed);
         backendKeys = backendKeys.difference(this._objectStore._modified.keys());
@@ -147,8 +161,8 @@ class TransactionIndex extends InMemoryIndex {
             // Remove keys that have been deleted or modified.
             sampleElement = Set.sampleElement(backendKeys);
             if (sampleElement !== undefined) {
-                value = await this._backend.get(sampleElement);
-                maxIKey = ObjectUtils.byKeyPath(value, this.keyPath);
+                value = await this._backend.get(sampleElement, { includeExpired: true });
+                maxIKey = this._indexKey(sampleElement, value);
             }
             backendKeys = backendKeys.difference(this._objectStore._removed);
             backendKeys = backendKeys.difference(this._objectStore._modified.keys());
@@ -169,10 +183,11 @@ class TransactionIndex extends InMemoryIndex {
         }
 
         // Both contain elements, check which one is larger.
-        const valueTx = await this._objectStore.get(Set.sampleElement(newKeys));
+        const keyTx = Set.sampleElement(newKeys);
+        const valueTx = await this._objectStore.get(keyTx, { includeExpired: true });
 
         const iKeyBackend = maxIKey;
-        const iKeyTx = ObjectUtils.byKeyPath(valueTx, this.keyPath);
+        const iKeyTx = this._indexKey(keyTx, valueTx);
 
         if (ComparisonUtils.compare(iKeyBackend, iKeyTx) > 0) {
             return backendKeys;
@@ -207,14 +222,15 @@ class TransactionIndex extends InMemoryIndex {
             backendKeys = new Set();
         } else {
             backendKeys = await this._index.minKeys(query);
+            this._objectStore._recordIndexRange(this, this._databaseDir, query, backendKeys);
         }
 
         // Remove keys that have been deleted or modified.
         let sampleElement = Set.sampleElement(backendKeys);
         let value = undefined, minIKey = undefined;
         if (sampleElement !== undefined) {
-            value = await this._backend.get(sampleElement);
-            minIKey = ObjectUtils.byKeyPath(value, this.keyPath);
+            value = await this._backend.get(sampleElement, { includeExpired: true });
+            minIKey = this._indexKey(sampleElement, value);
         }
         backendKeys = backendKeys.difference(this._objectStore._removed);
         backendKeys = backendKeys.difference(this._objectStore._modified.keys());
@@ -226,8 +242,8 @@ class TransactionIndex extends InMemoryIndex {
             // Remove keys that have been deleted or modified.
             sampleElement = Set.sampleElement(backendKeys);
             if (sampleElement !== undefined) {
-                value = await this._backend.get(sampleElement);
-                minIKey = ObjectUtils.byKeyPath(value, this.keyPath);
+                value = await this._backend.get(sampleElement, { includeExpired: true });
+                minIKey = this._indexKey(sampleElement, value);
             }
             backendKeys = backendKeys.difference(this._objectStore._removed);
             backendKeys = backendKeys.difference(this._objectStore._modified.keys());
@@ -248,10 +264,11 @@ class TransactionIndex extends InMemoryIndex {
         }
 
         // Both contain elements, check which one is larger.
-        const valueTx = await this._objectStore.get(Set.sampleElement(newKeys));
+        const keyTx = Set.sampleElement(newKeys);
+        const valueTx = await this._objectStore.get(keyTx, { includeExpired: true });
 
         const iKeyBackend = minIKey;
-        const iKeyTx = ObjectUtils.byKeyPath(valueTx, this.keyPath);
+        const iKeyTx = this._indexKey(keyTx, valueTx);
 
         if (ComparisonUtils.compare(iKeyBackend, iKeyTx) < 0) {
             return backendKeys;
@@ -261,6 +278,144 @@ class TransactionIndex extends InMemoryIndex {
         return backendKeys.union(newKeys);
     }
 
+    /**
+     * Iterates over the primary keys in a given range and direction.
+     * The order is determined by the secondary keys first and by the primary keys second.
+     * The callback is called for each primary key fulfilling the query
+     * until it returns false and stops the iteration.
+     * @param {function(key:string):boolean} callback A predicate called for each key until returning false.
+     * @param {boolean} ascending Determines the direction of traversal.
+     * @param {KeyRange} query An optional KeyRange to narrow down the iteration space.
+     * @returns {Promise} The promise resolves after all elements have been streamed.
+     */
+    keyStream(callback, ascending=true, query=null) {
+        return this._mergedStream(entry => callback(entry.key), ascending, query);
+    }
+
+    /**
+     * Iterates over the values in a given range and direction.
+     * The order is determined by the secondary keys first and by the primary keys second.
+     * The callback is called for each value and primary key fulfilling the query
+     * until it returns false and stops the iteration.
+     * @param {function(value:*, key:string):boolean} callback A predicate called for each value and key until returning false.
+     * @param {boolean} ascending Determines the direction of traversal.
+     * @param {KeyRange} query An optional KeyRange to narrow down the iteration space.
+     * @returns {Promise} The promise resolves after all elements have been streamed.
+     */
+    valueStream(callback, ascending=true, query=null) {
+        return this._mergedStream(entry => callback(entry.value, entry.key), ascending, query);
+    }
+
+    /**
+     * Merges the entries changed by the transaction into the stream of the backend's index.
+     * Since the backend's index only streams primary keys, they are read in batches of TransactionIndex.BATCH_SIZE
+     * and their secondary keys are derived from the values, so that the changed entries can be interleaved.
+     * Backend entries that have been removed or modified by the transaction are skipped.
+     * @param {function(entry:{iKey:*, key:*, value:*}):boolean} callback A predicate called for each entry until returning false.
+     * @param {boolean} ascending Determines the direction of traversal.
+     * @param {KeyRange} query An optional KeyRange to narrow down the iteration space.
+     * @returns {Promise} The promise resolves after all entries have been streamed.
+     * @private
+     */
+    async _mergedStream(callback, ascending, query) {
+        const order = (a, b) => (ComparisonUtils.compare(a.iKey, b.iKey) || ComparisonUtils.compare(a.key, b.key)) * (ascending ? 1 : -1);
+        const txEntries = await this._changedEntries(order, query);
+        let txIndex = 0;
+        // Passes the changed entries preceding the given entry (or all remaining ones) to the callback.
+        const flush = entry => {
+            while (txIndex < txEntries.length && (!entry || order(txEntries[txIndex], entry) < 0)) {
+                if (!callback(txEntries[txIndex++])) return false;
+            }
+            return true;
+        };
+
+        if (!this._objectStore._truncated) {
+            this._objectStore._recordIndexRange(this, this._databaseDir, query, []);
+            let range = query, skip = 0, last = null, lastCount = 0;
+            for (;;) {
+                const keys = [];
+                await this._index.keyStream(key => {
+                    // Skip the entries of the previous batch that share the secondary key the batch is resumed from.
+                    if (skip > 0) {
+                        skip--;
+                        return true;
+                    }
+                    keys.push(key);
+                    return keys.length < TransactionIndex.BATCH_SIZE;
+                }, ascending, range);
+
+                for (const key of keys) {
+                    this._objectStore._recordKey(key);
+                    const value = await this._backend.get(key, { includeExpired: true });
+                    const entry = { iKey: this._nextIndexKey(key, value, order, query, last), key, value };
+                    lastCount = last && ComparisonUtils.equals(last.iKey, entry.iKey) ? lastCount + 1 : 1;
+                    last = entry;
+                    if (this._objectStore._removed.has(key) || this._objectStore._modified.has(key)) continue;
+                    if (!flush(entry) || !callback(entry)) return;
+                }
+
+                if (keys.length < TransactionIndex.BATCH_SIZE) break;
+                // Resume from the last secondary key, since further entries may share it.
+                range = ascending
+                    ? KeyRange.bound(last.iKey, query ? query.upper : undefined, false, query ? query.upperOpen : false)
+                    : KeyRange.bound(query ? query.lower : undefined, last.iKey, query ? query.lowerOpen : false, false);
+                skip = lastCount;
+            }
+        }
+        flush(null);
+    }
+
+    /**
+     * Collects the entries changed by the transaction within a range in the order of the stream.
+     * Entries of multiEntry indices occur once for each of their secondary keys within the range.
+     * @param {function(a:{iKey:*, key:*}, b:{iKey:*, key:*}):number} order The order of the stream.
+     * @param {KeyRange} query An optional KeyRange to narrow down the entries.
+     * @returns {Promise.<Array.<{iKey:*, key:*, value:*}>>} A promise of the ordered entries.
+     * @private
+     */
+    async _changedEntries(order, query) {
+        const entries = [];
+        for (const key of await InMemoryIndex.prototype.keys.call(this, query)) {
+            const value = await this._objectStore.get(key, { includeExpired: true });
+            let iKey = this._indexKey(key, value);
+            if (!this.multiEntry || !Array.isArray(iKey)) {
+                iKey = [iKey];
+            }
+            for (const component of iKey) {
+                if (!(query instanceof KeyRange) || query.includes(component)) {
+                    entries.push({ iKey: component, key, value });
+                }
+            }
+        }
+        entries.sort(order);
+        // Multiple occurrences of the same secondary key within an entry are indexed once.
+        return entries.filter((entry, i) => i === 0 || order(entry, entries[i - 1]) !== 0);
+    }
+
+    /**
+     * Determines the secondary key under which the backend's index streams an entry.
+     * An entry of a multiEntry index occurs once for each of its secondary keys,
+     * so the secondary key is the first one succeeding the previously streamed entry.
+     * @param {*} key The primary key of the entry.
+     * @param {*} value The value of the entry.
+     * @param {function(a:{iKey:*, key:*}, b:{iKey:*, key:*}):number} order The order of the stream.
+     * @param {KeyRange} query An optional KeyRange narrowing down the stream.
+     * @param {?{iKey:*, key:*}} last The previously streamed entry.
+     * @returns {*} The secondary key.
+     * @private
+     */
+    _nextIndexKey(key, value, order, query, last) {
+        const iKey = this._indexKey(key, value);
+        if (!this.multiEntry || !Array.isArray(iKey)) {
+            return iKey;
+        }
+        const candidates = iKey.filter(component => !(query instanceof KeyRange) || query.includes(component))
+            .map(component => ({ iKey: component, key }))
+            .sort(order);
+        const next = candidates.find(candidate => last === null || order(candidate, last) > 0);
+        return next ? next.iKey : undefined;
+    }
+
     /**
      * Returns the count of entries, whose secondary key is in the given range.
      * If the optional query is not given, it returns the count of entries in the index.
@@ -273,4 +428,6 @@ class TransactionIndex extends InMemoryIndex {
         return (await this.keys(query)).size;
     }
 }
+/** @type {number} The number of primary keys read from the backend's index at once while streaming. */
+TransactionIndex.BATCH_SIZE = 100;
 Class.register(TransactionIndex);
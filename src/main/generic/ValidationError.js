@@ -0,0 +1,42 @@
+/**
+ * This error describes why a value has been rejected by the validator of an object store.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {*} key The primary key of the invalid value.
+     * @param {Array.<ValidationFailure>} failures The failed checks, at least one.
+     */
+    constructor(key, failures) {
+        const failure = failures[0];
+        super(`Invalid value for key ${key} at ${ValidationError.formatPath(failure.path)}: ${failure.message}`);
+        this.name = 'ValidationError';
+        this._key = key;
+        this._failures = failures;
+    }
+
+    /** @type {*} The primary key of the invalid value. */
+    get key() {
+        return this._key;
+    }
+
+    /** @type {Array.<string|number>} The path to the first failing attribute, empty for the value itself. */
+    get path() {
+        return this._failures[0].path;
+    }
+
+    /** @type {Array.<ValidationFailure>} All failed checks. */
+    get failures() {
+        return this._failures;
+    }
+
+    /**
+     * Formats a path to an attribute, e.g., as `address.lines[0]`.
+     * @param {Array.<string|number>} path The path.
+     * @returns {string} The formatted path, `<root>` for the value itself.
+     */
+    static formatPath(path) {
+        if (path.length === 0) return '<root>';
+        return path.map((component, i) => typeof component === 'number' ? `[${component}]` : (i > 0 ? `.${component}` : component)).join('');
+    }
+}
+Class.register(ValidationError);
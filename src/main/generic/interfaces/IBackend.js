@@ -21,13 +21,17 @@ class IBackend extends IReadableObjectStore {
      * { 'a': { 'b': 'key' } }
      * Secondary indices may be multiEntry, i.e., if the keyPath resolves to an iterable object, each item within can
      * be used to find this entry.
+     * Secondary indices may also be compound, i.e., the keyPath is an array of key paths (e.g., ['accountId', 'timestamp'])
+     * and the secondary key is the array of values at these paths. Compound indices cannot be multiEntry.
+     * Secondary indices may also be computed from the stored values, i.e., the keyPath is an object
+     * {compute: (value, key) => secondaryKey} whose function returns the secondary key or undefined.
      * If a new object does not possess the key path associated with that index, it is simply ignored.
      *
      * This function may only be called before the database is connected.
      * Moreover, it is only executed on database version updates or on first creation.
      * @abstract
      * @param {string} indexName The name of the index.
-     * @param {string|Array.<string>} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
      * @param {IndexConfig} [options] An options object.
      */
     createIndex(indexName, keyPath, options = {}) {} // eslint-disable-line no-unused-vars
@@ -40,6 +44,37 @@ class IBackend extends IReadableObjectStore {
      */
     deleteIndex(indexName, options = {}) {} // eslint-disable-line no-unused-vars
 
+    /**
+     * Starts building a new secondary index while connected.
+     * The index has to be updated by all transactions applied from now on, but must not be visible
+     * (via indices or index) until the build is finished.
+     * @abstract
+     * @param {string} indexName The name of the index.
+     * @param {string|Array.<string>|ComputedKeyPath} [keyPath] The path to the key within the object. May be an array for multiple levels.
+     * @param {IndexConfig} [options] An options object.
+     * @returns {Promise.<IIndex>} The empty index, which is filled using its _fill method.
+     * @protected
+     */
+    _startIndexBuild(indexName, keyPath, options = {}) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Finishes building a secondary index while connected and makes it visible.
+     * @abstract
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    _finishIndexBuild(indexName) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Deletes a secondary index while connected, including indices that are still being built.
+     * @abstract
+     * @param {string} indexName The name of the index.
+     * @returns {Promise}
+     * @protected
+     */
+    _deleteIndexOnline(indexName) {} // eslint-disable-line no-unused-vars
+
     /**
      * Checks whether an object store implements the ISynchronousObjectStore interface.
      * @abstract
@@ -29,6 +29,25 @@ class ICodec {
      */
     decode(obj, key) {} // eslint-disable-line no-unused-vars
 
+    /**
+     * Optional. The version of the codec, a positive integer.
+     * If given, values are stored along with the version and values stored by earlier versions
+     * are upgraded when decoded. Values stored before the codec declared a version have version 0.
+     * @type {number|void}
+     */
+    get version() {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Optional, but required if values of earlier versions exist. Upgrades a decoded value
+     * from the given version to the next one. It is applied repeatedly until the value reaches the current version.
+     * @abstract
+     * @param {number} fromVersion The version the value has been stored with.
+     * @param {*} value The decoded value in the shape of fromVersion.
+     * @param {string} key The object's primary key.
+     * @returns {*} The value in the shape of fromVersion + 1.
+     */
+    upgrade(fromVersion, value, key) {} // eslint-disable-line no-unused-vars
+
     /**
      * A value encoding used for the levelDB and LMDB implementation and ignored for the indexedDB.
      * For example, JungleDB.JSON_ENCODING provides a slightly modified JSON encoding supporting UInt8Arrays and Sets.
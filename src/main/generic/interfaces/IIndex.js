@@ -11,6 +11,13 @@
  * If a secondary index is a multi entry index, and the value at the key path is iterable,
  * every item of the iterable value will be associated with the object.
  *
+ * If a secondary index is a compound index, the key path is an array of key paths
+ * and the secondary key is the array of values at these paths (e.g., [accountId, timestamp]).
+ * Compound keys are ordered lexicographically.
+ *
+ * The secondary keys of computed indices are the results of a function on the stored values
+ * (e.g., a lower-cased name) instead of the values at a key path.
+ *
  * All methods with the `Keys` suffix return a set of primary keys,
  * while the given key ranges are evaluated on the secondary index and
  * thus on the value at the specified key path.
@@ -24,7 +31,7 @@ class IIndex {
      * For example, ['a', 'b'] could be used to use 'key' as the key in the following object:
      * { 'a': { 'b': 'key' } }
      * @abstract
-     * @type {string|Array.<string>}
+     * @type {string|Array.<string>|ComputedKeyPath}
      */
     get keyPath() {} // eslint-disable-line no-unused-vars
 
@@ -43,6 +50,14 @@ class IIndex {
      */
     get unique() {} // eslint-disable-line no-unused-vars
 
+    /**
+     * This value determines whether the index is a compound index,
+     * i.e., whether its key path is an array of key paths.
+     * @abstract
+     * @type {boolean}
+     */
+    get compound() {} // eslint-disable-line no-unused-vars
+
     /**
      * Returns a promise of a set of primary keys, whose associated objects' secondary keys are in the given range.
      * If the optional query is not given, it returns all primary keys in the index.
@@ -27,6 +27,51 @@ class IJungleDB {
     /** @type {boolean} Whether a connection is established. */
     get connected() {} // eslint-disable-line no-unused-vars
 
+    /**
+     * The sequence number of the last commit recorded in the changelog,
+     * or null if the changelog is not enabled.
+     * @type {?number}
+     */
+    get changelogSequence() {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Returns the changelog entries with a sequence number greater than the given one in ascending order.
+     * Each entry contains the changes of a single commit to persistent object stores.
+     * @abstract
+     * @param {number} [sequence] The sequence number after which to start (defaults to the beginning).
+     * @param {number} [limit] Limits the number of entries if given.
+     * @returns {Promise.<Array.<ChangelogEntry>>} A promise of the entries.
+     */
+    async readChangelog(sequence = 0, limit = null) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Removes all changelog entries with a sequence number less than or equal to the given one.
+     * The sequence numbers of future commits are not affected.
+     * @abstract
+     * @param {number} sequence The sequence number up to which entries are removed.
+     * @returns {Promise} The promise resolves after pruning the changelog.
+     */
+    async pruneChangelog(sequence) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Writes a consistent point-in-time dump of the object stores to a writable stream
+     * in a portable, backend-independent format.
+     * @abstract
+     * @param {{write:function(data:string):boolean}} stream The writable stream.
+     * @param {BackupConfig} [options] Options to restrict the backup.
+     * @returns {Promise.<number>} A promise of the number of entries written.
+     */
+    backup(stream, options = {}) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Restores a backup created by the backup method from a readable stream.
+     * This method has to be called on a new database instead of connecting to it.
+     * @abstract
+     * @param {{on:function(event:string, listener:function(*))}} stream The readable stream.
+     * @returns {Promise.<{dbVersion:number, objectStores:Array.<string>, count:number}>} A promise of information on the restored backup.
+     */
+    restore(stream) {} // eslint-disable-line no-unused-vars
+
     /**
      * Returns the ObjectStore object for a given table name.
      * @abstract
@@ -78,4 +123,31 @@ class IJungleDB {
      * @returns {Promise.<boolean>} A promise of the success outcome.
      */
     static commitCombined(tx1, tx2, ...txs) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Runs the given function on fresh transactions of the given object stores and commits them atomically.
+     * If the commit fails due to a conflict, new transactions are opened on the most recent states
+     * and the function is replayed, until the maximum number of retries is exhausted.
+     * The function must not commit or abort the transactions itself.
+     * @abstract
+     * @param {Array.<ObjectStore>} objectStores The object stores to open transactions on.
+     * @param {function(...Transaction):Promise.<*>} fn The function to run on the transactions (in the order of the object stores).
+     * @param {RetryConfig} [options] Options to control the retries.
+     * @returns {Promise.<*>} A promise of the function's result once the transactions have been committed.
+     * @throws {TransactionConflictError} If the transactions could not be committed after all retries.
+     */
+    static runCombined(objectStores, fn, options = {}) {} // eslint-disable-line no-unused-vars
+
+    /**
+     * Migrates all persistent object stores of a database to a database of another backend.
+     * The target database must not be connected yet; its object stores and indices are created
+     * with the source's codecs, key encodings and index options before connecting.
+     * Records are copied in batches and an interrupted migration is resumed when called again.
+     * @abstract
+     * @param {JungleDB} source The database to migrate from.
+     * @param {JungleDB} target The unconnected database to migrate to.
+     * @param {MigrationConfig} [options] Options for the migration.
+     * @returns {Promise.<{objectStores:Array.<string>, count:number}>} A promise of the migrated object stores and the number of records copied.
+     */
+    static migrate(source, target, options = {}) {} // eslint-disable-line no-unused-vars
 }
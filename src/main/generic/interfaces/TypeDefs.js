@@ -9,6 +9,53 @@
  * @property {ILMDBEncoding|ILevelDBEncoding} [keyEncoding]
  * @property {ILMDBEncoding} [lmdbKeyEncoding]
  * @property {ILevelDBEncoding} [leveldbKeyEncoding]
+ * @property {Object|function(value:*, key:*):(boolean|string)} [validator] A JSON Schema (subset) or function validating the values written.
+ * @property {number} [maxEntries] Evicts the least recently used entries when the object store holds more entries.
+ * @property {number} [maxBytes] Evicts the least recently used entries when the estimated size of the entries exceeds this number of bytes.
+ * @property {string} [evictionPolicy] Whether entries are used by writes only ('write', default) or also by reads ('read').
+ * @property {boolean} [rewriteUpgraded] Rewrites values read from an outdated codec version on the next commit of the transaction.
+ */
+
+/**
+ * @typedef {object} ValidationFailure
+ * @property {Array.<string|number>} path The path to the failing attribute, empty for the value itself.
+ * @property {string} message A description of the failed check.
+ */
+
+/**
+ * @typedef {object} EvictionConfig
+ * @property {number} [maxEntries] The maximum number of entries.
+ * @property {number} [maxBytes] The maximum estimated size of the keys and encoded values in bytes.
+ * @property {string} [evictionPolicy] One of EvictionManager.Policy (default: 'write').
+ * @property {boolean|function(oldVersion:number, newVersion:number):boolean} [upgradeCondition]
+ * @property {ILMDBEncoding|ILevelDBEncoding} [keyEncoding]
+ * @property {ILMDBEncoding} [lmdbKeyEncoding]
+ * @property {ILevelDBEncoding} [leveldbKeyEncoding]
+ */
+
+/**
+ * @typedef {object} CompressionConfig
+ * @property {number} [threshold] The minimum size in bytes for a value to be compressed (default: 256).
+ */
+
+/**
+ * @typedef {object} EncryptionConfig
+ * @property {Object.<string,Uint8Array>} [keys] The known keys by their ids.
+ * @property {string} [keyId] The id of the key used to encrypt values.
+ */
+
+/**
+ * @typedef {object} ReencodeConfig
+ * @property {number} [batchSize] The maximum number of entries rewritten per transaction (default: 1000).
+ * @property {boolean} [all] Rewrites all entries instead of only those stored by an outdated codec version (default: false).
+ */
+
+/**
+ * @typedef {object} EvictionPlan
+ * @property {Transaction} transaction The transaction updating the companion object store.
+ * @property {number} entries The change in the number of entries.
+ * @property {number} bytes The change in the estimated size.
+ * @property {Map.<*,number>} reads The reads recorded by the transaction.
  */
 
 
@@ -16,19 +63,177 @@
  * @typedef {object} IndexConfig
  * @property {boolean} [multiEntry] default: false
  * @property {boolean} [unique] default: false
+ * @property {boolean} [compound] Whether the key path is an array of key paths forming a compound key (default: false).
  * @property {boolean|function(oldVersion:number, newVersion:number):boolean} [upgradeCondition]
  * @property {ILMDBEncoding|ILevelDBEncoding} [keyEncoding]
  * @property {ILMDBEncoding} [lmdbKeyEncoding]
  * @property {ILevelDBEncoding} [leveldbKeyEncoding]
+ * @property {number} [batchSize] The number of entries added per step when building the index while connected.
+ * @property {function(progress:IndexBuildProgress)} [onProgress] Called after each step when building the index while connected.
+ */
+
+/**
+ * @typedef {object} IndexBuildProgress
+ * @property {string} indexName The name of the index being built.
+ * @property {number} processed The number of entries of the snapshot processed so far.
+ * @property {number} total The number of entries in the snapshot the index is built from.
+ */
+
+/**
+ * @typedef {object} IndexInconsistency
+ * @property {*} key The primary key of the affected entry.
+ * @property {Array.<*>} expected The secondary keys derived from the stored value.
+ * @property {Array.<*>} actual The secondary keys the index holds for the primary key.
+ */
+
+/**
+ * @typedef {object} IndexVerificationResult
+ * @property {string} indexName The name of the verified index.
+ * @property {boolean} valid Whether the index agrees with the object store.
+ * @property {number} checked The number of entries of the object store checked.
+ * @property {Array.<IndexInconsistency>} missing Entries that should be indexed, but are not.
+ * @property {Array.<IndexInconsistency>} extra Entries that are indexed, but should not be (or do not exist).
+ * @property {Array.<IndexInconsistency>} mismatched Entries that are indexed under wrong secondary keys.
+ */
+
+/**
+ * The key path of a computed index.
+ * The compute function is called with each stored value and its primary key
+ * and returns the secondary key (or undefined if the value should not be indexed).
+ * Persistent backends rebuild the index whenever the source code of the function changes.
+ * @typedef {object} ComputedKeyPath
+ * @property {function(value:*, key:string):*} compute
+ */
+
+/**
+ * @typedef {object} QueryConditionBuilder
+ * @property {function(value:*):Query} ne Matches all entries whose attribute exists and differs from the value.
+ * @property {function(values:Array):Query} in Matches all entries whose attribute equals one of the values.
+ * @property {function(regex:RegExp):Query} matches Matches all entries whose attribute is a string matching the regular expression.
+ */
+
+/**
+ * @typedef {object} Reducer
+ * @property {function():*} init Returns the initial state.
+ * @property {function(state:*, value:*, key:string):*} step Returns the state after processing an entry.
+ * @property {function(state:*, value:*, key:string):*} [remove] Returns the state after removing an entry that has been processed before.
+ * Required for materialised views.
+ * @property {function(state:*):*} [result] Returns the result for the final state (default: the state itself).
+ */
+
+/**
+ * @typedef {object} AggregationConfig
+ * @property {string|Array.<string>|function(value:*, key:string):*} [groupBy] The key path or function determining the group of an entry.
+ * Entries whose group key is undefined are skipped.
+ * @property {Object.<string,Reducer>} reduce The reducers by the name of their results.
+ */
+
+/**
+ * @typedef {object} MaterializedViewConfig
+ * @property {string|Array.<string>|function(value:*, key:string):*} groupBy The key path or function determining the group of an entry.
+ * Entries whose group key is undefined are skipped.
+ * @property {Object.<string,Reducer>} reduce The reducers by the name of their results.
+ * @property {*} [keyEncoding] The key encoding of the view's object store (persistent views only).
+ */
+
+/**
+ * @typedef {object} QueryPlan
+ * @property {Query.Strategy} strategy How the (sub)query is executed.
+ * @property {?string} indexName The index that is read (for filtered conjunctions: the index streamed).
+ * @property {?number} estimate The estimated number of results (an upper bound for conjunctions), if known.
+ * @property {Array.<QueryPlan>} children The plans of the subqueries. For filtered conjunctions, the streamed subquery comes first.
+ */
+
+/**
+ * @typedef {object} FindConfig
+ * @property {string} [orderBy] The name of the index to order the results by (default: the primary key).
+ * @property {boolean} [descending] Whether to return the results in descending order (default: false).
+ * @property {number} [limit] The maximum number of results per page (default: all results).
+ * @property {string} [after] The cursor returned with the previous page.
+ */
+
+/**
+ * @typedef {object} FindResult
+ * @property {Array.<*>} keys The primary keys of the page's entries.
+ * @property {Array.<*>} values The values of the page's entries.
+ * @property {?string} cursor The cursor to retrieve the next page with, or null if there are no further results.
+ */
+
+/**
+ * @typedef {object} RetryConfig
+ * @property {number} [maxRetries] The maximum number of retries after a conflict (default: 10).
+ * @property {number|function(attempt:number):number} [backoff] The delay in milliseconds before a retry,
+ * or a function returning the delay for a given retry attempt (default: 0).
+ */
+
+/**
+ * @typedef {object} ObjectStoreChange
+ * @property {*} key The primary key of the changed entry.
+ * @property {*} oldValue The value before the change (undefined if the entry did not exist).
+ * @property {*} newValue The value after the change (undefined if the entry has been removed).
+ * @property {boolean} removed Whether the entry has been removed.
+ */
+
+/**
+ * @typedef {object} QueryObserverResult
+ * @property {Set.<*>} keys The current set of primary keys fulfilling the query.
+ * @property {Set.<*>} added The primary keys that newly fulfill the query.
+ * @property {Set.<*>} removed The primary keys that do not fulfill the query anymore.
+ * @property {Set.<*>} changed The primary keys that still fulfill the query, but whose values changed.
+ */
+
+/**
+ * @typedef {object} BackupConfig
+ * @property {Array.<string>} [objectStores] The names of the object stores to back up (defaults to all object stores).
+ */
+
+/**
+ * @typedef {object} ChangelogChange
+ * @property {string} tableName The name of the object store that has been changed.
+ * @property {boolean} truncated Whether the object store has been emptied before applying the other changes.
+ * @property {Array.<*>} removed The primary keys that have been removed.
+ * @property {Array.<Array>} modified The [key, value] pairs that have been written.
+ */
+
+/**
+ * @typedef {object} ChangelogEntry
+ * @property {number} sequence The sequence number of the commit.
+ * @property {Array.<ChangelogChange>} changes The changes of all object stores involved in the commit.
+ */
+
+/**
+ * @typedef {object} MigrationConfig
+ * @property {number} [batchSize] The maximum number of records copied per commit (default: 1000).
+ * @property {function(progress:MigrationProgress)} [onProgress] Is called after each committed batch.
+ */
+
+/**
+ * @typedef {object} MigrationProgress
+ * @property {string} tableName The name of the object store being migrated.
+ * @property {number} migrated The number of records of the object store that have been copied so far.
+ * @property {number} total The total number of records in the object store.
+ */
+
+/**
+ * @typedef {object} PutConfig
+ * @property {number} [ttl] The time to live of the entry in milliseconds. Requires expiry to be enabled on the object store.
+ */
+
+/**
+ * @typedef {object} ExpiryConfig
+ * @property {number} [purgeInterval] The interval in milliseconds between background purges, 0 disables them (default: 60000).
+ * @property {number} [batchSize] The number of expired entries removed per transaction (default: 1000).
  */
 
 /**
  * @typedef {object} RetrievalConfig
  * @property {boolean} [raw] default: false
+ * @property {boolean} [includeExpired] Also returns entries that have expired but have not been purged yet (default: false).
  */
 
 /**
  * @typedef {object} SyncRetrievalConfig
  * @property {boolean} [raw] Raw retrieval without decoding (default: false).
+ * @property {boolean} [includeExpired] Also returns entries that have expired but have not been purged yet (default: false).
  * @property {boolean} [expectPresence] Method throws an error if key is not available by synchronous retrieval (default: true).
  */
@@ -249,7 +249,7 @@ class InnerNode extends Node {
     getItem(key) {
         const len = this._keys.length;
         for (let i=0; i<len; ++i) {
-            if (key < this._keys[i]) return i;
+            if (ComparisonUtils.compare(key, this._keys[i]) < 0) return i;
         }
         return this._keys.length;
     }
@@ -0,0 +1,296 @@
+/**
+ * Utils that are related to backing up and restoring databases.
+ * Backups use a portable, backend-independent format of newline-delimited JSON:
+ * a header with the database version and the object store and index definitions including their key encodings,
+ * one line per entry with the value encoded by the object store's codec,
+ * and a trailer containing the number of entries.
+ */
+class BackupUtils {
+    /**
+     * Writes a consistent point-in-time dump of the given object stores to a writable stream.
+     * The snapshots of all object stores are taken at the same time.
+     * The stream is not ended.
+     * @param {JungleDB} jdb The connected database to back up.
+     * @param {{write:function(data:string):boolean, once:?function(event:string, listener:function())}} stream The writable stream.
+     * @param {BackupConfig} [options] Options to restrict the backup.
+     * @returns {Promise.<number>} A promise of the number of entries written.
+     */
+    static async backup(jdb, stream, options = {}) {
+        const { objectStores = null } = options || {};
+        if (!jdb.connected) throw new Error('JungleDB is not connected');
+
+        const tableNames = objectStores || Array.from(jdb._objectStores.keys());
+        const stores = tableNames.map(tableName => {
+            const objectStore = jdb.getObjectStore(tableName);
+            if (!objectStore) throw new Error(`Unknown object store ${tableName}`);
+            return objectStore;
+        });
+
+        // Take all snapshots at once to obtain a consistent state.
+        const snapshots = stores.map(objectStore => objectStore.snapshot());
+        let count = 0;
+        try {
+            await BackupUtils._write(stream, {
+                type: 'header',
+                format: BackupUtils.FORMAT_VERSION,
+                dbVersion: jdb._dbVersion,
+                objectStores: tableNames.map((tableName, i) => ({
+                    tableName,
+                    // Codecs cannot be serialised, object stores using them need to be created before restoring.
+                    codec: !!stores[i]._backend.codec,
+                    keyEncoding: BackupUtils._encodingName(jdb, stores[i]._backend.keyEncoding),
+                    indices: Array.from(stores[i].indices).map(([name, index]) => ({
+                        name,
+                        // Compute functions cannot be serialised, computed indices need to be created before restoring.
+                        keyPath: ObjectUtils.isComputedKeyPath(index.keyPath) ? null : index.keyPath,
+                        multiEntry: index.multiEntry,
+                        unique: index.unique,
+                        compound: index.compound,
+                        computed: ObjectUtils.isComputedKeyPath(index.keyPath),
+                        keyEncoding: BackupUtils._encodingName(jdb, index.keyEncoding)
+                    }))
+                }))
+            });
+
+            for (let i = 0; i < stores.length; ++i) {
+                count += await BackupUtils._writeEntries(stream, tableNames[i], stores[i], snapshots[i]);
+            }
+
+            await BackupUtils._write(stream, { type: 'end', count });
+        } finally {
+            await Promise.all(snapshots.map(snapshot => snapshot.abort()));
+        }
+        return count;
+    }
+
+    /**
+     * Writes the entries of an object store's snapshot page by page,
+     * so that only a single page of entries is kept in memory.
+     * @param {{write:function(data:string):boolean, once:?function(event:string, listener:function())}} stream
+     * @param {string} tableName
+     * @param {ObjectStore} objectStore
+     * @param {Snapshot} snapshot
+     * @returns {Promise.<number>} The number of entries written.
+     * @private
+     */
+    static async _writeEntries(stream, tableName, objectStore, snapshot) {
+        let count = 0, range = null, page;
+        do {
+            page = [];
+            await snapshot.valueStream((value, key) => {
+                page.push({ type: 'entry', tableName, key, value: objectStore._backend.encode(value) });
+                return page.length < BackupUtils.BATCH_SIZE;
+            }, true, range);
+            for (const entry of page) {
+                await BackupUtils._write(stream, entry);
+            }
+            count += page.length;
+            if (page.length > 0) {
+                range = KeyRange.lowerBound(page[page.length - 1].key, true);
+            }
+        } while (page.length >= BackupUtils.BATCH_SIZE);
+        return count;
+    }
+
+    /**
+     * Restores a backup from a readable stream.
+     * The database must not be connected yet. Object stores and indices contained in the backup are created
+     * with their key encodings (they can be created beforehand to specify other options), then the database is connected
+     * and the restored object stores are replaced by the backup's contents.
+     * The contents are staged in one transaction per object store, which are only committed together
+     * after the whole backup has been read and validated, so that an invalid backup leaves the object stores unchanged.
+     * Object stores using codecs or custom key encodings and computed indices need to be created beforehand,
+     * since functions are not part of the backup.
+     * @param {JungleDB} jdb The database to restore the backup to.
+     * @param {{on:function(event:string, listener:function(*)), pause:?function(), resume:?function()}} stream The readable stream.
+     * @returns {Promise.<{dbVersion:number, objectStores:Array.<string>, count:number}>} A promise of information on the restored backup.
+     */
+    static async restore(jdb, stream) {
+        if (jdb.connected) throw new Error('Cannot restore while connected');
+
+        let header = null, count = 0, finished = false;
+        /** @type {Map.<string,Transaction>} */
+        const transactions = new Map();
+
+        try {
+            await BackupUtils._readLines(stream, async line => {
+                const message = JSONUtils.parse(line);
+                if (header === null) {
+                    if (message.type !== 'header' || message.format !== BackupUtils.FORMAT_VERSION) {
+                        throw new Error('Invalid backup format');
+                    }
+                    if (message.dbVersion > jdb._dbVersion) {
+                        throw new Error(`Backup requires database version ${message.dbVersion}`);
+                    }
+                    header = message;
+                    BackupUtils._createObjectStores(jdb, header.objectStores);
+
+                    await jdb.connect();
+                    for (const { tableName } of header.objectStores) {
+                        const tx = jdb.getObjectStore(tableName).transaction();
+                        await tx.truncate();
+                        transactions.set(tableName, tx);
+                    }
+                    return;
+                }
+
+                if (finished) throw new Error('Invalid backup format');
+                switch (message.type) {
+                    case 'entry': {
+                        const tx = transactions.get(message.tableName);
+                        if (!tx) throw new Error('Invalid backup format');
+                        await tx.put(message.key, jdb.getObjectStore(message.tableName)._backend.decode(message.value, message.key));
+                        count++;
+                        break;
+                    }
+                    case 'end':
+                        if (message.count !== count) throw new Error('Backup is corrupted');
+                        finished = true;
+                        break;
+                    default:
+                        throw new Error('Invalid backup format');
+                }
+            });
+            if (!finished) throw new Error('Backup is incomplete');
+        } catch (e) {
+            await Promise.all(Array.from(transactions.values()).map(tx => tx.abort()));
+            throw e;
+        }
+
+        const txs = Array.from(transactions.values());
+        const success = txs.length > 1 ? await JungleDB.commitCombined(...txs) : await txs[0].commit();
+        if (!success) throw new Error('Could not commit restored entries');
+        return { dbVersion: header.dbVersion, objectStores: header.objectStores.map(({ tableName }) => tableName), count };
+    }
+
+    /**
+     * Creates the object stores and indices of a backup header that have not been created beforehand.
+     * @param {JungleDB} jdb
+     * @param {Array.<object>} objectStores The object store definitions of the header.
+     * @private
+     */
+    static _createObjectStores(jdb, objectStores) {
+        for (const { tableName, codec = false, keyEncoding = null, indices } of objectStores) {
+            let objectStore = jdb.getObjectStore(tableName);
+            if (!objectStore) {
+                if (codec) throw new Error(`Object store ${tableName} uses a codec and must be created before restoring`);
+                objectStore = jdb.createObjectStore(tableName, {
+                    keyEncoding: BackupUtils._encodingByName(jdb, keyEncoding, tableName)
+                });
+            }
+            for (const { name, keyPath, multiEntry, unique, compound = false, computed = false, keyEncoding = null } of indices) {
+                if (objectStore._backend.indices.has(name)) continue;
+                if (computed) throw new Error(`Computed index ${name} of ${tableName} must be created before restoring`);
+                objectStore.createIndex(name, keyPath, {
+                    multiEntry,
+                    unique,
+                    compound,
+                    keyEncoding: BackupUtils._encodingByName(jdb, keyEncoding, `${tableName}.${name}`)
+                });
+            }
+        }
+    }
+
+    /**
+     * Determines the name of an encoding constant of the database's backend.
+     * @param {JungleDB} jdb
+     * @param {*} encoding
+     * @returns {?string} The name, null if no encoding is set or BackupUtils.CUSTOM_ENCODING for custom encodings.
+     * @private
+     */
+    static _encodingName(jdb, encoding) {
+        if (encoding === null || encoding === undefined) return null;
+        for (const name of BackupUtils.ENCODINGS) {
+            if (jdb.constructor[name] === encoding) return name;
+        }
+        return BackupUtils.CUSTOM_ENCODING;
+    }
+
+    /**
+     * Translates the name of an encoding constant to the database's backend.
+     * @param {JungleDB} jdb
+     * @param {?string} name
+     * @param {string} target The object store or index using the encoding, used in errors.
+     * @returns {*}
+     * @private
+     */
+    static _encodingByName(jdb, name, target) {
+        if (name === null) return null;
+        if (name === BackupUtils.CUSTOM_ENCODING) throw new Error(`${target} uses a custom key encoding and must be created before restoring`);
+        return jdb.constructor[name];
+    }
+
+    /**
+     * Writes a single line to the stream and waits for it to drain if necessary.
+     * @param {{write:function(data:string):boolean, once:?function(event:string, listener:function())}} stream
+     * @param {object} message
+     * @returns {Promise}
+     * @private
+     */
+    static _write(stream, message) {
+        if (stream.write(`${JSONUtils.stringify(message)}\n`) === false && typeof stream.once === 'function') {
+            return new Promise(resolve => stream.once('drain', resolve));
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Reads a stream line by line and processes the lines one after another.
+     * The stream is paused while lines are being processed.
+     * @param {{on:function(event:string, listener:function(*)), pause:?function(), resume:?function()}} stream
+     * @param {function(line:string):Promise} callback
+     * @returns {Promise} The promise resolves after the stream ended and all lines have been processed.
+     * @private
+     */
+    static _readLines(stream, callback) {
+        return new Promise((resolve, reject) => {
+            const decoder = new Utf8StreamDecoder();
+            let buffer = '';
+            let failed = false;
+            const synchronizer = new Synchronizer();
+            const processLines = lines => synchronizer.push(async () => {
+                if (failed) return;
+                for (const line of lines) {
+                    if (line.length > 0) {
+                        await callback(line);
+                    }
+                }
+            }).catch(e => {
+                failed = true;
+                reject(e);
+            });
+
+            stream.on('data', chunk => {
+                buffer += decoder.write(chunk);
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                if (typeof stream.pause === 'function') stream.pause();
+                processLines(lines).then(() => {
+                    if (!failed && typeof stream.resume === 'function') stream.resume();
+                });
+            });
+            stream.on('error', e => {
+                failed = true;
+                reject(e);
+            });
+            stream.on('end', () => {
+                processLines([buffer + decoder.end()]).then(() => {
+                    if (!failed) resolve();
+                });
+            });
+        });
+    }
+}
+/** @type {number} The version of the backup format. */
+BackupUtils.FORMAT_VERSION = 1;
+/** @type {number} The number of entries read from a snapshot at once. */
+BackupUtils.BATCH_SIZE = 1000;
+/** @type {string} The encoding name recorded for custom encodings, which cannot be serialised. */
+BackupUtils.CUSTOM_ENCODING = 'custom';
+/**
+ * The names of the backend specific encodings, which are translated by name between backends.
+ * Generic encodings are checked first, since some backends alias the number encoding to it.
+ * @type {Array.<string>}
+ */
+BackupUtils.ENCODINGS = ['JSON_ENCODING', 'BINARY_ENCODING', 'STRING_ENCODING', 'GENERIC_ENCODING', 'NUMBER_ENCODING', 'TUPLE_ENCODING'];
+Class.register(BackupUtils);
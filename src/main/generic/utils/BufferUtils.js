@@ -114,6 +114,64 @@ class BufferUtils {
         return BufferUtils.fromBase64(base64);
     }
 
+    /**
+     * @param {string} string
+     * @return {Uint8Array}
+     */
+    static fromUtf8(string) {
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode(string);
+        }
+        const bytes = [];
+        for (let i = 0; i < string.length; i++) {
+            let codePoint = string.charCodeAt(i);
+            // Combine surrogate pairs.
+            if (codePoint >= 0xD800 && codePoint < 0xDC00 && i + 1 < string.length) {
+                const low = string.charCodeAt(i + 1);
+                if (low >= 0xDC00 && low < 0xE000) {
+                    codePoint = 0x10000 + ((codePoint - 0xD800) << 10) + (low - 0xDC00);
+                    i++;
+                }
+            }
+            if (codePoint < 0x80) {
+                bytes.push(codePoint);
+            } else if (codePoint < 0x800) {
+                bytes.push(0xC0 | (codePoint >> 6), 0x80 | (codePoint & 0x3F));
+            } else if (codePoint < 0x10000) {
+                bytes.push(0xE0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3F), 0x80 | (codePoint & 0x3F));
+            } else {
+                bytes.push(0xF0 | (codePoint >> 18), 0x80 | ((codePoint >> 12) & 0x3F), 0x80 | ((codePoint >> 6) & 0x3F), 0x80 | (codePoint & 0x3F));
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * @param {Uint8Array} buffer
+     * @return {string}
+     */
+    static toUtf8(buffer) {
+        if (typeof TextDecoder !== 'undefined') {
+            return new TextDecoder('utf-8').decode(buffer);
+        }
+        let string = '';
+        for (let i = 0; i < buffer.length;) {
+            const byte = buffer[i++];
+            let codePoint;
+            if (byte < 0x80) {
+                codePoint = byte;
+            } else if (byte < 0xE0) {
+                codePoint = ((byte & 0x1F) << 6) | (buffer[i++] & 0x3F);
+            } else if (byte < 0xF0) {
+                codePoint = ((byte & 0x0F) << 12) | ((buffer[i++] & 0x3F) << 6) | (buffer[i++] & 0x3F);
+            } else {
+                codePoint = ((byte & 0x07) << 18) | ((buffer[i++] & 0x3F) << 12) | ((buffer[i++] & 0x3F) << 6) | (buffer[i++] & 0x3F);
+            }
+            string += String.fromCodePoint(codePoint);
+        }
+        return string;
+    }
+
     /**
      * @param {*} a
      * @param {*} b
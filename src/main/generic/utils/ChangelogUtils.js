@@ -0,0 +1,84 @@
+/**
+ * Utils that are related to the persistent changelog.
+ * The changelog stores the changes of each committed transaction with values encoded by the object store's codec.
+ */
+class ChangelogUtils {
+    /**
+     * Records the changes of a transaction that is applied to a persistent backend.
+     * @param {IBackend} backend The backend the transaction is applied to.
+     * @param {Transaction} tx The transaction.
+     * @returns {ChangelogChange} The changes with encoded values.
+     */
+    static encodeChanges(backend, tx) {
+        const modified = [];
+        for (const [key, value] of tx._modified) {
+            modified.push([key, backend.encode(value)]);
+        }
+        return {
+            tableName: backend.tableName,
+            truncated: tx._truncated,
+            removed: Array.from(tx._removed),
+            modified
+        };
+    }
+
+    /**
+     * Records the changes of all transactions of a combined transaction that are applied to persistent backends.
+     * @param {CombinedTransaction} combinedTx The combined transaction.
+     * @returns {Array.<ChangelogChange>} The changes with encoded values.
+     */
+    static encodeCombinedChanges(combinedTx) {
+        return combinedTx.transactions
+            .filter(tx => !(tx.objectStore._backend instanceof InMemoryBackend))
+            .map(tx => ChangelogUtils.encodeChanges(tx.objectStore._backend, tx));
+    }
+
+    /**
+     * Encodes the values of a changelog entry using the codecs of the respective object stores,
+     * e.g., to send it to another database.
+     * This is the inverse of decodeEntry.
+     * @param {JungleDB} jdb The database the changelog belongs to.
+     * @param {ChangelogEntry} entry The decoded entry.
+     * @returns {ChangelogEntry} The entry with encoded values.
+     */
+    static encodeEntry(jdb, entry) {
+        return {
+            sequence: entry.sequence,
+            changes: entry.changes.map(change => {
+                const objectStore = jdb.getObjectStore(change.tableName);
+                if (!objectStore) return change;
+                return {
+                    tableName: change.tableName,
+                    truncated: change.truncated,
+                    removed: change.removed,
+                    modified: change.modified.map(([key, value]) => [key, objectStore._backend.encode(value)])
+                };
+            })
+        };
+    }
+
+    /**
+     * Decodes the values of a stored changelog entry using the codecs of the respective object stores.
+     * Values of object stores that do not exist (anymore) are returned as stored.
+     * @param {JungleDB} jdb The database the changelog belongs to.
+     * @param {number} sequence The sequence number of the entry.
+     * @param {Array.<ChangelogChange>} changes The stored changes.
+     * @returns {ChangelogEntry} The decoded entry.
+     */
+    static decodeEntry(jdb, sequence, changes) {
+        return {
+            sequence,
+            changes: changes.map(change => {
+                const objectStore = jdb.getObjectStore(change.tableName);
+                if (!objectStore) return change;
+                return {
+                    tableName: change.tableName,
+                    truncated: change.truncated,
+                    removed: change.removed,
+                    modified: change.modified.map(([key, value]) => [key, objectStore._backend.decode(value, key)])
+                };
+            })
+        };
+    }
+}
+Class.register(ChangelogUtils);
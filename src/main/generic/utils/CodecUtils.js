@@ -0,0 +1,109 @@
+/**
+ * Applies codecs to values written to and read from backends.
+ * If a codec declares a version, values are stored along with it and values stored
+ * by earlier versions are upgraded step by step when decoded. Values stored before the codec
+ * declared a version have version 0.
+ */
+class CodecUtils {
+    /**
+     * Encodes a value with a codec, tagging it with the codec's version if it declares one.
+     * @param {?ICodec} codec The codec, may be null.
+     * @param {*} value The value to encode.
+     * @returns {*} The encoded value.
+     */
+    static encode(codec, value) {
+        if (codec === null || codec === undefined) {
+            return value;
+        }
+        const encoded = codec.encode(value);
+        const version = CodecUtils.versionOf(codec);
+        if (version === null) {
+            return encoded;
+        }
+
+        if (encoded instanceof Uint8Array) {
+            const frame = new Uint8Array(CodecUtils.HEADER_SIZE + encoded.length);
+            frame.set(CodecUtils.MAGIC, 0);
+            new DataView(frame.buffer).setUint32(CodecUtils.MAGIC.length, version);
+            frame.set(encoded, CodecUtils.HEADER_SIZE);
+            return frame;
+        }
+        const versioned = JSONUtils.typedObject(CodecUtils.TYPE, encoded);
+        versioned.version = version;
+        return versioned;
+    }
+
+    /**
+     * Decodes a value with a codec and upgrades it if it has been stored by an earlier version of the codec.
+     * @param {?ICodec} codec The codec, may be null.
+     * @param {*} value The stored value.
+     * @param {string} key The primary key of the value.
+     * @param {Set.<string>} [upgradedKeys] Collects the keys of upgraded values.
+     * @returns {*} The decoded value.
+     */
+    static decode(codec, value, key, upgradedKeys) {
+        if (codec === null || codec === undefined) {
+            return value;
+        }
+        const version = CodecUtils.versionOf(codec);
+        if (version === null) {
+            return codec.decode(value, key);
+        }
+
+        const stored = CodecUtils.unwrap(value);
+        if (stored.version > version) {
+            throw new Error(`Value for key ${key} has been stored by codec version ${stored.version}, newer than ${version}`);
+        }
+        let decoded = codec.decode(stored.value, key);
+        if (stored.version < version) {
+            if (typeof codec.upgrade !== 'function') {
+                throw new Error(`Codec cannot upgrade values from version ${stored.version}`);
+            }
+            for (let from = stored.version; from < version; from++) {
+                decoded = codec.upgrade(from, decoded, key);
+            }
+            if (upgradedKeys) {
+                upgradedKeys.add(key);
+            }
+        }
+        return decoded;
+    }
+
+    /**
+     * Splits a stored value into the codec version it has been stored with and the encoded value.
+     * @param {*} value The stored value.
+     * @returns {{version:number, value:*}}
+     */
+    static unwrap(value) {
+        if (value instanceof Uint8Array && value.length >= CodecUtils.HEADER_SIZE
+            && value[0] === CodecUtils.MAGIC[0] && value[1] === CodecUtils.MAGIC[1]) {
+            const version = new DataView(value.buffer, value.byteOffset, value.byteLength).getUint32(CodecUtils.MAGIC.length);
+            return { version, value: value.subarray(CodecUtils.HEADER_SIZE) };
+        }
+        if (value && value[JSONUtils.TYPE_SYMBOL] === CodecUtils.TYPE) {
+            return { version: value.version, value: value[JSONUtils.VALUE_SYMBOL] };
+        }
+        return { version: 0, value };
+    }
+
+    /**
+     * @param {?ICodec} codec
+     * @returns {?number} The version declared by the codec or null.
+     */
+    static versionOf(codec) {
+        if (codec === null || codec === undefined || codec.version === undefined || codec.version === null) {
+            return null;
+        }
+        if (!Number.isInteger(codec.version) || codec.version < 1 || codec.version > 0xffffffff) {
+            throw new Error('Codec version must be a positive integer');
+        }
+        return codec.version;
+    }
+}
+/** @type {Uint8Array} Tags binary values, 0xF5 never occurs in UTF-8 and is not a GenericValueEncoding type. */
+CodecUtils.MAGIC = new Uint8Array([0xF5, 0x56]);
+/** @type {number} The magic bytes followed by the version as a 32 bit integer. */
+CodecUtils.HEADER_SIZE = 6;
+/** @type {string} The type of other values, which are wrapped into a JSONUtils typed object. */
+CodecUtils.TYPE = 'Versioned';
+Class.register(CodecUtils);
@@ -14,6 +14,11 @@ class ComparisonUtils {
         // ArrayBuffer/Uint8Array/Buffer
         if (ComparisonUtils.isUint8Array(a) && ComparisonUtils.isUint8Array(b)) return BufferUtils.equals(new Uint8Array(a), new Uint8Array(b));
 
+        // Array (e.g., keys of compound indices)
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((component, i) => ComparisonUtils.equals(component, b[i]));
+        }
+
         return false;
     }
 
@@ -23,13 +28,58 @@ class ComparisonUtils {
      * @return {boolean}
      */
     static compare(a, b) {
+        // The sentinel used in bounds of compound keys is greater than any other value.
+        if (a === KeyRange.MAX_COMPONENT || b === KeyRange.MAX_COMPONENT) {
+            if (a === b) return 0;
+            return a === KeyRange.MAX_COMPONENT ? 1 : -1;
+        }
+
         // ArrayBuffer/Uint8Array/Buffer
         if (ComparisonUtils.isUint8Array(a) && ComparisonUtils.isUint8Array(b)) return BufferUtils.compare(new Uint8Array(a), new Uint8Array(b));
 
-        // Primitive values
+        // Arrays are compared lexicographically and are greater than any other value.
+        const aIsArray = Array.isArray(a), bIsArray = Array.isArray(b);
+        if (aIsArray || bIsArray) {
+            if (!aIsArray) return -1;
+            if (!bIsArray) return 1;
+            for (let i = 0; i < Math.min(a.length, b.length); ++i) {
+                const result = ComparisonUtils.compare(a[i], b[i]);
+                if (result !== 0) return result;
+            }
+            return Math.sign(a.length - b.length);
+        }
+
+        // Binary data is greater than numbers and strings, as in their order-preserving encoding.
+        const aIsBinary = ComparisonUtils.isUint8Array(a), bIsBinary = ComparisonUtils.isUint8Array(b);
+        if (aIsBinary !== bIsBinary && ComparisonUtils._typeRank(a) > 0 && ComparisonUtils._typeRank(b) > 0) {
+            return aIsBinary ? 1 : -1;
+        }
+
+        // Primitive values (numbers and BigInts are compared by value)
         if (a < b) return -1;
         if (a > b) return 1;
 
+        // A number sorts before a BigInt of the same value.
+        if (typeof a === 'number' && ComparisonUtils.isBigInt(b)) return a == b ? -1 : 0; // eslint-disable-line eqeqeq
+        if (ComparisonUtils.isBigInt(a) && typeof b === 'number') return a == b ? 1 : 0; // eslint-disable-line eqeqeq
+
+        // Values that cannot be compared (e.g., numbers and non-numeric strings) are ordered by their type:
+        // numbers and BigInts sort before strings.
+        const aRank = ComparisonUtils._typeRank(a), bRank = ComparisonUtils._typeRank(b);
+        if (aRank !== bRank && aRank > 0 && bRank > 0) return Math.sign(aRank - bRank);
+
+        return 0;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {number} The rank of the value's type among key types or 0 for other types.
+     * @private
+     */
+    static _typeRank(value) {
+        if (typeof value === 'number' || ComparisonUtils.isBigInt(value)) return 1;
+        if (typeof value === 'string') return 2;
+        if (ComparisonUtils.isUint8Array(value)) return 3;
         return 0;
     }
 
@@ -41,5 +91,13 @@ class ComparisonUtils {
         if (typeof Buffer !== 'undefined' && typeof window === 'undefined' && obj instanceof Buffer) return true;
         return ArrayBuffer.isView(obj) || obj instanceof ArrayBuffer;
     }
+
+    /**
+     * @param {*} obj
+     * @returns {boolean}
+     */
+    static isBigInt(obj) {
+        return typeof obj === 'bigint'; // eslint-disable-line valid-typeof
+    }
 }
 Class.register(ComparisonUtils);
@@ -0,0 +1,174 @@
+/**
+ * A pure JavaScript implementation of the LZ4 block format.
+ * It is used by the CompressionCodec and runs in browsers as well as in NodeJS.
+ */
+class CompressionUtils {
+    /**
+     * Compresses a buffer into an LZ4 block.
+     * @param {Uint8Array} input The uncompressed data.
+     * @returns {Uint8Array} The compressed block.
+     */
+    static compressLZ4(input) {
+        const length = input.length;
+        const output = new Uint8Array(length + Math.ceil(length / 255) + 16);
+        let op = 0;
+        let anchor = 0;
+
+        if (length >= CompressionUtils.LZ4_MIN_LENGTH) {
+            const table = new Int32Array(1 << CompressionUtils.LZ4_HASH_BITS).fill(-1);
+            // A match may not start within the last 12 bytes and the last 5 bytes are always literals.
+            const matchStartLimit = length - CompressionUtils.LZ4_MIN_LENGTH + 1;
+            const matchEndLimit = length - CompressionUtils.LZ4_LAST_LITERALS;
+
+            let ip = 0;
+            while (ip < matchStartLimit) {
+                const sequence = CompressionUtils._read32(input, ip);
+                const hash = Math.imul(sequence, 2654435761) >>> (32 - CompressionUtils.LZ4_HASH_BITS);
+                const ref = table[hash];
+                table[hash] = ip;
+                if (ref < 0 || ip - ref > CompressionUtils.LZ4_MAX_OFFSET || CompressionUtils._read32(input, ref) !== sequence) {
+                    ip++;
+                    continue;
+                }
+
+                // Extend the match backwards into the pending literals and forwards as far as allowed.
+                let start = ip;
+                let matchStart = ref;
+                while (start > anchor && matchStart > 0 && input[start - 1] === input[matchStart - 1]) {
+                    start--;
+                    matchStart--;
+                }
+                let end = ip + 4;
+                while (end < matchEndLimit && input[end] === input[ref + end - ip]) {
+                    end++;
+                }
+
+                op = CompressionUtils._writeSequence(output, op, input, anchor, start, start - matchStart, end - start);
+                ip = end;
+                anchor = end;
+            }
+        }
+
+        op = CompressionUtils._writeSequence(output, op, input, anchor, length, 0, 0);
+        return output.slice(0, op);
+    }
+
+    /**
+     * Decompresses an LZ4 block.
+     * @param {Uint8Array} input The compressed block.
+     * @param {number} length The length of the uncompressed data.
+     * @returns {Uint8Array} The uncompressed data.
+     */
+    static decompressLZ4(input, length) {
+        const output = new Uint8Array(length);
+        let ip = 0;
+        let op = 0;
+
+        while (ip < input.length) {
+            const token = input[ip++];
+
+            let literals = token >>> 4;
+            if (literals === 15) {
+                let byte;
+                do {
+                    if (ip >= input.length) throw new Error('Malformed LZ4 block');
+                    byte = input[ip++];
+                    literals += byte;
+                } while (byte === 255);
+            }
+            if (ip + literals > input.length || op + literals > length) throw new Error('Malformed LZ4 block');
+            output.set(input.subarray(ip, ip + literals), op);
+            ip += literals;
+            op += literals;
+
+            // The last sequence only consists of literals.
+            if (ip === input.length) break;
+
+            if (ip + 2 > input.length) throw new Error('Malformed LZ4 block');
+            const offset = input[ip] | (input[ip + 1] << 8);
+            ip += 2;
+            if (offset === 0 || offset > op) throw new Error('Malformed LZ4 block');
+
+            let matchLength = (token & 15) + 4;
+            if ((token & 15) === 15) {
+                let byte;
+                do {
+                    if (ip >= input.length) throw new Error('Malformed LZ4 block');
+                    byte = input[ip++];
+                    matchLength += byte;
+                } while (byte === 255);
+            }
+            if (op + matchLength > length) throw new Error('Malformed LZ4 block');
+            // Matches may overlap the bytes they produce, so copy byte by byte.
+            for (let i = 0; i < matchLength; i++) {
+                output[op + i] = output[op - offset + i];
+            }
+            op += matchLength;
+        }
+
+        if (op !== length) throw new Error('Malformed LZ4 block');
+        return output;
+    }
+
+    /**
+     * @param {Uint8Array} buffer
+     * @param {number} i
+     * @returns {number}
+     * @private
+     */
+    static _read32(buffer, i) {
+        return buffer[i] | (buffer[i + 1] << 8) | (buffer[i + 2] << 16) | (buffer[i + 3] << 24);
+    }
+
+    /**
+     * Writes the literals input[anchor..end) followed by a match, which is omitted if matchLength is 0.
+     * @param {Uint8Array} output
+     * @param {number} op
+     * @param {Uint8Array} input
+     * @param {number} anchor
+     * @param {number} end
+     * @param {number} offset
+     * @param {number} matchLength
+     * @returns {number} The new output position.
+     * @private
+     */
+    static _writeSequence(output, op, input, anchor, end, offset, matchLength) {
+        const literals = end - anchor;
+        const matchCode = matchLength > 0 ? matchLength - 4 : 0;
+        output[op++] = (Math.min(literals, 15) << 4) | Math.min(matchCode, 15);
+        op = CompressionUtils._writeLength(output, op, literals);
+        output.set(input.subarray(anchor, end), op);
+        op += literals;
+
+        if (matchLength > 0) {
+            output[op++] = offset & 0xff;
+            output[op++] = offset >>> 8;
+            op = CompressionUtils._writeLength(output, op, matchCode);
+        }
+        return op;
+    }
+
+    /**
+     * Writes the remainder of a length that does not fit into its token nibble.
+     * @param {Uint8Array} output
+     * @param {number} op
+     * @param {number} length
+     * @returns {number} The new output position.
+     * @private
+     */
+    static _writeLength(output, op, length) {
+        if (length < 15) return op;
+        let rest = length - 15;
+        while (rest >= 255) {
+            output[op++] = 255;
+            rest -= 255;
+        }
+        output[op++] = rest;
+        return op;
+    }
+}
+CompressionUtils.LZ4_HASH_BITS = 16;
+CompressionUtils.LZ4_MAX_OFFSET = 65535;
+CompressionUtils.LZ4_MIN_LENGTH = 13;
+CompressionUtils.LZ4_LAST_LITERALS = 5;
+Class.register(CompressionUtils);
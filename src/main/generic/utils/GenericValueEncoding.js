@@ -12,6 +12,17 @@ class GenericValueEncoding {
         return dv.getUint32(1) * Math.pow(2, 32) + dv.getUint32(5);
     }
 
+    static _encodeBigInt(value) {
+        const encoded = TupleUtils.encodeBigInt(value);
+        const binary = new Uint8Array(encoded.length + 1);
+        binary[0] = GenericValueEncoding.Type.BIGINT;
+        binary.set(encoded, 1);
+        return binary;
+    }
+    static _decodeBigInt(binary) {
+        return TupleUtils.decodeBigInt(binary, 1)[0];
+    }
+
     static _encodeString(string, type = GenericValueEncoding.Type.STRING) {
         const buf = new Uint8Array(string.length + 1);
         buf[0] = type;
@@ -46,6 +57,9 @@ class GenericValueEncoding {
         if (Number.isInteger(data)) {
             return GenericValueEncoding._encodeInteger(data);
         }
+        if (ComparisonUtils.isBigInt(data)) {
+            return GenericValueEncoding._encodeBigInt(data);
+        }
         if (typeof data === 'string') {
             return this._encodeString(data);
         }
@@ -65,6 +79,8 @@ class GenericValueEncoding {
                 return GenericValueEncoding._decodeString(data);
             case GenericValueEncoding.Type.BUFFER:
                 return GenericValueEncoding._decodeBuffer(data);
+            case GenericValueEncoding.Type.BIGINT:
+                return GenericValueEncoding._decodeBigInt(data);
             default:
                 return GenericValueEncoding._decodeOther(data);
         }
@@ -79,6 +95,7 @@ GenericValueEncoding.Type = {
     INTEGER: 0,
     STRING: 1,
     JSON: 2,
-    BUFFER: 3
+    BUFFER: 3,
+    BIGINT: 4
 };
 Class.register(GenericValueEncoding);
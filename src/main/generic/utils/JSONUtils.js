@@ -14,6 +14,8 @@ class JSONUtils {
                     return BufferUtils.fromBase64(value[JSONUtils.VALUE_SYMBOL]);
                 case 'Set':
                     return Set.from(value[JSONUtils.VALUE_SYMBOL]);
+                case 'BigInt':
+                    return BigInt(value[JSONUtils.VALUE_SYMBOL]);
             }
         }
         return value;
@@ -26,6 +28,9 @@ class JSONUtils {
         if (value instanceof Set) {
             return JSONUtils.typedObject('Set', Array.from(value));
         }
+        if (ComparisonUtils.isBigInt(value)) {
+            return JSONUtils.typedObject('BigInt', value.toString());
+        }
         return value;
     }
 
@@ -0,0 +1,174 @@
+/**
+ * Utils that are related to migrating databases between backends.
+ * The source and target databases may originate from different builds (e.g., the LevelDB and the LMDB build).
+ * Hence, objects of the source must only be accessed through their public interface,
+ * and backend specific constants are translated by name.
+ */
+class MigrationUtils {
+    /**
+     * Copies all persistent object stores of the source database to the target database.
+     * The target database must not be connected yet. Object stores and indices of the source are created
+     * on the target with the same codec, key encoding and index options
+     * (object stores can be created beforehand to specify different options), then the database is connected.
+     * Records are streamed in key order and copied in batches. Each batch is committed together with the last key copied,
+     * so that an interrupted migration resumes after it when called again.
+     * The source database must not be modified during the migration.
+     * @param {JungleDB} source The database to migrate from.
+     * @param {JungleDB} target The unconnected database to migrate to.
+     * @param {MigrationConfig} [options] Options for the migration.
+     * @returns {Promise.<{objectStores:Array.<string>, count:number}>} A promise of the migrated object stores and the number of records copied.
+     */
+    static async migrate(source, target, options = {}) {
+        const { batchSize = MigrationUtils.BATCH_SIZE, onProgress = null } = options || {};
+        if (target.connected) throw new Error('Cannot migrate while the target is connected');
+        if (!source.connected) {
+            await source.connect();
+        }
+
+        const tableNames = [];
+        for (const [tableName, sourceStore] of source._objectStores) {
+            if (tableName === MigrationUtils.STATE_STORE || MigrationUtils._isVolatile(sourceStore)) continue;
+            tableNames.push(tableName);
+
+            const backend = sourceStore._backend;
+            const targetStore = target.createObjectStore(tableName, {
+                codec: MigrationUtils._mapCodec(backend.codec, source, target),
+                keyEncoding: MigrationUtils._mapEncoding(backend.keyEncoding, source, target)
+            });
+            for (const [name, index] of sourceStore.indices) {
+                if (targetStore._backend.indices.has(name)) continue;
+                targetStore.createIndex(name, index.keyPath, {
+                    multiEntry: index.multiEntry,
+                    unique: index.unique,
+                    compound: !!index.compound,
+                    keyEncoding: MigrationUtils._mapEncoding(index.keyEncoding, source, target)
+                });
+            }
+        }
+        const stateStore = target.createObjectStore(MigrationUtils.STATE_STORE);
+        await target.connect();
+
+        let count = 0;
+        for (const tableName of tableNames) {
+            count += await MigrationUtils._migrateObjectStore(target, tableName, source.getObjectStore(tableName),
+                target.getObjectStore(tableName), stateStore, batchSize, onProgress);
+        }
+        return { objectStores: tableNames, count };
+    }
+
+    /**
+     * Copies the records of a single object store, resuming after the records copied before.
+     * @param {JungleDB} target
+     * @param {string} tableName
+     * @param {ObjectStore} sourceStore
+     * @param {ObjectStore} targetStore
+     * @param {ObjectStore} stateStore
+     * @param {number} batchSize
+     * @param {?function(progress:MigrationProgress)} onProgress
+     * @returns {Promise.<number>} The number of records copied during this call.
+     * @private
+     */
+    static async _migrateObjectStore(target, tableName, sourceStore, targetStore, stateStore, batchSize, onProgress) {
+        let state = await stateStore.get(tableName);
+        if (state && state.done) return 0;
+        if (!state) {
+            // Start from scratch.
+            await targetStore.truncate();
+            let total = 0;
+            await sourceStore.keyStream(() => {
+                total++;
+                return true;
+            });
+            state = { count: 0, total, lastKey: null, done: false };
+        }
+
+        // Records are copied in key order, so the migration resumes after the last key copied.
+        let copied = 0;
+        do {
+            const batch = [];
+            const range = state.count > 0 ? KeyRange.lowerBound(state.lastKey, true) : null;
+            await sourceStore.valueStream((value, key) => {
+                batch.push([key, value]);
+                return batch.length < batchSize;
+            }, true, range);
+
+            const tx = targetStore.transaction();
+            for (const [key, value] of batch) {
+                await tx.put(key, value);
+            }
+
+            const count = state.count + batch.length;
+            state = {
+                count,
+                total: state.total,
+                lastKey: batch.length > 0 ? batch[batch.length - 1][0] : state.lastKey,
+                done: batch.length < batchSize || count >= state.total
+            };
+            const stateTx = stateStore.transaction();
+            await stateTx.put(tableName, state);
+            if (!(await target.constructor.commitCombined(tx, stateTx))) {
+                throw new Error(`Could not migrate object store ${tableName}`);
+            }
+            copied += batch.length;
+
+            if (onProgress) onProgress({ tableName, migrated: state.count, total: state.total });
+        } while (!state.done);
+        return copied;
+    }
+
+    /**
+     * Checks whether an object store is volatile.
+     * instanceof cannot be used, since the object store may originate from a different build.
+     * @param {ObjectStore} objectStore
+     * @returns {boolean}
+     * @private
+     */
+    static _isVolatile(objectStore) {
+        return objectStore._backend.constructor.name === InMemoryBackend.name;
+    }
+
+    /**
+     * Translates an encoding constant of the source's backend to the target's backend.
+     * Custom encodings are returned unchanged.
+     * @param {*} encoding
+     * @param {JungleDB} source
+     * @param {JungleDB} target
+     * @returns {*}
+     * @private
+     */
+    static _mapEncoding(encoding, source, target) {
+        if (encoding === null || encoding === undefined) return encoding;
+        for (const name of BackupUtils.ENCODINGS) {
+            if (source.constructor[name] === encoding) return target.constructor[name];
+        }
+        return encoding;
+    }
+
+    /**
+     * Translates the value encoding of a codec to the target's backend.
+     * @param {ICodec} codec
+     * @param {JungleDB} source
+     * @param {JungleDB} target
+     * @returns {ICodec}
+     * @private
+     */
+    static _mapCodec(codec, source, target) {
+        if (!codec) return codec;
+        const valueEncoding = MigrationUtils._mapEncoding(codec.valueEncoding, source, target);
+        if (valueEncoding === codec.valueEncoding) return codec;
+        return {
+            encode: value => codec.encode(value),
+            decode: (value, key) => codec.decode(value, key),
+            version: codec.version,
+            upgrade: codec.upgrade ? (fromVersion, value, key) => codec.upgrade(fromVersion, value, key) : undefined,
+            valueEncoding,
+            leveldbValueEncoding: codec.leveldbValueEncoding,
+            lmdbValueEncoding: codec.lmdbValueEncoding
+        };
+    }
+}
+/** @type {string} The name of the object store holding the target's migration state. */
+MigrationUtils.STATE_STORE = '_migration';
+/** @type {number} The default number of records copied per commit. */
+MigrationUtils.BATCH_SIZE = 1000;
+Class.register(MigrationUtils);
@@ -24,5 +24,45 @@ class ObjectUtils {
         }
         return tmp;
     }
+
+    /**
+     * This method returns the secondary key of an object for an index.
+     * For compound indices, the key path is an array of key paths and the secondary key
+     * is the array of values at each of these paths.
+     * For example, ['a', ['b', 'c']] results in the key [1, 2] for the following object:
+     * { 'a': 1, 'b': { 'c': 2 } }
+     * For computed indices, the secondary key is the result of the key path's compute function.
+     * @param {Object} obj The JS object to access.
+     * @param {string|Array.<string|Array.<string>>|ComputedKeyPath} keyPath The key path of the index.
+     * @param {boolean} [compound] Whether the index is a compound index.
+     * @param {string} [key] The primary key of the object, which is passed to compute functions.
+     * @returns {*} The secondary key or undefined if one of the paths does not exist.
+     */
+    static byIndexKeyPath(obj, keyPath, compound = false, key = undefined) {
+        if (ObjectUtils.isComputedKeyPath(keyPath)) {
+            return keyPath.compute(obj, key);
+        }
+        if (!compound) {
+            return ObjectUtils.byKeyPath(obj, keyPath);
+        }
+        const iKey = [];
+        for (const path of keyPath) {
+            const component = ObjectUtils.byKeyPath(obj, path);
+            if (component === undefined) {
+                return undefined;
+            }
+            iKey.push(component);
+        }
+        return iKey;
+    }
+
+    /**
+     * Checks whether a key path describes a computed index, i.e., an object with a compute function.
+     * @param {*} keyPath The key path of an index.
+     * @returns {boolean}
+     */
+    static isComputedKeyPath(keyPath) {
+        return keyPath !== null && typeof keyPath === 'object' && !Array.isArray(keyPath) && typeof keyPath.compute === 'function';
+    }
 }
 Class.register(ObjectUtils);
@@ -0,0 +1,53 @@
+/**
+ * Utils that are related to running transactions.
+ */
+class TransactionUtils {
+    /**
+     * Opens fresh transactions, runs the given function on them and commits them.
+     * If the commit fails due to a conflict, the whole process is repeated on the most recent state
+     * until the maximum number of retries is exhausted.
+     * The function must not commit or abort the transactions itself.
+     * If it throws, the transactions are aborted and the error is passed on.
+     * @param {function():Array.<Transaction>} open A function opening the transactions for a single attempt.
+     * @param {function(...Transaction):Promise.<*>} fn The function to run on the transactions.
+     * @param {RetryConfig} [options] Options to control the retries.
+     * @returns {Promise.<*>} A promise of the function's result once the transactions have been committed.
+     * @throws {TransactionConflictError} If the transactions could not be committed after all retries.
+     */
+    static async runWithRetries(open, fn, options = {}) {
+        const { maxRetries = TransactionUtils.DEFAULT_MAX_RETRIES, backoff = 0 } = options || {};
+
+        for (let attempt = 0; ; ++attempt) {
+            const txs = open();
+
+            let result;
+            try {
+                result = await fn(...txs);
+                if (!txs.every(tx => tx.state === Transaction.STATE.OPEN)) {
+                    throw new Error('Transactions must not be closed within the transaction function');
+                }
+            } catch (e) {
+                await Promise.all(txs.filter(tx => tx.state === Transaction.STATE.OPEN || tx.state === Transaction.STATE.NESTED).map(tx => tx.abort()));
+                throw e;
+            }
+
+            const committed = txs.length === 1 ? await txs[0].commit() : await JungleDB.commitCombined(...txs);
+            if (committed) {
+                return result;
+            }
+
+            if (attempt >= maxRetries) {
+                const conflicted = txs.find(tx => tx.conflict !== null) || txs[0];
+                throw conflicted.conflict || new TransactionConflictError(conflicted, []);
+            }
+
+            const delay = typeof backoff === 'function' ? backoff(attempt + 1) : backoff;
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+}
+/** @type {number} The number of retries if not specified otherwise. */
+TransactionUtils.DEFAULT_MAX_RETRIES = 10;
+Class.register(TransactionUtils);
@@ -0,0 +1,271 @@
+/**
+ * Utils that are related to tuples, i.e., arrays of keys as used by compound indices.
+ * Tuples are encoded in an order-preserving way: comparing two encoded tuples yields the same result
+ * as comparing the tuples lexicographically using ComparisonUtils.compare.
+ * Tuples may contain numbers, BigInts, strings, binary data and (nested) arrays of these.
+ * Within a tuple component, numbers and BigInts are ordered by value and sort before strings,
+ * strings before binary data and binary data before arrays.
+ * Unlike ComparisonUtils.compare, the encoding does not compare numbers with numeric strings by value.
+ */
+class TupleUtils {
+    /**
+     * Encodes a tuple into an order-preserving string.
+     * @param {Array} tuple The tuple to encode.
+     * @returns {string} The encoded tuple.
+     */
+    static encode(tuple) {
+        const bytes = [];
+        for (const component of tuple) {
+            TupleUtils._encodeComponent(component, bytes);
+        }
+        return BufferUtils.toBase64lex(new Uint8Array(bytes));
+    }
+
+    /**
+     * Decodes a tuple encoded by the encode method.
+     * @param {string} encoded The encoded tuple.
+     * @returns {Array} The decoded tuple.
+     */
+    static decode(encoded) {
+        const bytes = BufferUtils.fromBase64lex(encoded);
+        const tuple = [];
+        let pos = 0;
+        while (pos < bytes.length) {
+            const [component, next] = TupleUtils._decodeComponent(bytes, pos);
+            tuple.push(component);
+            pos = next;
+        }
+        return tuple;
+    }
+
+    /**
+     * Encodes a BigInt into an order-preserving byte sequence:
+     * a byte combining sign and length followed by the big-endian magnitude, whose bits are flipped for negative values.
+     * @param {BigInt} value The BigInt to encode, its magnitude may have at most 127 bytes.
+     * @returns {Uint8Array} The encoded BigInt.
+     */
+    static encodeBigInt(value) {
+        const negative = value < BigInt(0);
+        let hex = (negative ? -value : value).toString(16);
+        if (hex === '0') hex = '';
+        if (hex.length % 2) hex = `0${hex}`;
+
+        const length = hex.length / 2;
+        if (length > TupleUtils.MAX_BIGINT_LENGTH) throw new Error('BigInt too large');
+        const bytes = new Uint8Array(length + 1);
+        // Longer magnitudes sort last among positive and first among negative values.
+        bytes[0] = negative ? TupleUtils.BIGINT_ZERO - 1 - length : TupleUtils.BIGINT_ZERO + length;
+        for (let i = 0; i < length; ++i) {
+            const byte = parseInt(hex.substr(2 * i, 2), 16);
+            bytes[i + 1] = negative ? byte ^ 0xff : byte;
+        }
+        return bytes;
+    }
+
+    /**
+     * Decodes a BigInt encoded by the encodeBigInt method.
+     * @param {Uint8Array} bytes
+     * @param {number} [pos] The position of the encoded BigInt.
+     * @returns {Array} The decoded BigInt and the position after it.
+     */
+    static decodeBigInt(bytes, pos = 0) {
+        const negative = bytes[pos] < TupleUtils.BIGINT_ZERO;
+        const length = negative ? TupleUtils.BIGINT_ZERO - 1 - bytes[pos] : bytes[pos] - TupleUtils.BIGINT_ZERO;
+        if (pos + 1 + length > bytes.length) throw new Error('Invalid tuple encoding');
+        let hex = '0x0';
+        for (let i = pos + 1; i <= pos + length; ++i) {
+            const byte = negative ? bytes[i] ^ 0xff : bytes[i];
+            hex += (byte < 16 ? '0' : '') + byte.toString(16);
+        }
+        const magnitude = BigInt(hex);
+        return [negative ? -magnitude : magnitude, pos + 1 + length];
+    }
+
+    /**
+     * @param {*} component
+     * @param {Array.<number>} bytes
+     * @private
+     */
+    static _encodeComponent(component, bytes) {
+        if (component === KeyRange.MAX_COMPONENT) {
+            bytes.push(TupleUtils.Type.MAX);
+        } else if (typeof component === 'number' || ComparisonUtils.isBigInt(component)) {
+            TupleUtils._encodeNumeric(component, bytes);
+        } else if (typeof component === 'string') {
+            bytes.push(TupleUtils.Type.STRING);
+            // Strings are encoded as UTF-16 code units to preserve the ordering of JavaScript strings.
+            const buf = new Uint8Array(component.length * 2);
+            for (let i = 0; i < component.length; ++i) {
+                const code = component.charCodeAt(i);
+                buf[2 * i] = code >> 8;
+                buf[2 * i + 1] = code & 0xff;
+            }
+            TupleUtils._pushEscaped(buf, bytes);
+        } else if (ComparisonUtils.isUint8Array(component)) {
+            bytes.push(TupleUtils.Type.BINARY);
+            TupleUtils._pushEscaped(new Uint8Array(component), bytes);
+        } else if (Array.isArray(component)) {
+            bytes.push(TupleUtils.Type.ARRAY);
+            for (const item of component) {
+                TupleUtils._encodeComponent(item, bytes);
+            }
+            bytes.push(TupleUtils.TERMINATOR);
+        } else {
+            throw new Error(`Unsupported tuple component ${component}`);
+        }
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} pos
+     * @returns {Array} The decoded component and the position after it.
+     * @private
+     */
+    static _decodeComponent(bytes, pos) {
+        const type = bytes[pos++];
+        switch (type) {
+            case TupleUtils.Type.NUMBER:
+                return TupleUtils._decodeNumeric(bytes, pos);
+            case TupleUtils.Type.STRING: {
+                const [buf, next] = TupleUtils._readEscaped(bytes, pos);
+                let str = '';
+                for (let i = 0; i < buf.length; i += 2) {
+                    str += String.fromCharCode((buf[i] << 8) | buf[i + 1]);
+                }
+                return [str, next];
+            }
+            case TupleUtils.Type.BINARY:
+                return TupleUtils._readEscaped(bytes, pos);
+            case TupleUtils.Type.ARRAY: {
+                const array = [];
+                while (bytes[pos] !== TupleUtils.TERMINATOR) {
+                    const [item, next] = TupleUtils._decodeComponent(bytes, pos);
+                    array.push(item);
+                    pos = next;
+                }
+                return [array, pos + 1];
+            }
+            case TupleUtils.Type.MAX:
+                return [KeyRange.MAX_COMPONENT, pos];
+        }
+        throw new Error('Invalid tuple encoding');
+    }
+
+    /**
+     * Encodes numbers and BigInts, so that they are ordered by value.
+     * The encoding consists of the nearest double (for numbers the number itself), the difference between
+     * the value and that double as an encoded BigInt and a byte distinguishing numbers from BigInts of the same value.
+     * @param {number|BigInt} component
+     * @param {Array.<number>} bytes
+     * @private
+     */
+    static _encodeNumeric(component, bytes) {
+        const isBigInt = ComparisonUtils.isBigInt(component);
+        // -0 and 0 are equal keys.
+        const double = component === 0 ? 0 : Number(component);
+        if (!Number.isFinite(double) && isBigInt) throw new Error('BigInt too large');
+
+        bytes.push(TupleUtils.Type.NUMBER);
+        const buf = new Uint8Array(8);
+        new DataView(buf.buffer).setFloat64(0, double);
+        // Flip the sign bit of positive numbers and all bits of negative numbers to obtain a byte-wise order.
+        const negative = (buf[0] & 0x80) !== 0;
+        for (let i = 0; i < buf.length; ++i) {
+            bytes.push(negative ? buf[i] ^ 0xff : (i === 0 ? buf[i] ^ 0x80 : buf[i]));
+        }
+        for (const byte of TupleUtils.encodeBigInt(isBigInt ? component - BigInt(double) : BigInt(0))) {
+            bytes.push(byte);
+        }
+        bytes.push(isBigInt ? TupleUtils.Numeric.BIGINT : TupleUtils.Numeric.NUMBER);
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} pos The position after the type tag.
+     * @returns {Array} The decoded number or BigInt and the position after it.
+     * @private
+     */
+    static _decodeNumeric(bytes, pos) {
+        if (pos + 8 > bytes.length) throw new Error('Invalid tuple encoding');
+        const buf = bytes.slice(pos, pos + 8);
+        const negative = (buf[0] & 0x80) === 0;
+        for (let i = 0; i < buf.length; ++i) {
+            buf[i] = negative ? buf[i] ^ 0xff : (i === 0 ? buf[i] ^ 0x80 : buf[i]);
+        }
+        const double = new DataView(buf.buffer).getFloat64(0);
+        const [difference, next] = TupleUtils.decodeBigInt(bytes, pos + 8);
+        switch (bytes[next]) {
+            case TupleUtils.Numeric.NUMBER:
+                return [double, next + 1];
+            case TupleUtils.Numeric.BIGINT:
+                return [BigInt(double) + difference, next + 1];
+        }
+        throw new Error('Invalid tuple encoding');
+    }
+
+    /**
+     * Appends a byte sequence followed by a terminator.
+     * Zero bytes within the sequence are escaped, so that shorter sequences sort first.
+     * @param {Uint8Array} buf
+     * @param {Array.<number>} bytes
+     * @private
+     */
+    static _pushEscaped(buf, bytes) {
+        for (const byte of buf) {
+            bytes.push(byte);
+            if (byte === TupleUtils.TERMINATOR) {
+                bytes.push(TupleUtils.ESCAPE);
+            }
+        }
+        bytes.push(TupleUtils.TERMINATOR);
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} pos
+     * @returns {Array} The unescaped byte sequence and the position after its terminator.
+     * @private
+     */
+    static _readEscaped(bytes, pos) {
+        const buf = [];
+        while (pos < bytes.length) {
+            const byte = bytes[pos++];
+            if (byte === TupleUtils.TERMINATOR) {
+                if (bytes[pos] !== TupleUtils.ESCAPE) break;
+                pos++;
+            }
+            buf.push(byte);
+        }
+        return [new Uint8Array(buf), pos];
+    }
+}
+/**
+ * The type tags of tuple components in ascending order.
+ * @enum {number}
+ */
+TupleUtils.Type = {
+    // Numbers and BigInts
+    NUMBER: 0x10,
+    STRING: 0x20,
+    BINARY: 0x30,
+    ARRAY: 0x40,
+    // Only used for KeyRange.MAX_COMPONENT in bounds.
+    MAX: 0xff
+};
+/**
+ * Distinguishes numbers from BigInts of the same value, numbers sort first.
+ * @enum {number}
+ */
+TupleUtils.Numeric = {
+    NUMBER: 0x00,
+    BIGINT: 0x01
+};
+/** @type {number} Terminates byte sequences and arrays. */
+TupleUtils.TERMINATOR = 0x00;
+/** @type {number} Follows zero bytes within byte sequences. */
+TupleUtils.ESCAPE = 0xff;
+/** @type {number} The first byte of an encoded zero BigInt. */
+TupleUtils.BIGINT_ZERO = 0x80;
+/** @type {number} The maximum number of bytes of a BigInt's magnitude. */
+TupleUtils.MAX_BIGINT_LENGTH = 127;
+Class.register(TupleUtils);
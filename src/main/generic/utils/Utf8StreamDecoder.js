@@ -0,0 +1,56 @@
+/**
+ * Decodes the UTF-8 encoded chunks of a stream into strings.
+ * Since multi-byte characters may be split across chunks, the bytes of an incomplete character
+ * at the end of a chunk are kept until the next chunk arrives (like Node's StringDecoder, which is not available in browsers).
+ */
+class Utf8StreamDecoder {
+    constructor() {
+        /** @type {Uint8Array} */
+        this._pending = new Uint8Array(0);
+    }
+
+    /**
+     * Decodes the next chunk of the stream.
+     * Chunks that already are strings are returned unchanged.
+     * @param {string|Uint8Array} chunk
+     * @returns {string} The characters completed by the chunk.
+     */
+    write(chunk) {
+        if (typeof chunk === 'string') return chunk;
+
+        const bytes = new Uint8Array(this._pending.length + chunk.length);
+        bytes.set(this._pending);
+        bytes.set(chunk, this._pending.length);
+        const end = Utf8StreamDecoder._completeLength(bytes);
+        this._pending = bytes.slice(end);
+        return BufferUtils.toUtf8(bytes.subarray(0, end));
+    }
+
+    /**
+     * Decodes the bytes remaining at the end of the stream.
+     * @returns {string}
+     */
+    end() {
+        const pending = this._pending;
+        this._pending = new Uint8Array(0);
+        return pending.length > 0 ? BufferUtils.toUtf8(pending) : '';
+    }
+
+    /**
+     * Determines the length of the prefix of the bytes that does not end with an incomplete character.
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     * @private
+     */
+    static _completeLength(bytes) {
+        // The lead byte of the last character is followed by at most three continuation bytes.
+        let i = bytes.length - 1;
+        while (i >= 0 && i > bytes.length - 4 && (bytes[i] & 0xC0) === 0x80) i--;
+        if (i < 0) return bytes.length;
+
+        const lead = bytes[i];
+        const length = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+        return i + length > bytes.length ? i : bytes.length;
+    }
+}
+Class.register(Utf8StreamDecoder);
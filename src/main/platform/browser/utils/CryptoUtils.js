@@ -0,0 +1,43 @@
+/**
+ * Cryptographic primitives used by the EncryptionCodec in browsers.
+ * Random values are taken from the WebCrypto API. Since codecs are synchronous and
+ * SubtleCrypto only offers asynchronous operations, AES-GCM is not supported in browsers.
+ */
+class CryptoUtils {
+    /**
+     * @param {number} length
+     * @returns {Uint8Array} Cryptographically secure random bytes.
+     */
+    static getRandomValues(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * AES-GCM is not supported in browsers.
+     * @param {Uint8Array} key
+     * @param {Uint8Array} iv
+     * @param {Uint8Array} plaintext
+     * @param {Uint8Array} additionalData
+     * @throws {Error}
+     */
+    static encryptAesGcm(key, iv, plaintext, additionalData) { // eslint-disable-line no-unused-vars
+        throw new Error('AES-GCM is not supported by the browser build');
+    }
+
+    /**
+     * AES-GCM is not supported in browsers.
+     * @param {Uint8Array} key
+     * @param {Uint8Array} iv
+     * @param {Uint8Array} ciphertext
+     * @param {Uint8Array} additionalData
+     * @throws {Error}
+     */
+    static decryptAesGcm(key, iv, ciphertext, additionalData) { // eslint-disable-line no-unused-vars
+        throw new Error('AES-GCM is not supported by the browser build');
+    }
+}
+/** @type {boolean} Whether encryptAesGcm and decryptAesGcm are available. */
+CryptoUtils.SUPPORTS_AES_GCM = false;
+/** @type {number} The size of authentication tags in bytes. */
+CryptoUtils.TAG_SIZE = 16;
+Class.register(CryptoUtils);
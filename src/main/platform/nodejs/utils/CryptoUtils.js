@@ -0,0 +1,54 @@
+/**
+ * Cryptographic primitives used by the EncryptionCodec, backed by NodeJS' crypto module.
+ */
+class CryptoUtils {
+    /**
+     * @param {number} length
+     * @returns {Uint8Array} Cryptographically secure random bytes.
+     */
+    static getRandomValues(length) {
+        return new Uint8Array(require('crypto').randomBytes(length));
+    }
+
+    /**
+     * Encrypts data with AES-GCM.
+     * @param {Uint8Array} key A 128, 192 or 256 bit key.
+     * @param {Uint8Array} iv The 96 bit initialisation vector, which must never be reused with the same key.
+     * @param {Uint8Array} plaintext The data to encrypt.
+     * @param {Uint8Array} additionalData Data that is authenticated, but not encrypted.
+     * @returns {Uint8Array} The ciphertext followed by the 128 bit authentication tag.
+     */
+    static encryptAesGcm(key, iv, plaintext, additionalData) {
+        const cipher = require('crypto').createCipheriv(`aes-${key.length * 8}-gcm`, key, iv);
+        cipher.setAAD(additionalData);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+        return new Uint8Array(ciphertext);
+    }
+
+    /**
+     * Decrypts and authenticates data encrypted with AES-GCM.
+     * @param {Uint8Array} key A 128, 192 or 256 bit key.
+     * @param {Uint8Array} iv The 96 bit initialisation vector used for encryption.
+     * @param {Uint8Array} ciphertext The ciphertext followed by the 128 bit authentication tag.
+     * @param {Uint8Array} additionalData Data that is authenticated, but not encrypted.
+     * @returns {Uint8Array} The plaintext.
+     * @throws {Error} If the data cannot be authenticated.
+     */
+    static decryptAesGcm(key, iv, ciphertext, additionalData) {
+        if (ciphertext.length < CryptoUtils.TAG_SIZE) throw new Error('Authentication failed');
+        const decipher = require('crypto').createDecipheriv(`aes-${key.length * 8}-gcm`, key, iv);
+        decipher.setAAD(additionalData);
+        decipher.setAuthTag(ciphertext.subarray(ciphertext.length - CryptoUtils.TAG_SIZE));
+        const plaintext = decipher.update(ciphertext.subarray(0, ciphertext.length - CryptoUtils.TAG_SIZE));
+        try {
+            return new Uint8Array(Buffer.concat([plaintext, decipher.final()]));
+        } catch (e) {
+            throw new Error('Authentication failed');
+        }
+    }
+}
+/** @type {boolean} Whether encryptAesGcm and decryptAesGcm are available. */
+CryptoUtils.SUPPORTS_AES_GCM = true;
+/** @type {number} The size of authentication tags in bytes. */
+CryptoUtils.TAG_SIZE = 16;
+Class.register(CryptoUtils);
@@ -47,4 +47,122 @@ describe('Index', () => {
             await db.destroy();
         })().then(done, done.fail);
     });
+
+    it('redoes interrupted index rebuilds on the next connection', (done) => {
+        (async function () {
+            let db = new JungleDB('indexTest', 1);
+            let st = db.createObjectStore('testStore');
+            st.createIndex('a', 'a', { keyEncoding: JungleDB.NUMBER_ENCODING });
+            await db.connect();
+            for (let i = 0; i < 10; ++i) {
+                await st.put(`test${i}`, { 'a': i });
+            }
+
+            // Interrupt the rebuild after the first batch.
+            const batchSize = ObjectStore.INDEX_BUILD_BATCH_SIZE;
+            ObjectStore.INDEX_BUILD_BATCH_SIZE = 3;
+            const index = st._backend.index('a');
+            const fill = index._fill;
+            let batches = 0;
+            index._fill = function (...args) {
+                if (++batches > 1) throw new Error('Interrupted');
+                return fill.apply(this, args);
+            };
+            let threw = false;
+            try {
+                await st.rebuildIndex('a');
+            } catch (e) {
+                threw = true;
+            } finally {
+                ObjectStore.INDEX_BUILD_BATCH_SIZE = batchSize;
+                index._fill = fill;
+            }
+            expect(threw).toBe(true);
+            expect(await st.index('a').count()).toBe(3);
+            await db.close();
+
+            db = new JungleDB('indexTest', 1);
+            st = db.createObjectStore('testStore');
+            st.createIndex('a', 'a', { keyEncoding: JungleDB.NUMBER_ENCODING });
+            await db.connect();
+            expect(await st.index('a').count()).toBe(10);
+            expect((await st.verifyIndex('a')).valid).toBe(true);
+
+            await db.destroy();
+        })().then(done, done.fail);
+    });
+
+    it('orders signed, fractional and typed keys with the tuple encoding', (done) => {
+        (async function () {
+            const db = new JungleDB('tupleTest', 1);
+            const st = db.createObjectStore('testStore', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            st.createIndex('score', 'score', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            st.createIndex('tag', 'tag', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            await db.connect();
+
+            const keys = [-100, -1.5, -1, 0, 0.5, 2, 256];
+            for (const key of keys) {
+                await st.put(key, { score: -key / 2, tag: key < 0 ? 'negative' : [key, 'positive'] });
+            }
+
+            const ordered = [];
+            await st.keyStream(key => {
+                ordered.push(key);
+                return true;
+            });
+            expect(ordered).toEqual(keys);
+            expect(await st.keys(KeyRange.bound(-2, 1))).toEqual(new Set([-1.5, -1, 0, 0.5]));
+            expect(await st.keys(Query.within('score', -1, 0.75))).toEqual(new Set([-1.5, -1, 0, 0.5, 2]));
+            expect(await st.index('score').maxKeys()).toEqual(new Set([-100]));
+            expect(await st.index('tag').keys(KeyRange.bound([0.5], [256]))).toEqual(new Set([0.5, 2]));
+            expect(await st.index('tag').keys(KeyRange.only('negative'))).toEqual(new Set([-100, -1.5, -1]));
+
+            await db.destroy();
+        })().then(done, done.fail);
+    });
+
+    it('returns all numeric keys from unbounded queries with the tuple encoding', (done) => {
+        (async function () {
+            const db = new JungleDB('tupleTest', 1);
+            const st = db.createObjectStore('testStore', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            st.createIndex('score', 'score', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            await db.connect();
+
+            for (const key of [3, -7, 0.25]) {
+                await st.put(key, { score: key * 2 });
+            }
+
+            expect(await st.keys()).toEqual(new Set([-7, 0.25, 3]));
+            expect(await st.minKey()).toBe(-7);
+            expect(await st.maxKey()).toBe(3);
+            expect(await st.index('score').keys()).toEqual(new Set([-7, 0.25, 3]));
+            expect(await st.index('score').minKeys()).toEqual(new Set([-7]));
+
+            await db.destroy();
+        })().then(done, done.fail);
+    });
+
+    it('supports BigInt keys, index keys and values', (done) => {
+        (async function () {
+            const db = new JungleDB('bigIntTest', 1);
+            const st = db.createObjectStore('testStore', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            st.createIndex('amount', 'amount', { keyEncoding: JungleDB.TUPLE_ENCODING });
+            await db.connect();
+
+            const base = BigInt('18446744073709551616');
+            for (let i = -2; i <= 2; ++i) {
+                await st.put(base * BigInt(i), { amount: BigInt(i) - base });
+            }
+
+            expect((await st.get(base * BigInt(-2))).amount).toBe(BigInt(-2) - base);
+            expect(await st.minKey()).toBe(base * BigInt(-2));
+            expect(await st.maxKey()).toBe(base * BigInt(2));
+            expect((await st.keys()).size).toBe(5);
+            expect(await st.index('amount').minKeys()).toEqual(new Set([base * BigInt(-2)]));
+            expect(await st.keys(KeyRange.bound(-base, base, true))).toEqual(new Set([BigInt(0), base]));
+            expect(await st.keys(Query.ge('amount', BigInt(1) - base))).toEqual(new Set([base, base * BigInt(2)]));
+
+            await db.destroy();
+        })().then(done, done.fail);
+    });
 });
@@ -0,0 +1,103 @@
+describe('Aggregation', () => {
+    let store;
+
+    beforeEach((done) => {
+        store = JungleDB.createVolatileObjectStore();
+
+        (async function () {
+            store.createIndex('account', 'account');
+            store.createIndex('amount', 'amount');
+
+            for (let i = 0; i < 10; ++i) {
+                await store.put(`key${i}`, { account: `acc${i % 3}`, amount: i * 10, meta: { day: i % 2 } });
+            }
+        })().then(done, done.fail);
+    });
+
+    it('can aggregate all entries', (done) => {
+        (async function () {
+            const result = await store.aggregate(null, {
+                reduce: {
+                    n: Aggregation.count(),
+                    total: Aggregation.sum('amount'),
+                    average: Aggregation.avg('amount'),
+                    smallest: Aggregation.min('amount'),
+                    largest: Aggregation.max('account')
+                }
+            });
+            expect(result.n).toBe(10);
+            expect(result.total).toBe(450);
+            expect(result.average).toBe(45);
+            expect(result.smallest).toBe(0);
+            expect(result.largest).toBe('acc2');
+
+            const empty = await store.aggregate(KeyRange.lowerBound('z'), { reduce: { n: Aggregation.count(), average: Aggregation.avg('amount') } });
+            expect(empty.n).toBe(0);
+            expect(empty.average).toBeUndefined();
+        })().then(done, done.fail);
+    });
+
+    it('can aggregate groups of queried entries', (done) => {
+        (async function () {
+            let groups = await store.aggregate(Query.ge('amount', 30), {
+                groupBy: 'account',
+                reduce: { n: Aggregation.count(), total: Aggregation.sum('amount') }
+            });
+            expect(groups.size).toBe(3);
+            expect(groups.get('acc0')).toEqual({ n: 3, total: 180 });
+            expect(groups.get('acc1')).toEqual({ n: 2, total: 110 });
+            expect(groups.get('acc2')).toEqual({ n: 2, total: 130 });
+
+            // Histograms can be computed by grouping with a function.
+            groups = await store.aggregate(Query.and(Query.eq('account', 'acc1'), Query.where(['meta', 'day']).ne(0)), {
+                groupBy: value => Math.floor(value.amount / 50) * 50,
+                reduce: { n: Aggregation.count() }
+            });
+            expect(groups.get(0)).toEqual({ n: 1 });
+            expect(groups.get(50)).toEqual({ n: 1 });
+            expect(groups.size).toBe(2);
+
+            // Custom reducers and array group keys.
+            groups = await store.aggregate(Query.max('amount'), {
+                groupBy: value => [value.account, value.meta.day],
+                reduce: { keys: { init: () => [], step: (state, value, key) => state.concat([key]) } }
+            });
+            expect(Array.from(groups.keys())).toEqual([['acc0', 1]]);
+            expect(Array.from(groups.values())).toEqual([{ keys: ['key9'] }]);
+        })().then(done, done.fail);
+    });
+
+    it('includes the changes of transactions', (done) => {
+        (async function () {
+            const tx = store.transaction();
+            await tx.put('key10', { account: 'acc0', amount: 1000, meta: { day: 0 } });
+            await tx.remove('key3');
+            await tx.put('key6', { account: 'acc1', amount: 60, meta: { day: 0 } });
+
+            const options = { groupBy: 'account', reduce: { total: Aggregation.sum('amount') } };
+            let groups = await tx.aggregate(Query.ge('amount', 0), options);
+            expect(groups.get('acc0')).toEqual({ total: 1090 });
+            expect(groups.get('acc1')).toEqual({ total: 180 });
+            expect(await tx.aggregate(null, { reduce: { n: Aggregation.count() } })).toEqual({ n: 10 });
+
+            // The object store is not affected until the transaction is committed.
+            groups = await store.aggregate(null, options);
+            expect(groups.get('acc0')).toEqual({ total: 180 });
+            await tx.commit();
+            groups = await store.aggregate(null, options);
+            expect(groups.get('acc0')).toEqual({ total: 1090 });
+        })().then(done, done.fail);
+    });
+
+    it('rejects invalid reducers', (done) => {
+        (async function () {
+            let threw = false;
+            try {
+                await store.aggregate(null, { reduce: { n: 'count' } });
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+        })().then(done, done.fail);
+    });
+});
@@ -0,0 +1,188 @@
+describe('Backup', () => {
+    let db, st;
+
+    const createWritable = function () {
+        const chunks = [];
+        return { chunks, write: data => chunks.push(data) };
+    };
+
+    const createReadable = function () {
+        const listeners = {};
+        return {
+            on: (event, listener) => {
+                listeners[event] = listener;
+            },
+            emit: (event, data) => listeners[event](data)
+        };
+    };
+
+    beforeEach((done) => {
+        (async function () {
+            db = new JungleDB('test', 1);
+            st = db.createObjectStore('testStore');
+            st.createIndex('i', 'i', { keyEncoding: JungleDB.NUMBER_ENCODING });
+            db.createObjectStore('otherStore');
+            await db.connect();
+
+            for (let i = 0; i < 10; ++i) {
+                await st.put(`key${i}`, { i: i % 3, data: `value${i}` });
+            }
+            await db.getObjectStore('otherStore').put('key', 'value');
+        })().then(done, done.fail);
+    });
+
+    afterEach((done) => {
+        db.destroy().then(done, done.fail);
+    });
+
+    it('can back up and restore a database', (done) => {
+        (async function () {
+            const writable = createWritable();
+            const backup = db.backup(writable);
+            // Changes after starting the backup are not included.
+            await st.put('key10', { i: 1 });
+            expect(await backup).toBe(11);
+
+            const db2 = new JungleDB('test-restore', 1);
+            const readable = createReadable();
+            const restore = db2.restore(readable);
+            // Split the data into arbitrary chunks.
+            const data = writable.chunks.join('');
+            readable.emit('data', data.substr(0, 100));
+            readable.emit('data', data.substr(100));
+            readable.emit('end');
+
+            const info = await restore;
+            expect(info.dbVersion).toBe(1);
+            expect(info.objectStores).toEqual(['testStore', 'otherStore']);
+            expect(info.count).toBe(11);
+
+            const st2 = db2.getObjectStore('testStore');
+            expect((await st2.keys()).size).toBe(10);
+            expect(await st2.get('key4')).toEqual({ i: 1, data: 'value4' });
+            expect(await st2.get('key10')).toBeUndefined();
+            expect((await st2.values(Query.eq('i', 2))).length).toBe(3);
+            expect(await db2.getObjectStore('otherStore').get('key')).toBe('value');
+
+            await db2.destroy();
+        })().then(done, done.fail);
+    });
+
+    it('can back up selected object stores', (done) => {
+        (async function () {
+            const writable = createWritable();
+            expect(await db.backup(writable, { objectStores: ['otherStore'] })).toBe(1);
+            const header = JSON.parse(writable.chunks[0]);
+            expect(header.objectStores).toEqual([{ tableName: 'otherStore', codec: false, keyEncoding: null, indices: [] }]);
+        })().then(done, done.fail);
+    });
+
+    it('streams and restores entries in batches', (done) => {
+        (async function () {
+            const batchSize = BackupUtils.BATCH_SIZE;
+            BackupUtils.BATCH_SIZE = 3;
+            try {
+                const writable = createWritable();
+                expect(await db.backup(writable)).toBe(11);
+                const header = JSON.parse(writable.chunks[0]);
+                expect(header.objectStores[0].indices[0].keyEncoding).not.toBeNull();
+
+                const db2 = new JungleDB('test-restore', 1);
+                const readable = createReadable();
+                const restore = db2.restore(readable);
+                readable.emit('data', writable.chunks.join(''));
+                readable.emit('end');
+
+                expect((await restore).count).toBe(11);
+                const st2 = db2.getObjectStore('testStore');
+                expect((await st2.keys()).size).toBe(10);
+                expect(await st2.index('i').keys(KeyRange.only(0))).toEqual(new Set(['key0', 'key3', 'key6', 'key9']));
+                await db2.destroy();
+            } finally {
+                BackupUtils.BATCH_SIZE = batchSize;
+            }
+        })().then(done, done.fail);
+    });
+
+    it('requires object stores with codecs to be created before restoring', (done) => {
+        (async function () {
+            const db1 = new JungleDB('test-codec', 1);
+            db1.createObjectStore('codecStore', { codec: { encode: x => x, decode: x => x } });
+            await db1.connect();
+            const writable = createWritable();
+            await db1.backup(writable);
+            await db1.destroy();
+
+            const db2 = new JungleDB('test-restore', 1);
+            const readable = createReadable();
+            const restore = db2.restore(readable);
+            readable.emit('data', writable.chunks.join(''));
+            readable.emit('end');
+
+            let threw = false;
+            try {
+                await restore;
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+            expect(db2.connected).toBe(false);
+        })().then(done, done.fail);
+    });
+
+    it('rejects incomplete backups', (done) => {
+        (async function () {
+            const writable = createWritable();
+            await db.backup(writable);
+
+            let db2 = new JungleDB('test-restore', 1);
+            db2.createObjectStore('testStore');
+            await db2.connect();
+            await db2.getObjectStore('testStore').put('existing', 'value');
+            await db2.close();
+
+            db2 = new JungleDB('test-restore', 1);
+            db2.createObjectStore('testStore');
+            const readable = createReadable();
+            const restore = db2.restore(readable);
+            readable.emit('data', writable.chunks.slice(0, 5).join(''));
+            readable.emit('end');
+
+            let threw = false;
+            try {
+                await restore;
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+
+            // The earlier contents are left unchanged.
+            const st2 = db2.getObjectStore('testStore');
+            expect(await st2.keys()).toEqual(new Set(['existing']));
+            expect(await st2.get('existing')).toBe('value');
+            await db2.destroy();
+        })().then(done, done.fail);
+    });
+
+    it('restores multi-byte characters split across chunks', (done) => {
+        (async function () {
+            await st.put('unicode', { i: 0, data: 'Grüße, 世界 🌍' });
+            const writable = createWritable();
+            await db.backup(writable);
+
+            const db2 = new JungleDB('test-restore', 1);
+            const readable = createReadable();
+            const restore = db2.restore(readable);
+            const data = BufferUtils.fromUtf8(writable.chunks.join(''));
+            // Emit the data in chunks of five bytes.
+            for (let i = 0; i < data.length; i += 5) {
+                readable.emit('data', data.subarray(i, i + 5));
+            }
+            readable.emit('end');
+
+            expect((await restore).count).toBe(12);
+            expect(await db2.getObjectStore('testStore').get('unicode')).toEqual({ i: 0, data: 'Grüße, 世界 🌍' });
+            await db2.destroy();
+        })().then(done, done.fail);
+    });
+});
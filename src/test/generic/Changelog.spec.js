@@ -0,0 +1,102 @@
+describe('Changelog', () => {
+    let db, st1, st2;
+
+    beforeEach((done) => {
+        db = new JungleDB('test', 1, { enableChangelog: true });
+        st1 = db.createObjectStore('testStore1');
+        st2 = db.createObjectStore('testStore2', { enableLruCache: true });
+
+        db.connect().then(done, done.fail);
+    });
+
+    afterEach((done) => {
+        db.destroy().then(done, done.fail);
+    });
+
+    it('records commits with increasing sequence numbers', (done) => {
+        (async function () {
+            expect(db.changelogSequence).toBe(0);
+
+            await st1.put('key1', 'value1');
+            await st1.put('key2', { a: 1 });
+            await st1.remove('key1');
+            expect(db.changelogSequence).toBe(3);
+
+            const entries = await db.readChangelog();
+            expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+            expect(entries[0].changes).toEqual([{ tableName: 'testStore1', truncated: false, removed: [], modified: [['key1', 'value1']] }]);
+            expect(entries[1].changes[0].modified).toEqual([['key2', { a: 1 }]]);
+            expect(entries[2].changes[0].removed).toEqual(['key1']);
+
+            expect((await db.readChangelog(1)).map(entry => entry.sequence)).toEqual([2, 3]);
+            expect((await db.readChangelog(0, 2)).map(entry => entry.sequence)).toEqual([1, 2]);
+            expect((await db.readChangelog(3)).length).toBe(0);
+        })().then(done, done.fail);
+    });
+
+    it('records combined transactions as a single entry', (done) => {
+        (async function () {
+            const tx1 = st1.transaction();
+            const tx2 = st2.transaction();
+            await tx1.put('key1', 'value1');
+            await tx2.put('key2', 'value2');
+            expect(await JungleDB.commitCombined(tx1, tx2)).toBe(true);
+
+            const entries = await db.readChangelog();
+            expect(entries.length).toBe(1);
+            expect(entries[0].sequence).toBe(1);
+            expect(entries[0].changes.map(change => change.tableName)).toEqual(['testStore1', 'testStore2']);
+            expect(entries[0].changes[1].modified).toEqual([['key2', 'value2']]);
+        })().then(done, done.fail);
+    });
+
+    it('can prune old entries', (done) => {
+        (async function () {
+            for (let i = 0; i < 5; ++i) {
+                await st1.put(`key${i}`, i);
+            }
+
+            await db.pruneChangelog(3);
+            expect((await db.readChangelog()).map(entry => entry.sequence)).toEqual([4, 5]);
+            expect(db.changelogSequence).toBe(5);
+
+            // Pruning everything does not reset the sequence numbers.
+            await db.pruneChangelog(5);
+            await st1.put('key', 'value');
+            expect((await db.readChangelog()).map(entry => entry.sequence)).toEqual([6]);
+        })().then(done, done.fail);
+    });
+
+    it('keeps the sequence number across connections', (done) => {
+        (async function () {
+            await st1.put('key1', 'value1');
+            await st1.put('key2', 'value2');
+            await db.close();
+
+            db = new JungleDB('test', 1, { enableChangelog: true });
+            st1 = db.createObjectStore('testStore1');
+            db.createObjectStore('testStore2', { enableLruCache: true });
+            await db.connect();
+
+            expect(db.changelogSequence).toBe(2);
+            await st1.put('key3', 'value3');
+            expect((await db.readChangelog(2)).map(entry => entry.sequence)).toEqual([3]);
+        })().then(done, done.fail);
+    });
+
+    it('is disabled by default', (done) => {
+        (async function () {
+            const db2 = new JungleDB('test2', 1);
+            await db2.connect();
+            expect(db2.changelogSequence).toBe(null);
+            let threw = false;
+            try {
+                await db2.readChangelog();
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+            await db2.destroy();
+        })().then(done, done.fail);
+    });
+});
@@ -83,6 +83,7 @@ describe('CombinedTransaction', () => {
             const tx3 = objectStore2.transaction();
             await tx1.remove('key6');
             await tx2.remove('key6');
+            expect(await tx3.get('key6')).toBe('value6');
 
             // Commit two of them, which should be successful.
             expect(await JungleDB.commitCombined(tx1, tx2)).toBe(true);
@@ -108,6 +109,7 @@ describe('CombinedTransaction', () => {
             const tx3 = objectStore2.transaction();
             await tx1.remove('key6');
             await tx2.remove('key6');
+            expect(await tx3.get('key6')).toBe('value6');
 
             expect(await tx2.commit()).toBe(true);
             // Create a transaction on top of tx2.
@@ -115,6 +117,7 @@ describe('CombinedTransaction', () => {
             await tx4.put('test', 'successful');
             // Create a second transaction on top of tx2.
             const tx5 = objectStore2.transaction();
+            expect(await tx5.get('test')).toBe(undefined);
 
             // Commit tx4 and tx1.
             expect(await JungleDB.commitCombined(tx1, tx4)).toBe(true);
@@ -174,9 +177,11 @@ describe('CombinedTransaction', () => {
             const tx1 = objectStore1.transaction();
             const tx2 = objectStore2.transaction();
             const tx3 = objectStore1.transaction();
+            expect(await tx1.get('key6')).toBe('value6');
             await tx1.remove('key6');
             await tx2.remove('key6');
 
+            await tx3.put('key6', 'value6');
             expect(await tx3.commit()).toBe(true);
 
             // Commit and fail (not all tx are committable because of conflict).
@@ -188,6 +193,30 @@ describe('CombinedTransaction', () => {
         })().then(done, done.fail);
     });
 
+    it('retries conflicted combined transactions', (done) => {
+        (async function () {
+            let attempts = 0;
+            const result = await JungleDB.runCombined([objectStore1, objectStore2], async (tx1, tx2) => {
+                attempts++;
+                const value = await tx1.get('key6');
+                if (attempts === 1) {
+                    // Concurrently change the key read.
+                    expect(await objectStore1.put('key6', 'concurrent')).toBe(true);
+                }
+                await tx1.remove('key6');
+                await tx2.put('key6', value);
+                return value;
+            });
+
+            expect(attempts).toBe(2);
+            expect(result).toBe('concurrent');
+            expect(await objectStore1.get('key6')).toBe(undefined);
+            expect(await objectStore2.get('key6')).toBe('concurrent');
+            expect(await backend1.get('key6')).toBe(undefined);
+            expect(await backend2.get('key6')).toBe('concurrent');
+        })().then(done, done.fail);
+    });
+
     it('scenario 6: complex merge of two combined commits', (done) => {
         (async function () {
             // Create transactions in different object stores.
@@ -0,0 +1,75 @@
+describe('CompressionCodec', () => {
+    const large = { text: 'lorem ipsum dolor sit amet '.repeat(40), numbers: [1, 2, 3], buffer: new Uint8Array([1, 2, 3]) };
+
+    it('compresses LZ4 blocks', () => {
+        const repetitive = BufferUtils.fromUtf8('abcabcabcabcabcabcabcabcabcabcabcabcabcabcabcabcabcabcabcabcab'.repeat(20));
+        const random = new Uint8Array(1000);
+        for (let i = 0; i < random.length; i++) {
+            random[i] = Math.floor(Math.random() * 256);
+        }
+
+        for (const input of [new Uint8Array(0), new Uint8Array([7]), repetitive, random, new Uint8Array(100000)]) {
+            const compressed = CompressionUtils.compressLZ4(input);
+            expect(BufferUtils.equals(CompressionUtils.decompressLZ4(compressed, input.length), input)).toBe(true);
+        }
+        expect(CompressionUtils.compressLZ4(repetitive).length).toBeLessThan(100);
+        expect(() => CompressionUtils.decompressLZ4(CompressionUtils.compressLZ4(repetitive), repetitive.length - 1)).toThrow();
+    });
+
+    it('compresses large values only', () => {
+        const codec = new CompressionCodec();
+        const encoded = codec.encode(large);
+        expect(CompressionCodec.isFramed(encoded)).toBe(true);
+        expect(encoded.length).toBeLessThan(JSONUtils.stringify(large).length / 4);
+        expect(codec.decode(encoded, 'key')).toEqual(large);
+
+        expect(codec.encode({ a: 1 })).toEqual({ a: 1 });
+        expect(codec.decode({ a: 1 }, 'key')).toEqual({ a: 1 });
+
+        // Uncompressed binary values starting with the header are framed to keep them apart.
+        const binary = new Uint8Array([CompressionCodec.MAGIC[0], CompressionCodec.MAGIC[1], 1, 2]);
+        expect(codec.encode(binary).length).toBe(binary.length + CompressionCodec.HEADER_SIZE);
+        expect(BufferUtils.equals(codec.decode(codec.encode(binary), 'key'), binary)).toBe(true);
+    });
+
+    it('stores compressed and legacy values side by side', (done) => {
+        (async function () {
+            const backend = new InMemoryBackend('', TestCodec.instance);
+            const legacy = new ObjectStore(backend, null);
+            await legacy.put('old', { key: 'old', value: 'x'.repeat(1000) });
+
+            backend._codec = new CompressionCodec(TestCodec.instance);
+            const store = new ObjectStore(new CachedBackend(backend, CachedBackend.MAX_CACHE_SIZE, 10), null);
+            await store.put('new', { key: 'new', value: 'x'.repeat(1000) });
+
+            // Raw values are returned as stored.
+            expect(await store.get('old', { raw: true })).toEqual({ k: 'old', v: 'x'.repeat(1000) });
+            expect(CompressionCodec.isFramed(await store.get('new', { raw: true }))).toBe(true);
+
+            // Decoded values are served from the raw cache and vice versa.
+            for (const key of ['old', 'new']) {
+                expect(await store.get(key)).toEqual({ key, value: 'x'.repeat(1000) });
+                expect(store.decode(await store.get(key, { raw: true }), key)).toEqual({ key, value: 'x'.repeat(1000) });
+            }
+
+            const tx = store.synchronousTransaction();
+            await tx.preload(['new']);
+            expect(CompressionCodec.isFramed(tx.getSync('new', { raw: true }))).toBe(true);
+            expect(tx.getSync('new')).toEqual({ key: 'new', value: 'x'.repeat(1000) });
+            await tx.abort();
+        })().then(done, done.fail);
+    });
+
+    it('can be used for volatile object stores', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore({ codec: new CompressionCodec(null, { threshold: 0 }) });
+            await store.put('large', large);
+            await store.put('small', 'small');
+            expect(await store.get('large')).toEqual(large);
+            expect(await store.get('small')).toBe('small');
+            expect(CompressionCodec.isFramed(await store.get('large', { raw: true }))).toBe(true);
+
+            expect(() => new CompressionCodec(null, { threshold: -1 })).toThrow();
+        })().then(done, done.fail);
+    });
+});
@@ -0,0 +1,90 @@
+describe('EncryptionCodec', () => {
+    // Codecs are synchronous, so the browser build cannot encrypt using SubtleCrypto.
+    if (!CryptoUtils.SUPPORTS_AES_GCM) {
+        it('is not supported by the browser build', () => {
+            expect(() => new EncryptionCodec()).toThrowError('EncryptionCodec is not supported by the browser build');
+        });
+        return;
+    }
+
+    const keyA = EncryptionCodec.generateKey();
+    const keyB = EncryptionCodec.generateKey();
+
+    it('encrypts values under the current key', () => {
+        const codec = new EncryptionCodec(null, { keys: { a: keyA }, keyId: 'a' });
+        const value = { name: 'wallet', seed: new Uint8Array([1, 2, 3]) };
+        const encrypted = codec.encode(value);
+        expect(EncryptionCodec.isEncrypted(encrypted)).toBe(true);
+        expect(EncryptionCodec.keyIdOf(encrypted)).toBe('a');
+        // The ciphertext is no valid UTF-8, so its bytes are searched as characters.
+        expect(String.fromCharCode.apply(null, encrypted).includes('wallet')).toBe(false);
+        expect(codec.decode(encrypted, 'key')).toEqual(value);
+
+        // Values are encrypted with a fresh initialisation vector each time.
+        expect(BufferUtils.equals(codec.encode(value), encrypted)).toBe(false);
+
+        const binary = new Uint8Array([4, 5, 6]);
+        expect(BufferUtils.equals(codec.decode(codec.encode(binary), 'key'), binary)).toBe(true);
+
+        // Unencrypted values are read as they are.
+        expect(codec.decode({ name: 'plain' }, 'key')).toEqual({ name: 'plain' });
+        expect(EncryptionCodec.keyIdOf({ name: 'plain' })).toBe(null);
+    });
+
+    it('rejects unknown keys and tampered values', () => {
+        const codec = new EncryptionCodec(null, { keys: { a: keyA, b: keyB }, keyId: 'a' });
+        const encrypted = codec.encode('secret');
+
+        const other = new EncryptionCodec(null, { keys: { b: keyB }, keyId: 'b' });
+        expect(() => other.decode(encrypted, 'key')).toThrowError('Unknown key a');
+
+        const tampered = encrypted.slice();
+        tampered[tampered.length - 1] ^= 1;
+        expect(() => codec.decode(tampered, 'key')).toThrowError('Authentication failed');
+
+        // The key id is authenticated as well.
+        const relabelled = encrypted.slice();
+        relabelled[EncryptionCodec.HEADER_SIZE] = 'b'.charCodeAt(0);
+        expect(() => codec.decode(relabelled, 'key')).toThrowError('Authentication failed');
+
+        expect(() => new EncryptionCodec().encode('secret')).toThrowError('No encryption key set');
+        expect(() => codec.useKey('c')).toThrowError('Unknown key c');
+        expect(() => codec.removeKey('a')).toThrowError('Cannot remove the current key');
+        expect(() => codec.addKey('c', new Uint8Array(10))).toThrowError('Invalid key');
+        expect(() => codec.addKey('b', keyA)).toThrowError('Key b already exists');
+    });
+
+    it('can be composed with other codecs', (done) => {
+        (async function () {
+            const codec = new EncryptionCodec(new CompressionCodec(TestCodec.instance), { keys: { a: keyA }, keyId: 'a' });
+            const store = JungleDB.createVolatileObjectStore({ codec });
+            await store.put('large', { key: 'large', value: 'x'.repeat(1000) });
+            expect(await store.get('large')).toEqual({ key: 'large', value: 'x'.repeat(1000) });
+
+            const raw = await store.get('large', { raw: true });
+            expect(EncryptionCodec.keyIdOf(raw)).toBe('a');
+            expect(raw.length).toBeLessThan(100);
+        })().then(done, done.fail);
+    });
+
+    it('reencrypts object stores under a new key', (done) => {
+        (async function () {
+            const codec = new EncryptionCodec(null, { keys: { a: keyA }, keyId: 'a' });
+            const store = JungleDB.createVolatileObjectStore({ codec });
+            for (let i = 0; i < 10; i++) {
+                await store.put(`key${i}`, { i });
+            }
+
+            codec.addKey('b', keyB);
+            codec.useKey('b');
+            await store.put('key10', { i: 10 });
+            expect(await codec.reencrypt(store, { batchSize: 4 })).toBe(11);
+
+            codec.removeKey('a');
+            for (let i = 0; i <= 10; i++) {
+                expect(EncryptionCodec.keyIdOf(await store.get(`key${i}`, { raw: true }))).toBe('b');
+                expect(await store.get(`key${i}`)).toEqual({ i });
+            }
+        })().then(done, done.fail);
+    });
+});
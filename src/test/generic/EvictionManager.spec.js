@@ -0,0 +1,60 @@
+describe('EvictionManager', () => {
+    it('evicts the least recently written entries', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore({ maxEntries: 3 });
+            for (let i = 0; i < 5; ++i) {
+                await store.put(`key${i}`, { i });
+            }
+            expect(await store.keys()).toEqual(new Set(['key2', 'key3', 'key4']));
+
+            // Rewriting an entry makes it the most recently written one.
+            await store.put('key2', { i: 2 });
+            await store.put('key5', { i: 5 });
+            expect(await store.keys()).toEqual(new Set(['key2', 'key4', 'key5']));
+
+            // Entries written by the committing transaction itself are kept.
+            const tx = store.transaction();
+            await tx.remove('key4');
+            await tx.put('key6', { i: 6 });
+            await tx.put('key7', { i: 7 });
+            expect(await tx.commit()).toBe(true);
+            expect(await store.keys()).toEqual(new Set(['key5', 'key6', 'key7']));
+            expect(await store.eviction.metaStore.keys()).toEqual(new Set(['key5', 'key6', 'key7']));
+
+            await store.truncate();
+            await store.put('key8', { i: 8 });
+            expect(await store.keys()).toEqual(new Set(['key8']));
+        })().then(done, done.fail);
+    });
+
+    it('evicts the least recently read entries', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore({ maxEntries: 2, evictionPolicy: 'read' });
+            await store.put('a', 'a');
+            await store.put('b', 'b');
+            expect(await store.get('a')).toBe('a');
+
+            await store.put('c', 'c');
+            expect(await store.keys()).toEqual(new Set(['a', 'c']));
+        })().then(done, done.fail);
+    });
+
+    it('bounds the size of the entries', (done) => {
+        (async function () {
+            // Keys take 2 bytes and values 200 bytes each.
+            const store = JungleDB.createVolatileObjectStore({ maxBytes: 500 });
+            for (let i = 0; i < 4; ++i) {
+                await store.put(`${i}`, 'x'.repeat(100));
+            }
+            expect(await store.keys()).toEqual(new Set(['2', '3']));
+
+            await store.put('4', 'x'.repeat(20));
+            expect(await store.keys()).toEqual(new Set(['2', '3', '4']));
+        })().then(done, done.fail);
+    });
+
+    it('rejects invalid bounds', () => {
+        expect(() => JungleDB.createVolatileObjectStore({ maxEntries: 0 })).toThrow();
+        expect(() => JungleDB.createVolatileObjectStore({ maxEntries: 1, evictionPolicy: 'random' })).toThrow();
+    });
+});
@@ -0,0 +1,83 @@
+describe('ExpiryManager', () => {
+    let store, now;
+
+    beforeEach((done) => {
+        store = JungleDB.createVolatileObjectStore();
+        store.enableExpiry('expiresAt', { purgeInterval: 0, batchSize: 2 });
+        store.createIndex('group', 'group');
+        now = Date.now();
+
+        (async function () {
+            await store.put('expired1', { group: 'a', expiresAt: now - 1000 });
+            await store.put('expired2', { group: 'b', expiresAt: now - 10 });
+            await store.put('expired3', { group: 'a', expiresAt: now - 1 });
+            await store.put('valid', { group: 'a', expiresAt: now + 60000 });
+            await store.put('forever', { group: 'b' });
+        })().then(done, done.fail);
+    });
+
+    it('hides expired entries from reads', (done) => {
+        (async function () {
+            expect(await store.get('expired1')).toBeUndefined();
+            expect(await store.get('valid')).toEqual({ group: 'a', expiresAt: now + 60000 });
+            expect(await store.get('expired1', { includeExpired: true })).toEqual({ group: 'a', expiresAt: now - 1000 });
+
+            expect(await store.keys()).toEqual(new Set(['valid', 'forever']));
+            expect((await store.keys(null, 1)).size).toBe(1);
+            expect(await store.keys(Query.eq('group', 'a'))).toEqual(new Set(['valid']));
+            expect((await store.values()).length).toBe(2);
+            expect((await store.values(Query.eq('group', 'a'))).length).toBe(1);
+            expect(await store.count()).toBe(2);
+
+            const keys = [];
+            await store.keyStream(key => keys.push(key));
+            expect(keys.join()).toBe('forever,valid');
+            const values = [];
+            await store.valueStream(value => values.push(value));
+            expect(values.length).toBe(2);
+
+            const result = await store.aggregate(Query.eq('group', 'a'), { reduce: { n: Aggregation.count() } });
+            expect(result.n).toBe(1);
+
+            // Transactions hide expired entries including their own changes.
+            const tx = store.transaction();
+            await tx.put('new', { group: 'b', expiresAt: now - 1 });
+            expect(await tx.get('new')).toBeUndefined();
+            expect(await tx.get('expired2')).toBeUndefined();
+            expect(await tx.keys()).toEqual(new Set(['valid', 'forever']));
+            expect((await tx.values(Query.eq('group', 'b'))).length).toBe(1);
+            await tx.abort();
+        })().then(done, done.fail);
+    });
+
+    it('can put entries with a time to live', (done) => {
+        (async function () {
+            expect(await store.put('ttl', { group: 'c' }, { ttl: 60000 })).toBe(true);
+            const value = await store.get('ttl');
+            expect(value.expiresAt).not.toBeLessThan(now + 60000);
+            expect(await store.keys(Query.eq('group', 'c'))).toEqual(new Set(['ttl']));
+
+            await store.put('gone', { group: 'c' }, { ttl: 0 });
+            expect(await store.get('gone')).toBeUndefined();
+
+            const other = JungleDB.createVolatileObjectStore();
+            let threw = false;
+            try {
+                await other.put('ttl', { group: 'c' }, { ttl: 1000 });
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+        })().then(done, done.fail);
+    });
+
+    it('purges expired entries in batches', (done) => {
+        (async function () {
+            expect(await store.purgeExpired()).toBe(3);
+            expect(await store.get('expired1', { includeExpired: true })).toBeUndefined();
+            expect(await store.index('group').keys()).toEqual(new Set(['valid', 'forever']));
+            expect(await store.index(ExpiryManager.INDEX_NAME).keys()).toEqual(new Set(['valid']));
+            expect(await store.purgeExpired()).toBe(0);
+        })().then(done, done.fail);
+    });
+});
@@ -228,4 +228,20 @@ describe('InMemoryBackend', () => {
             expect(i).toBe(5);
         })().then(done, done.fail);
     });
+
+    it('supports BigInt keys and index keys', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore();
+            store.createIndex('height', 'height');
+            const base = BigInt('9007199254740993');
+            for (let i = 0; i < 5; ++i) {
+                await store.put(base + BigInt(i), { height: BigInt(-i) * base });
+            }
+
+            expect((await store.get(base + BigInt(2))).height).toBe(BigInt(-2) * base);
+            expect(await store.keys(KeyRange.bound(base + BigInt(1), base + BigInt(3), false, true))).toEqual(new Set([base + BigInt(1), base + BigInt(2)]));
+            expect(await store.keys(Query.lt('height', BigInt(-2) * base))).toEqual(new Set([base + BigInt(3), base + BigInt(4)]));
+            expect(await store.index('height').maxKeys()).toEqual(new Set([base]));
+        })().then(done, done.fail);
+    });
 });
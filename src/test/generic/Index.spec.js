@@ -444,6 +444,273 @@ describe('Index', () => {
                 await runner.destroy();
             })().then(done, done.fail);
         });
+
+        it(`supports compound indices (${runner.type})`, (done) => {
+            (async function () {
+                let st = await runner.init(st => {
+                    st.createIndex('accountTime', ['account', ['meta', 'time']], { compound: true });
+                    expect(() => st.createIndex('invalid', 'account', { compound: true })).toThrow();
+                    expect(() => st.createIndex('invalid', ['account', 'tags'], { compound: true, multiEntry: true })).toThrow();
+                });
+
+                for (const account of ['a', 'b']) {
+                    for (let i = 0; i < 5; ++i) {
+                        await st.put(`${account}${i}`, { account, meta: { time: i * 10 - 20 } });
+                    }
+                }
+                // Values missing a component are not indexed.
+                await st.put('c', { account: 'c' });
+
+                const index = st.index('accountTime');
+                expect(index.compound).toBe(true);
+                expect(await index.count()).toBe(10);
+                expect(await st.keys(Query.eq('accountTime', ['a', 0]))).toEqual(new Set(['a2']));
+                expect(await st.keys(Query.prefix('accountTime', ['b']))).toEqual(new Set(['b0', 'b1', 'b2', 'b3', 'b4']));
+                expect(await st.keys(Query.within('accountTime', ['a', -10], ['a', 10]))).toEqual(new Set(['a1', 'a2', 'a3']));
+                expect(await st.keys(Query.lt('accountTime', ['b']))).toEqual(new Set(['a0', 'a1', 'a2', 'a3', 'a4']));
+                expect(await index.keys(KeyRange.prefix(['a', -20]))).toEqual(new Set(['a0']));
+                expect(await index.maxKeys(KeyRange.prefix(['a']))).toEqual(new Set(['a4']));
+                expect(await index.maxKeys(KeyRange.prefix(['b']))).toEqual(new Set(['b4']));
+                expect(await index.minKeys(KeyRange.prefix(['b']))).toEqual(new Set(['b0']));
+                expect((await index.values(KeyRange.prefix(['b']), 2)).map(value => value.meta.time)).toEqual([-20, -10]);
+
+                const tx = st.transaction();
+                await tx.put('a5', { account: 'a', meta: { time: 100 } });
+                await tx.remove('a0');
+                expect(await tx.keys(Query.prefix('accountTime', ['a']))).toEqual(new Set(['a1', 'a2', 'a3', 'a4', 'a5']));
+                expect(await tx.index('accountTime').maxKeys(KeyRange.prefix(['a']))).toEqual(new Set(['a5']));
+                expect(await tx.index('accountTime').minKeys(KeyRange.prefix(['a']))).toEqual(new Set(['a1']));
+                expect(await tx.commit()).toBe(true);
+
+                expect(await st.keys(Query.prefix('accountTime', ['a']))).toEqual(new Set(['a1', 'a2', 'a3', 'a4', 'a5']));
+                expect(await index.maxKeys(KeyRange.prefix(['a']))).toEqual(new Set(['a5']));
+
+                await runner.destroy();
+            })().then(done, done.fail);
+        });
+
+        it(`matches prefixes followed by array components (${runner.type})`, (done) => {
+            (async function () {
+                let st = await runner.init(st => {
+                    st.createIndex('pathTags', ['path', 'tags'], { compound: true });
+                });
+
+                await st.put('empty', { path: 'a', tags: [] });
+                await st.put('nested', { path: 'a', tags: [2] });
+                await st.put('deeper', { path: 'a', tags: [[1], 3] });
+                await st.put('other', { path: 'b', tags: [] });
+
+                expect(await st.keys(Query.prefix('pathTags', ['a']))).toEqual(new Set(['empty', 'nested', 'deeper']));
+                expect(await st.index('pathTags').maxKeys(KeyRange.prefix(['a']))).toEqual(new Set(['deeper']));
+                expect(await st.keys(Query.prefix('pathTags', ['b']))).toEqual(new Set(['other']));
+                expect(KeyRange.prefix(['a']).includes(['a', [[5]]])).toBe(true);
+                expect(KeyRange.prefix(['a']).includes(['b'])).toBe(false);
+
+                await runner.destroy();
+            })().then(done, done.fail);
+        });
+
+        it(`supports computed indices (${runner.type})`, (done) => {
+            (async function () {
+                // Computed indices are not supported by IndexedDB
+                if (typeof IDBBackend !== 'undefined' && runner.type === 'native') {
+                    let threw = false;
+                    try {
+                        await runner.init(st => st.createIndex('lowerName', { compute: value => value.name.toLowerCase() }));
+                    } catch (e) {
+                        threw = true;
+                    }
+                    expect(threw).toBe(true);
+                    return;
+                }
+
+                let st = await runner.init(st => {
+                    st.createIndex('lowerName', { compute: value => typeof value.name === 'string' ? value.name.toLowerCase() : undefined });
+                    st.createIndex('keyLength', { compute: (value, key) => key.length }, { keyEncoding: JungleDB.NUMBER_ENCODING });
+                });
+
+                await st.put('alice', { name: 'Alice' });
+                await st.put('bob', { name: 'BOB' });
+                await st.put('anonymous', { age: 42 });
+
+                expect(await st.keys(Query.eq('lowerName', 'alice'))).toEqual(new Set(['alice']));
+                expect(await st.keys(Query.ge('lowerName', 'b'))).toEqual(new Set(['bob']));
+                expect(await st.index('lowerName').count()).toBe(2);
+                expect(await st.keys(Query.eq('keyLength', 5))).toEqual(new Set(['alice']));
+                expect(await st.index('keyLength').maxKeys()).toEqual(new Set(['anonymous']));
+
+                const tx = st.transaction();
+                await tx.put('bob', { name: 'Robert' });
+                await tx.put('carol', { name: 'Carol' });
+                expect(await tx.keys(Query.eq('lowerName', 'robert'))).toEqual(new Set(['bob']));
+                expect(await tx.keys(Query.eq('lowerName', 'bob'))).toEqual(new Set());
+                expect(await tx.index('lowerName').maxKeys()).toEqual(new Set(['bob']));
+                expect(await tx.commit()).toBe(true);
+
+                expect(await st.keys(Query.within('lowerName', 'a', 'd'))).toEqual(new Set(['alice', 'carol']));
+                expect(await st.keys(Query.eq('keyLength', 5))).toEqual(new Set(['alice', 'carol']));
+
+                await runner.destroy();
+            })().then(done, done.fail);
+        });
+
+        it(`returns sorted and paginated results (${runner.type})`, (done) => {
+            (async function () {
+                let st = await runner.init(st => {
+                    st.createIndex('age', 'age', { keyEncoding: JungleDB.NUMBER_ENCODING });
+                    st.createIndex('tags', 'tags', { multiEntry: true });
+                });
+                for (let i = 0; i < 10; ++i) {
+                    await st.put(`p${i}`, { 'age': i % 4, 'tags': ['all'] });
+                }
+
+                // Ordered by primary key.
+                let page = await st.find(null, { limit: 4 });
+                expect(page.keys).toEqual(['p0', 'p1', 'p2', 'p3']);
+                expect(page.values[1]).toEqual({ 'age': 1, 'tags': ['all'] });
+                page = await st.find(null, { limit: 4, after: page.cursor });
+                expect(page.keys).toEqual(['p4', 'p5', 'p6', 'p7']);
+                page = await st.find(null, { limit: 4, after: page.cursor });
+                expect(page.keys).toEqual(['p8', 'p9']);
+                expect(page.cursor).toBe(null);
+
+                // Ordered by an index, ties are ordered by primary key.
+                page = await st.find(Query.ge('age', 2), { orderBy: 'age', limit: 3 });
+                expect(page.keys).toEqual(['p2', 'p6', 'p3']);
+                page = await st.find(Query.ge('age', 2), { orderBy: 'age', limit: 3, after: page.cursor });
+                expect(page.keys).toEqual(['p7']);
+                expect(page.cursor).toBe(null);
+
+                page = await st.find(null, { orderBy: 'age', descending: true, limit: 4 });
+                expect(page.keys).toEqual(['p7', 'p3', 'p6', 'p2']);
+                page = await st.find(null, { orderBy: 'age', descending: true, limit: 4, after: page.cursor });
+                expect(page.keys).toEqual(['p9', 'p5', 'p1', 'p8']);
+                page = await st.find(null, { orderBy: 'age', descending: true, limit: 4, after: page.cursor });
+                expect(page.keys).toEqual(['p4', 'p0']);
+                expect(page.cursor).toBe(null);
+
+                // Changes before the cursor do not affect the following pages.
+                page = await st.find(null, { orderBy: 'age', limit: 4 });
+                expect(page.keys).toEqual(['p0', 'p4', 'p8', 'p1']);
+                await st.put('a', { 'age': 0 });
+                await st.put('p95', { 'age': 1 });
+                page = await st.find(null, { orderBy: 'age', limit: 4, after: page.cursor });
+                expect(page.keys).toEqual(['p5', 'p9', 'p95', 'p2']);
+
+                let threw = false;
+                try {
+                    await st.find(null, { orderBy: 'tags' });
+                } catch (e) {
+                    threw = true;
+                }
+                expect(threw).toBe(true);
+
+                threw = false;
+                try {
+                    await st.find(null, { orderBy: 'age', after: page.cursor.slice(0, -3) + '!' });
+                } catch (e) {
+                    threw = true;
+                }
+                expect(threw).toBe(true);
+
+                await runner.destroy();
+            })().then(done, done.fail);
+        });
+
+        it(`streams pages in batches until they are full (${runner.type})`, (done) => {
+            (async function () {
+                const st = await runner.init(st => st.createIndex('age', 'age', { keyEncoding: JungleDB.NUMBER_ENCODING }));
+                for (let i = 0; i < 10; ++i) {
+                    await st.put(`p${i}`, { 'age': i % 4 });
+                }
+
+                const batchSize = ObjectStore.FIND_BATCH_SIZE;
+                ObjectStore.FIND_BATCH_SIZE = 2;
+                try {
+                    const odd = Query.and(Query.ge('age', 1), Query.filter((value, key) => parseInt(key.slice(1)) % 2 === 1));
+                    let page = await st.find(odd, { orderBy: 'age', limit: 3 });
+                    expect(page.keys).toEqual(['p1', 'p5', 'p9']);
+                    page = await st.find(odd, { orderBy: 'age', limit: 3, after: page.cursor });
+                    expect(page.keys).toEqual(['p3', 'p7']);
+                    expect(page.cursor).toBe(null);
+
+                    page = await st.find(KeyRange.bound('p3', 'p7'), { descending: true, limit: 4 });
+                    expect(page.keys).toEqual(['p7', 'p6', 'p5', 'p4']);
+                    expect(page.cursor).not.toBe(null);
+
+                    // Min/max queries are executed beforehand.
+                    page = await st.find(Query.max('age'), { orderBy: 'age', descending: true, limit: 1 });
+                    expect(page.keys).toEqual(['p7']);
+                    page = await st.find(Query.max('age'), { orderBy: 'age', descending: true, limit: 1, after: page.cursor });
+                    expect(page.keys).toEqual(['p3']);
+                    expect(page.cursor).toBe(null);
+                } finally {
+                    ObjectStore.FIND_BATCH_SIZE = batchSize;
+                }
+
+                await runner.destroy();
+            })().then(done, done.fail);
+        });
+
+        it(`can verify and rebuild indices (${runner.type})`, (done) => {
+            (async function () {
+                let st = await runner.init(st => st.createIndex('a', 'a', { keyEncoding: JungleDB.NUMBER_ENCODING }));
+                for (let i = 0; i < 10; ++i) {
+                    await st.put(`test${i}`, { 'a': i % 3 });
+                }
+                await st.put('other', 'no index');
+
+                // IndexedDB maintains its indices natively.
+                if (typeof IDBBackend !== 'undefined' && runner.type === 'native') {
+                    let threw = false;
+                    try {
+                        await st.verifyIndex('a');
+                    } catch (e) {
+                        threw = true;
+                    }
+                    expect(threw).toBe(true);
+                    await runner.destroy();
+                    return;
+                }
+
+                let result = await st.verifyIndex('a');
+                expect(result.valid).toBe(true);
+                expect(result.checked).toBe(11);
+
+                // Corrupt the index.
+                const index = st._backend.index('a');
+                await index._fill([['ghost', { 'a': 1 }], ['test1', { 'a': 7 }]]);
+                result = await st.verifyIndex('a');
+                expect(result.valid).toBe(false);
+                expect(result.missing).toEqual([]);
+                expect(result.extra).toEqual([{ key: 'ghost', expected: [], actual: [1] }]);
+                expect(result.mismatched).toEqual([{ key: 'test1', expected: [1], actual: [1, 7] }]);
+
+                await st.rebuildIndex('a');
+                expect((await st.verifyIndex('a')).valid).toBe(true);
+                expect(await st.keys(Query.eq('a', 1))).toEqual(new Set(['test1', 'test4', 'test7']));
+
+                // Empty the index.
+                await index._fill([], /*truncate*/ true);
+                result = await st.verifyIndex('a');
+                expect(result.missing.length).toBe(10);
+                expect(result.missing[0]).toEqual({ key: 'test0', expected: [0], actual: [] });
+
+                await st.rebuildIndex('a');
+                expect((await st.verifyIndex('a')).valid).toBe(true);
+                expect(await st.index('a').count()).toBe(10);
+
+                let threw = false;
+                try {
+                    await st.rebuildIndex('unknown');
+                } catch (e) {
+                    threw = true;
+                }
+                expect(threw).toBe(true);
+
+                await runner.destroy();
+            })().then(done, done.fail);
+        });
     });
 
     it('only fills the index once', (done) => {
@@ -476,6 +743,114 @@ describe('Index', () => {
         })().then(done, done.fail);
     });
 
+    it('rebuilds computed indices when their function changes', (done) => {
+        (async function () {
+            // Computed indices are not supported by IndexedDB
+            if (typeof IDBBackend !== 'undefined') return;
+
+            let db = new JungleDB('indexTest', 1);
+            let st = db.createObjectStore('testStore');
+            st.createIndex('bucket', { compute: value => Math.floor(value.time / 10) }, { keyEncoding: JungleDB.NUMBER_ENCODING });
+            await db.connect();
+
+            await st.put('test1', {'time': 5});
+            await st.put('test2', {'time': 15});
+            await st.put('test3', {'time': 25});
+            expect(await st.keys(Query.eq('bucket', 1))).toEqual(new Set(['test2']));
+
+            await db.close();
+
+            // The same function does not trigger a rebuild.
+            db = new JungleDB('indexTest', 1);
+            st = db.createObjectStore('testStore');
+            st.createIndex('bucket', { compute: value => Math.floor(value.time / 10) }, { keyEncoding: JungleDB.NUMBER_ENCODING });
+            await db.connect();
+            expect(await st.index('bucket').count()).toBe(3);
+            await db.close();
+
+            // A changed function rebuilds the index even without a version upgrade.
+            db = new JungleDB('indexTest', 1);
+            st = db.createObjectStore('testStore');
+            st.createIndex('bucket', { compute: value => Math.floor(value.time / 20) }, { keyEncoding: JungleDB.NUMBER_ENCODING });
+            await db.connect();
+
+            expect(await st.index('bucket').count()).toBe(3);
+            expect(await st.keys(Query.eq('bucket', 0))).toEqual(new Set(['test1', 'test2']));
+            expect(await st.keys(Query.eq('bucket', 1))).toEqual(new Set(['test3']));
+
+            await db.destroy();
+        })().then(done, done.fail);
+    });
+
+    for (const persistent of [true, false]) {
+        it(`can create and delete indices while connected (persistent: ${persistent})`, (done) => {
+            (async function () {
+                const db = new JungleDB('indexTest', 1);
+                const st = db.createObjectStore('testStore', { persistent });
+                await db.connect();
+
+                for (let i = 0; i < 25; ++i) {
+                    await st.put(`test${i}`, { 'a': i % 5 });
+                }
+
+                // IndexedDB only allows to change indices during version upgrades.
+                if (typeof IDBBackend !== 'undefined' && persistent) {
+                    let threw = false;
+                    try {
+                        await st.createIndex('a', 'a');
+                    } catch (e) {
+                        threw = true;
+                    }
+                    expect(threw).toBe(true);
+                    await db.destroy();
+                    return;
+                }
+
+                const progress = [];
+                const built = st.createIndex('a', 'a', { keyEncoding: JungleDB.NUMBER_ENCODING, batchSize: 10, onProgress: p => progress.push(p) });
+                expect(st.indexBuilds.map(p => p.indexName)).toEqual(['a']);
+                expect(st.index('a')).toBeUndefined();
+
+                // Concurrent changes are reflected by the index.
+                await st.put('test0', { 'a': 9 });
+                await st.remove('test1');
+                await st.put('new', { 'a': 9 });
+                expect(st.index('a')).toBeUndefined();
+
+                await built;
+                expect(progress.map(p => p.processed)).toEqual([10, 20, 25]);
+                expect(progress.every(p => p.total === 25)).toBe(true);
+                expect(st.indexBuilds).toEqual([]);
+                expect(await st.keys(Query.eq('a', 9))).toEqual(new Set(['test0', 'new']));
+                expect(await st.keys(Query.eq('a', 1))).toEqual(new Set(['test6', 'test11', 'test16', 'test21']));
+                expect(await st.index('a').count()).toBe(25);
+
+                await st.put('test2', { 'a': 9 });
+                expect(await st.keys(Query.eq('a', 9))).toEqual(new Set(['test0', 'test2', 'new']));
+
+                // Deleting an index cancels its build.
+                const cancelled = st.createIndex('b', 'a', { keyEncoding: JungleDB.NUMBER_ENCODING, batchSize: 5 });
+                const deleted = st.deleteIndex('b');
+                let threw = false;
+                try {
+                    await cancelled;
+                } catch (e) {
+                    threw = true;
+                }
+                expect(threw).toBe(true);
+                await deleted;
+                expect(st.index('b')).toBeUndefined();
+                expect(st.indexBuilds).toEqual([]);
+
+                await st.deleteIndex('a');
+                expect(st.index('a')).toBeUndefined();
+                expect(st.indices.size).toBe(0);
+
+                await db.destroy();
+            })().then(done, done.fail);
+        });
+    }
+
     it('can fill the index on implicit upgrade', (done) => {
         (async function () {
             // Write something into an object store.
@@ -0,0 +1,88 @@
+describe('MaterializedView', () => {
+    let store, view;
+
+    beforeEach((done) => {
+        store = JungleDB.createVolatileObjectStore();
+        view = store.createView('balances', {
+            groupBy: 'account',
+            reduce: { balance: Aggregation.sum('amount'), n: Aggregation.count(), average: Aggregation.avg('amount') }
+        });
+
+        (async function () {
+            for (let i = 0; i < 6; ++i) {
+                await store.put(`tx${i}`, { account: `acc${i % 2}`, amount: i * 10 });
+            }
+        })().then(done, done.fail);
+    });
+
+    it('is updated on every commit', (done) => {
+        (async function () {
+            expect(store.view('balances')).toBe(view);
+            expect(await view.keys()).toEqual(new Set(['acc0', 'acc1']));
+            expect(await view.get('acc0')).toEqual({ balance: 60, n: 3, average: 20 });
+            expect(await view.get('acc1')).toEqual({ balance: 90, n: 3, average: 30 });
+
+            // Moving an entry to another group updates both groups.
+            await store.put('tx1', { account: 'acc0', amount: 15 });
+            expect(await view.get('acc0')).toEqual({ balance: 75, n: 4, average: 18.75 });
+            expect(await view.get('acc1')).toEqual({ balance: 80, n: 2, average: 40 });
+
+            // Empty groups are removed.
+            const tx = store.transaction();
+            await tx.remove('tx3');
+            await tx.remove('tx5');
+            await tx.put('tx6', { account: 'acc2', amount: 5 });
+            await tx.put('tx7', { amount: 5 });
+            expect(await tx.commit()).toBe(true);
+            expect(await view.keys()).toEqual(new Set(['acc0', 'acc2']));
+            expect(await view.get('acc1')).toBeUndefined();
+            expect(await view.get('acc2')).toEqual({ balance: 5, n: 1, average: 5 });
+
+            await store.truncate();
+            expect((await view.keys()).size).toBe(0);
+        })().then(done, done.fail);
+    });
+
+    it('is updated atomically with combined transactions', (done) => {
+        (async function () {
+            const other = JungleDB.createVolatileObjectStore();
+            const tx1 = store.transaction();
+            const tx2 = other.transaction();
+            await tx1.put('tx6', { account: 'acc0', amount: 100 });
+            await tx2.put('key', 'value');
+            expect(await JungleDB.commitCombined(tx1, tx2)).toBe(true);
+            expect(await view.get('acc0')).toEqual({ balance: 160, n: 4, average: 40 });
+            expect(await other.get('key')).toBe('value');
+
+            // Concurrent changes to the same entries conflict and leave the view untouched.
+            const tx3 = store.transaction();
+            const tx4 = store.transaction();
+            await tx3.put('tx0', { account: 'acc1', amount: 1 });
+            await tx4.put('tx0', { account: 'acc0', amount: 1000 });
+            expect(await tx3.commit()).toBe(true);
+            expect(await tx4.commit()).toBe(false);
+            expect(await view.get('acc0')).toEqual({ balance: 160, n: 3, average: 160 / 3 });
+            expect(await view.get('acc1')).toEqual({ balance: 91, n: 4, average: 22.75 });
+        })().then(done, done.fail);
+    });
+
+    it('can be rebuilt', (done) => {
+        (async function () {
+            const counts = store.createView('counts', { groupBy: value => value.amount >= 30 ? 'large' : 'small', reduce: { n: Aggregation.count() } });
+            expect((await counts.keys()).size).toBe(0);
+            expect(await counts.rebuild()).toBe(true);
+            expect(await counts.get('large')).toEqual({ n: 3 });
+            expect(await counts.get('small')).toEqual({ n: 3 });
+
+            await store.remove('tx5');
+            expect(await counts.get('large')).toEqual({ n: 2 });
+            expect(await view.get('acc1')).toEqual({ balance: 40, n: 2, average: 20 });
+        })().then(done, done.fail);
+    });
+
+    it('rejects reducers that cannot be maintained incrementally', () => {
+        expect(() => store.createView('max', { groupBy: 'account', reduce: { max: Aggregation.max('amount') } })).toThrow();
+        expect(() => store.createView('all', { reduce: { n: Aggregation.count() } })).toThrow();
+        expect(() => store.createView('balances', { groupBy: 'account', reduce: { n: Aggregation.count() } })).toThrow();
+    });
+});
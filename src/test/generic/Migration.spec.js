@@ -0,0 +1,80 @@
+describe('Migration', () => {
+    let source, st;
+
+    beforeEach((done) => {
+        (async function () {
+            source = new JungleDB('test-migration-source', 1);
+            st = source.createObjectStore('testStore');
+            st.createIndex('tags', 'tags', { multiEntry: true });
+            st.createIndex('id', 'id', { unique: true, keyEncoding: JungleDB.NUMBER_ENCODING });
+            source.createObjectStore('otherStore');
+            await source.connect();
+
+            for (let i = 0; i < 10; ++i) {
+                await st.put(`key${i}`, { id: i, tags: [`tag${i % 2}`, 'all'] });
+            }
+            await source.getObjectStore('otherStore').put('key', 'value');
+        })().then(done, done.fail);
+    });
+
+    afterEach((done) => {
+        source.destroy().then(done, done.fail);
+    });
+
+    it('can migrate a database with its indices', (done) => {
+        (async function () {
+            const target = new JungleDB('test-migration-target', 1);
+            const progress = [];
+            const info = await JungleDB.migrate(source, target, { batchSize: 4, onProgress: p => progress.push(p) });
+            expect(info.objectStores).toEqual(['testStore', 'otherStore']);
+            expect(info.count).toBe(11);
+            expect(progress.filter(p => p.tableName === 'testStore').map(p => p.migrated)).toEqual([4, 8, 10]);
+            expect(progress.every(p => p.total === (p.tableName === 'testStore' ? 10 : 1))).toBe(true);
+
+            const st2 = target.getObjectStore('testStore');
+            expect((await st2.keys()).size).toBe(10);
+            expect(await st2.get('key3')).toEqual({ id: 3, tags: ['tag1', 'all'] });
+            expect((await st2.keys(Query.eq('tags', 'tag0'))).size).toBe(5);
+            expect(st2.index('tags').multiEntry).toBe(true);
+            expect(st2.index('id').unique).toBe(true);
+            expect(await target.getObjectStore('otherStore').get('key')).toBe('value');
+
+            await target.destroy();
+        })().then(done, done.fail);
+    });
+
+    it('resumes an interrupted migration', (done) => {
+        (async function () {
+            let target = new JungleDB('test-migration-target', 1);
+            let threw = false;
+            try {
+                await JungleDB.migrate(source, target, {
+                    batchSize: 4,
+                    onProgress: () => {
+                        throw new Error('Interrupted');
+                    }
+                });
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+            expect((await target.getObjectStore('testStore').keys()).size).toBe(4);
+            // The migration resumes after the last key copied.
+            expect((await target.getObjectStore(MigrationUtils.STATE_STORE).get('testStore')).lastKey).toBe('key3');
+            await target.close();
+
+            target = new JungleDB('test-migration-target', 1);
+            const info = await JungleDB.migrate(source, target, { batchSize: 4 });
+            expect(info.count).toBe(7);
+            expect((await target.getObjectStore('testStore').keys()).size).toBe(10);
+            expect(await target.getObjectStore('testStore').get('key9')).toEqual({ id: 9, tags: ['tag1', 'all'] });
+
+            // Migrating again does not copy anything.
+            await target.close();
+            target = new JungleDB('test-migration-target', 1);
+            expect((await JungleDB.migrate(source, target)).count).toBe(0);
+
+            await target.destroy();
+        })().then(done, done.fail);
+    });
+});
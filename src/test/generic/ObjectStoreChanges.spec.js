@@ -0,0 +1,154 @@
+describe('ObjectStoreChanges', () => {
+    let backend, objectStore;
+
+    const setEqual = function(actual, expected) {
+        return expected.equals(actual);
+    };
+
+    beforeEach((done) => {
+        backend = new InMemoryBackend();
+        backend.createIndex('i', 'i');
+
+        objectStore = new ObjectStore(backend, backend);
+
+        (async function () {
+            // Add 10 objects.
+            for (let i=0; i<10; ++i) {
+                await objectStore.put(`key${i}`, { i });
+            }
+        })().then(done, done.fail);
+
+        jasmine.addCustomEqualityTester(setEqual);
+    });
+
+    it('delivers changes with old and new values after flushing', (done) => {
+        (async function () {
+            const calls = [];
+            objectStore.on('change', changes => calls.push(changes));
+
+            const tx = objectStore.transaction();
+            await tx.put('key0', { i: 10 });
+            await tx.put('new', { i: 11 });
+            await tx.remove('key1');
+
+            // Changes are only delivered after the state has been flushed.
+            const blocking = objectStore.transaction();
+            expect(await tx.commit()).toBe(true);
+            expect(calls.length).toBe(0);
+            await blocking.abort();
+
+            expect(calls.length).toBe(1);
+            const changes = new Map(calls[0].map(change => [change.key, change]));
+            expect(changes.size).toBe(3);
+            expect(changes.get('key0').oldValue.i).toBe(0);
+            expect(changes.get('key0').newValue.i).toBe(10);
+            expect(changes.get('key0').removed).toBe(false);
+            expect(changes.get('new').oldValue).toBe(undefined);
+            expect(changes.get('new').newValue.i).toBe(11);
+            expect(changes.get('key1').oldValue.i).toBe(1);
+            expect(changes.get('key1').newValue).toBe(undefined);
+            expect(changes.get('key1').removed).toBe(true);
+        })().then(done, done.fail);
+    });
+
+    it('delivers removals for truncations', (done) => {
+        (async function () {
+            const calls = [];
+            objectStore.on('change', changes => calls.push(changes));
+
+            const tx = objectStore.transaction();
+            await tx.truncate();
+            await tx.put('key0', { i: 10 });
+            expect(await tx.commit()).toBe(true);
+
+            expect(calls.length).toBe(1);
+            expect(calls[0].length).toBe(10);
+            expect(new Set(calls[0].filter(change => change.removed).map(change => change.key))).toEqual(new Set(['key1', 'key2', 'key3', 'key4', 'key5', 'key6', 'key7', 'key8', 'key9']));
+            const put = calls[0].find(change => !change.removed);
+            expect(put.key).toBe('key0');
+            expect(put.oldValue).toBe(undefined);
+        })().then(done, done.fail);
+    });
+
+    it('filters changes by KeyRange and Query', (done) => {
+        (async function () {
+            const byRange = [], byQuery = [];
+            objectStore.on('change', changes => byRange.push(...changes.map(change => change.key)), KeyRange.bound('key1', 'key3'));
+            objectStore.on('change', changes => byQuery.push(...changes.map(change => change.key)), Query.ge('i', 5));
+
+            await objectStore.put('key2', { i: 20 });
+            await objectStore.put('key4', { i: 40 });
+            await objectStore.put('key6', { i: 0 });
+            await objectStore.remove('key0');
+
+            expect(new Set(byRange)).toEqual(new Set(['key2']));
+            // key6 moved out of the query's range, which is still relevant.
+            expect(new Set(byQuery)).toEqual(new Set(['key2', 'key4', 'key6']));
+
+            expect(() => objectStore.on('change', () => {}, Query.max('i'))).toThrow();
+            expect(() => objectStore.on('other', () => {})).toThrow();
+        })().then(done, done.fail);
+    });
+
+    it('can remove listeners', (done) => {
+        (async function () {
+            let count = 0;
+            const listener = () => count++;
+            objectStore.on('change', listener);
+            await objectStore.put('key0', { i: 1 });
+            objectStore.off('change', listener);
+            await objectStore.put('key0', { i: 2 });
+            expect(count).toBe(1);
+        })().then(done, done.fail);
+    });
+
+    it('does not deliver changes of aborted or conflicted transactions', (done) => {
+        (async function () {
+            let count = 0;
+            objectStore.on('change', () => count++);
+
+            const tx1 = objectStore.transaction();
+            const tx2 = objectStore.transaction();
+            await tx1.put('key0', { i: await tx1.get('key0') });
+            await tx2.put('key0', { i: await tx2.get('key0') });
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(false);
+
+            const tx3 = objectStore.transaction();
+            await tx3.put('key1', { i: 1 });
+            await tx3.abort();
+
+            expect(count).toBe(1);
+        })().then(done, done.fail);
+    });
+
+    it('provides an async iterator', (done) => {
+        (async function () {
+            const iterator = objectStore.changes(KeyRange.only('key0'));
+
+            await objectStore.put('key1', { i: 10 });
+            await objectStore.put('key0', { i: 10 });
+            await objectStore.remove('key0');
+
+            let result = await iterator.next();
+            expect(result.done).toBe(false);
+            expect(result.value.length).toBe(1);
+            expect(result.value[0].newValue.i).toBe(10);
+
+            result = await iterator.next();
+            expect(result.value[0].removed).toBe(true);
+
+            // Values are delivered as soon as they are available.
+            const next = iterator.next();
+            await objectStore.put('key0', { i: 20 });
+            result = await next;
+            expect(result.value[0].newValue.i).toBe(20);
+
+            const pending = iterator.next();
+            await iterator.return();
+            expect((await pending).done).toBe(true);
+            expect((await iterator.next()).done).toBe(true);
+            expect(objectStore._changeListeners.length).toBe(0);
+        })().then(done, done.fail);
+    });
+});
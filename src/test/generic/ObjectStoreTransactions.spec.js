@@ -188,6 +188,193 @@ describe('ObjectStoreTransactions', () => {
         })().then(done, done.fail);
     });
 
+    it('commits concurrent transactions with disjoint read sets', (done) => {
+        (async function () {
+            const tx1 = objectStore.transaction();
+            const tx2 = objectStore.transaction();
+            expect(await tx1.get('key1')).toBe('value1');
+            await tx1.put('key1', 'tx1');
+            expect(await tx2.get('key2')).toBe('value2');
+            await tx2.put('key2', 'tx2');
+            // Blind writes do not conflict either.
+            await tx2.put('key3', 'tx2');
+
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(true);
+            expect(tx2.state).toBe(Transaction.STATE.COMMITTED);
+            expect(tx2.conflict).toBe(null);
+
+            expect(await objectStore.get('key1')).toBe('tx1');
+            expect(await objectStore.get('key2')).toBe('tx2');
+            expect(await objectStore.get('key3')).toBe('tx2');
+            expect(await backend.get('key1')).toBe('tx1');
+            expect(await backend.get('key2')).toBe('tx2');
+        })().then(done, done.fail);
+    });
+
+    it('rebases transactions on the most recent state', (done) => {
+        (async function () {
+            const tx1 = objectStore.transaction();
+            const tx2 = objectStore.transaction();
+            const tx3 = objectStore.transaction();
+            await tx1.put('key1', 'tx1');
+            await tx2.put('key2', 'tx2');
+            expect(await tx3.get('key2')).toBe('value2');
+
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(true);
+            // tx3 read key2, which has been changed by tx2.
+            expect(await tx3.commit()).toBe(false);
+            expect(tx3.state).toBe(Transaction.STATE.CONFLICTED);
+
+            expect(await objectStore.get('key1')).toBe('tx1');
+            expect(await objectStore.get('key2')).toBe('tx2');
+            expect(await backend.get('key1')).toBe('tx1');
+            expect(await backend.get('key2')).toBe('tx2');
+        })().then(done, done.fail);
+    });
+
+    it('reports the conflicting keys', (done) => {
+        (async function () {
+            const tx1 = objectStore.transaction();
+            const tx2 = objectStore.transaction();
+            await tx1.remove('key0');
+            await tx1.put('key5', 'tx1');
+            expect(await tx2.keys(KeyRange.bound('key4', 'key6'))).toEqual(new Set(['key4', 'key5', 'key6']));
+            expect(await tx2.get('key0')).toBe('value0');
+            await tx2.put('key7', 'tx2');
+
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(false);
+            expect(tx2.state).toBe(Transaction.STATE.CONFLICTED);
+            expect(tx2.conflict instanceof TransactionConflictError).toBe(true);
+            expect(new Set(tx2.conflict.keys)).toEqual(new Set(['key0', 'key5']));
+            expect(tx2.conflict.transactionId).toBe(tx2.id);
+            expect(await objectStore.get('key7')).toBe('value7');
+        })().then(done, done.fail);
+    });
+
+    it('detects conflicts on secondary index ranges', (done) => {
+        (async function () {
+            backend.createIndex('i', 'i');
+            await objectStore.put('a', { i: 1 });
+            await objectStore.put('b', { i: 5 });
+
+            // An entry moving into the range conflicts.
+            let tx1 = objectStore.transaction();
+            let tx2 = objectStore.transaction();
+            expect(await tx2.index('i').keys(KeyRange.upperBound(2))).toEqual(new Set(['a']));
+            await tx1.put('b', { i: 2 });
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(false);
+            expect(new Set(tx2.conflict.keys)).toEqual(new Set(['b']));
+
+            // An entry moving out of the range conflicts.
+            tx1 = objectStore.transaction();
+            tx2 = objectStore.transaction();
+            expect(await tx2.index('i').count(KeyRange.upperBound(2))).toBe(2);
+            await tx1.put('a', { i: 3 });
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(false);
+            expect(new Set(tx2.conflict.keys)).toEqual(new Set(['a']));
+
+            // Entries outside of the range do not conflict.
+            tx1 = objectStore.transaction();
+            tx2 = objectStore.transaction();
+            expect(await tx2.index('i').maxKeys(KeyRange.upperBound(2))).toEqual(new Set(['b']));
+            await tx1.put('a', { i: 4 });
+            await tx1.put('c', { i: 10 });
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(true);
+        })().then(done, done.fail);
+    });
+
+    it('detects conflicts with concurrent truncations', (done) => {
+        (async function () {
+            const tx1 = objectStore.transaction();
+            const tx2 = objectStore.transaction();
+            const tx3 = objectStore.transaction();
+            await tx1.truncate();
+            expect(await tx2.get('key9')).toBe('value9');
+            await tx3.put('test', 'blind');
+
+            expect(await tx1.commit()).toBe(true);
+            expect(await tx2.commit()).toBe(false);
+            expect(tx2.conflict.truncated).toBe(true);
+            expect(await tx3.commit()).toBe(true);
+
+            expect(await objectStore.keys()).toEqual(new Set(['test']));
+        })().then(done, done.fail);
+    });
+
+    it('retries conflicted transactions', (done) => {
+        (async function () {
+            let attempts = 0;
+            const result = await objectStore.runTransaction(async tx => {
+                attempts++;
+                const value = await tx.get('key0');
+                if (attempts === 1) {
+                    // Concurrently change the key read.
+                    expect(await objectStore.put('key0', 'concurrent')).toBe(true);
+                }
+                await tx.put('key0', `${value}-updated`);
+                return value;
+            });
+
+            expect(attempts).toBe(2);
+            expect(result).toBe('concurrent');
+            expect(await objectStore.get('key0')).toBe('concurrent-updated');
+        })().then(done, done.fail);
+    });
+
+    it('throws after exhausting retries', (done) => {
+        (async function () {
+            let attempts = 0;
+            const delays = [];
+            try {
+                await objectStore.runTransaction(async tx => {
+                    attempts++;
+                    await tx.get('key0');
+                    await objectStore.put('key0', `concurrent${attempts}`);
+                    await tx.put('key1', 'never');
+                }, { maxRetries: 2, backoff: attempt => {
+                    delays.push(attempt);
+                    return 1;
+                }});
+                done.fail('did not throw');
+                return;
+            } catch (e) {
+                expect(e instanceof TransactionConflictError).toBe(true);
+                expect(new Set(e.keys)).toEqual(new Set(['key0']));
+            }
+
+            expect(attempts).toBe(3);
+            expect(new Set(delays)).toEqual(new Set([1, 2]));
+            expect(await objectStore.get('key0')).toBe('concurrent3');
+            expect(await objectStore.get('key1')).toBe('value1');
+        })().then(done, done.fail);
+    });
+
+    it('aborts the transaction if the transaction function throws', (done) => {
+        (async function () {
+            let transaction;
+            try {
+                await objectStore.runTransaction(async tx => {
+                    transaction = tx;
+                    await tx.put('key0', 'never');
+                    throw new Error('test');
+                });
+                done.fail('did not throw');
+                return;
+            } catch (e) {
+                expect(e.message).toBe('test');
+            }
+
+            expect(transaction.state).toBe(Transaction.STATE.ABORTED);
+            expect(await objectStore.get('key0')).toBe('value0');
+        })().then(done, done.fail);
+    });
+
     it('does not allow to commit transactions with nested sub-transactions', (done) => {
         (async function () {
             // Create two transactions on the main state.
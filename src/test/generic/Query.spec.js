@@ -73,4 +73,133 @@ describe('Query', () => {
             expect(await backend.keys(Query.and(Query.min('test'), Query.min('multi')))).toEqual(new Set(['key0']));
         })().then(done, done.fail);
     });
+
+    it('filters conjunctions by their most selective range query', (done) => {
+        (async function () {
+            const query = Query.and(Query.ge('test', 2), Query.eq('multi', 1), Query.lt('test', 8));
+            expect(await backend.keys(query)).toEqual(new Set(['key3', 'key5', 'key7']));
+            expect((await backend.keys(query, 2)).size).toBe(2);
+
+            const plan = await query.explain(backend);
+            expect(plan.strategy).toBe(Query.Strategy.FILTER);
+            expect(plan.indexName).toBe('multi');
+            expect(plan.estimate).toBe(5);
+            expect(plan.children.map(child => child.estimate).join()).toBe('5,8,8');
+
+            // Min/max queries cannot be filtered.
+            expect((await Query.and(Query.max('test'), Query.eq('multi', 1)).explain(backend)).strategy).toBe(Query.Strategy.INTERSECT);
+            expect((await Query.or(Query.eq('test', 2), Query.eq('multi', 1)).explain(backend)).estimate).toBe(6);
+
+            // Transactions merge their changes into the streamed index.
+            const tx = backend.transaction();
+            await tx.put('key10', { test: 4, multi: [1] });
+            await tx.remove('key5');
+            expect(await tx.keys(query)).toEqual(new Set(['key3', 'key7', 'key10']));
+            const keys = [];
+            await tx.index('test').keyStream(key => {
+                keys.push(key);
+                return keys.length < 4;
+            }, false, KeyRange.bound(2, 6));
+            expect(keys.join()).toBe('key6,key4,key10,key3');
+            await tx.abort();
+        })().then(done, done.fail);
+    });
+
+    it('can process filter queries on non-indexed attributes', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore();
+            store.createIndex('age', 'age');
+            const names = ['alice', 'bob', 'carol', 'dave', 'anna', 'liz'];
+            for (let i = 0; i < names.length; ++i) {
+                await store.put(`key${i}`, { name: names[i], age: 20 + 5 * i, address: { city: i % 2 ? 'Berlin' : 'Paris' } });
+            }
+
+            expect(await store.keys(Query.filter(value => value.age % 10 === 0))).toEqual(new Set(['key0', 'key2', 'key4']));
+            expect(await store.keys(Query.filter((value, key) => key === 'key5'))).toEqual(new Set(['key5']));
+            expect(await store.keys(Query.where('name').matches(/^a/))).toEqual(new Set(['key0', 'key4']));
+            expect(await store.keys(Query.where('name').in(['bob', 'liz', 'eve']))).toEqual(new Set(['key1', 'key5']));
+            expect(await store.keys(Query.where(['address', 'city']).ne('Berlin'))).toEqual(new Set(['key0', 'key2', 'key4']));
+            expect(await store.keys(Query.where('missing').ne('Berlin'))).toEqual(new Set());
+            expect((await store.keys(Query.where('name').matches(/a/), 2)).size).toBe(2);
+
+            // Filter queries compose with range queries.
+            let query = Query.and(Query.ge('age', 30), Query.where('name').matches(/a/));
+            expect(await store.keys(query)).toEqual(new Set(['key2', 'key3', 'key4']));
+            expect((await store.keys(query, 1)).size).toBe(1);
+            expect((await query.explain(store)).strategy).toBe(Query.Strategy.FILTER);
+
+            query = Query.or(Query.eq('age', 25), Query.where('name').matches(/z$/));
+            expect(await store.keys(query)).toEqual(new Set(['key1', 'key5']));
+            expect((await query.explain(store)).strategy).toBe(Query.Strategy.SCAN);
+            expect(query.matches('key1', await store.get('key1'), store.indices)).toBe(true);
+
+            query = Query.and(Query.max('age'), Query.where('name').in(['liz']));
+            const values = await store.values(query);
+            expect(values.length).toBe(1);
+            expect(values[0].name).toBe('liz');
+
+            // Transactions evaluate filters on their own changes.
+            const tx = store.transaction();
+            await tx.put('key6', { name: 'amy', age: 50 });
+            await tx.remove('key0');
+            expect(await tx.keys(Query.where('name').matches(/^a/))).toEqual(new Set(['key4', 'key6']));
+            await tx.abort();
+
+            expect(() => Query.filter('name')).toThrow();
+            expect(() => Query.where('name').matches('a')).toThrow();
+            expect(() => Query.where('name').in('a')).toThrow();
+        })().then(done, done.fail);
+    });
+
+    it('streams transaction indices in batches', (done) => {
+        (async function () {
+            const batchSize = TransactionIndex.BATCH_SIZE;
+            TransactionIndex.BATCH_SIZE = 2;
+            const tx = backend.transaction();
+            try {
+                await tx.put('key10', { test: 10, multi: [0, 5] });
+                await tx.put('key3', { test: 3, multi: [1, 11] });
+                await tx.remove('key4');
+
+                const stream = async (ascending, query) => {
+                    const keys = [];
+                    await tx.index('multi').keyStream(key => {
+                        keys.push(key);
+                        return true;
+                    }, ascending, query);
+                    return keys.join();
+                };
+                const expected = ['key0', 'key10', 'key2', 'key6', 'key8', 'key1', 'key3', 'key5', 'key7', 'key9',
+                    'key2', 'key10', 'key5', 'key6', 'key7', 'key8', 'key9', 'key3'];
+                expect(await stream(true)).toBe(expected.join());
+                expect(await stream(false)).toBe(expected.slice().reverse().join());
+                expect(await stream(true, KeyRange.bound(1, 5))).toBe('key1,key3,key5,key7,key9,key2,key10,key5');
+
+                const values = [];
+                await tx.index('multi').valueStream((value, key) => {
+                    values.push(`${key}:${value.test}`);
+                    return values.length < 3;
+                }, false, KeyRange.upperBound(5, true));
+                expect(values.join()).toBe('key2:2,key9:9,key7:7');
+            } finally {
+                TransactionIndex.BATCH_SIZE = batchSize;
+                await tx.abort();
+            }
+        })().then(done, done.fail);
+    });
+
+    it('can match single entries', () => {
+        const indices = backend.indices;
+        expect(Query.eq('test', 1).matches('a', { test: 1 }, indices)).toBe(true);
+        expect(Query.eq('test', 1).matches('a', { test: 2 }, indices)).toBe(false);
+        expect(Query.eq('test', 1).matches('a', undefined, indices)).toBe(false);
+        expect(Query.eq('multi', 3).matches('a', { multi: [1, 3] }, indices)).toBe(true);
+        expect(Query.and(Query.ge('test', 3), Query.lt('test', 5)).matches('a', { test: 4 }, indices)).toBe(true);
+        expect(Query.and(Query.ge('test', 3), Query.lt('test', 5)).matches('a', { test: 5 }, indices)).toBe(false);
+        expect(Query.or(Query.eq('test', 1), Query.eq('multi', 3)).matches('a', { test: 2, multi: [3] }, indices)).toBe(true);
+
+        expect(Query.and(Query.ge('test', 3), Query.lt('test', 5)).supportsMatching()).toBe(true);
+        expect(Query.or(Query.max('test'), Query.lt('test', 5)).supportsMatching()).toBe(false);
+        expect(() => Query.max('test').matches('a', { test: 1 }, indices)).toThrow();
+    });
 });
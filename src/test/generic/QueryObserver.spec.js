@@ -0,0 +1,104 @@
+describe('QueryObserver', () => {
+    let objectStore;
+
+    const setEqual = function(actual, expected) {
+        return expected.equals(actual);
+    };
+
+    const nextResult = function(results) {
+        return new Promise(resolve => {
+            const check = () => {
+                if (results.length > 0) {
+                    resolve(results.shift());
+                } else {
+                    setTimeout(check, 1);
+                }
+            };
+            check();
+        });
+    };
+
+    beforeEach((done) => {
+        objectStore = JungleDB.createVolatileObjectStore();
+
+        (async function () {
+            objectStore.createIndex('test', 'test');
+
+            // Add 10 objects.
+            for (let i=0; i<10; ++i) {
+                await objectStore.put(`key${i}`, { test: i });
+            }
+        })().then(done, done.fail);
+
+        jasmine.addCustomEqualityTester(setEqual);
+    });
+
+    it('delivers the initial result and incremental updates', (done) => {
+        (async function () {
+            const results = [];
+            const observer = Query.and(Query.ge('test', 3), Query.lt('test', 5)).observe(objectStore, result => results.push(result));
+
+            let result = await nextResult(results);
+            expect(result.keys).toEqual(new Set(['key3', 'key4']));
+            expect(result.added).toEqual(new Set(['key3', 'key4']));
+
+            const tx = objectStore.transaction();
+            await tx.put('key3', { test: 4 });
+            await tx.put('key4', { test: 7 });
+            await tx.put('key8', { test: 3 });
+            await tx.put('key9', { test: 9 });
+            await tx.commit();
+
+            result = await nextResult(results);
+            expect(result.keys).toEqual(new Set(['key3', 'key8']));
+            expect(result.added).toEqual(new Set(['key8']));
+            expect(result.removed).toEqual(new Set(['key4']));
+            expect(result.changed).toEqual(new Set(['key3']));
+            expect(observer.keys).toEqual(new Set(['key3', 'key8']));
+
+            await objectStore.remove('key3');
+            result = await nextResult(results);
+            expect(result.removed).toEqual(new Set(['key3']));
+            expect(result.added.size).toBe(0);
+
+            // Irrelevant changes are not reported.
+            await objectStore.put('key0', { test: -1 });
+
+            observer.stop();
+            await objectStore.put('key1', { test: 3 });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(results.length).toBe(0);
+        })().then(done, done.fail);
+    });
+
+    it('re-evaluates min/max queries', (done) => {
+        (async function () {
+            const results = [];
+            const observer = Query.max('test').observe(objectStore, result => results.push(result));
+
+            let result = await nextResult(results);
+            expect(result.keys).toEqual(new Set(['key9']));
+
+            await objectStore.put('key10', { test: 10 });
+            result = await nextResult(results);
+            expect(result.keys).toEqual(new Set(['key10']));
+            expect(result.added).toEqual(new Set(['key10']));
+            expect(result.removed).toEqual(new Set(['key9']));
+
+            await objectStore.put('key10', { test: 11 });
+            result = await nextResult(results);
+            expect(result.changed).toEqual(new Set(['key10']));
+            expect(result.added.size).toBe(0);
+
+            // Changes not touching the index are ignored.
+            await objectStore.put('other', { unrelated: 1 });
+            await objectStore.remove('key10');
+            result = await nextResult(results);
+            expect(result.keys).toEqual(new Set(['key9']));
+            expect(result.removed).toEqual(new Set(['key10']));
+            expect(results.length).toBe(0);
+
+            observer.stop();
+        })().then(done, done.fail);
+    });
+});
@@ -0,0 +1,74 @@
+describe('ReplicationTransport', () => {
+
+    it('connects local transports', (done) => {
+        (async function () {
+            const [t1, t2] = ReplicationTransport.createLocalPair();
+            const received = [];
+            t2.onMessage(message => received.push(message));
+
+            t1.send({ type: 'test', value: 1 });
+            expect(received.length).toBe(0);
+            await Promise.resolve();
+            expect(received).toEqual([{ type: 'test', value: 1 }]);
+        })().then(done, done.fail);
+    });
+
+    it('exchanges newline-delimited JSON over streams', () => {
+        const written = [];
+        let dataListener = null;
+        const stream = {
+            write: data => written.push(data),
+            on: (event, listener) => {
+                if (event === 'data') dataListener = listener;
+            },
+            end: () => {}
+        };
+
+        const transport = ReplicationTransport.fromStream(stream);
+        const received = [];
+        transport.onMessage(message => received.push(message));
+
+        transport.send({ type: 'entries', entries: [{ sequence: 1 }] });
+        expect(written).toEqual(['{"type":"entries","entries":[{"sequence":1}]}\n']);
+
+        // Messages may be split across chunks.
+        dataListener('{"type":"subscribe",');
+        expect(received.length).toBe(0);
+        dataListener('"sequence":2}\n{"type":"subscribe","sequence":3}\n');
+        expect(received).toEqual([{ type: 'subscribe', sequence: 2 }, { type: 'subscribe', sequence: 3 }]);
+
+        // Characters may be split across binary chunks.
+        const bytes = BufferUtils.fromUtf8('{"type":"entries","entries":[{"value":"€"}]}\n');
+        const split = bytes.indexOf(0xE2) + 1;
+        dataListener(bytes.subarray(0, split));
+        dataListener(bytes.subarray(split));
+        expect(received[2]).toEqual({ type: 'entries', entries: [{ value: '€' }] });
+    });
+
+    it('exchanges JSON over WebSocket-like objects', () => {
+        const sent = [];
+        let messageListener = null;
+        const socket = {
+            send: data => sent.push(data),
+            addEventListener: (event, listener) => {
+                if (event === 'message') messageListener = listener;
+            },
+            close: () => {}
+        };
+
+        const transport = ReplicationTransport.fromWebSocket(socket);
+        const received = [];
+        const listener = message => received.push(message);
+        transport.onMessage(listener);
+
+        transport.send({ type: 'subscribe', sequence: 0 });
+        expect(sent).toEqual(['{"type":"subscribe","sequence":0}']);
+
+        messageListener({ data: '{"type":"error","message":"test"}' });
+        expect(received).toEqual([{ type: 'error', message: 'test' }]);
+
+        transport.offMessage(listener);
+        messageListener({ data: '{"type":"error","message":"test"}' });
+        expect(received.length).toBe(1);
+    });
+});
@@ -0,0 +1,115 @@
+describe('Replicator', () => {
+    let primary, follower, primaryStore, followerStore;
+
+    const connectFollower = async function () {
+        follower = new JungleDB('test-follower', 1);
+        followerStore = follower.createObjectStore('testStore');
+        Replicator.prepareFollower(follower);
+        await follower.connect();
+    };
+
+    beforeEach((done) => {
+        (async function () {
+            primary = new JungleDB('test-primary', 1, { enableChangelog: true });
+            primaryStore = primary.createObjectStore('testStore');
+            await primary.connect();
+            await connectFollower();
+        })().then(done, done.fail);
+    });
+
+    afterEach((done) => {
+        Promise.all([primary.destroy(), follower.destroy()]).then(done, done.fail);
+    });
+
+    it('replicates existing and new commits', (done) => {
+        (async function () {
+            await primaryStore.put('key1', 'value1');
+            await primaryStore.put('key2', { a: 1 });
+
+            const [primaryTransport, followerTransport] = ReplicationTransport.createLocalPair();
+            const server = Replicator.serve(primary, primaryTransport);
+            const client = Replicator.follow(follower, followerTransport);
+
+            await client.waitFor(2);
+            expect(await followerStore.get('key1')).toBe('value1');
+            expect(await followerStore.get('key2')).toEqual({ a: 1 });
+
+            const tx = primaryStore.transaction();
+            await tx.remove('key1');
+            await tx.put('key3', 'value3');
+            await tx.commit();
+
+            await client.waitFor(primary.changelogSequence);
+            expect(client.sequence).toBe(3);
+            expect(await followerStore.get('key1')).toBeUndefined();
+            expect(await followerStore.get('key3')).toBe('value3');
+
+            server.stop();
+            client.stop();
+        })().then(done, done.fail);
+    });
+
+    it('resumes from the last applied sequence', (done) => {
+        (async function () {
+            await primaryStore.put('key1', 'value1');
+
+            let [primaryTransport, followerTransport] = ReplicationTransport.createLocalPair();
+            let server = Replicator.serve(primary, primaryTransport);
+            let client = Replicator.follow(follower, followerTransport);
+            await client.waitFor(1);
+            expect(client.sequence).toBe(1);
+            server.stop();
+            client.stop();
+
+            // Restart the follower while the primary continues.
+            await follower.close();
+            await primaryStore.put('key2', 'value2');
+            await primaryStore.truncate();
+            await primaryStore.put('key3', 'value3');
+            await connectFollower();
+            const stateStore = follower.getObjectStore(Replicator.STATE_STORE);
+            expect(await stateStore.get(Replicator.SEQUENCE_KEY)).toBe(1);
+            expect(await followerStore.keys()).toEqual(new Set(['key1']));
+
+            const appliedSequences = [];
+            stateStore.on('change', changes => appliedSequences.push(...changes.map(change => change.newValue)));
+            const written = [];
+            followerStore.on('change', changes => written.push(...changes.filter(change => !change.removed).map(change => change.key)));
+
+            [primaryTransport, followerTransport] = ReplicationTransport.createLocalPair();
+            server = Replicator.serve(primary, primaryTransport);
+            client = Replicator.follow(follower, followerTransport);
+            await client.waitFor(4);
+
+            // Only the entries after the persisted sequence number are applied.
+            expect(client.sequence).toBe(4);
+            expect(appliedSequences).toEqual([2, 3, 4]);
+            expect(written).toEqual(['key2', 'key3']);
+            expect(await followerStore.keys()).toEqual(new Set(['key3']));
+            expect(await followerStore.get('key3')).toBe('value3');
+
+            server.stop();
+            client.stop();
+        })().then(done, done.fail);
+    });
+
+    it('fails if the required entries have been pruned', (done) => {
+        (async function () {
+            await primaryStore.put('key1', 'value1');
+            await primaryStore.put('key2', 'value2');
+            await primary.pruneChangelog(1);
+
+            const [primaryTransport, followerTransport] = ReplicationTransport.createLocalPair();
+            Replicator.serve(primary, primaryTransport);
+            const client = Replicator.follow(follower, followerTransport);
+
+            let threw = false;
+            try {
+                await client.waitFor(2);
+            } catch (e) {
+                threw = true;
+            }
+            expect(threw).toBe(true);
+        })().then(done, done.fail);
+    });
+});
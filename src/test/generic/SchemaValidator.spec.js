@@ -0,0 +1,85 @@
+describe('SchemaValidator', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'age'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            age: { type: 'integer', minimum: 0 },
+            role: { enum: ['admin', 'user'] },
+            tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } },
+            address: { type: ['object', 'null'], properties: { city: { type: 'string' } } }
+        }
+    };
+
+    it('reports the failing paths', () => {
+        const validator = new SchemaValidator(schema);
+        expect(validator.check('k', { name: 'Alice', age: 30, role: 'admin', tags: ['a'], address: null }).length).toBe(0);
+        expect(validator.check('k', { name: 'Alice', age: BigInt(30) }).length).toBe(0);
+        expect(validator.check('k', { name: 'Alice', age: BigInt(-30) }).length).toBe(1);
+
+        const failures = validator.check('k', { name: '', tags: ['a', 'B'], address: { city: 3 }, extra: true });
+        expect(failures.map(failure => ValidationError.formatPath(failure.path)).sort().join()).toBe('address.city,age,extra,name,tags[1]');
+
+        let error = null;
+        try {
+            validator.validate('k', { name: 'Bob', age: -1 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof ValidationError).toBe(true);
+        expect(error.key).toBe('k');
+        expect(error.path.join()).toBe('age');
+        expect(error.message).toBe('Invalid value for key k at age: must be at least 0');
+    });
+
+    it('rejects unsupported schemas', () => {
+        expect(() => new SchemaValidator({ type: 'date' })).toThrow();
+        expect(() => new SchemaValidator({ properties: { a: { oneOf: [] } } })).toThrow();
+        expect(() => new SchemaValidator('string')).toThrow();
+    });
+
+    it('validates values on put and commit', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore({ validator: schema });
+            expect(await store.put('alice', { name: 'Alice', age: 30 })).toBe(true);
+
+            let error = null;
+            try {
+                await store.put('bob', { name: 'Bob' });
+            } catch (e) {
+                error = e;
+            }
+            expect(error instanceof ValidationError).toBe(true);
+            expect(error.key).toBe('bob');
+            expect(error.path.join()).toBe('age');
+            expect(await store.get('bob')).toBeUndefined();
+
+            // Values modified after being put are validated again on commit.
+            const value = { name: 'Carol', age: 40 };
+            const tx = store.transaction();
+            await tx.put('carol', value);
+            value.age = 'forty';
+            error = null;
+            try {
+                await tx.commit();
+            } catch (e) {
+                error = e;
+            }
+            expect(error instanceof ValidationError).toBe(true);
+            expect(tx.state).toBe(Transaction.STATE.ABORTED);
+            expect(await store.get('carol')).toBeUndefined();
+        })().then(done, done.fail);
+    });
+
+    it('supports validation functions', (done) => {
+        (async function () {
+            const store = JungleDB.createVolatileObjectStore({ validator: (value, key) => value.id === key || 'id must match the key' });
+            await store.put('a', { id: 'a' });
+
+            const tx = store.synchronousTransaction();
+            expect(() => tx.putSync('b', { id: 'c' })).toThrowError(ValidationError, 'Invalid value for key b at <root>: id must match the key');
+            await tx.abort();
+        })().then(done, done.fail);
+    });
+});
@@ -50,6 +50,13 @@ describe('BufferUtils', () => {
         expect(BufferUtils.toBase64lex(buf3) < BufferUtils.toBase64lex(buf4)).toBe(true);
     });
 
+    it('can convert to and from UTF-8', () => {
+        const string = 'a\u00e9\u20ac\ud83d\ude00';
+        const bytes = new Uint8Array([97, 195, 169, 226, 130, 172, 240, 159, 152, 128]);
+        expect(BufferUtils.equals(BufferUtils.fromUtf8(string), bytes)).toBe(true);
+        expect(BufferUtils.toUtf8(bytes)).toBe(string);
+    });
+
     it('has an equals method', () => {
         const buffer1 = new Uint8Array([ 116, 101, 115, 116 ]);
         const buffer2 = new Uint8Array([ 116, 101, 115, 116 ]);
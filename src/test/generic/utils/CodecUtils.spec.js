@@ -0,0 +1,79 @@
+describe('CodecUtils', () => {
+    // Version 1 stores full names, version 2 splits them, version 3 adds a role.
+    const upgrades = {
+        0: value => ({ name: value }),
+        1: value => ({ first: value.name.split(' ')[0], last: value.name.split(' ')[1] }),
+        2: value => Object.assign({ role: 'user' }, value)
+    };
+
+    /**
+     * @param {number} version
+     * @returns {ICodec}
+     */
+    function createCodec(version) {
+        return {
+            version,
+            encode: value => value,
+            decode: value => value,
+            upgrade: (fromVersion, value) => upgrades[fromVersion](value)
+        };
+    }
+
+    it('stores values with the codec version and upgrades them', () => {
+        const v1 = createCodec(1);
+        const v3 = createCodec(3);
+
+        const encoded = CodecUtils.encode(v1, { name: 'Ada Lovelace' });
+        expect(CodecUtils.unwrap(encoded).version).toBe(1);
+        expect(CodecUtils.decode(v1, encoded, 'ada')).toEqual({ name: 'Ada Lovelace' });
+
+        const upgradedKeys = new Set();
+        expect(CodecUtils.decode(v3, encoded, 'ada', upgradedKeys)).toEqual({ role: 'user', first: 'Ada', last: 'Lovelace' });
+        expect(upgradedKeys.has('ada')).toBe(true);
+
+        // Values stored before the codec declared a version have version 0.
+        expect(CodecUtils.decode(v3, 'Alan Turing', 'alan')).toEqual({ role: 'user', first: 'Alan', last: 'Turing' });
+
+        const binary = CodecUtils.encode(v3, new Uint8Array([1, 2, 3]));
+        expect(CodecUtils.unwrap(binary).version).toBe(3);
+        expect(BufferUtils.equals(CodecUtils.decode(v3, binary, 'key'), new Uint8Array([1, 2, 3]))).toBe(true);
+
+        // Versioned values survive the JSON encoding.
+        expect(CodecUtils.decode(v3, JSONUtils.parse(JSONUtils.stringify(CodecUtils.encode(v1, { name: 'Ada Lovelace' }))), 'ada'))
+            .toEqual({ role: 'user', first: 'Ada', last: 'Lovelace' });
+
+        expect(() => CodecUtils.decode(v1, CodecUtils.encode(v3, {}), 'key')).toThrow();
+        expect(() => CodecUtils.decode({ version: 2, encode: x => x, decode: x => x }, encoded, 'key')).toThrow();
+        expect(() => CodecUtils.encode({ version: 0, encode: x => x, decode: x => x }, {})).toThrow();
+    });
+
+    it('rewrites upgraded values on commit and by reencode', (done) => {
+        (async function () {
+            const codec = createCodec(2);
+            const store = JungleDB.createVolatileObjectStore({ codec, rewriteUpgraded: true });
+            for (const name of ['Ada Lovelace', 'Alan Turing', 'Grace Hopper']) {
+                await store.put(name, { first: name.split(' ')[0], last: name.split(' ')[1] });
+            }
+
+            codec.version = 3;
+            expect(await store.get('Ada Lovelace')).toEqual({ role: 'user', first: 'Ada', last: 'Lovelace' });
+            expect(CodecUtils.unwrap(await store.get('Ada Lovelace', { raw: true })).version).toBe(2);
+
+            // Values read by a transaction are rewritten when it commits.
+            const tx = store.transaction();
+            expect((await tx.get('Alan Turing')).role).toBe('user');
+            await tx.put('Edsger Dijkstra', { role: 'admin', first: 'Edsger', last: 'Dijkstra' });
+            expect(await tx.commit()).toBe(true);
+            expect(CodecUtils.unwrap(await store.get('Alan Turing', { raw: true })).version).toBe(3);
+            expect(CodecUtils.unwrap(await store.get('Ada Lovelace', { raw: true })).version).toBe(2);
+
+            // Only the entries stored by an outdated version are rewritten.
+            expect(await store.reencode({ batchSize: 2 })).toBe(2);
+            for (const key of await store.keys()) {
+                expect(CodecUtils.unwrap(await store.get(key, { raw: true })).version).toBe(3);
+            }
+            expect(await store.reencode()).toBe(0);
+            expect(await store.reencode({ all: true })).toBe(4);
+        })().then(done, done.fail);
+    });
+});
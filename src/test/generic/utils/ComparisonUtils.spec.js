@@ -59,4 +59,53 @@ describe('ComparisonUtils', () => {
         expect(ComparisonUtils.compare(s2, s3)).toEqual(-1);
         expect(ComparisonUtils.compare(s3, s1)).toEqual(1);
     });
+
+    it('compares arrays lexicographically', () => {
+        expect(ComparisonUtils.equals([1, 'a'], [1, 'a'])).toEqual(true);
+        expect(ComparisonUtils.equals([1, new Uint8Array([1])], [1, new Uint8Array([1])])).toEqual(true);
+        expect(ComparisonUtils.equals([1, 'a'], [1, 'b'])).toEqual(false);
+        expect(ComparisonUtils.equals([1], [1, 'a'])).toEqual(false);
+
+        expect(ComparisonUtils.compare([1, 'a'], [1, 'b'])).toEqual(-1);
+        expect(ComparisonUtils.compare([2], [1, 'b'])).toEqual(1);
+        expect(ComparisonUtils.compare([1], [1, 'a'])).toEqual(-1);
+        expect(ComparisonUtils.compare([1, 'a'], [1, 'a'])).toEqual(0);
+        expect(ComparisonUtils.compare([1, 'z'], [1, []])).toEqual(-1);
+        expect(ComparisonUtils.compare(5, [1])).toEqual(-1);
+    });
+
+    it('orders numbers before strings before binary data', () => {
+        expect(ComparisonUtils.compare(256, 'a')).toEqual(-1);
+        expect(ComparisonUtils.compare('1', -1)).toEqual(1);
+        expect(ComparisonUtils.compare('z', new Uint8Array([0]))).toEqual(-1);
+        expect(ComparisonUtils.compare(new Uint8Array([0]), 1)).toEqual(1);
+        expect(ComparisonUtils.compare(-1.5, -1)).toEqual(-1);
+    });
+
+    it('compares BigInts', () => {
+        expect(ComparisonUtils.compare(BigInt('9007199254740993'), BigInt('9007199254740992'))).toEqual(1);
+        expect(ComparisonUtils.compare(BigInt(-3), BigInt(2))).toEqual(-1);
+        expect(ComparisonUtils.compare(BigInt(0), '')).toEqual(-1);
+        expect(ComparisonUtils.equals(BigInt(7), BigInt(7))).toEqual(true);
+        expect(ComparisonUtils.equals(BigInt(7), 7)).toEqual(false);
+    });
+
+    it('compares numbers and BigInts by value', () => {
+        expect(ComparisonUtils.compare(10, BigInt(5))).toEqual(1);
+        expect(ComparisonUtils.compare(BigInt(5), 10)).toEqual(-1);
+        expect(ComparisonUtils.compare(Number.MAX_VALUE, BigInt(0))).toEqual(1);
+        expect(ComparisonUtils.compare(-Infinity, BigInt(-1))).toEqual(-1);
+        expect(ComparisonUtils.compare(4.5, BigInt(4))).toEqual(1);
+        expect(ComparisonUtils.compare(9007199254740992, BigInt('9007199254740993'))).toEqual(-1);
+        // A number sorts before a BigInt of the same value.
+        expect(ComparisonUtils.compare(5, BigInt(5))).toEqual(-1);
+        expect(ComparisonUtils.compare(BigInt(5), 5)).toEqual(1);
+    });
+
+    it('compares numbers with numeric strings by value', () => {
+        expect(ComparisonUtils.compare(10, '5')).toEqual(1);
+        expect(ComparisonUtils.compare('5', 10)).toEqual(-1);
+        // Non-numeric strings sort after numbers.
+        expect(ComparisonUtils.compare(10, 'a')).toEqual(-1);
+    });
 });
@@ -0,0 +1,45 @@
+describe('CryptoUtils', () => {
+    const fromHex = hex => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+
+    // Test cases 4 and 16 of the GCM specification.
+    const iv = fromHex('cafebabefacedbaddecaf888');
+    const additionalData = fromHex('feedfacedeadbeeffeedfacedeadbeefabaddad2');
+    const plaintext = fromHex('d9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39');
+    const vectors = [
+        {
+            key: 'feffe9928665731c6d6a8f9467308308',
+            ciphertext: '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091',
+            tag: '5bc94fbc3221a5db94fae95ae7121a47'
+        },
+        {
+            key: 'feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308',
+            ciphertext: '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662',
+            tag: '76fc6ece0f4e1768cddf8853bb2d551b'
+        }
+    ];
+
+    it('encrypts and decrypts with AES-GCM', () => {
+        if (!CryptoUtils.SUPPORTS_AES_GCM) {
+            expect(() => CryptoUtils.encryptAesGcm(fromHex(vectors[0].key), iv, plaintext, additionalData)).toThrow();
+            return;
+        }
+
+        for (const vector of vectors) {
+            const key = fromHex(vector.key);
+            const expected = fromHex(vector.ciphertext + vector.tag);
+            const ciphertext = CryptoUtils.encryptAesGcm(key, iv, plaintext, additionalData);
+            expect(BufferUtils.equals(ciphertext, expected)).toBe(true);
+            expect(BufferUtils.equals(CryptoUtils.decryptAesGcm(key, iv, ciphertext, additionalData), plaintext)).toBe(true);
+
+            ciphertext[0] ^= 1;
+            expect(() => CryptoUtils.decryptAesGcm(key, iv, ciphertext, additionalData)).toThrowError('Authentication failed');
+            ciphertext[0] ^= 1;
+            expect(() => CryptoUtils.decryptAesGcm(key, iv, ciphertext, new Uint8Array(0))).toThrowError('Authentication failed');
+        }
+    });
+
+    it('generates random values', () => {
+        expect(CryptoUtils.getRandomValues(32).length).toBe(32);
+        expect(BufferUtils.equals(CryptoUtils.getRandomValues(16), CryptoUtils.getRandomValues(16))).toBe(false);
+    });
+});
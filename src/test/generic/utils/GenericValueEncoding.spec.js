@@ -27,4 +27,11 @@ describe('GenericValueEncoding', () => {
             abc: 'def'
         });
     });
+
+    it('correctly encodes/decodes BigInts', () => {
+        f(BigInt(0));
+        f(BigInt(-1));
+        f(BigInt('9007199254740993'));
+        f(BigInt('-340282366920938463463374607431768211457'));
+    });
 });
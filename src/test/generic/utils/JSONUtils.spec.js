@@ -67,4 +67,11 @@ describe('JSONUtils', () => {
         expect(obj2.a).toBe(null);
     });
 
+    it('can convert BigInts', () => {
+        const obj = { a: BigInt('18446744073709551617'), b: [BigInt(-5)] };
+        const obj2 = JSONUtils.parse(JSONUtils.stringify(obj));
+        expect(obj2.a).toBe(obj.a);
+        expect(obj2.b[0]).toBe(BigInt(-5));
+    });
+
 });
@@ -0,0 +1,93 @@
+describe('TupleUtils', () => {
+    it('can encode and decode tuples', () => {
+        const tuples = [
+            [],
+            [1, 'test'],
+            [-1.5, '', 'a\u0000b', new Uint8Array([0, 1, 255])],
+            [['nested', [2]], 3]
+        ];
+        for (const tuple of tuples) {
+            expect(TupleUtils.decode(TupleUtils.encode(tuple))).toEqual(tuple);
+        }
+    });
+
+    it('preserves the order of tuples', () => {
+        const sorted = [
+            [-Infinity],
+            [-100],
+            [-1.5],
+            [0],
+            [0, 'a'],
+            [0.5],
+            [1, ''],
+            [1, 'a'],
+            [1, 'a\u0000'],
+            [1, 'ab'],
+            [1, 'b'],
+            [1, new Uint8Array([0])],
+            [1, new Uint8Array([0, 0])],
+            [1, new Uint8Array([1])],
+            [1, []],
+            [1, [1]],
+            [1, [1], 0],
+            [1, [1, 0]],
+            [256],
+            [Infinity],
+            ['a']
+        ];
+        const encoded = sorted.map(tuple => TupleUtils.encode(tuple));
+        for (let i = 1; i < encoded.length; ++i) {
+            expect(encoded[i - 1] < encoded[i]).toBe(true);
+        }
+    });
+
+    it('treats -0 and 0 as equal', () => {
+        expect(TupleUtils.encode([-0])).toBe(TupleUtils.encode([0]));
+        expect(Object.is(TupleUtils.decode(TupleUtils.encode([-0]))[0], 0)).toBe(true);
+    });
+
+    it('encodes BigInts in order', () => {
+        const sorted = [
+            [-Infinity],
+            [BigInt('-340282366920938463463374607431768211456')],
+            [BigInt(-256)],
+            [-255.5],
+            [BigInt(-255)],
+            [-1],
+            [BigInt(-1)],
+            [-0.5],
+            [0],
+            [BigInt(0)],
+            [BigInt(0), 'a'],
+            [0.5],
+            [BigInt(1)],
+            [BigInt(255)],
+            [BigInt(256)],
+            [9007199254740992],
+            [BigInt('9007199254740992')],
+            [BigInt('9007199254740993')],
+            [BigInt('9007199254740993'), 'a'],
+            [9007199254740994],
+            [BigInt('340282366920938463463374607431768211455')],
+            [340282366920938463463374607431768211456],
+            [BigInt('340282366920938463463374607431768211456')],
+            [BigInt('340282366920938463463374607431768211457')],
+            [Infinity],
+            ['a']
+        ];
+        const encoded = sorted.map(tuple => TupleUtils.encode(tuple));
+        for (let i = 0; i < sorted.length; ++i) {
+            expect(TupleUtils.decode(encoded[i])).toEqual(sorted[i]);
+            if (i > 0) {
+                expect(encoded[i - 1] < encoded[i]).toBe(true);
+                expect(ComparisonUtils.compare(sorted[i - 1], sorted[i])).toBe(-1);
+            }
+        }
+        expect(() => TupleUtils.encode([BigInt(2) ** BigInt(1024)])).toThrow();
+    });
+
+    it('rejects unsupported components', () => {
+        expect(() => TupleUtils.encode([true])).toThrow();
+        expect(() => TupleUtils.encode([{}])).toThrow();
+    });
+});
@@ -0,0 +1,30 @@
+describe('Utf8StreamDecoder', () => {
+
+    it('decodes characters split across chunks', () => {
+        const text = 'aü€🌍b';
+        const bytes = BufferUtils.fromUtf8(text);
+        for (let size = 1; size <= bytes.length; ++size) {
+            const decoder = new Utf8StreamDecoder();
+            let decoded = '';
+            for (let i = 0; i < bytes.length; i += size) {
+                decoded += decoder.write(bytes.subarray(i, i + size));
+            }
+            decoded += decoder.end();
+            expect(decoded).toBe(text);
+        }
+    });
+
+    it('keeps incomplete characters until the next chunk', () => {
+        const decoder = new Utf8StreamDecoder();
+        const bytes = BufferUtils.fromUtf8('x🌍');
+        expect(decoder.write(bytes.subarray(0, 3))).toBe('x');
+        expect(decoder.write(bytes.subarray(3))).toBe('🌍');
+        expect(decoder.end()).toBe('');
+    });
+
+    it('returns string chunks unchanged', () => {
+        const decoder = new Utf8StreamDecoder();
+        expect(decoder.write('ü')).toBe('ü');
+        expect(decoder.end()).toBe('');
+    });
+});